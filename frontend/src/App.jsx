@@ -32,21 +32,50 @@ import {
   Waves,
   Flower2
 } from 'lucide-react';
+import { getCachedCrisisResources, fetchCrisisResources } from './crisis-resources.js';
+
+// The server only accepts short identifiers, never free text
+const toAnalyticsToken = text => String(text).toLowerCase().replace(/[^a-z0-9_.:-]+/g, '_').replace(/^[^a-z0-9]+/, '').slice(0, 64) || 'unknown';
+
+// Random per-tab session id, renewed after 30 minutes without activity (the server's
+// ANALYTICS_SESSION_TIMEOUT_MINUTES); it never identifies the person
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+let memorySession = null;
+
+const getSessionId = () => {
+  const now = Date.now();
+  let session = memorySession;
+  try {
+    session = JSON.parse(window.sessionStorage.getItem('mhb_analytics_session')) || memorySession;
+  } catch (err) {
+    // Storage unavailable (e.g. private mode); the in-memory session still works
+  }
+  if (!session || now - session.last_seen > SESSION_TIMEOUT_MS) {
+    session = { id: window.crypto.randomUUID(), last_seen: now };
+  }
+  session.last_seen = now;
+  memorySession = session;
+  try {
+    window.sessionStorage.setItem('mhb_analytics_session', JSON.stringify(session));
+  } catch (err) {
+    // See above
+  }
+  return session.id;
+};
 
 // Global analytics tracking function
 window.trackEvent = (category, action, label, value) => {
   console.log('📊 Analytics:', { category, action, label, value });
   
-  // In production, this would send to your analytics service
   fetch('/api/analytics/event', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      event_name: action,
-      feature: category,
-      action: label,
-      user_id: 'demo_user',
-      properties: { value }
+      event_name: toAnalyticsToken(action),
+      feature: toAnalyticsToken(category),
+      action: label === undefined ? undefined : toAnalyticsToken(label),
+      session_id: getSessionId(),
+      properties: typeof value === 'number' && Number.isFinite(value) ? { value } : {}
     })
   }).catch(err => console.log('Analytics error:', err));
 };
@@ -123,13 +152,32 @@ function HealingHeader() {
 }
 
 function CrisisResourcesBar() {
+  const [resources, setResources] = useState(getCachedCrisisResources);
+
+  useEffect(() => {
+    fetchCrisisResources()
+      .then(setResources)
+      .catch(err => console.log('Crisis resources error:', err));
+  }, []);
+
+  const { labels, emergency_numbers: numbers, crisis_text_message, more_help_url } = resources;
+
   return (
     <div className="bg-danger text-white py-2">
       <div className="container text-center">
-        <span className="font-semibold">🚨 Crisis Resources Always Available: </span>
-        <span className="mx-2">Emergency: <strong>911</strong></span>
-        <span className="mx-2">Suicide Prevention: <strong>988</strong></span>
-        <span className="mx-2">Crisis Text: <strong>741741</strong></span>
+        <span className="font-semibold">🚨 {labels.banner}: </span>
+        <span className="mx-2">{labels.emergency}: <strong>{numbers.emergency}</strong></span>
+        {numbers.suicide_prevention && (
+          <span className="mx-2">{labels.suicide_prevention}: <strong>{numbers.suicide_prevention}</strong></span>
+        )}
+        {crisis_text_message && (
+          <span className="mx-2">{labels.crisis_text}: <strong>{crisis_text_message}</strong></span>
+        )}
+        {more_help_url && (
+          <a className="mx-2 text-white font-semibold" href={more_help_url} target="_blank" rel="noopener noreferrer">
+            {labels.more_help}
+          </a>
+        )}
       </div>
     </div>
   );
@@ -207,7 +255,7 @@ const HealingDashboard = memo(() => {
         window.trackEvent('performance', 'dashboard_load', 'success', loadTime);
       } catch (error) {
         console.error('Dashboard load error:', error);
-        window.trackEvent('error', 'dashboard_load', error.message);
+        window.trackEvent('error', 'dashboard_load', error.name || 'error');
       } finally {
         setLoading(false);
       }
@@ -461,8 +509,7 @@ function App() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         page: 'home',
-        user_id: 'demo_user',
-        session_id: 'demo_session'
+        session_id: getSessionId()
       })
     }).catch(err => console.log('Page view tracking error:', err));
   }, []);
@@ -0,0 +1,55 @@
+// frontend/src/crisis-resources.js - Localized Crisis Numbers for the Banner and Error Screen
+//
+// The crisis bar asks the API for the numbers that apply where the user is (the browser
+// sends its languages, e.g. en-GB) and keeps the last answer in localStorage, so the error
+// boundary can still show the right numbers when the app itself has crashed.
+const STORAGE_KEY = 'mhb.crisisResources';
+
+// Shown before the first answer arrives or when the API is unreachable: 112 works from
+// most mobile phones, and Find A Helpline covers the rest of the world.
+export const FALLBACK_CRISIS_RESOURCES = {
+  country: 'INTL',
+  language: 'en',
+  labels: {
+    banner: 'Crisis Resources Always Available',
+    emergency: 'Emergency',
+    suicide_prevention: 'Suicide Prevention',
+    crisis_text: 'Crisis Text',
+    more_help: 'Find a helpline near you'
+  },
+  emergency_numbers: {
+    emergency: '112',
+    suicide_prevention: null,
+    crisis_text: null
+  },
+  crisis_text_message: null,
+  more_help_url: 'https://findahelpline.com'
+};
+
+export function getCachedCrisisResources() {
+  try {
+    const cached = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (cached && cached.emergency_numbers && cached.emergency_numbers.emergency && cached.labels) {
+      return cached;
+    }
+  } catch (error) {
+    // Storage unavailable (private mode) or corrupted - fall through
+  }
+  return FALLBACK_CRISIS_RESOURCES;
+}
+
+export async function fetchCrisisResources() {
+  const params = new URLSearchParams({ format: 'summary' });
+  if (navigator.language) params.set('lang', navigator.language);
+
+  const response = await fetch(`/api/crisis?${params}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const resources = await response.json();
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(resources));
+  } catch (error) {
+    // Not cached; the fallback still applies
+  }
+  return resources;
+}
@@ -2,6 +2,7 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { getCachedCrisisResources } from './crisis-resources.js';
 import './index.css';
 
 // Error boundary for production
@@ -20,12 +21,15 @@ class ErrorBoundary extends React.Component {
     
     // Track error in analytics if available
     if (window.trackEvent) {
-      window.trackEvent('error', 'react_error', error.message);
+      window.trackEvent('error', 'react_error', error.name || 'error');
     }
   }
 
   render() {
     if (this.state.hasError) {
+      // Last numbers the crisis bar loaded for this user's country, or the international fallback
+      const { labels, emergency_numbers: numbers, crisis_text_message, more_help_url } = getCachedCrisisResources();
+
       return (
         <div style={{
           display: 'flex',
@@ -80,8 +84,19 @@ class ErrorBoundary extends React.Component {
             borderRadius: '8px',
             marginTop: '2rem'
           }}>
-            <h3>🚨 Crisis Resources Always Available:</h3>
-            <p>Emergency: <strong>911</strong> | Suicide Prevention: <strong>988</strong> | Crisis Text: <strong>741741</strong></p>
+            <h3>🚨 {labels.banner}:</h3>
+            <p>
+              {labels.emergency}: <strong>{numbers.emergency}</strong>
+              {numbers.suicide_prevention && <> | {labels.suicide_prevention}: <strong>{numbers.suicide_prevention}</strong></>}
+              {crisis_text_message && <> | {labels.crisis_text}: <strong>{crisis_text_message}</strong></>}
+            </p>
+            {more_help_url && (
+              <p>
+                <a href={more_help_url} target="_blank" rel="noopener noreferrer" style={{ color: '#fff', textDecoration: 'underline' }}>
+                  {labels.more_help}
+                </a>
+              </p>
+            )}
           </div>
         </div>
       );
@@ -107,14 +122,14 @@ root.render(
 window.addEventListener('error', (event) => {
   console.error('🚨 Global Error:', event.error);
   if (window.trackEvent) {
-    window.trackEvent('error', 'global_error', event.error?.message || 'Unknown error');
+    window.trackEvent('error', 'global_error', event.error?.name || 'unknown');
   }
 });
 
 window.addEventListener('unhandledrejection', (event) => {
   console.error('🚨 Unhandled Promise Rejection:', event.reason);
   if (window.trackEvent) {
-    window.trackEvent('error', 'unhandled_rejection', String(event.reason));
+    window.trackEvent('error', 'unhandled_rejection', event.reason?.name || 'unknown');
   }
 });
 
@@ -124,7 +139,7 @@ if (typeof window !== 'undefined' && 'performance' in window) {
     setTimeout(() => {
       const perfData = performance.getEntriesByType('navigation')[0];
       if (perfData && window.trackEvent) {
-        window.trackEvent('performance', 'page_load', Math.round(perfData.loadEventEnd - perfData.fetchStart));
+        window.trackEvent('performance', 'page_load', 'navigation', Math.round(perfData.loadEventEnd - perfData.fetchStart));
       }
     }, 0);
   });
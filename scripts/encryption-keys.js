@@ -0,0 +1,30 @@
+// scripts/encryption-keys.js - Master Key Rotation and Plaintext Backfill
+//
+// Usage:
+//   npm run keys:rotate     re-wrap every user data key under ENCRYPTION_ACTIVE_KEY_ID
+//   npm run keys:backfill   encrypt rows written before field-level encryption existed
+//
+// Rotation steps: add the new key to ENCRYPTION_MASTER_KEYS, point ENCRYPTION_ACTIVE_KEY_ID
+// at it and restart the app, run keys:rotate, then remove the old key from the list.
+require('dotenv').config();
+const { rotateMasterKey, backfillPlaintextRecords } = require('../src/utils/encryption');
+
+const commands = {
+  rotate: rotateMasterKey,
+  backfill: backfillPlaintextRecords
+};
+
+const command = process.argv[2];
+
+if (!commands[command]) {
+  console.error(`Usage: node scripts/encryption-keys.js <${Object.keys(commands).join('|')}>`);
+  process.exit(1);
+}
+
+try {
+  const result = commands[command]();
+  console.log(JSON.stringify({ command, result, timestamp: new Date().toISOString() }, null, 2));
+} catch (error) {
+  console.error(`Encryption key ${command} failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,87 @@
+// scripts/evaluate-crisis-detection.js - Precision/Recall of the Crisis Detection Engine
+//
+// Usage:
+//   npm run crisis:evaluate                 score scripts/crisis-corpus.json
+//   npm run crisis:evaluate -- other.json   score another labelled corpus
+//
+// Corpus entries look like { "id", "text", "crisis": true|false, "categories": [...] }.
+// Exits non-zero when precision or recall drops below CRISIS_MIN_PRECISION /
+// CRISIS_MIN_RECALL (defaults 0.9 and 0.95) so rule changes can be checked in CI.
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES, detectCrisis } = require('../src/utils/crisis-detection');
+
+const corpusPath = path.resolve(process.argv[2] || path.join(__dirname, 'crisis-corpus.json'));
+const minPrecision = parseFloat(process.env.CRISIS_MIN_PRECISION || '0.9');
+const minRecall = parseFloat(process.env.CRISIS_MIN_RECALL || '0.95');
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? 1 : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+function metrics(counts) {
+  const precision = ratio(counts.tp, counts.tp + counts.fp);
+  const recall = ratio(counts.tp, counts.tp + counts.fn);
+  return {
+    ...counts,
+    precision,
+    recall,
+    f1: precision + recall === 0 ? 0 : Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000
+  };
+}
+
+const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+const overall = { tp: 0, fp: 0, fn: 0, tn: 0 };
+const byCategory = {};
+Object.keys(CATEGORIES).forEach(category => {
+  byCategory[category] = { tp: 0, fp: 0, fn: 0, tn: 0 };
+});
+const errors = [];
+
+corpus.forEach(sample => {
+  const result = detectCrisis(sample.text);
+
+  if (result.detected && sample.crisis) overall.tp += 1;
+  else if (result.detected) overall.fp += 1;
+  else if (sample.crisis) overall.fn += 1;
+  else overall.tn += 1;
+
+  if (result.detected !== sample.crisis) {
+    errors.push({
+      id: sample.id,
+      expected: sample.crisis,
+      score: result.score,
+      text: sample.text,
+      matches: result.matches.map(match => match.explanation),
+      suppressed: result.suppressed.map(item => `${item.phrase}: ${item.reason}`)
+    });
+  }
+
+  Object.keys(byCategory).forEach(category => {
+    const expected = (sample.categories || []).includes(category);
+    const found = category in result.categories;
+    const counts = byCategory[category];
+    if (found && expected) counts.tp += 1;
+    else if (found) counts.fp += 1;
+    else if (expected) counts.fn += 1;
+    else counts.tn += 1;
+  });
+});
+
+const report = {
+  corpus: path.relative(process.cwd(), corpusPath),
+  samples: corpus.length,
+  overall: metrics(overall),
+  categories: Object.fromEntries(
+    Object.entries(byCategory).map(([category, counts]) => [category, metrics(counts)])
+  ),
+  misclassified: errors
+};
+
+console.log(JSON.stringify(report, null, 2));
+
+if (report.overall.precision < minPrecision || report.overall.recall < minRecall) {
+  console.error(`Crisis detection below target: precision ${report.overall.precision} (min ${minPrecision}), ` +
+    `recall ${report.overall.recall} (min ${minRecall})`);
+  process.exit(1);
+}
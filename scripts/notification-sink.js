@@ -0,0 +1,128 @@
+// scripts/notification-sink.js - Local SMTP, Webhook and SMS Gateway Stand-in
+//
+// Usage:
+//   npm run notifications:sink
+//
+// Accepts mail on SINK_SMTP_PORT (default 2525) and HTTP POSTs on SINK_HTTP_PORT
+// (default 2526, e.g. /webhook and /sms) and prints every message received. Set
+// SINK_FAIL_RATE=0.5 to reject about half of all deliveries and watch the retries.
+require('dotenv').config();
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+
+const SMTP_PORT = parseInt(process.env.SINK_SMTP_PORT) || 2525;
+const HTTP_PORT = parseInt(process.env.SINK_HTTP_PORT) || 2526;
+const FAIL_RATE = parseFloat(process.env.SINK_FAIL_RATE) || 0;
+
+function shouldFail() {
+  return Math.random() < FAIL_RATE;
+}
+
+function print(kind, details) {
+  console.log(JSON.stringify({ received: kind, ...details, timestamp: new Date().toISOString() }, null, 2));
+}
+
+// Just enough SMTP for nodemailer: EHLO, MAIL, RCPT, DATA, RSET, QUIT
+const smtpServer = net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+  let message = { from: null, to: [], data: '' };
+
+  socket.write('220 mhb-notification-sink ESMTP\r\n');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          if (shouldFail()) {
+            socket.write('451 Simulated temporary failure\r\n');
+          } else {
+            print('email', { from: message.from, to: message.to, message: message.data });
+            socket.write('250 Message accepted\r\n');
+          }
+          message = { from: null, to: [], data: '' };
+        } else {
+          message.data += (line.startsWith('..') ? line.slice(1) : line) + '\n';
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        socket.write('250 mhb-notification-sink\r\n');
+      } else if (command === 'MAIL') {
+        message.from = line.slice(line.indexOf(':') + 1).trim();
+        socket.write('250 OK\r\n');
+      } else if (command === 'RCPT') {
+        message.to.push(line.slice(line.indexOf(':') + 1).trim());
+        socket.write('250 OK\r\n');
+      } else if (command === 'DATA') {
+        inData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command === 'RSET') {
+        message = { from: null, to: [], data: '' };
+        socket.write('250 OK\r\n');
+      } else if (command === 'QUIT') {
+        socket.end('221 Bye\r\n');
+      } else {
+        socket.write('250 OK\r\n');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    if (shouldFail()) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Simulated outage');
+      return;
+    }
+
+    const signature = req.headers['x-mhb-signature'];
+    let signatureValid = null;
+    if (signature && process.env.NOTIFY_WEBHOOK_SECRET) {
+      const expected = 'sha256=' + crypto.createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET).update(body).digest('hex');
+      signatureValid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    }
+
+    let parsed = body;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      // Form-encoded bodies (Twilio-style) are printed as-is
+    }
+
+    print(req.url.startsWith('/sms') ? 'sms' : 'webhook', {
+      path: req.url,
+      event: req.headers['x-mhb-event'],
+      signature_valid: signatureValid,
+      body: parsed
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+  });
+});
+
+smtpServer.listen(SMTP_PORT, () => {
+  console.log(`SMTP sink listening on localhost:${SMTP_PORT}`);
+});
+httpServer.listen(HTTP_PORT, () => {
+  console.log(`Webhook/SMS sink listening on http://localhost:${HTTP_PORT} (fail rate ${FAIL_RATE})`);
+});
@@ -0,0 +1,23 @@
+// scripts/user-roles.js - Grant or Revoke Clinician/Admin Access
+//
+// Usage:
+//   npm run users:role -- <email> <user|clinician|admin>
+//
+// The user's refresh tokens are revoked, so the new role applies from their next login.
+require('dotenv').config();
+const { ROLES, setUserRole } = require('../src/utils/auth');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !role) {
+  console.error(`Usage: node scripts/user-roles.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+try {
+  const user = setUserRole(email, role);
+  console.log(JSON.stringify({ user, timestamp: new Date().toISOString() }, null, 2));
+} catch (error) {
+  console.error(`Role change failed: ${error.message}`);
+  process.exit(1);
+}
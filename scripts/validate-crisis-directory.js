@@ -0,0 +1,32 @@
+// scripts/validate-crisis-directory.js - Check the Crisis Resource Data Files
+//
+// Usage:
+//   npm run crisis:validate-directory
+//
+// Runs the same checks the server applies at startup (required numbers, translations for
+// every listed language, opening hours and time zones, https websites, ...) and lists every
+// problem found, so directory edits can be verified before deploying. Exits 1 when invalid.
+require('dotenv').config();
+const { DIRECTORY_DIR, readDirectory, validateDirectory } = require('../src/utils/crisis-directory');
+
+const raw = readDirectory();
+const errors = validateDirectory(raw);
+
+if (errors.length > 0) {
+  console.error(`Crisis resource directory at ${DIRECTORY_DIR} has ${errors.length} problem(s):`);
+  errors.forEach(error => console.error(`  - ${error}`));
+  process.exit(1);
+}
+
+const entries = Object.values(raw.entries);
+console.log(JSON.stringify({
+  valid: true,
+  directory: DIRECTORY_DIR,
+  entries: entries.map(entry => ({
+    code: entry.code,
+    languages: entry.languages,
+    regions: Object.keys(entry.regions || {}),
+    contacts: Object.values(entry.categories).reduce((total, contacts) => total + contacts.length, 0)
+  })),
+  timestamp: new Date().toISOString()
+}, null, 2));
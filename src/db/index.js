@@ -0,0 +1,71 @@
+// src/db/index.js - Pluggable Persistence Layer
+//
+// Routes talk to repositories through collection(name); the driver behind them is
+// chosen by DATABASE_DRIVER (sqlite by default, memory for tests and throwaway runs).
+const path = require('path');
+const { SqliteStore } = require('./sqlite');
+const { MemoryStore } = require('./memory');
+
+let store = null;
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.DATABASE_DRIVER || 'sqlite';
+
+  switch (driver) {
+    case 'sqlite':
+      return new SqliteStore({
+        filename: options.filename || process.env.DATABASE_PATH || path.join(__dirname, '../../data/mhb.sqlite')
+      }).open();
+    case 'memory':
+      return new MemoryStore().open();
+    default:
+      throw new Error(`Unsupported DATABASE_DRIVER: ${driver}`);
+  }
+}
+
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// Swap the active store, e.g. to inject a fresh MemoryStore per test
+function setStore(newStore) {
+  if (store && store !== newStore) {
+    store.close();
+  }
+  store = newStore;
+}
+
+function collection(name) {
+  return getStore().collection(name);
+}
+
+function transaction(fn) {
+  return getStore().transaction(fn);
+}
+
+// Readiness probe: never throws, reports why the database is unavailable instead
+function healthCheck() {
+  try {
+    return getStore().healthCheck();
+  } catch (error) {
+    return {
+      status: 'unavailable',
+      driver: process.env.DATABASE_DRIVER || 'sqlite',
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  createStore,
+  getStore,
+  setStore,
+  collection,
+  transaction,
+  healthCheck,
+  SqliteStore,
+  MemoryStore
+};
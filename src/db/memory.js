@@ -0,0 +1,164 @@
+// src/db/memory.js - In-Memory Persistence Driver (tests and local experiments only)
+const { getTableDefinition } = require('./schema');
+
+// Deep copy through JSON so callers can never mutate stored records in place,
+// mirroring the serialization round trip of the SQLite driver.
+function clone(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null) return value === undefined || value === null;
+
+  if (typeof condition === 'object' && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (operator === 'ne' && expected === null) return value !== undefined && value !== null;
+      if (value === undefined || value === null) return operator === 'ne';
+      switch (operator) {
+        case 'gt': return value > expected;
+        case 'gte': return value >= expected;
+        case 'lt': return value < expected;
+        case 'lte': return value <= expected;
+        case 'ne': return value !== expected;
+        case 'in': return expected.includes(value);
+        default: throw new Error(`Unsupported query operator: ${operator}`);
+      }
+    });
+  }
+
+  return value === condition;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+class MemoryRepository {
+  constructor(table) {
+    this.table = table;
+    getTableDefinition(table);
+    this.records = new Map();
+    this.nextId = 1;
+  }
+
+  matches(record, where) {
+    return Object.entries(where).every(([column, condition]) => matchesCondition(record[column], condition));
+  }
+
+  insert(record) {
+    const { id, ...fields } = record;
+    const stored = clone({ id: this.nextId++, ...fields });
+    this.records.set(stored.id, stored);
+    return clone(stored);
+  }
+
+  findById(id) {
+    return clone(this.records.get(id));
+  }
+
+  findOne(where = {}) {
+    return this.find(where, { limit: 1 })[0] || null;
+  }
+
+  find(where = {}, { orderBy = 'id', direction = 'asc', limit, offset = 0 } = {}) {
+    const sign = direction.toLowerCase() === 'desc' ? -1 : 1;
+    const results = [...this.records.values()]
+      .filter(record => this.matches(record, where))
+      .sort((a, b) => sign * (compare(a[orderBy], b[orderBy]) || compare(a.id, b.id)));
+
+    const page = limit !== undefined ? results.slice(offset, offset + limit) : results;
+    return page.map(clone);
+  }
+
+  count(where = {}) {
+    return [...this.records.values()].filter(record => this.matches(record, where)).length;
+  }
+
+  update(id, changes) {
+    const existing = this.records.get(id);
+    if (!existing) return null;
+
+    const updated = clone({ ...existing, ...changes, id });
+    this.records.set(id, updated);
+    return clone(updated);
+  }
+
+  remove(id) {
+    return this.records.delete(id);
+  }
+
+  removeWhere(where) {
+    let removed = 0;
+    [...this.records.values()].forEach(record => {
+      if (this.matches(record, where)) {
+        this.records.delete(record.id);
+        removed += 1;
+      }
+    });
+    return removed;
+  }
+
+  // Records are replaced on every write and never changed in place, so a shallow copy
+  // of the map is enough to put the table back
+  snapshot() {
+    return { records: new Map(this.records), nextId: this.nextId };
+  }
+
+  restore({ records, nextId }) {
+    this.records = new Map(records);
+    this.nextId = nextId;
+  }
+}
+
+class MemoryStore {
+  constructor() {
+    this.driver = 'memory';
+    this.repositories = new Map();
+  }
+
+  open() {
+    return this;
+  }
+
+  collection(name) {
+    if (!this.repositories.has(name)) {
+      this.repositories.set(name, new MemoryRepository(name));
+    }
+    return this.repositories.get(name);
+  }
+
+  // Single-threaded and synchronous, so nothing else runs in between; a throw puts every
+  // collection back as it was, like a rollback in the SQLite driver (nested calls included)
+  transaction(fn) {
+    const snapshots = new Map([...this.repositories].map(([name, repository]) => [name, repository.snapshot()]));
+    try {
+      return fn();
+    } catch (error) {
+      this.repositories.forEach((repository, name) => {
+        repository.restore(snapshots.get(name) || { records: new Map(), nextId: 1 });
+      });
+      throw error;
+    }
+  }
+
+  healthCheck() {
+    return {
+      status: 'operational',
+      driver: this.driver,
+      latency_ms: 0,
+      persistent: false
+    };
+  }
+
+  close() {
+    this.repositories.clear();
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  MemoryRepository
+};
@@ -0,0 +1,463 @@
+// src/db/migrations.js - Ordered SQLite Schema Migrations
+//
+// Migrations are append-only: never edit one that has shipped, add a new entry instead.
+
+const MIGRATIONS = [
+  {
+    id: 1,
+    name: 'create_journal_entries',
+    up: `
+      CREATE TABLE journal_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content TEXT NOT NULL,
+        mood_before REAL,
+        mood_after REAL,
+        tags TEXT NOT NULL DEFAULT '[]',
+        crisis_analysis TEXT,
+        insights TEXT,
+        word_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_journal_entries_created_at ON journal_entries (created_at);
+    `
+  },
+  {
+    id: 2,
+    name: 'create_mood_entries',
+    up: `
+      CREATE TABLE mood_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mood REAL NOT NULL,
+        energy REAL,
+        stress REAL,
+        sleep_hours REAL,
+        notes TEXT,
+        activities TEXT NOT NULL DEFAULT '[]',
+        timestamp TEXT NOT NULL,
+        date TEXT NOT NULL
+      );
+      CREATE INDEX idx_mood_entries_timestamp ON mood_entries (timestamp);
+      CREATE INDEX idx_mood_entries_date ON mood_entries (date);
+    `
+  },
+  {
+    id: 3,
+    name: 'create_crisis_reports',
+    up: `
+      CREATE TABLE crisis_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        severity TEXT NOT NULL,
+        description TEXT,
+        immediate_danger INTEGER NOT NULL DEFAULT 0,
+        contact_info TEXT,
+        location TEXT,
+        support_needed TEXT,
+        timestamp TEXT NOT NULL,
+        status TEXT NOT NULL,
+        follow_up_needed INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_crisis_reports_timestamp ON crisis_reports (timestamp);
+    `
+  },
+  {
+    id: 4,
+    name: 'create_users_and_refresh_tokens',
+    up: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        last_login_at TEXT
+      );
+      CREATE TABLE refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        family_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        replaced_by INTEGER
+      );
+      CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens (family_id);
+    `
+  },
+  {
+    id: 5,
+    name: 'scope_personal_data_to_users',
+    up: `
+      ALTER TABLE journal_entries ADD COLUMN user_id INTEGER REFERENCES users (id);
+      ALTER TABLE mood_entries ADD COLUMN user_id INTEGER REFERENCES users (id);
+      ALTER TABLE crisis_reports ADD COLUMN user_id INTEGER REFERENCES users (id);
+      CREATE INDEX idx_journal_entries_user_id ON journal_entries (user_id, created_at);
+      CREATE INDEX idx_mood_entries_user_id ON mood_entries (user_id, timestamp);
+      CREATE INDEX idx_crisis_reports_user_id ON crisis_reports (user_id);
+    `
+  },
+  {
+    id: 6,
+    name: 'create_journal_revisions',
+    up: `
+      ALTER TABLE journal_entries ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;
+      CREATE TABLE journal_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL REFERENCES journal_entries (id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users (id),
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        mood_before REAL,
+        mood_after REAL,
+        tags TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        UNIQUE (entry_id, revision)
+      );
+    `
+  },
+  {
+    id: 7,
+    name: 'create_user_data_keys',
+    up: `
+      CREATE TABLE user_data_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL UNIQUE REFERENCES users (id) ON DELETE CASCADE,
+        master_key_id TEXT NOT NULL,
+        wrapped_key TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        rotated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_user_data_keys_master_key_id ON user_data_keys (master_key_id);
+    `
+  },
+  {
+    id: 8,
+    name: 'create_journal_search_index',
+    up: `
+      CREATE TABLE journal_search_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL UNIQUE REFERENCES journal_entries (id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        length INTEGER NOT NULL,
+        indexed_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_journal_search_documents_user_id ON journal_search_documents (user_id);
+      CREATE TABLE journal_search_postings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL REFERENCES journal_entries (id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        term_hash TEXT NOT NULL,
+        positions TEXT NOT NULL,
+        frequency INTEGER NOT NULL
+      );
+      CREATE INDEX idx_journal_search_postings_term ON journal_search_postings (user_id, term_hash);
+      CREATE INDEX idx_journal_search_postings_entry_id ON journal_search_postings (entry_id);
+    `
+  },
+  {
+    id: 9,
+    name: 'add_crisis_analysis_to_mood_and_crisis_reports',
+    up: `
+      ALTER TABLE mood_entries ADD COLUMN crisis_analysis TEXT;
+      ALTER TABLE crisis_reports ADD COLUMN crisis_analysis TEXT;
+    `
+  },
+  {
+    id: 10,
+    name: 'create_crisis_case_management',
+    up: `
+      ALTER TABLE crisis_reports ADD COLUMN assigned_to INTEGER REFERENCES users (id) ON DELETE SET NULL;
+      ALTER TABLE crisis_reports ADD COLUMN claimed_at TEXT;
+      ALTER TABLE crisis_reports ADD COLUMN first_contact_at TEXT;
+      ALTER TABLE crisis_reports ADD COLUMN resolved_at TEXT;
+      ALTER TABLE crisis_reports ADD COLUMN updated_at TEXT;
+      CREATE INDEX idx_crisis_reports_status ON crisis_reports (status);
+      CREATE INDEX idx_crisis_reports_assigned_to ON crisis_reports (assigned_to);
+      CREATE TABLE crisis_report_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL REFERENCES crisis_reports (id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL REFERENCES users (id),
+        note TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_crisis_report_notes_report_id ON crisis_report_notes (report_id);
+      CREATE TABLE crisis_report_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL REFERENCES crisis_reports (id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users (id),
+        action TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_crisis_report_events_report_id ON crisis_report_events (report_id);
+    `
+  },
+  {
+    id: 11,
+    name: 'create_notification_deliveries',
+    up: `
+      CREATE TABLE notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        delivered_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_notification_deliveries_due ON notification_deliveries (status, next_attempt_at);
+      CREATE INDEX idx_notification_deliveries_dedupe ON notification_deliveries (dedupe_key, channel, recipient, created_at);
+    `
+  },
+  {
+    id: 12,
+    name: 'create_safety_plans',
+    up: `
+      CREATE TABLE safety_plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        plan TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (user_id, version)
+      );
+    `
+  },
+  {
+    id: 13,
+    name: 'create_early_warnings',
+    up: `
+      CREATE TABLE early_warning_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        rule TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        source TEXT NOT NULL,
+        source_id INTEGER,
+        details TEXT NOT NULL,
+        status TEXT NOT NULL,
+        contact_notified INTEGER NOT NULL DEFAULT 0,
+        triggered_at TEXT NOT NULL,
+        acknowledged_at TEXT
+      );
+      CREATE INDEX idx_early_warning_alerts_user_rule ON early_warning_alerts (user_id, rule, triggered_at);
+      CREATE TABLE trusted_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL UNIQUE REFERENCES users (id) ON DELETE CASCADE,
+        contact TEXT NOT NULL,
+        notify INTEGER NOT NULL DEFAULT 1,
+        min_severity TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    id: 14,
+    name: 'create_mood_metrics_and_emotions',
+    up: `
+      CREATE TABLE mood_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL,
+        min REAL,
+        max REAL,
+        step REAL,
+        unit TEXT,
+        archived INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (user_id, key)
+      );
+      ALTER TABLE mood_entries ADD COLUMN metrics TEXT;
+      ALTER TABLE mood_entries ADD COLUMN emotions TEXT NOT NULL DEFAULT '[]';
+    `
+  },
+  {
+    id: 15,
+    name: 'add_user_time_zones_and_local_dates',
+    up: `
+      ALTER TABLE users ADD COLUMN time_zone TEXT;
+      CREATE INDEX idx_mood_entries_user_date ON mood_entries (user_id, date);
+      ALTER TABLE journal_entries ADD COLUMN date TEXT;
+      UPDATE journal_entries SET date = substr(created_at, 1, 10);
+    `
+  },
+  {
+    id: 16,
+    name: 'add_mood_entry_provenance',
+    up: `
+      ALTER TABLE mood_entries ADD COLUMN logged_at TEXT;
+      ALTER TABLE mood_entries ADD COLUMN source TEXT;
+      CREATE INDEX idx_mood_entries_user_timestamp ON mood_entries (user_id, timestamp);
+    `
+  },
+  {
+    id: 17,
+    name: 'create_export_jobs',
+    up: `
+      CREATE TABLE export_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        format TEXT NOT NULL,
+        dataset TEXT,
+        days INTEGER,
+        status TEXT NOT NULL,
+        storage_key TEXT,
+        filename TEXT,
+        size_bytes INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        completed_at TEXT,
+        expires_at TEXT
+      );
+      CREATE INDEX idx_export_jobs_user_id ON export_jobs (user_id, created_at);
+      CREATE INDEX idx_export_jobs_status ON export_jobs (status);
+    `
+  },
+  {
+    id: 18,
+    name: 'create_analytics_events',
+    up: `
+      CREATE TABLE analytics_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        action TEXT,
+        actor TEXT,
+        session_id TEXT,
+        value REAL,
+        status_code INTEGER,
+        properties TEXT,
+        occurred_at TEXT NOT NULL,
+        date TEXT NOT NULL,
+        hour TEXT NOT NULL
+      );
+      CREATE INDEX idx_analytics_events_date ON analytics_events (date);
+      CREATE INDEX idx_analytics_events_hour ON analytics_events (hour);
+      CREATE INDEX idx_analytics_events_occurred_at ON analytics_events (occurred_at);
+
+      CREATE TABLE analytics_rollups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        granularity TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        unique_actors INTEGER NOT NULL,
+        value_sum REAL NOT NULL,
+        value_max REAL,
+        error_count INTEGER NOT NULL,
+        actions TEXT,
+        first_at TEXT NOT NULL,
+        last_at TEXT NOT NULL,
+        last_event_id INTEGER NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (granularity, bucket, type, name)
+      );
+      CREATE INDEX idx_analytics_rollups_bucket ON analytics_rollups (granularity, bucket);
+      CREATE INDEX idx_analytics_rollups_last_event_id ON analytics_rollups (last_event_id);
+    `
+  },
+  {
+    id: 19,
+    name: 'add_analytics_consent_and_pseudonyms',
+    up: `
+      CREATE TABLE consent_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        granted INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_consent_records_user_id ON consent_records (user_id, purpose, created_at);
+
+      CREATE TABLE system_secrets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        purpose TEXT NOT NULL,
+        name TEXT NOT NULL UNIQUE,
+        master_key_id TEXT NOT NULL,
+        wrapped_secret TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        rotated_at TEXT NOT NULL
+      );
+
+      UPDATE analytics_events SET actor = NULL, session_id = NULL, properties = NULL;
+    `
+  },
+  {
+    id: 20,
+    name: 'add_analytics_distinct_sketches',
+    up: `
+      ALTER TABLE analytics_rollups ADD COLUMN actors_hll TEXT;
+      CREATE INDEX idx_analytics_events_session_id ON analytics_events (session_id);
+    `
+  },
+  {
+    id: 21,
+    name: 'add_analytics_cohorts',
+    up: `
+      ALTER TABLE analytics_events ADD COLUMN cohort TEXT;
+      ALTER TABLE analytics_events ADD COLUMN cohort_day INTEGER;
+      CREATE INDEX idx_analytics_events_cohort ON analytics_events (cohort, date);
+      ALTER TABLE users ADD COLUMN first_tts_at TEXT;
+    `
+  }
+];
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT id FROM schema_migrations ORDER BY id').all().map(row => row.id);
+}
+
+// Apply pending migrations. The IMMEDIATE transaction takes the write lock up
+// front, so cluster workers starting at the same time apply each migration once.
+function migrate(db) {
+  ensureMigrationsTable(db);
+
+  const run = db.transaction(() => {
+    const applied = new Set(getAppliedMigrations(db));
+    const pending = MIGRATIONS.filter(migration => !applied.has(migration.id));
+    const record = db.prepare('INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)');
+
+    pending.forEach(migration => {
+      db.exec(migration.up);
+      record.run(migration.id, migration.name, new Date().toISOString());
+    });
+
+    return pending.map(migration => migration.name);
+  });
+
+  return run.immediate();
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrate,
+  getAppliedMigrations
+};
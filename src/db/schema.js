@@ -0,0 +1,104 @@
+// src/db/schema.js - Table Definitions Shared by All Persistence Drivers
+
+// Column types that need conversion between JavaScript values and SQLite storage.
+// Every table the application reads or writes must be listed here; drivers reject
+// unknown collection names so a typo can never silently create a new table.
+const TABLES = {
+  journal_entries: {
+    json: ['tags', 'crisis_analysis', 'insights'],
+    boolean: []
+  },
+  mood_entries: {
+    json: ['activities', 'crisis_analysis', 'metrics', 'emotions'],
+    boolean: []
+  },
+  crisis_reports: {
+    json: ['contact_info', 'location', 'support_needed', 'crisis_analysis'],
+    boolean: ['immediate_danger', 'follow_up_needed']
+  },
+  users: {
+    json: [],
+    boolean: []
+  },
+  refresh_tokens: {
+    json: [],
+    boolean: []
+  },
+  journal_revisions: {
+    json: ['tags'],
+    boolean: []
+  },
+  user_data_keys: {
+    json: [],
+    boolean: []
+  },
+  crisis_report_notes: {
+    json: [],
+    boolean: []
+  },
+  crisis_report_events: {
+    json: ['details'],
+    boolean: []
+  },
+  safety_plans: {
+    json: [],
+    boolean: []
+  },
+  notification_deliveries: {
+    json: ['payload'],
+    boolean: []
+  },
+  journal_search_documents: {
+    json: [],
+    boolean: []
+  },
+  journal_search_postings: {
+    json: ['positions'],
+    boolean: []
+  },
+  early_warning_alerts: {
+    json: ['details'],
+    boolean: ['contact_notified']
+  },
+  trusted_contacts: {
+    json: [],
+    boolean: ['notify']
+  },
+  mood_metrics: {
+    json: [],
+    boolean: ['archived']
+  },
+  export_jobs: {
+    json: [],
+    boolean: []
+  },
+  analytics_events: {
+    json: ['properties'],
+    boolean: []
+  },
+  analytics_rollups: {
+    json: ['actions'],
+    boolean: []
+  },
+  consent_records: {
+    json: [],
+    boolean: ['granted']
+  },
+  system_secrets: {
+    json: [],
+    boolean: []
+  }
+};
+
+function getTableDefinition(name) {
+  const definition = TABLES[name];
+  if (!definition) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return definition;
+}
+
+module.exports = {
+  TABLES,
+  getTableDefinition
+};
@@ -0,0 +1,222 @@
+// src/db/sqlite.js - SQLite Persistence Driver (shared across cluster workers)
+const fs = require('fs');
+const path = require('path');
+const { getTableDefinition } = require('./schema');
+const { migrate, getAppliedMigrations, MIGRATIONS } = require('./migrations');
+
+const OPERATORS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  ne: '!='
+};
+
+class SqliteRepository {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.types = getTableDefinition(table);
+    this.columns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+
+    if (this.columns.size === 0) {
+      throw new Error(`Table ${table} does not exist - have migrations run?`);
+    }
+  }
+
+  assertColumn(column) {
+    if (!this.columns.has(column)) {
+      throw new Error(`Unknown column ${this.table}.${column}`);
+    }
+  }
+
+  toStorage(column, value) {
+    if (value === undefined || value === null) return null;
+    if (this.types.json.includes(column)) return JSON.stringify(value);
+    if (this.types.boolean.includes(column)) return value ? 1 : 0;
+    return value;
+  }
+
+  // Convert a raw row back into the record shape the routes work with. NULL
+  // columns are dropped so optional fields look the same as before persistence.
+  fromStorage(row) {
+    if (!row) return null;
+
+    const record = {};
+    Object.entries(row).forEach(([column, value]) => {
+      if (value === null) return;
+      if (this.types.json.includes(column)) {
+        record[column] = JSON.parse(value);
+      } else if (this.types.boolean.includes(column)) {
+        record[column] = value === 1;
+      } else {
+        record[column] = value;
+      }
+    });
+    return record;
+  }
+
+  buildWhere(where = {}) {
+    const clauses = [];
+    const params = [];
+
+    Object.entries(where).forEach(([column, condition]) => {
+      this.assertColumn(column);
+
+      if (condition === null) {
+        clauses.push(`${column} IS NULL`);
+      } else if (typeof condition === 'object' && !Array.isArray(condition)) {
+        Object.entries(condition).forEach(([operator, value]) => {
+          if (operator === 'in') {
+            if (value.length === 0) {
+              clauses.push('0');
+              return;
+            }
+            clauses.push(`${column} IN (${value.map(() => '?').join(', ')})`);
+            params.push(...value.map(item => this.toStorage(column, item)));
+          } else if (operator === 'ne' && value === null) {
+            clauses.push(`${column} IS NOT NULL`);
+          } else if (OPERATORS[operator]) {
+            clauses.push(`${column} ${OPERATORS[operator]} ?`);
+            params.push(this.toStorage(column, value));
+          } else {
+            throw new Error(`Unsupported query operator: ${operator}`);
+          }
+        });
+      } else {
+        clauses.push(`${column} = ?`);
+        params.push(this.toStorage(column, condition));
+      }
+    });
+
+    return {
+      sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  insert(record) {
+    const columns = Object.keys(record).filter(column => column !== 'id' && record[column] !== undefined);
+    columns.forEach(column => this.assertColumn(column));
+
+    const result = this.db.prepare(
+      `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+    ).run(...columns.map(column => this.toStorage(column, record[column])));
+
+    return this.findById(Number(result.lastInsertRowid));
+  }
+
+  findById(id) {
+    return this.fromStorage(this.db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id));
+  }
+
+  findOne(where = {}) {
+    return this.find(where, { limit: 1 })[0] || null;
+  }
+
+  find(where = {}, { orderBy = 'id', direction = 'asc', limit, offset } = {}) {
+    this.assertColumn(orderBy);
+    const { sql, params } = this.buildWhere(where);
+    const order = direction.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+    let query = `SELECT * FROM ${this.table}${sql} ORDER BY ${orderBy} ${order}, id ${order}`;
+    if (limit !== undefined) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset || 0);
+    }
+
+    return this.db.prepare(query).all(...params).map(row => this.fromStorage(row));
+  }
+
+  count(where = {}) {
+    const { sql, params } = this.buildWhere(where);
+    return this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table}${sql}`).get(...params).total;
+  }
+
+  update(id, changes) {
+    const columns = Object.keys(changes).filter(column => column !== 'id');
+    columns.forEach(column => this.assertColumn(column));
+
+    if (columns.length > 0) {
+      this.db.prepare(
+        `UPDATE ${this.table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`
+      ).run(...columns.map(column => this.toStorage(column, changes[column])), id);
+    }
+
+    return this.findById(id);
+  }
+
+  remove(id) {
+    return this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  removeWhere(where) {
+    const { sql, params } = this.buildWhere(where);
+    return this.db.prepare(`DELETE FROM ${this.table}${sql}`).run(...params).changes;
+  }
+}
+
+class SqliteStore {
+  constructor({ filename }) {
+    this.driver = 'sqlite';
+    this.filename = filename;
+    this.repositories = new Map();
+    this.db = null;
+  }
+
+  open() {
+    // Required lazily so the in-memory driver works where the native module is unavailable
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+
+    this.appliedMigrations = migrate(this.db);
+    return this;
+  }
+
+  collection(name) {
+    if (!this.repositories.has(name)) {
+      this.repositories.set(name, new SqliteRepository(this.db, name));
+    }
+    return this.repositories.get(name);
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  healthCheck() {
+    const start = Date.now();
+    this.db.prepare('SELECT 1').get();
+    const applied = getAppliedMigrations(this.db);
+
+    return {
+      status: 'operational',
+      driver: this.driver,
+      latency_ms: Date.now() - start,
+      migrations: {
+        applied: applied.length,
+        pending: MIGRATIONS.filter(migration => !applied.includes(migration.id)).length
+      }
+    };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = {
+  SqliteStore,
+  SqliteRepository
+};
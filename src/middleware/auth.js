@@ -0,0 +1,72 @@
+// src/middleware/auth.js - Bearer Token Authentication for Personal Data Endpoints
+const winston = require('winston');
+const { verifyAccessToken } = require('../utils/auth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+// Attach req.user from a valid access token or reject the request with 401
+function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    if (error.name !== 'AuthError') {
+      logger.error('Access token verification failed', { error: error.message });
+      return res.status(500).json({
+        error: 'Authentication unavailable',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.warn('Rejected access token', { reason: error.message, path: req.path, ip: req.ip });
+    res.status(401).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Attach req.user when a bearer token is sent; requests without one continue anonymously
+// but an invalid token is still rejected, so a client never silently loses its identity
+function optionalAuth(req, res, next) {
+  if (!req.get('Authorization')) return next();
+  return requireAuth(req, res, next);
+}
+
+// Allow only the given roles; use after requireAuth
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      logger.warn('Rejected request for role-protected endpoint', {
+        userId: req.user && req.user.id,
+        role: req.user && req.user.role,
+        path: req.path
+      });
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireRole
+};
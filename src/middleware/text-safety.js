@@ -0,0 +1,25 @@
+// src/middleware/text-safety.js - Crisis Screening of Request Free-Text Fields
+const { analyzeFields, crisisResourcesFor } = require('../utils/text-safety');
+const { localeFromRequest } = require('../utils/crisis-directory');
+
+// Screen the named body fields and attach req.textSafety = { crisis_analysis,
+// crisis_resources } for the handler to store and return. Resources follow ?country=
+// and the request's languages. Non-string values are left for the handler's own validation.
+function screenText(...fields) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const crisisAnalysis = analyzeFields(
+      Object.fromEntries(fields.map(field => [field, body[field]]))
+    );
+
+    req.textSafety = {
+      crisis_analysis: crisisAnalysis,
+      crisis_resources: crisisResourcesFor(crisisAnalysis, localeFromRequest(req))
+    };
+    next();
+  };
+}
+
+module.exports = {
+  screenText
+};
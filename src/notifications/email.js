@@ -0,0 +1,52 @@
+// src/notifications/email.js - SMTP Email Channel
+//
+// Any SMTP server works, including a local stand-in (`npm run notifications:sink`).
+let transporter = null;
+
+function recipients() {
+  return (process.env.NOTIFY_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+// Can send at all; isConfigured additionally needs on-call recipients
+function isAvailable() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function isConfigured() {
+  return isAvailable() && recipients().length > 0;
+}
+
+function getTransporter() {
+  if (!transporter) {
+    // Required lazily so deployments without email never load it
+    const nodemailer = require('nodemailer');
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined,
+      connectionTimeout: parseInt(process.env.NOTIFY_HTTP_TIMEOUT_MS) || 10000
+    });
+  }
+  return transporter;
+}
+
+async function send(delivery) {
+  await getTransporter().sendMail({
+    from: process.env.NOTIFY_EMAIL_FROM || 'alerts@mymentalhealthbuddy.local',
+    to: delivery.recipient,
+    subject: delivery.payload.subject,
+    text: delivery.payload.message
+  });
+}
+
+module.exports = {
+  name: 'email',
+  isAvailable,
+  isConfigured,
+  recipients,
+  send
+};
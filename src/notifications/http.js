@@ -0,0 +1,22 @@
+// src/notifications/http.js - Outbound HTTP for Webhook and SMS Gateway Channels
+const HTTP_TIMEOUT_MS = parseInt(process.env.NOTIFY_HTTP_TIMEOUT_MS) || 10000;
+
+// POST and treat any non-2xx response as a failed attempt
+async function post(url, { headers = {}, body }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`${new URL(url).host} responded ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
+
+module.exports = {
+  post
+};
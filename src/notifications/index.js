@@ -0,0 +1,354 @@
+// src/notifications/index.js - Escalation Notifications (routing, dedupe, retries)
+//
+// notify() records one delivery row per channel and recipient the event's severity
+// routes to; a worker sends due deliveries and retries failures with exponential
+// backoff. Messages carry ids and severities only - never what the user wrote.
+// Deliveries to a user's trusted contact store only a reference to the contact: the
+// address and text are sealed with the user's key, so they are looked up and rendered at
+// send time and never written to the deliveries table.
+const winston = require('winston');
+const db = require('../db');
+const { getTrustedContact } = require('../utils/trusted-contacts');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const CHANNELS = {
+  email: require('./email'),
+  webhook: require('./webhook'),
+  sms: require('./sms')
+};
+
+// Channels that can reach an individual contact, and the contact field each one uses
+const CONTACT_CHANNELS = {
+  email: 'email',
+  sms: 'phone'
+};
+// Stored as the recipient of a trusted-contact delivery, followed by the user id
+const CONTACT_RECIPIENT_PREFIX = 'trusted_contact:user:';
+
+// Renderers for trusted-contact messages by event type: (contact, data) => { subject,
+// message, sms }. Registered by the module that raises the event.
+const contactTemplates = {};
+
+// Channels per severity; override with e.g. NOTIFY_ROUTE_HIGH=email,sms (empty disables)
+const DEFAULT_ROUTES = {
+  critical: ['email', 'sms', 'webhook'],
+  high: ['email', 'webhook'],
+  medium: [],
+  low: []
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 30000;
+const DEDUPE_WINDOW_MINUTES = parseFloat(process.env.NOTIFY_DEDUPE_WINDOW_MINUTES) || 60;
+const WORKER_INTERVAL_MS = parseInt(process.env.NOTIFY_WORKER_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 50;
+// A delivery stuck in "sending" this long belonged to a process that died mid-send
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+let workerTimer = null;
+let processing = false;
+
+function getRoutes() {
+  const routes = {};
+  Object.entries(DEFAULT_ROUTES).forEach(([severity, channels]) => {
+    const override = process.env[`NOTIFY_ROUTE_${severity.toUpperCase()}`];
+    const names = override === undefined ? channels : override.split(',').map(name => name.trim()).filter(Boolean);
+
+    routes[severity] = names.filter(name => {
+      if (CHANNELS[name]) return true;
+      logger.warn('Unknown notification channel in route', { severity, channel: name });
+      return false;
+    });
+  });
+  return routes;
+}
+
+// Exponential backoff with +/-20% jitter so retries from many workers spread out
+function backoffDelay(attempts) {
+  return Math.round(RETRY_BASE_MS * 2 ** (attempts - 1) * (0.8 + Math.random() * 0.4));
+}
+
+// Queue one delivery per { channel, recipient } target. Events with the same dedupeKey
+// reach each recipient at most once per NOTIFY_DEDUPE_WINDOW_MINUTES.
+function queue({ type, severity, dedupeKey, subject, message, data = {} }, targets) {
+  const deliveries = db.collection('notification_deliveries');
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - DEDUPE_WINDOW_MINUTES * 60 * 1000).toISOString();
+  const queued = [];
+  let deduplicated = 0;
+
+  db.transaction(() => {
+    targets.forEach(({ channel, recipient }) => {
+      const duplicate = deliveries.findOne({
+        dedupe_key: dedupeKey,
+        channel,
+        recipient,
+        created_at: { gte: windowStart }
+      });
+      if (duplicate) {
+        deduplicated += 1;
+        return;
+      }
+
+      queued.push(deliveries.insert({
+        event_type: type,
+        severity,
+        dedupe_key: dedupeKey,
+        channel,
+        recipient,
+        payload: { subject, message, data },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now.toISOString(),
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+      }));
+    });
+  });
+
+  logger.info('Notification queued', {
+    type,
+    severity,
+    dedupeKey,
+    queued: queued.length,
+    deduplicated
+  });
+
+  if (queued.length > 0) {
+    setImmediate(() => processDueDeliveries().catch(error => {
+      logger.error('Notification processing failed', { error: error.message });
+    }));
+  }
+  return queued;
+}
+
+// Queue an event for every channel its severity routes to, addressed to on-call staff.
+// Never throws: a notification problem must not fail the request that raised it.
+function notify(event) {
+  const { type, severity, dedupeKey } = event;
+  try {
+    const targets = [];
+    (getRoutes()[severity] || []).forEach(channelName => {
+      const channel = CHANNELS[channelName];
+      if (!channel.isConfigured()) {
+        logger.debug('Notification channel not configured', { channel: channelName });
+        return;
+      }
+      channel.recipients().forEach(recipient => targets.push({ channel: channelName, recipient }));
+    });
+    return queue(event, targets);
+
+  } catch (error) {
+    logger.error('Notification enqueue failed', { type, severity, dedupeKey, error: error.message });
+    return [];
+  }
+}
+
+function registerContactTemplate(type, render) {
+  contactTemplates[type] = render;
+}
+
+// Queue an event for the user's trusted contact, by email and/or SMS depending on what
+// they gave and what is set up. The event carries `data` for its registered template
+// instead of a subject and message. Never throws, like notify().
+function notifyContact(userId, { type, severity, dedupeKey, data = {} }) {
+  try {
+    const contact = getTrustedContact(userId);
+    if (!contact) return [];
+    if (!contactTemplates[type]) throw new Error(`No contact template for ${type}`);
+
+    const targets = Object.entries(CONTACT_CHANNELS)
+      .filter(([channelName, field]) => contact[field] && CHANNELS[channelName].isAvailable())
+      .map(([channelName]) => ({ channel: channelName, recipient: `${CONTACT_RECIPIENT_PREFIX}${userId}` }));
+    return queue({ type, severity, dedupeKey, data: { ...data, user_id: userId } }, targets);
+
+  } catch (error) {
+    logger.error('Contact notification enqueue failed', { type, dedupeKey, error: error.message });
+    return [];
+  }
+}
+
+function isContactDelivery(delivery) {
+  return delivery.recipient.startsWith(CONTACT_RECIPIENT_PREFIX);
+}
+
+// The delivery as its channel sends it. A trusted-contact delivery gets the contact's
+// current address and its rendered text; it fails for good once the contact is removed,
+// stops notifications or no longer has an address for the channel.
+function resolveDelivery(delivery) {
+  if (!isContactDelivery(delivery)) return delivery;
+
+  const { data } = delivery.payload;
+  const contact = getTrustedContact(data.user_id);
+  const address = contact && contact.notify ? contact[CONTACT_CHANNELS[delivery.channel]] : null;
+  const render = contactTemplates[delivery.event_type];
+  if (!address || !render) {
+    const error = new Error('Trusted contact can no longer be reached on this channel');
+    error.permanent = true;
+    throw error;
+  }
+  return { ...delivery, recipient: address, payload: { ...render(contact, data), data } };
+}
+
+// Mark a delivery as ours to send. Another worker may have claimed it first, in which
+// case the row no longer matches (or SQLite reports the write lock busy).
+function claim(delivery) {
+  try {
+    return db.transaction(() => {
+      const deliveries = db.collection('notification_deliveries');
+      const current = deliveries.findById(delivery.id);
+      if (!current || current.status !== delivery.status || current.updated_at !== delivery.updated_at) {
+        return null;
+      }
+      return deliveries.update(delivery.id, {
+        status: 'sending',
+        attempts: current.attempts + 1,
+        updated_at: new Date().toISOString()
+      });
+    });
+  } catch (error) {
+    logger.debug('Notification claim skipped', { deliveryId: delivery.id, error: error.message });
+    return null;
+  }
+}
+
+async function attempt(delivery) {
+  const deliveries = db.collection('notification_deliveries');
+
+  try {
+    await CHANNELS[delivery.channel].send(resolveDelivery(delivery));
+    const now = new Date().toISOString();
+    deliveries.update(delivery.id, {
+      status: 'delivered',
+      delivered_at: now,
+      last_error: null,
+      updated_at: now
+    });
+    logger.info('Notification delivered', {
+      deliveryId: delivery.id,
+      channel: delivery.channel,
+      type: delivery.event_type,
+      attempts: delivery.attempts
+    });
+    return 'delivered';
+
+  } catch (error) {
+    const exhausted = error.permanent || delivery.attempts >= MAX_ATTEMPTS;
+    const now = Date.now();
+    deliveries.update(delivery.id, {
+      status: exhausted ? 'failed' : 'pending',
+      next_attempt_at: exhausted ? null : new Date(now + backoffDelay(delivery.attempts)).toISOString(),
+      last_error: error.message.slice(0, 500),
+      updated_at: new Date(now).toISOString()
+    });
+    logger.log(exhausted ? 'error' : 'warn', exhausted ? 'Notification delivery failed' : 'Notification delivery will retry', {
+      deliveryId: delivery.id,
+      channel: delivery.channel,
+      type: delivery.event_type,
+      attempts: delivery.attempts,
+      error: error.message
+    });
+    return exhausted ? 'failed' : 'retrying';
+  }
+}
+
+// Send everything that is due. Safe to call from several processes at once.
+async function processDueDeliveries() {
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  if (processing) return summary;
+  processing = true;
+
+  try {
+    const deliveries = db.collection('notification_deliveries');
+    const now = Date.now();
+    const due = [
+      ...deliveries.find(
+        { status: 'pending', next_attempt_at: { lte: new Date(now).toISOString() } },
+        { orderBy: 'next_attempt_at', limit: BATCH_SIZE }
+      ),
+      ...deliveries.find(
+        { status: 'sending', updated_at: { lt: new Date(now - STALE_SENDING_MS).toISOString() } },
+        { limit: BATCH_SIZE }
+      )
+    ];
+
+    for (const delivery of due) {
+      const claimed = claim(delivery);
+      if (claimed) {
+        summary[await attempt(claimed)] += 1;
+      }
+    }
+    return summary;
+
+  } finally {
+    processing = false;
+  }
+}
+
+// Requeue a failed delivery for an immediate fresh round of attempts
+function retryDelivery(id) {
+  const deliveries = db.collection('notification_deliveries');
+  const delivery = deliveries.findById(id);
+  if (!delivery || delivery.status !== 'failed') return null;
+
+  const now = new Date().toISOString();
+  const requeued = deliveries.update(id, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: now,
+    updated_at: now
+  });
+  setImmediate(() => processDueDeliveries().catch(error => {
+    logger.error('Notification processing failed', { error: error.message });
+  }));
+  return requeued;
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    processDueDeliveries().catch(error => {
+      logger.error('Notification worker run failed', { error: error.message });
+    });
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+
+  const routes = getRoutes();
+  logger.info('Notification worker started', {
+    intervalMs: WORKER_INTERVAL_MS,
+    channels: Object.keys(CHANNELS).filter(name => CHANNELS[name].isConfigured()),
+    routes
+  });
+}
+
+function stopWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+// What staff see of a delivery: its channel, status and attempts, without the recipient
+// or payload (for a trusted contact those say whose contact it was and about which alerts)
+function toDeliveryView(delivery) {
+  const { recipient, payload, ...view } = delivery;
+  return view;
+}
+
+module.exports = {
+  CHANNELS,
+  getRoutes,
+  notify,
+  notifyContact,
+  registerContactTemplate,
+  toDeliveryView,
+  processDueDeliveries,
+  retryDelivery,
+  startWorker,
+  stopWorker
+};
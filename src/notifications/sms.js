@@ -0,0 +1,70 @@
+// src/notifications/sms.js - SMS Gateway Channel
+//
+// SMS_PROVIDER=http (default) posts { to, message } as JSON to SMS_GATEWAY_URL with an
+// optional bearer SMS_GATEWAY_TOKEN; SMS_PROVIDER=twilio uses Twilio's Messages API.
+const { post } = require('./http');
+
+// Keep alerts to two SMS segments
+const MAX_SMS_LENGTH = 320;
+
+const PROVIDERS = {
+  http: {
+    isConfigured: () => Boolean(process.env.SMS_GATEWAY_URL),
+    send: (to, message) => post(process.env.SMS_GATEWAY_URL, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {})
+      },
+      body: JSON.stringify({ to, message })
+    })
+  },
+  twilio: {
+    isConfigured: () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.SMS_FROM),
+    send: (to, message) => post(
+      `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: 'Basic ' + Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')
+        },
+        body: new URLSearchParams({ To: to, From: process.env.SMS_FROM, Body: message }).toString()
+      }
+    )
+  }
+};
+
+function getProvider() {
+  return PROVIDERS[process.env.SMS_PROVIDER || 'http'];
+}
+
+function recipients() {
+  return (process.env.NOTIFY_SMS_TO || '').split(',').map(number => number.trim()).filter(Boolean);
+}
+
+function isAvailable() {
+  const provider = getProvider();
+  return Boolean(provider && provider.isConfigured());
+}
+
+function isConfigured() {
+  return isAvailable() && recipients().length > 0;
+}
+
+// A payload's own `sms` text is written to fit; otherwise subject and message are joined
+async function send(delivery) {
+  const { subject, message: text, sms } = delivery.payload;
+  const message = sms || `${subject}. ${text}`;
+  await getProvider().send(
+    delivery.recipient,
+    message.length > MAX_SMS_LENGTH ? message.slice(0, MAX_SMS_LENGTH - 3) + '...' : message
+  );
+}
+
+module.exports = {
+  name: 'sms',
+  MAX_SMS_LENGTH,
+  isAvailable,
+  isConfigured,
+  recipients,
+  send
+};
@@ -0,0 +1,45 @@
+// src/notifications/webhook.js - Generic JSON Webhook Channel
+//
+// Bodies are signed with NOTIFY_WEBHOOK_SECRET (X-MHB-Signature: sha256=<hex hmac>) so
+// receivers can reject forged alerts.
+const crypto = require('crypto');
+const { post } = require('./http');
+
+function recipients() {
+  return (process.env.NOTIFY_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+function isConfigured() {
+  return recipients().length > 0;
+}
+
+async function send(delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    type: delivery.event_type,
+    severity: delivery.severity,
+    subject: delivery.payload.subject,
+    message: delivery.payload.message,
+    data: delivery.payload.data,
+    created_at: delivery.created_at
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-MHB-Event': delivery.event_type,
+    'X-MHB-Delivery': String(delivery.id)
+  };
+  if (process.env.NOTIFY_WEBHOOK_SECRET) {
+    headers['X-MHB-Signature'] = 'sha256=' +
+      crypto.createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET).update(body).digest('hex');
+  }
+
+  await post(delivery.recipient, { headers, body });
+}
+
+module.exports = {
+  name: 'webhook',
+  isConfigured,
+  recipients,
+  send
+};
@@ -0,0 +1,158 @@
+// src/routes/alerts.js - Early-Warning Alerts and the User's Trusted Contact
+const express = require('express');
+const winston = require('winston');
+const { localeFromRequest } = require('../utils/crisis-directory');
+const { listAlerts, acknowledgeAlert } = require('../utils/early-warnings');
+const {
+  validateContact,
+  getTrustedContact,
+  saveTrustedContact,
+  removeTrustedContact
+} = require('../utils/trusted-contacts');
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const ALERT_STATUSES = ['active', 'acknowledged'];
+const MAX_ALERTS = 100;
+
+function alertsError(res, message, error) {
+  logger.error(message, {
+    error: error.message
+  });
+
+  res.status(500).json({
+    error: message,
+    detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    timestamp: new Date().toISOString()
+  });
+}
+
+// The user's alerts (newest first), each with resources for where they are
+router.get('/', (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+
+    if (status !== undefined && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${ALERT_STATUSES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ALERTS) {
+      return res.status(400).json({
+        error: `limit must be a whole number from 1 to ${MAX_ALERTS}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set('Vary', 'Accept-Language');
+    res.json({
+      alerts: listAlerts(req.user.id, { status, limit }, localeFromRequest(req)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    alertsError(res, 'Alert retrieval failed', error);
+  }
+});
+
+router.post('/:id/acknowledge', (req, res) => {
+  try {
+    const alert = acknowledgeAlert(req.user.id, parseInt(req.params.id), localeFromRequest(req));
+    if (!alert) {
+      return res.status(404).json({
+        error: 'Alert not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Early-warning alert acknowledged', {
+      alertId: alert.id,
+      userId: req.user.id,
+      rule: alert.rule
+    });
+
+    res.json({
+      success: true,
+      alert,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    alertsError(res, 'Alert acknowledgement failed', error);
+  }
+});
+
+router.get('/trusted-contact', (req, res) => {
+  try {
+    res.json({
+      trusted_contact: getTrustedContact(req.user.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    alertsError(res, 'Trusted contact retrieval failed', error);
+  }
+});
+
+// Set or replace the person told when an alert at or above min_severity is raised
+router.put('/trusted-contact', (req, res) => {
+  try {
+    const validationError = validateContact(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { contact, created } = saveTrustedContact(req.user.id, req.body);
+
+    logger.info('Trusted contact saved', {
+      userId: req.user.id,
+      notify: contact.notify,
+      minSeverity: contact.min_severity,
+      channels: ['email', 'phone'].filter(field => contact[field])
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      trusted_contact: contact,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    alertsError(res, 'Trusted contact save failed', error);
+  }
+});
+
+router.delete('/trusted-contact', (req, res) => {
+  try {
+    if (!removeTrustedContact(req.user.id)) {
+      return res.status(404).json({
+        error: 'No trusted contact set',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Trusted contact removed', {
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    alertsError(res, 'Trusted contact removal failed', error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,14 @@
 // src/routes/analytics.js - Advanced Analytics and Insights
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const winston = require('winston');
+const store = require('../utils/analytics-store');
+const privacy = require('../utils/analytics-privacy');
+const events = require('../utils/events');
+const cohorts = require('../utils/analytics-cohorts');
+const { toCsv } = require('../utils/csv');
+const { mergeSketches, estimateCardinality, decodeSketch } = require('../utils/hyperloglog');
+const { addDays, localDate, recentLocalDays } = require('../utils/time-zones');
 const router = express.Router();
 
 const logger = winston.createLogger({
@@ -9,106 +17,253 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// Mock data storage (in production, this would come from database)
-let analyticsData = {
-  dailyStats: [],
-  userEngagement: [],
-  featureUsage: {},
-  performanceMetrics: []
-};
+// Events persist in the analytics store; reports read its rollups. Days are counted in
+// the reporting zone (DEFAULT_TIME_ZONE). A signed-in user is only tracked after opting
+// in (see /api/consent) and only ever under a pseudonym; each function returns whether
+// anything was recorded. A user's events also carry their signup cohort.
+function actorFor(userId) {
+  if (userId === undefined || userId === null) return { allowed: true, actor: null };
+  if (!privacy.hasConsent(userId)) return { allowed: false };
+  return { allowed: true, actor: privacy.pseudonymize('user', userId), ...cohorts.cohortOf(userId) };
+}
 
-// Analytics collection functions
-function collectDailyStats() {
-  const today = new Date().toISOString().split('T')[0];
-  const existingStats = analyticsData.dailyStats.find(stat => stat.date === today);
-  
-  if (existingStats) {
-    existingStats.page_views += 1;
-    existingStats.last_updated = new Date().toISOString();
-  } else {
-    analyticsData.dailyStats.push({
-      date: today,
-      page_views: 1,
-      unique_visitors: 1,
-      journal_entries: 0,
-      mood_entries: 0,
-      tts_requests: 0,
-      crisis_reports: 0,
-      created_at: new Date().toISOString(),
-      last_updated: new Date().toISOString()
-    });
-  }
+function collectDailyStats({ page = 'unknown', userId, sessionId } = {}) {
+  const { allowed, ...identity } = actorFor(userId);
+  if (!allowed) return false;
+  store.recordEvent({ type: 'page_view', name: page, ...identity, sessionId: privacy.pseudonymize('session', sessionId) });
+  return true;
 }
 
-function trackFeatureUsage(feature, action = 'used') {
-  if (!analyticsData.featureUsage[feature]) {
-    analyticsData.featureUsage[feature] = {
-      total_uses: 0,
-      unique_users: new Set(),
-      actions: {},
-      first_used: new Date().toISOString(),
-      last_used: new Date().toISOString()
-    };
-  }
-  
-  analyticsData.featureUsage[feature].total_uses += 1;
-  analyticsData.featureUsage[feature].last_used = new Date().toISOString();
-  
-  if (!analyticsData.featureUsage[feature].actions[action]) {
-    analyticsData.featureUsage[feature].actions[action] = 0;
-  }
-  analyticsData.featureUsage[feature].actions[action] += 1;
+function trackFeatureUsage(feature, action = 'used', { userId, sessionId, properties } = {}) {
+  const { allowed, ...identity } = actorFor(userId);
+  if (!allowed) return false;
+  store.recordEvent({
+    type: 'feature_event',
+    name: feature,
+    action,
+    ...identity,
+    sessionId: privacy.pseudonymize('session', sessionId),
+    properties
+  });
+  return true;
 }
 
 function trackUserEngagement(userId, activity, duration = 0) {
-  const engagement = {
-    user_id: userId,
-    activity,
-    duration_seconds: duration,
-    timestamp: new Date().toISOString(),
-    date: new Date().toISOString().split('T')[0]
-  };
-  
-  analyticsData.userEngagement.push(engagement);
-  
-  // Keep only last 1000 entries to prevent memory issues
-  if (analyticsData.userEngagement.length > 1000) {
-    analyticsData.userEngagement = analyticsData.userEngagement.slice(-1000);
-  }
+  const { allowed, ...identity } = actorFor(userId);
+  if (!allowed || !identity.actor) return false;
+  store.recordEvent({ type: 'engagement', name: activity, ...identity, value: Number(duration) || 0 });
+  return true;
 }
 
 function recordPerformanceMetric(endpoint, responseTime, statusCode) {
-  const metric = {
-    endpoint,
-    response_time_ms: responseTime,
-    status_code: statusCode,
-    timestamp: new Date().toISOString(),
-    date: new Date().toISOString().split('T')[0]
+  store.recordEvent({ type: 'performance', name: endpoint, value: responseTime, statusCode });
+  return true;
+}
+
+// Domain activity published by the features themselves
+function recordDomainEvent(userId, event) {
+  const { allowed, ...identity } = actorFor(userId);
+  if (allowed) store.recordEvent({ ...event, ...identity });
+}
+
+// A step of the adoption funnel (or signing up to analytics, 'joined'), recorded once
+// per user; it needs a pseudonym, since milestones only mean something per cohort
+function recordMilestone(userId, step) {
+  const { allowed, ...identity } = actorFor(userId);
+  if (allowed && identity.actor) store.recordEvent({ type: 'milestone', name: step, ...identity });
+}
+
+events.subscribe(events.EVENTS.JOURNAL_ENTRY_CREATED, ({ userId, crisisDetected, first }) => {
+  recordDomainEvent(userId, { type: 'journal_entry', name: 'journal', action: crisisDetected ? 'crisis_detected' : undefined });
+  if (first && cohorts.reachesFunnelStep(userId, 'journal')) recordMilestone(userId, 'journal');
+});
+events.subscribe(events.EVENTS.MOOD_RECORDED, ({ userId, backdated, first }) => {
+  recordDomainEvent(userId, { type: 'mood_entry', name: 'mood', action: backdated ? 'backdated' : undefined });
+  if (first) recordMilestone(userId, 'mood');
+});
+// Requests are counted for everyone; only a consenting user's are attributed to them
+events.subscribe(events.EVENTS.TTS_REQUESTED, ({ userId, provider, success, characters, first }) => {
+  const event = { type: 'tts_request', name: provider, value: characters, statusCode: success ? 200 : 500 };
+  const { allowed, ...identity } = userId ? actorFor(userId) : { allowed: false };
+  store.recordEvent(allowed ? { ...event, ...identity } : event);
+  if (userId && first && cohorts.reachesFunnelStep(userId, 'tts')) recordMilestone(userId, 'tts');
+});
+events.subscribe(events.EVENTS.CONSENT_UPDATED, ({ userId, purpose, granted, first }) => {
+  if (purpose === 'analytics' && granted && first) recordMilestone(userId, 'joined');
+});
+events.subscribe(events.EVENTS.CRISIS_REPORTED, ({ userId, severity }) => {
+  recordDomainEvent(userId, { type: 'crisis_report', name: severity });
+});
+
+// Daily counters and the event type each one counts
+const DAILY_COUNTERS = {
+  page_views: 'page_view',
+  journal_entries: 'journal_entry',
+  mood_entries: 'mood_entry',
+  tts_requests: 'tts_request',
+  crisis_reports: 'crisis_report',
+  user_activities: 'engagement',
+  sessions: 'session'
+};
+
+// Suppressed cells are null and count as nothing
+function sum(rows, field) {
+  return rows.reduce((total, row) => total + (row[field] || 0), 0);
+}
+
+// Distinct people across rollup rows, from their HyperLogLog sketches
+function distinctActors(rows) {
+  const sketches = rows.map(row => decodeSketch(row.actors_hll)).filter(Boolean);
+  return sketches.length > 0 ? estimateCardinality(mergeSketches(sketches)) : 0;
+}
+
+// Everything a report needs for the last `timeframe` days, from the rollups. Counts about
+// people are noised and small cells suppressed here, so nothing downstream sees exact values.
+// Rollups are kept current by the analytics-store worker, never by a request.
+function loadReport(timeframe) {
+  const { from, to } = recentLocalDays(timeframe);
+  let suppressed = 0;
+  
+  // A row's count with noise, or null when too few people are behind it
+  const release = (row, cellKey, count = row.count) => {
+    if (privacy.isSuppressed(row.unique_actors)) {
+      suppressed += 1;
+      return null;
+    }
+    return privacy.noisyCount(count, cellKey);
   };
   
-  analyticsData.performanceMetrics.push(metric);
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    // Days without a rollup row are empty cells, released with noise like any other
+    const stat = { date, unique_visitors: privacy.noisyCount(0, `day:${date}:page_view:unique`) };
+    Object.entries(DAILY_COUNTERS).forEach(([counter, type]) => { stat[counter] = privacy.noisyCount(0, `day:${date}:${type}`); });
+    days.push(stat);
+  }
+  const byDate = new Map(days.map(stat => [stat.date, stat]));
+  Object.entries(DAILY_COUNTERS).forEach(([counter, type]) => {
+    store.dailyRollups(type, from, to)
+      .filter(row => row.name === store.ALL)
+      .forEach(row => {
+        byDate.get(row.bucket)[counter] = release(row, `day:${row.bucket}:${type}`);
+        if (type === 'page_view') {
+          byDate.get(row.bucket).unique_visitors = release(row, `day:${row.bucket}:${type}:unique`, row.unique_actors);
+        }
+      });
+  });
+  
+  // Distinct visitors over the whole timeframe, not the sum of each day's
+  const pageViewRows = store.dailyRollups('page_view', from, to).filter(row => row.name === store.ALL);
+  const visitors = { unique_actors: distinctActors(pageViewRows) };
+  const uniqueVisitors = release(visitors, `visitors:${from}:${to}`, visitors.unique_actors);
   
-  // Keep only last 1000 entries
-  if (analyticsData.performanceMetrics.length > 1000) {
-    analyticsData.performanceMetrics = analyticsData.performanceMetrics.slice(-1000);
+  // Sessions over the timeframe; length and bounce rate are only given for enough people,
+  // and are ratios of noised totals. The longest session is one person's, so it is not given.
+  const sessionRows = store.dailyRollups('session', from, to);
+  const allSessions = sessionRows.filter(row => row.name === store.ALL);
+  const sessionPeople = { unique_actors: distinctActors(allSessions) };
+  let sessions = null;
+  if (allSessions.length > 0 && !privacy.isSuppressed(sessionPeople.unique_actors)) {
+    const count = privacy.noisyCount(sum(allSessions, 'count'), `sessions:${from}:${to}`);
+    const seconds = privacy.noisyCount(Math.round(sum(allSessions, 'value_sum')), `sessions:${from}:${to}:seconds`);
+    const bounces = privacy.noisyCount(sum(sessionRows.filter(row => row.name === 'bounce'), 'count'), `sessions:${from}:${to}:bounces`);
+    sessions = {
+      sessions: count,
+      average_duration_seconds: count > 0 ? Math.round(seconds / count) : 0,
+      bounce_rate_percent: count > 0 ? Math.min(100, Math.round((bounces / count) * 1000) / 10) : 0
+    };
+  } else if (allSessions.length > 0) {
+    suppressed += 1;
   }
+  
+  // Per feature over the whole timeframe, with distinct users merged across days; times
+  // are coarsened to days
+  const features = {};
+  store.dailyRollups('feature_event', from, to)
+    .filter(row => row.name !== store.ALL)
+    .forEach(row => {
+      const feature = features[row.name] || (features[row.name] = {
+        count: 0,
+        rows: [],
+        actions: {},
+        first_at: row.first_at,
+        last_at: row.last_at
+      });
+      feature.count += row.count;
+      feature.rows.push(row);
+      Object.entries(row.actions || {}).forEach(([action, count]) => {
+        feature.actions[action] = (feature.actions[action] || 0) + count;
+      });
+      if (row.first_at < feature.first_at) feature.first_at = row.first_at;
+      if (row.last_at > feature.last_at) feature.last_at = row.last_at;
+    });
+  
+  const featureUsage = {};
+  Object.entries(features).forEach(([name, feature]) => {
+    const cellKey = `features:${from}:${to}:${name}`;
+    feature.unique_actors = distinctActors(feature.rows);
+    const totalUses = release(feature, cellKey);
+    if (totalUses === null) return;
+    
+    const actions = {};
+    Object.entries(feature.actions).forEach(([action, count]) => {
+      actions[action] = privacy.noisyCount(count, `${cellKey}:${action}`);
+    });
+    featureUsage[name] = {
+      total_uses: totalUses,
+      unique_users: privacy.noisyCount(feature.unique_actors, `${cellKey}:users`),
+      actions,
+      first_used: localDate(feature.first_at),
+      last_used: localDate(feature.last_at)
+    };
+  });
+  
+  const performance = store.dailyRollups('performance', from, to).filter(row => row.name === store.ALL);
+  
+  // Hour of day in the reporting zone; hourly rollups only reach back HOURLY_RETENTION_DAYS
+  const activityByHour = {};
+  store.hourlyRollups('engagement', from, to)
+    .filter(row => row.name === store.ALL)
+    .forEach(row => {
+      const count = release(row, `hour:${row.bucket}:engagement`);
+      if (!count) return;
+      const hour = parseInt(row.bucket.slice(11));
+      activityByHour[hour] = (activityByHour[hour] || 0) + count;
+    });
+  
+  return {
+    timeframe,
+    from,
+    to,
+    days,
+    uniqueVisitors,
+    sessions,
+    featureUsage,
+    performance: {
+      requests: sum(performance, 'count'),
+      response_time_total: sum(performance, 'value_sum'),
+      errors: sum(performance, 'error_count')
+    },
+    activityByHour,
+    privacy: {
+      mechanism: 'laplace',
+      epsilon: privacy.DP_EPSILON,
+      k_anonymity: privacy.K_ANONYMITY,
+      suppressed_cells: suppressed
+    }
+  };
 }
 
 // Generate insights based on analytics data
-function generateInsights(timeframe = 30) {
+function generateInsights(timeframe = 30, report = loadReport(timeframe)) {
   const insights = [];
-  const cutoffDate = new Date(Date.now() - timeframe * 24 * 60 * 60 * 1000);
   
   // Daily stats insights
-  const recentStats = analyticsData.dailyStats.filter(stat => 
-    new Date(stat.date) >= cutoffDate
-  );
-  
-  if (recentStats.length > 0) {
-    const totalPageViews = recentStats.reduce((sum, stat) => sum + stat.page_views, 0);
-    const totalJournalEntries = recentStats.reduce((sum, stat) => sum + stat.journal_entries, 0);
-    const totalMoodEntries = recentStats.reduce((sum, stat) => sum + stat.mood_entries, 0);
-    const avgDailyViews = Math.round(totalPageViews / recentStats.length);
+  const totalPageViews = sum(report.days, 'page_views');
+  if (totalPageViews > 0) {
+    const totalJournalEntries = sum(report.days, 'journal_entries');
+    const totalMoodEntries = sum(report.days, 'mood_entries');
+    const avgDailyViews = Math.round(totalPageViews / report.days.length);
     
     insights.push({
       type: 'engagement',
@@ -116,6 +271,7 @@ function generateInsights(timeframe = 30) {
       description: `Over the last ${timeframe} days, users viewed an average of ${avgDailyViews} pages per day`,
       metrics: {
         total_page_views: totalPageViews,
+        unique_visitors: report.uniqueVisitors,
         total_journal_entries: totalJournalEntries,
         total_mood_entries: totalMoodEntries,
         average_daily_views: avgDailyViews
@@ -123,8 +279,22 @@ function generateInsights(timeframe = 30) {
     });
   }
   
+  // Session insights
+  if (report.sessions && report.sessions.sessions > 0) {
+    const { average_duration_seconds, bounce_rate_percent } = report.sessions;
+    const minutes = Math.floor(average_duration_seconds / 60);
+    const seconds = average_duration_seconds % 60;
+    
+    insights.push({
+      type: 'sessions',
+      title: 'Session Quality',
+      description: `The average session lasts ${minutes > 0 ? `${minutes}m ` : ''}${seconds}s and ${bounce_rate_percent}% of sessions bounce`,
+      metrics: report.sessions
+    });
+  }
+  
   // Feature usage insights
-  const popularFeatures = Object.entries(analyticsData.featureUsage)
+  const popularFeatures = Object.entries(report.featureUsage)
     .sort(([,a], [,b]) => b.total_uses - a.total_uses)
     .slice(0, 5);
   
@@ -144,16 +314,10 @@ function generateInsights(timeframe = 30) {
   }
   
   // Performance insights
-  const recentPerformance = analyticsData.performanceMetrics.filter(metric => 
-    new Date(metric.timestamp) >= cutoffDate
-  );
-  
-  if (recentPerformance.length > 0) {
-    const avgResponseTime = Math.round(
-      recentPerformance.reduce((sum, metric) => sum + metric.response_time_ms, 0) / recentPerformance.length
-    );
-    
-    const errorRate = (recentPerformance.filter(metric => metric.status_code >= 400).length / recentPerformance.length) * 100;
+  const { requests, response_time_total, errors } = report.performance;
+  if (requests > 0) {
+    const avgResponseTime = Math.round(response_time_total / requests);
+    const errorRate = (errors / requests) * 100;
     
     insights.push({
       type: 'performance',
@@ -162,24 +326,15 @@ function generateInsights(timeframe = 30) {
       metrics: {
         average_response_time_ms: avgResponseTime,
         error_rate_percent: Math.round(errorRate * 10) / 10,
-        total_requests: recentPerformance.length
+        total_requests: requests
       }
     });
   }
   
   // User activity patterns
-  const recentActivity = analyticsData.userEngagement.filter(activity => 
-    new Date(activity.timestamp) >= cutoffDate
-  );
-  
-  if (recentActivity.length > 0) {
-    const activityByHour = {};
-    recentActivity.forEach(activity => {
-      const hour = new Date(activity.timestamp).getHours();
-      activityByHour[hour] = (activityByHour[hour] || 0) + 1;
-    });
-    
-    const peakHour = Object.entries(activityByHour)
+  const totalActivities = Object.values(report.activityByHour).reduce((total, count) => total + count, 0);
+  if (totalActivities > 0) {
+    const peakHour = Object.entries(report.activityByHour)
       .sort(([,a], [,b]) => b - a)[0];
     
     insights.push({
@@ -189,8 +344,8 @@ function generateInsights(timeframe = 30) {
       metrics: {
         peak_hour: parseInt(peakHour[0]),
         peak_activity_count: peakHour[1],
-        total_activities: recentActivity.length,
-        activity_by_hour: activityByHour
+        total_activities: totalActivities,
+        activity_by_hour: report.activityByHour
       }
     });
   }
@@ -198,91 +353,95 @@ function generateInsights(timeframe = 30) {
   return insights;
 }
 
-// Get comprehensive analytics
+// Get comprehensive analytics; ?timeframe= days, up to the daily rollup retention
 function getAnalytics(req, res) {
   try {
     const { timeframe = 30, include_raw = false } = req.query;
-    const timeframeDays = parseInt(timeframe);
-    const cutoffDate = new Date(Date.now() - timeframeDays * 24 * 60 * 60 * 1000);
-    
-    // Filter data by timeframe
-    const filteredStats = analyticsData.dailyStats.filter(stat => 
-      new Date(stat.date) >= cutoffDate
-    );
+    const timeframeDays = Number(timeframe);
     
-    const filteredEngagement = analyticsData.userEngagement.filter(activity => 
-      new Date(activity.timestamp) >= cutoffDate
-    );
+    if (!Number.isInteger(timeframeDays) || timeframeDays < 1 || timeframeDays > store.DAILY_RETENTION_DAYS) {
+      return res.status(400).json({
+        error: `timeframe must be a whole number of days from 1 to ${store.DAILY_RETENTION_DAYS}`,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    const filteredPerformance = analyticsData.performanceMetrics.filter(metric => 
-      new Date(metric.timestamp) >= cutoffDate
-    );
+    const report = loadReport(timeframeDays);
     
     // Calculate summary statistics
+    const totals = {};
+    Object.keys(DAILY_COUNTERS).forEach(counter => {
+      totals[counter] = sum(report.days, counter);
+    });
+    // Distinct over the timeframe (HyperLogLog estimate), not the sum of daily visitors
+    totals.unique_visitors = report.uniqueVisitors;
+    
     const summary = {
       timeframe: {
         days: timeframeDays,
-        from: cutoffDate.toISOString().split('T')[0],
-        to: new Date().toISOString().split('T')[0]
+        from: report.from,
+        to: report.to
       },
-      totals: {
-        page_views: filteredStats.reduce((sum, stat) => sum + stat.page_views, 0),
-        journal_entries: filteredStats.reduce((sum, stat) => sum + stat.journal_entries, 0),
-        mood_entries: filteredStats.reduce((sum, stat) => sum + stat.mood_entries, 0),
-        tts_requests: filteredStats.reduce((sum, stat) => sum + stat.tts_requests, 0),
-        crisis_reports: filteredStats.reduce((sum, stat) => sum + stat.crisis_reports, 0),
-        user_activities: filteredEngagement.length
+      totals,
+      averages: {
+        daily_page_views: Math.round(totals.page_views / report.days.length),
+        daily_journal_entries: Math.round(totals.journal_entries / report.days.length),
+        daily_mood_entries: Math.round(totals.mood_entries / report.days.length)
       },
-      averages: {},
+      sessions: report.sessions,
       trends: {}
     };
     
-    // Calculate averages
-    if (filteredStats.length > 0) {
-      summary.averages = {
-        daily_page_views: Math.round(summary.totals.page_views / filteredStats.length),
-        daily_journal_entries: Math.round(summary.totals.journal_entries / filteredStats.length),
-        daily_mood_entries: Math.round(summary.totals.mood_entries / filteredStats.length)
-      };
-    }
-    
     // Calculate trends (compare first half vs second half of timeframe)
-    if (filteredStats.length >= 4) {
-      const midpoint = Math.floor(filteredStats.length / 2);
-      const firstHalf = filteredStats.slice(0, midpoint);
-      const secondHalf = filteredStats.slice(midpoint);
-      
-      const firstHalfAvg = firstHalf.reduce((sum, stat) => sum + stat.page_views, 0) / firstHalf.length;
-      const secondHalfAvg = secondHalf.reduce((sum, stat) => sum + stat.page_views, 0) / secondHalf.length;
+    if (report.days.length >= 4) {
+      const midpoint = Math.floor(report.days.length / 2);
+      const firstHalf = report.days.slice(0, midpoint);
+      const secondHalf = report.days.slice(midpoint);
       
-      const trendPercentage = ((secondHalfAvg - firstHalfAvg) / firstHalfAvg) * 100;
+      const firstHalfAvg = sum(firstHalf, 'page_views') / firstHalf.length;
+      const secondHalfAvg = sum(secondHalf, 'page_views') / secondHalf.length;
       
-      summary.trends = {
-        page_views: {
-          direction: trendPercentage > 5 ? 'increasing' : trendPercentage < -5 ? 'decreasing' : 'stable',
-          percentage: Math.round(Math.abs(trendPercentage)),
-          description: `Page views are ${trendPercentage > 5 ? 'increasing' : trendPercentage < -5 ? 'decreasing' : 'stable'}`
-        }
-      };
+      if (firstHalfAvg > 0) {
+        const trendPercentage = ((secondHalfAvg - firstHalfAvg) / firstHalfAvg) * 100;
+        const direction = trendPercentage > 5 ? 'increasing' : trendPercentage < -5 ? 'decreasing' : 'stable';
+        
+        summary.trends = {
+          page_views: {
+            direction,
+            percentage: Math.round(Math.abs(trendPercentage)),
+            description: `Page views are ${direction}`
+          }
+        };
+      }
     }
     
     // Generate insights
-    const insights = generateInsights(timeframeDays);
+    const insights = generateInsights(timeframeDays, report);
     
     // Build response
     const response = {
       summary,
       insights,
-      feature_usage: analyticsData.featureUsage,
+      feature_usage: report.featureUsage,
+      privacy: report.privacy,
       timestamp: new Date().toISOString()
     };
     
-    // Include raw data if requested
+    // Include raw data if requested; raw events are only kept for RAW_RETENTION_DAYS.
+    // Per-person events are never part of it, only the (privatized) daily stats.
     if (include_raw === 'true') {
+      const rawFrom = report.from > store.rawEventsFrom() ? report.from : store.rawEventsFrom();
+      
       response.raw_data = {
-        daily_stats: filteredStats,
-        user_engagement: filteredEngagement.slice(-100), // Last 100 activities
-        performance_metrics: filteredPerformance.slice(-100) // Last 100 metrics
+        daily_stats: report.days,
+        performance_metrics: store.recentEvents('performance', rawFrom).map(event => ({
+          endpoint: event.name,
+          response_time_ms: event.value,
+          status_code: event.status_code,
+          timestamp: event.occurred_at,
+          date: event.date
+        })),
+        raw_events_from: rawFrom
       };
     }
     
@@ -308,40 +467,118 @@ function getAnalytics(req, res) {
   }
 }
 
-// Track page view
-router.post('/pageview', (req, res) => {
+// Signup-week cohorts with day 1/7/30 retention, adoption funnel and streaks;
+// ?weeks= cohorts back (default 12), ?format=json|csv. Admins only (see routes/index.js).
+function getCohorts(req, res) {
   try {
-    const { page, user_id, session_id } = req.body;
+    const { weeks = 12, format = 'json' } = req.query;
+    const options = { weeks: Number(weeks), format };
+    const invalid = cohorts.validateCohortOptions(options);
     
-    collectDailyStats();
-    
-    if (user_id) {
-      trackUserEngagement(user_id, `page_view:${page}`);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid,
+        timestamp: new Date().toISOString()
+      });
     }
     
-    logger.info('Page view tracked', { page, user_id, session_id });
+    const report = cohorts.buildCohortReport({ weeks: options.weeks });
     
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString()
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="cohorts-${report.from}-to-${report.to}.csv"`);
+      res.send(toCsv(cohorts.CSV_COLUMNS, cohorts.cohortCsvRows(report)));
+    } else {
+      res.json({ ...report, timestamp: new Date().toISOString() });
+    }
+    
+    logger.info('Cohort report retrieved', {
+      weeks: options.weeks,
+      format,
+      cohorts: report.cohorts.length,
+      suppressed: report.privacy.suppressed_cohorts
     });
     
   } catch (error) {
-    logger.error('Page view tracking failed', {
-      error: error.message
+    logger.error('Cohort report failed', {
+      error: error.message,
+      stack: error.stack
     });
     
     res.status(500).json({
-      error: 'Page view tracking failed',
+      error: 'Cohort report failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Tracking is unauthenticated, so it gets its own budget and cannot flood the event store
+const trackingLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.ANALYTICS_RATE_LIMIT_MAX) || 60,
+  message: {
+    error: 'Too many analytics events, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Browsers asking not to be tracked (Global Privacy Control or Do Not Track)
+function optedOutByBrowser(req) {
+  return req.get('Sec-GPC') === '1' || req.get('DNT') === '1';
+}
+
+function trackingError(res, message, error) {
+  logger.error(message, {
+    error: error.message
+  });
+  
+  res.status(500).json({
+    error: message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Track page view. A bearer token ties the view to the (consenting) user; anonymous views
+// carry only a pseudonymous session. A user_id in the body is never trusted or stored.
+// The router is mounted with optionalAuth (see routes/index.js).
+router.post('/pageview', trackingLimiter, (req, res) => {
+  try {
+    const { page = 'unknown', session_id } = req.body;
+    
+    if (!privacy.isPage(page) || (session_id !== undefined && !privacy.isToken(session_id))) {
+      return res.status(400).json({
+        error: 'page must be a path without query string and session_id a short identifier',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const userId = req.user ? req.user.id : undefined;
+    const recorded = !optedOutByBrowser(req) &&
+      collectDailyStats({ page, userId, sessionId: session_id });
+    
+    if (recorded && userId !== undefined) {
+      trackUserEngagement(userId, `page_view:${page}`);
+    }
+    
+    logger.info('Page view tracked', { page, recorded });
+    
+    res.json({
+      success: true,
+      recorded,
       timestamp: new Date().toISOString()
     });
+    
+  } catch (error) {
+    trackingError(res, 'Page view tracking failed', error);
   }
 });
 
-// Track custom event
-router.post('/event', (req, res) => {
+// Track custom event; names, actions and properties must pass the allow-list
+router.post('/event', trackingLimiter, (req, res) => {
   try {
-    const { event_name, feature, action, user_id, properties = {} } = req.body;
+    const { event_name, feature, action, session_id, properties = {} } = req.body;
     
     if (!event_name) {
       return res.status(400).json({
@@ -350,47 +587,47 @@ router.post('/event', (req, res) => {
       });
     }
     
-    trackFeatureUsage(feature || event_name, action || 'triggered');
+    const invalidField = [['event_name', event_name], ['feature', feature], ['action', action], ['session_id', session_id]]
+      .find(([, value]) => value !== undefined && !privacy.isToken(value));
+    const propertyError = privacy.validateProperties(properties);
+    if (invalidField || propertyError) {
+      return res.status(400).json({
+        error: propertyError || `${invalidField[0]} must be a short identifier (letters, digits, _ . : -), not free text`,
+        allowed_properties: privacy.PROPERTY_SCHEMA,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const userId = req.user ? req.user.id : undefined;
+    const recorded = !optedOutByBrowser(req) &&
+      trackFeatureUsage(feature || event_name, action || 'triggered', { userId, sessionId: session_id, properties });
     
-    if (user_id) {
-      trackUserEngagement(user_id, event_name, properties.duration || 0);
+    if (recorded && userId !== undefined) {
+      trackUserEngagement(userId, event_name, (properties && properties.duration) || 0);
     }
     
     logger.info('Custom event tracked', {
       event_name,
       feature,
       action,
-      user_id,
-      properties
+      recorded
     });
     
     res.json({
       success: true,
+      recorded,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    logger.error('Event tracking failed', {
-      error: error.message
-    });
-    
-    res.status(500).json({
-      error: 'Event tracking failed',
-      timestamp: new Date().toISOString()
-    });
+    trackingError(res, 'Event tracking failed', error);
   }
 });
 
-// Initialize with some sample data for demonstration
-collectDailyStats();
-trackFeatureUsage('journal', 'entry_created');
-trackFeatureUsage('mood_tracking', 'mood_recorded');
-trackFeatureUsage('tts', 'voice_generated');
-trackUserEngagement('demo_user', 'platform_access', 300);
-
 // Export analytics functions
 module.exports = {
   getAnalytics,
+  getCohorts,
   collectDailyStats,
   trackFeatureUsage,
   trackUserEngagement,
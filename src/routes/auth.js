@@ -0,0 +1,314 @@
+// src/routes/auth.js - User Accounts, Login and Refresh Token Rotation
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const winston = require('winston');
+const db = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const {
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  toPublicUser
+} = require('../utils/auth');
+const { isValidTimeZone } = require('../utils/time-zones');
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Credential endpoints get a much tighter budget than the global limiter
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 10,
+  message: {
+    error: 'Too many authentication attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Register a new account
+router.post('/register', credentialLimiter, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        error: 'A valid email address is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Clients send the device zone (Intl.DateTimeFormat().resolvedOptions().timeZone)
+    const { time_zone } = req.body;
+    if (time_zone !== undefined && !isValidTimeZone(time_zone)) {
+      return res.status(400).json({
+        error: 'time_zone must be an IANA time zone such as America/New_York',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const users = db.collection('users');
+    if (users.findOne({ email })) {
+      return res.status(409).json({
+        error: 'An account with this email already exists',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const now = new Date().toISOString();
+    const user = users.insert({
+      email,
+      password_hash: await hashPassword(password),
+      role: 'user',
+      time_zone,
+      created_at: now,
+      updated_at: now,
+      last_login_at: now
+    });
+
+    logger.info('User registered', { userId: user.id });
+
+    res.status(201).json({
+      success: true,
+      user: toPublicUser(user),
+      ...issueTokens(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({
+        error: 'An account with this email already exists',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error('User registration failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'User registration failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Exchange email and password for an access/refresh token pair
+router.post('/login', credentialLimiter, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    const users = db.collection('users');
+    const user = email ? users.findOne({ email }) : null;
+    const valid = user && typeof password === 'string' && await verifyPassword(password, user.password_hash);
+
+    if (!valid) {
+      logger.warn('Failed login attempt', { ip: req.ip });
+      return res.status(401).json({
+        error: 'Invalid email or password',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const loggedIn = users.update(user.id, { last_login_at: new Date().toISOString() });
+
+    logger.info('User logged in', { userId: user.id });
+
+    res.json({
+      success: true,
+      user: toPublicUser(loggedIn),
+      ...issueTokens(loggedIn),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Login failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Login failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Rotate a refresh token
+router.post('/refresh', (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token || typeof refresh_token !== 'string') {
+      return res.status(400).json({
+        error: 'refresh_token is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { user, tokens } = rotateRefreshToken(refresh_token);
+
+    res.json({
+      success: true,
+      user: toPublicUser(user),
+      ...tokens,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      logger.warn('Refresh token rejected', { reason: error.message, ip: req.ip });
+      return res.status(error.status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error('Token refresh failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Token refresh failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Revoke the refresh token family (sign out on this device)
+router.post('/logout', (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (refresh_token && typeof refresh_token === 'string') {
+      revokeRefreshToken(refresh_token);
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Logout failed', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Logout failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Current user profile
+router.get('/me', requireAuth, (req, res) => {
+  try {
+    const user = db.collection('users').findById(req.user.id);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Account no longer exists',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      user: toPublicUser(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Profile retrieval failed', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Profile retrieval failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Update profile settings. time_zone decides which calendar day entries fall on; null
+// goes back to the server default.
+router.patch('/me', requireAuth, (req, res) => {
+  try {
+    const { time_zone } = req.body;
+
+    if (time_zone === undefined) {
+      return res.status(400).json({
+        error: 'Nothing to update - send time_zone',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (time_zone !== null && !isValidTimeZone(time_zone)) {
+      return res.status(400).json({
+        error: 'time_zone must be an IANA time zone such as America/New_York',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const users = db.collection('users');
+    if (!users.findById(req.user.id)) {
+      return res.status(401).json({
+        error: 'Account no longer exists',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const user = users.update(req.user.id, {
+      time_zone,
+      updated_at: new Date().toISOString()
+    });
+
+    logger.info('Profile updated', { userId: user.id, timeZone: time_zone });
+
+    res.json({
+      success: true,
+      user: toPublicUser(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Profile update failed', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Profile update failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -18,8 +18,20 @@ function getStripeClient() {
   return new Stripe(secretKey);
 }
 
+// Without Stripe set up billing answers 503 instead of failing each request
+function billingConfigured(res) {
+  if (process.env.STRIPE_SECRET_KEY) return true;
+  res.status(503).json({
+    error: 'Billing is not configured',
+    timestamp: new Date().toISOString()
+  });
+  return false;
+}
+
 // Create checkout session
 async function checkout(req, res) {
+  if (!billingConfigured(res)) return;
+  
   try {
     const stripe = getStripeClient();
     const priceId = process.env.STRIPE_PRICE_ID;
@@ -82,6 +94,8 @@ async function checkout(req, res) {
 
 // Customer portal access
 async function customerPortal(req, res) {
+  if (!billingConfigured(res)) return;
+  
   try {
     const stripe = getStripeClient();
     const { customerId } = req.body;
@@ -124,6 +138,8 @@ async function customerPortal(req, res) {
 
 // Get billing status
 async function getStatus(req, res) {
+  if (!billingConfigured(res)) return;
+  
   try {
     const stripe = getStripeClient();
     const { customerId } = req.query;
@@ -174,7 +190,8 @@ async function getStatus(req, res) {
 
 // Stripe webhook handler
 async function webhook(req, res) {
-  const stripe = getStripeClient();
+  if (!billingConfigured(res)) return;
+  
   const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
   
   if (!endpointSecret) {
@@ -183,6 +200,7 @@ async function webhook(req, res) {
   }
 
   try {
+    const stripe = getStripeClient();
     const sig = req.headers['stripe-signature'];
     const event = stripe.webhooks.constructEvent(req.rawBody, sig, endpointSecret);
     
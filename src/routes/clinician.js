@@ -0,0 +1,601 @@
+// src/routes/clinician.js - Crisis Report Triage Queue and Case Management
+//
+// Mounted behind requireAuth + requireRole('clinician', 'admin'). Clinicians read
+// reports on the reporting user's behalf, so every view (in the queue or in full), claim,
+// note and status change is written to crisis_report_events as an append-only audit
+// trail. Claims, releases and status changes re-read the report inside their write
+// transaction, so two clinicians acting at once cannot both win.
+const express = require('express');
+const winston = require('winston');
+const db = require('../db');
+const { encryptRecord, decryptRecord } = require('../utils/encryption');
+const notifications = require('../notifications');
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+// reportCrisis promises follow-up "within 24 hours" for reports that need it
+const FOLLOW_UP_SLA_HOURS = parseFloat(process.env.CRISIS_FOLLOW_UP_SLA_HOURS) || 24;
+
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Allowed status moves; 'resolved' is final
+const STATUS_TRANSITIONS = {
+  reported: ['acknowledged', 'contacted', 'escalated', 'resolved'],
+  acknowledged: ['contacted', 'escalated', 'resolved'],
+  contacted: ['escalated', 'resolved'],
+  escalated: ['acknowledged', 'contacted', 'resolved'],
+  resolved: []
+};
+
+// Statuses that count as the promised follow-up having happened
+const CONTACT_STATUSES = ['contacted', 'resolved'];
+
+function slaFor(report, now = Date.now()) {
+  if (!report.follow_up_needed) return null;
+
+  const dueAt = new Date(report.timestamp).getTime() + FOLLOW_UP_SLA_HOURS * 60 * 60 * 1000;
+  const metAt = report.first_contact_at ? new Date(report.first_contact_at).getTime() : null;
+
+  return {
+    due_at: new Date(dueAt).toISOString(),
+    met_at: report.first_contact_at || null,
+    breached: metAt !== null ? metAt > dueAt : now > dueAt,
+    hours_remaining: metAt !== null ? null : Math.round(((dueAt - now) / (60 * 60 * 1000)) * 10) / 10
+  };
+}
+
+function ageHours(report, now = Date.now()) {
+  return Math.round(((now - new Date(report.timestamp).getTime()) / (60 * 60 * 1000)) * 10) / 10;
+}
+
+// Most urgent first: immediate danger, then severity, then oldest
+function compareUrgency(a, b) {
+  return (b.immediate_danger ? 1 : 0) - (a.immediate_danger ? 1 : 0) ||
+    (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0) ||
+    a.timestamp.localeCompare(b.timestamp);
+}
+
+// Decrypt a report for the clinician view; sealed fields use the reporting user's key
+function toCase(stored, now = Date.now()) {
+  const report = decryptRecord('crisis_reports', stored.user_id, stored);
+  return {
+    ...report,
+    assigned_to: report.assigned_to || null,
+    age_hours: ageHours(report, now),
+    sla: slaFor(report, now)
+  };
+}
+
+function recordEvent(report, actor, action, extra = {}) {
+  return db.collection('crisis_report_events').insert({
+    report_id: report.id,
+    actor_id: actor.id,
+    action,
+    from_status: extra.from_status,
+    to_status: extra.to_status,
+    details: extra.details,
+    created_at: new Date().toISOString()
+  });
+}
+
+function findReport(req) {
+  return db.collection('crisis_reports').findOne({ id: parseInt(req.params.id), user_id: { ne: null } });
+}
+
+function reportNotFound(req, res) {
+  return res.status(404).json({
+    error: 'Crisis report not found',
+    id: parseInt(req.params.id),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Assigned to someone else; admins may act on any report
+function assignedElsewhere(report, user) {
+  return report.assigned_to && report.assigned_to !== user.id && user.role !== 'admin';
+}
+
+function assignedElsewhereResponse(res, report) {
+  return res.status(409).json({
+    error: 'Crisis report is assigned to another clinician',
+    id: report.id,
+    assigned_to: report.assigned_to,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function validateNote(note) {
+  if (!note || typeof note !== 'string') {
+    return 'Note is required and must be a string';
+  }
+  if (note.length > 5000) {
+    return 'Note exceeds maximum length of 5,000 characters';
+  }
+  return null;
+}
+
+function addNote(report, author, note) {
+  return db.collection('crisis_report_notes').insert(encryptRecord('crisis_report_notes', report.user_id, {
+    report_id: report.id,
+    user_id: report.user_id,
+    author_id: author.id,
+    note,
+    created_at: new Date().toISOString()
+  }));
+}
+
+// Triage queue. ?status= a status or "open" (default, everything not resolved),
+// ?severity=, ?assigned=me|unassigned, ?breached=true
+router.get('/reports', (req, res) => {
+  try {
+    const { status = 'open', severity, assigned, breached } = req.query;
+
+    if (status !== 'open' && status !== 'all' && !STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        error: `status must be open, all or one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (severity && !SEVERITY_RANK[severity]) {
+      return res.status(400).json({
+        error: 'severity must be one of: low, medium, high, critical',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const query = { user_id: { ne: null } };
+    if (status === 'open') query.status = { ne: 'resolved' };
+    else if (status !== 'all') query.status = status;
+    if (severity) query.severity = severity;
+    if (assigned === 'me') query.assigned_to = req.user.id;
+    else if (assigned === 'unassigned') query.assigned_to = null;
+
+    const now = Date.now();
+    let cases = db.collection('crisis_reports').find(query)
+      .sort(compareUrgency)
+      .map(stored => toCase(stored, now));
+
+    if (breached === 'true') {
+      cases = cases.filter(item => item.sla && item.sla.breached);
+    }
+
+    // The queue shows decrypted report text too, so each report listed is an audited view
+    db.transaction(() => {
+      cases.forEach(item => recordEvent(item, req.user, 'listed'));
+    });
+
+    res.json({
+      reports: cases.map(item => ({
+        ...item,
+        // Keep the queue scannable; the full text is on the detail view
+        description: typeof item.description === 'string' && item.description.length > 200 ?
+          item.description.substring(0, 200) + '...' : item.description
+      })),
+      summary: {
+        total: cases.length,
+        unassigned: cases.filter(item => !item.assigned_to).length,
+        sla_breached: cases.filter(item => item.sla && item.sla.breached).length,
+        by_severity: Object.keys(SEVERITY_RANK).reduce((counts, level) => {
+          counts[level] = cases.filter(item => item.severity === level).length;
+          return counts;
+        }, {})
+      },
+      sla_hours: FOLLOW_UP_SLA_HOURS,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Crisis report queue retrieval failed', {
+      error: error.message,
+      clinicianId: req.user.id
+    });
+
+    res.status(500).json({
+      error: 'Crisis report queue retrieval failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Full case: report, reporter, notes and audit trail
+router.get('/reports/:id', (req, res) => {
+  try {
+    const stored = findReport(req);
+    if (!stored) {
+      return reportNotFound(req, res);
+    }
+
+    recordEvent(stored, req.user, 'viewed');
+    const reporter = db.collection('users').findById(stored.user_id);
+    const notes = db.collection('crisis_report_notes').find({ report_id: stored.id })
+      .map(note => decryptRecord('crisis_report_notes', stored.user_id, note));
+    const events = db.collection('crisis_report_events').find({ report_id: stored.id });
+
+    logger.info('Crisis report viewed', {
+      reportId: stored.id,
+      clinicianId: req.user.id
+    });
+
+    res.json({
+      report: toCase(stored),
+      reporter: reporter ? { id: reporter.id, email: reporter.email } : null,
+      notes,
+      events,
+      allowed_transitions: STATUS_TRANSITIONS[stored.status] || [],
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Crisis report retrieval failed', {
+      error: error.message,
+      reportId: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Crisis report retrieval failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Take ownership of a report
+router.post('/reports/:id/claim', (req, res) => {
+  try {
+    const { report, updated } = db.transaction(() => {
+      const current = findReport(req);
+      if (!current || assignedElsewhere(current, req.user) || current.assigned_to === req.user.id) {
+        return { report: current, updated: current };
+      }
+
+      const now = new Date().toISOString();
+      recordEvent(current, req.user, 'claimed', {
+        details: { previous_assignee: current.assigned_to || null }
+      });
+      return {
+        report: current,
+        updated: db.collection('crisis_reports').update(current.id, {
+          assigned_to: req.user.id,
+          claimed_at: now,
+          updated_at: now
+        })
+      };
+    });
+
+    if (!report) {
+      return reportNotFound(req, res);
+    }
+
+    if (assignedElsewhere(report, req.user)) {
+      return assignedElsewhereResponse(res, report);
+    }
+
+    if (updated !== report) {
+      logger.info('Crisis report claimed', {
+        reportId: report.id,
+        clinicianId: req.user.id,
+        previousAssignee: report.assigned_to || null
+      });
+    }
+
+    res.json({
+      success: true,
+      report: toCase(updated),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Crisis report claim failed', {
+      error: error.message,
+      reportId: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Crisis report claim failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Hand a report back to the unassigned queue
+router.post('/reports/:id/release', (req, res) => {
+  try {
+    const { report, updated } = db.transaction(() => {
+      const current = findReport(req);
+      if (!current || assignedElsewhere(current, req.user) || !current.assigned_to) {
+        return { report: current, updated: current };
+      }
+
+      recordEvent(current, req.user, 'released', {
+        details: { previous_assignee: current.assigned_to }
+      });
+      return {
+        report: current,
+        updated: db.collection('crisis_reports').update(current.id, {
+          assigned_to: null,
+          claimed_at: null,
+          updated_at: new Date().toISOString()
+        })
+      };
+    });
+
+    if (!report) {
+      return reportNotFound(req, res);
+    }
+
+    if (assignedElsewhere(report, req.user)) {
+      return assignedElsewhereResponse(res, report);
+    }
+
+    if (updated !== report) {
+      logger.info('Crisis report released', {
+        reportId: report.id,
+        clinicianId: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      report: toCase(updated),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Crisis report release failed', {
+      error: error.message,
+      reportId: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Crisis report release failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Add a case note
+router.post('/reports/:id/notes', (req, res) => {
+  try {
+    const report = findReport(req);
+    if (!report) {
+      return reportNotFound(req, res);
+    }
+
+    const { note } = req.body || {};
+    const validationError = validateNote(note);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const stored = db.transaction(() => {
+      const inserted = addNote(report, req.user, note);
+      recordEvent(report, req.user, 'note_added', { details: { note_id: inserted.id } });
+      db.collection('crisis_reports').update(report.id, { updated_at: new Date().toISOString() });
+      return inserted;
+    });
+
+    logger.info('Crisis report note added', {
+      reportId: report.id,
+      noteId: stored.id,
+      clinicianId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      note: decryptRecord('crisis_report_notes', report.user_id, stored),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Crisis report note failed', {
+      error: error.message,
+      reportId: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Crisis report note failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Move a report to its next status, optionally with a note. Unassigned reports are
+// claimed by whoever changes their status.
+router.patch('/reports/:id/status', (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    if (!STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        error: `status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (note !== undefined) {
+      const validationError = validateNote(note);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const { report, updated } = db.transaction(() => {
+      const current = findReport(req);
+      if (!current || assignedElsewhere(current, req.user) ||
+        !(STATUS_TRANSITIONS[current.status] || []).includes(status)) {
+        return { report: current, updated: null };
+      }
+
+      const now = new Date().toISOString();
+      const changes = { status, updated_at: now };
+
+      if (!current.assigned_to) {
+        recordEvent(current, req.user, 'claimed', { details: { previous_assignee: null } });
+        changes.assigned_to = req.user.id;
+        changes.claimed_at = now;
+      }
+      if (CONTACT_STATUSES.includes(status) && !current.first_contact_at) {
+        changes.first_contact_at = now;
+      }
+      if (status === 'resolved') {
+        changes.resolved_at = now;
+      }
+
+      const noteRecord = note !== undefined ? addNote(current, req.user, note) : null;
+      recordEvent(current, req.user, 'status_changed', {
+        from_status: current.status,
+        to_status: status,
+        details: noteRecord ? { note_id: noteRecord.id } : undefined
+      });
+
+      return { report: current, updated: db.collection('crisis_reports').update(current.id, changes) };
+    });
+
+    if (!report) {
+      return reportNotFound(req, res);
+    }
+
+    if (assignedElsewhere(report, req.user)) {
+      return assignedElsewhereResponse(res, report);
+    }
+
+    if (!updated) {
+      const allowed = STATUS_TRANSITIONS[report.status] || [];
+      return res.status(409).json({
+        error: `Cannot move a ${report.status} report to ${status}`,
+        id: report.id,
+        status: report.status,
+        allowed_transitions: allowed,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const item = toCase(updated);
+    const logLevel = status === 'escalated' ? 'warn' : 'info';
+    logger.log(logLevel, 'Crisis report status changed', {
+      reportId: report.id,
+      clinicianId: req.user.id,
+      from: report.status,
+      to: status,
+      slaBreached: item.sla ? item.sla.breached : null
+    });
+
+    res.json({
+      success: true,
+      report: item,
+      allowed_transitions: STATUS_TRANSITIONS[status],
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Crisis report status change failed', {
+      error: error.message,
+      reportId: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Crisis report status change failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// Escalation notification delivery status (newest first), without recipients or payloads
+router.get('/notifications', (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deliveries = db.collection('notification_deliveries');
+    const query = status ? { status } : {};
+
+    res.json({
+      deliveries: deliveries.find(query, {
+        orderBy: 'created_at',
+        direction: 'desc',
+        limit: Math.min(parseInt(limit) || 50, 200)
+      }).map(notifications.toDeliveryView),
+      counts: DELIVERY_STATUSES.reduce((counts, name) => {
+        counts[name] = deliveries.count({ status: name });
+        return counts;
+      }, {}),
+      routes: notifications.getRoutes(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Notification status retrieval failed', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Notification status retrieval failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Retry a delivery that exhausted its attempts
+router.post('/notifications/:id/retry', (req, res) => {
+  try {
+    const delivery = notifications.retryDelivery(parseInt(req.params.id));
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'No failed delivery with this id',
+        id: parseInt(req.params.id),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Notification delivery requeued', {
+      deliveryId: delivery.id,
+      requestedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      delivery: notifications.toDeliveryView(delivery),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Notification retry failed', {
+      error: error.message,
+      deliveryId: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Notification retry failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// src/routes/consent.js - The User's Consent Choices
+const express = require('express');
+const winston = require('winston');
+const { CONSENT_PURPOSES, getConsents, setConsent } = require('../utils/analytics-privacy');
+const events = require('../utils/events');
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+function consentError(res, message, error) {
+  logger.error(message, {
+    error: error.message
+  });
+
+  res.status(500).json({
+    error: message,
+    detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    timestamp: new Date().toISOString()
+  });
+}
+
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      consents: getConsents(req.user.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    consentError(res, 'Consent retrieval failed', error);
+  }
+});
+
+// { "analytics": true } opts in, false opts out (and erases events still linked to the user)
+router.put('/', (req, res) => {
+  try {
+    const choices = Object.entries(req.body || {});
+
+    if (choices.length === 0 || choices.some(([purpose, granted]) => !CONSENT_PURPOSES.includes(purpose) || typeof granted !== 'boolean')) {
+      return res.status(400).json({
+        error: `Send true or false for: ${CONSENT_PURPOSES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let erasedEvents = 0;
+    choices.forEach(([purpose, granted]) => {
+      const result = setConsent(req.user.id, purpose, granted);
+      erasedEvents += result.erased_events;
+      events.publish(events.EVENTS.CONSENT_UPDATED, {
+        userId: req.user.id,
+        purpose,
+        granted,
+        first: result.first_grant
+      });
+    });
+
+    logger.info('Consent updated', {
+      userId: req.user.id,
+      choices: Object.fromEntries(choices),
+      erasedEvents
+    });
+
+    res.json({
+      success: true,
+      consents: getConsents(req.user.id),
+      erased_events: erasedEvents,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    consentError(res, 'Consent update failed', error);
+  }
+});
+
+module.exports = router;
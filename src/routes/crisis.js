@@ -1,6 +1,13 @@
 // src/routes/crisis.js - Crisis Support and Emergency Resources
 const express = require('express');
 const winston = require('winston');
+const db = require('../db');
+const { encryptRecord } = require('../utils/encryption');
+const { logCrisisDetection } = require('../utils/text-safety');
+const crisisDirectory = require('../utils/crisis-directory');
+const notifications = require('../notifications');
+const events = require('../utils/events');
+const { validatePlan, getCurrentPlan, getPlanVersion, listPlanVersions, savePlan } = require('../utils/safety-plans');
 const router = express.Router();
 
 const logger = winston.createLogger({
@@ -9,118 +16,15 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// Crisis reports storage (in production, this should be in a secure database)
-let crisisReports = [];
-let reportIdCounter = 1;
-
-// Comprehensive crisis resources
-const CRISIS_RESOURCES = {
-  immediate_emergency: {
-    title: '🚨 Immediate Emergency',
-    description: 'If you are in immediate danger or having thoughts of suicide',
-    contacts: [
-      {
-        name: 'Emergency Services',
-        number: '911',
-        description: 'Call 911 for immediate emergency assistance',
-        available: '24/7'
-      }
-    ]
-  },
-  suicide_prevention: {
-    title: '💚 Suicide Prevention',
-    description: 'Free, confidential support for people in distress',
-    contacts: [
-      {
-        name: 'Suicide & Crisis Lifeline',
-        number: '988',
-        description: 'Free and confidential emotional support 24/7',
-        available: '24/7',
-        website: 'https://suicidepreventionlifeline.org'
-      },
-      {
-        name: 'Crisis Text Line',
-        number: '741741',
-        description: 'Text HOME to 741741 for crisis support via text',
-        available: '24/7',
-        website: 'https://crisistextline.org'
-      }
-    ]
-  },
-  mental_health_support: {
-    title: '🧠 Mental Health Support',
-    description: 'Professional mental health resources and support',
-    contacts: [
-      {
-        name: 'NAMI National Helpline',
-        number: '800-950-6264',
-        description: 'Information, referrals and support for mental health',
-        available: 'Mon-Fri 10am-10pm ET',
-        website: 'https://nami.org'
-      },
-      {
-        name: 'SAMHSA National Helpline',
-        number: '800-662-4357',
-        description: 'Treatment referral and information service',
-        available: '24/7',
-        website: 'https://samhsa.gov'
-      }
-    ]
-  },
-  specialized_support: {
-    title: '🤝 Specialized Support',
-    description: 'Support for specific groups and situations',
-    contacts: [
-      {
-        name: 'LGBT National Hotline',
-        number: '888-843-4564',
-        description: 'Support for LGBTQ+ individuals',
-        available: 'Daily 4pm-12am ET',
-        website: 'https://lgbthotline.org'
-      },
-      {
-        name: 'Veterans Crisis Line',
-        number: '988',
-        description: 'Press 1 after calling 988 for veteran-specific support',
-        available: '24/7',
-        website: 'https://veteranscrisisline.net'
-      },
-      {
-        name: 'Teen Line',
-        number: '800-852-8336',
-        description: 'Teen-to-teen support and crisis intervention',
-        available: 'Daily 6pm-10pm PT',
-        website: 'https://teenline.org'
-      }
-    ]
-  },
-  self_care_resources: {
-    title: '🌟 Immediate Self-Care',
-    description: 'Things you can do right now to help yourself',
-    techniques: [
-      {
-        name: 'Deep Breathing',
-        description: 'Take slow, deep breaths. Inhale for 4 counts, hold for 4, exhale for 6.',
-        duration: '2-5 minutes'
-      },
-      {
-        name: 'Grounding Exercise',
-        description: 'Name 5 things you can see, 4 you can touch, 3 you can hear, 2 you can smell, 1 you can taste.',
-        duration: '3-10 minutes'
-      },
-      {
-        name: 'Progressive Muscle Relaxation',
-        description: 'Tense and then relax each muscle group in your body, starting from your toes.',
-        duration: '10-20 minutes'
-      },
-      {
-        name: 'Mindful Walking',
-        description: 'Take a slow walk, focusing on each step and your surroundings.',
-        duration: '5-30 minutes'
-      }
-    ]
+// Numbers for error responses. Falls back to the international entry so even a request
+// whose locale cannot be worked out still gets a number to call.
+function emergencyContactsFor(req) {
+  try {
+    return crisisDirectory.getEmergencyNumbers(crisisDirectory.localeFromRequest(req));
+  } catch (error) {
+    return crisisDirectory.getEmergencyNumbers({ country: crisisDirectory.INTERNATIONAL });
   }
-};
+}
 
 // Safety planning resources
 const SAFETY_PLAN_TEMPLATE = {
@@ -159,32 +63,59 @@ const SAFETY_PLAN_TEMPLATE = {
   ]
 };
 
-// Get crisis resources
+// Get crisis resources for the caller's country (?country=US or CA-QC, else the
+// browser's languages) in their language (?lang=, else Accept-Language). Each contact
+// says whether it is open now and, if not, when it next opens.
 function getCrisisResources(req, res) {
   try {
-    const { category, format = 'full' } = req.query;
+    const { category, format = 'full', country } = req.query;
+    
+    if (country !== undefined && !crisisDirectory.isValidCountryCode(country)) {
+      return res.status(400).json({
+        error: 'Country must be an ISO 3166 code such as US or CA-QC',
+        emergency_contacts: emergencyContactsFor(req),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const locale = crisisDirectory.localeFromRequest(req);
+    const summary = crisisDirectory.getSummary(locale);
+    res.set('Vary', 'Accept-Language');
+    
+    // Just the numbers and banner labels, for the always-visible crisis bar
+    if (format === 'summary') {
+      return res.json({
+        ...summary,
+        labels: crisisDirectory.getLabels(locale),
+        matched_country: locale.matched,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    let resources = CRISIS_RESOURCES;
+    const allResources = crisisDirectory.getResources(locale);
+    let resources = allResources;
     
     // Filter by category if specified
-    if (category && CRISIS_RESOURCES[category]) {
-      resources = { [category]: CRISIS_RESOURCES[category] };
+    if (category && allResources[category]) {
+      resources = { [category]: allResources[category] };
     }
     
     const response = {
+      ...summary,
+      // false when we have no entry for the requested country and show international resources
+      matched_country: locale.matched,
       resources,
       safety_plan: format === 'full' ? SAFETY_PLAN_TEMPLATE : undefined,
-      emergency_numbers: {
-        emergency: '911',
-        suicide_prevention: '988',
-        crisis_text: '741741'
-      },
+      available_countries: format === 'full' ? crisisDirectory.listCountries(locale.language) : undefined,
       timestamp: new Date().toISOString()
     };
     
     logger.info('Crisis resources accessed', {
       category: category || 'all',
-      format
+      format,
+      country: locale.country,
+      requested_country: locale.requested_country,
+      language: locale.language
     });
     
     res.json(response);
@@ -197,10 +128,7 @@ function getCrisisResources(req, res) {
     res.status(500).json({
       error: 'Crisis resources retrieval failed',
       detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
-      emergency_contacts: {
-        emergency: '911',
-        suicide_prevention: '988'
-      },
+      emergency_contacts: emergencyContactsFor(req),
       timestamp: new Date().toISOString()
     });
   }
@@ -226,50 +154,114 @@ function reportCrisis(req, res) {
       });
     }
     
-    // Create crisis report
-    const report = {
-      id: reportIdCounter++,
-      severity,
-      description,
-      immediate_danger,
-      contact_info,
-      location,
-      support_needed,
-      timestamp: new Date().toISOString(),
-      status: 'reported',
-      follow_up_needed: severity === 'high' || severity === 'critical' || immediate_danger
-    };
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({
+        error: 'Description must be a string',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // The text can describe a more serious situation than the chosen severity; follow up
+    // and show emergency resources based on whichever is higher
+    const { crisis_analysis, crisis_resources } = req.textSafety;
+    const detectedUrgent = crisis_analysis.detected && ['high', 'critical'].includes(crisis_analysis.severity);
+    const detectedCritical = crisis_analysis.detected && crisis_analysis.severity === 'critical';
     
-    crisisReports.push(report);
+    // Create crisis report; its audit trail starts with the submission itself
+    const now = new Date().toISOString();
+    const report = db.transaction(() => {
+      const inserted = db.collection('crisis_reports').insert(encryptRecord('crisis_reports', req.user.id, {
+        user_id: req.user.id,
+        severity,
+        description,
+        immediate_danger,
+        contact_info,
+        location,
+        support_needed,
+        crisis_analysis,
+        timestamp: now,
+        status: 'reported',
+        follow_up_needed: severity === 'high' || severity === 'critical' || immediate_danger || detectedUrgent,
+        updated_at: now
+      }));
+      db.collection('crisis_report_events').insert({
+        report_id: inserted.id,
+        actor_id: req.user.id,
+        action: 'reported',
+        to_status: 'reported',
+        details: { severity, immediate_danger: Boolean(immediate_danger) },
+        created_at: now
+      });
+      return inserted;
+    });
     
     // Log crisis report for immediate attention
-    const logLevel = immediate_danger || severity === 'critical' ? 'error' : 
-                    severity === 'high' ? 'warn' : 'info';
+    const logLevel = immediate_danger || severity === 'critical' || detectedCritical ? 'error' : 
+                    severity === 'high' || detectedUrgent ? 'warn' : 'info';
     
     logger.log(logLevel, 'CRISIS REPORT SUBMITTED', {
       reportId: report.id,
+      userId: req.user.id,
       severity,
       immediate_danger,
+      detected_severity: crisis_analysis.detected ? crisis_analysis.severity : null,
       timestamp: report.timestamp,
       follow_up_needed: report.follow_up_needed
     });
     
-    // Prepare response with appropriate resources
-    const responseResources = immediate_danger || severity === 'critical' ? 
-      CRISIS_RESOURCES.immediate_emergency : 
-      CRISIS_RESOURCES.suicide_prevention;
+    logCrisisDetection('crisis_reports', report);
+    
+    events.publish(events.EVENTS.CRISIS_REPORTED, {
+      userId: req.user.id,
+      reportId: report.id,
+      severity,
+      immediateDanger: Boolean(immediate_danger)
+    });
+    
+    // Page on-call staff; the message points at the clinician queue and never repeats the report text
+    const alertSeverity = immediate_danger || severity === 'critical' || detectedCritical ? 'critical' :
+                          severity === 'high' || detectedUrgent ? 'high' : null;
+    if (alertSeverity) {
+      notifications.notify({
+        type: 'crisis_report',
+        severity: alertSeverity,
+        dedupeKey: `crisis_report:${report.id}`,
+        subject: `${alertSeverity === 'critical' ? 'Critical' : 'High'} crisis report #${report.id}${immediate_danger ? ' - immediate danger' : ''}`,
+        message: `User #${req.user.id} submitted crisis report #${report.id} (reported severity ${severity}` +
+          `${crisis_analysis.detected ? `, detected ${crisis_analysis.severity}` : ''}). ` +
+          'Claim it in the clinician queue and follow up within the SLA.',
+        data: {
+          report_id: report.id,
+          user_id: req.user.id,
+          severity,
+          immediate_danger: Boolean(immediate_danger),
+          detected_severity: crisis_analysis.detected ? crisis_analysis.severity : null
+        }
+      });
+    }
+    
+    // Prepare response with appropriate resources for where the user is
+    const locale = crisisDirectory.localeFromRequest(req);
+    const localResources = crisisDirectory.getResources(locale);
+    const numbers = crisisDirectory.getEmergencyNumbers(locale);
+    const responseResources = immediate_danger || severity === 'critical' || detectedCritical || !localResources.suicide_prevention ? 
+      localResources.immediate_emergency : 
+      localResources.suicide_prevention;
     
     res.status(201).json({
       success: true,
       report_id: report.id,
       message: immediate_danger ? 
-        'Crisis report submitted. Please call 911 immediately if you are in immediate danger.' :
+        `Crisis report submitted. Please call ${numbers.emergency} immediately if you are in immediate danger.` :
         'Crisis report submitted. Help is available - please reach out using the resources below.',
       immediate_resources: responseResources,
       follow_up: report.follow_up_needed ? 
         'A mental health professional will follow up on this report within 24 hours.' : 
         'Please continue to use the self-care resources and reach out for support as needed.',
-      safety_resources: CRISIS_RESOURCES.self_care_resources,
+      safety_resources: localResources.self_care_resources,
+      crisis_resources,
+      // Their own plan first - it was written for exactly this moment
+      safety_plan: getCurrentPlan(req.user.id),
       timestamp: new Date().toISOString()
     });
     
@@ -279,52 +271,240 @@ function reportCrisis(req, res) {
       stack: error.stack
     });
     
+    const emergencyContacts = emergencyContactsFor(req);
     res.status(500).json({
       error: 'Crisis report submission failed',
-      message: 'If this is an emergency, please call 911 immediately.',
-      emergency_contacts: {
-        emergency: '911',
-        suicide_prevention: '988',
-        crisis_text: '741741'
-      },
+      message: `If this is an emergency, please call ${emergencyContacts.emergency} immediately.`,
+      emergency_contacts: emergencyContacts,
       timestamp: new Date().toISOString()
     });
   }
 }
 
-// Get safety plan
+const SAFETY_PLAN_INSTRUCTIONS = {
+  step1: 'Identify your personal warning signs',
+  step2: 'List your internal coping strategies',
+  step3: 'Identify people and social settings that provide distraction',
+  step4: 'List people you can ask for help',
+  step5: 'Contact mental health professionals or agencies',
+  step6: 'Make your environment safe'
+};
+
+const SAFETY_PLAN_SECTION_TITLES = {
+  warning_signs: 'Warning signs',
+  coping_strategies: 'Things I can do on my own',
+  distractions: 'People and places that take my mind off things',
+  contacts: 'People I can ask for help',
+  professionals: 'Professionals and agencies',
+  environment_safety: 'Making my environment safe',
+  reasons_for_living: 'What matters most to me'
+};
+
+function safetyPlanError(req, res, message, error) {
+  logger.error(message, {
+    error: error.message
+  });
+  
+  res.status(500).json({
+    error: message,
+    emergency_contacts: emergencyContactsFor(req),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Plain-text rendering that can be saved to a phone or printed for offline use
+function renderSafetyPlanText(plan, summary, labels) {
+  const lines = ['MY SAFETY PLAN', ''];
+  Object.entries(SAFETY_PLAN_SECTION_TITLES).forEach(([section, title]) => {
+    const items = plan[section] || [];
+    if (items.length === 0) return;
+    lines.push(title.toUpperCase());
+    items.forEach(item => {
+      lines.push(typeof item === 'string' ? `- ${item}` :
+        `- ${[item.name, item.relationship || item.organization, item.phone].filter(Boolean).join(' | ')}`);
+    });
+    lines.push('');
+  });
+  const { emergency, suicide_prevention: suicidePrevention } = summary.emergency_numbers;
+  lines.push([
+    `${labels.emergency.toUpperCase()}: ${emergency}`,
+    suicidePrevention && `${labels.suicide_prevention}: ${suicidePrevention}`,
+    summary.crisis_text_message,
+    summary.more_help_url && `${labels.more_help}: ${summary.more_help_url}`
+  ].filter(Boolean).join(' | '));
+  return lines.join('\n');
+}
+
+function planTag(current) {
+  return current ? `safety-plan-v${current.version}` : 'safety-plan-template';
+}
+
+// ETag of one representation of the plan: the version plus the format and the locale
+// whose emergency numbers and labels go with it
+function safetyPlanEtag(current, format, locale) {
+  return `"${[planTag(current), format, locale.country, locale.region, locale.language].filter(Boolean).join('-')}"`;
+}
+
+// The plan versions an If-Match names, in whichever format and locale each was read:
+// 0 for the template, '*' for any saved plan. Tags that name no version are dropped.
+function ifMatchVersions(ifMatch) {
+  return ifMatch.split(',').map(value => value.trim().replace(/^W\//, '').replace(/"/g, ''))
+    .map(value => {
+      if (value === '*') return '*';
+      if (value === planTag(null) || value.startsWith(`${planTag(null)}-`)) return 0;
+      const match = value.match(/^safety-plan-v(\d+)(-|$)/);
+      return match ? parseInt(match[1]) : null;
+    })
+    .filter(version => version !== null);
+}
+
+// The personal plan drives ETags so clients can keep an offline copy and cheaply revalidate
+function sendSafetyPlan(req, res, current) {
+  const format = req.query.format === 'text' ? 'text' : 'json';
+  const locale = crisisDirectory.localeFromRequest(req);
+  const etag = safetyPlanEtag(current, format, locale);
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  // The emergency numbers alongside the plan follow the request's languages
+  res.set('Vary', 'Accept-Language');
+  
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map(value => value.trim()).includes(etag)) {
+    return res.status(304).end();
+  }
+  
+  const plan = current ? current.plan : SAFETY_PLAN_TEMPLATE;
+  if (format === 'text') {
+    return res.type('text/plain').send(renderSafetyPlanText(plan, crisisDirectory.getSummary(locale), crisisDirectory.getLabels(locale)));
+  }
+  
+  res.json({
+    safety_plan: plan,
+    personalized: Boolean(current),
+    version: current ? current.version : null,
+    updated_at: current ? current.created_at : null,
+    instructions: SAFETY_PLAN_INSTRUCTIONS,
+    emergency_contacts: crisisDirectory.getEmergencyNumbers(locale),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Get the user's current safety plan (or the generic template until they write one)
 router.get('/safety-plan', (req, res) => {
+  try {
+    sendSafetyPlan(req, res, getCurrentPlan(req.user.id));
+  } catch (error) {
+    safetyPlanError(req, res, 'Safety plan retrieval failed', error);
+  }
+});
+
+// Save a new version of the plan. Send If-Match with the ETag the edit started from to
+// avoid overwriting a newer version saved from another device; only its version counts.
+router.put('/safety-plan', (req, res) => {
+  try {
+    const validationError = validatePlan(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // The version check happens in the same transaction as the save
+    const ifMatch = req.get('If-Match');
+    const saved = savePlan(req.user.id, req.body, ifMatch ? ifMatchVersions(ifMatch) : undefined);
+    
+    logger.info('Safety plan saved', {
+      userId: req.user.id,
+      version: saved.version
+    });
+    
+    res.set('ETag', safetyPlanEtag(saved, 'json', crisisDirectory.localeFromRequest(req)));
+    res.status(saved.version > 1 ? 200 : 201).json({
+      success: true,
+      safety_plan: saved.plan,
+      version: saved.version,
+      updated_at: saved.created_at,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (error.name === 'PlanVersionConflict') {
+      return res.status(412).json({
+        error: error.message,
+        current_version: error.currentVersion,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    safetyPlanError(req, res, 'Safety plan save failed', error);
+  }
+});
+
+// Version history (numbers and dates, newest first)
+router.get('/safety-plan/versions', (req, res) => {
   try {
     res.json({
-      safety_plan: SAFETY_PLAN_TEMPLATE,
-      instructions: {
-        step1: 'Identify your personal warning signs',
-        step2: 'List your internal coping strategies',
-        step3: 'Identify people and social settings that provide distraction',
-        step4: 'List people you can ask for help',
-        step5: 'Contact mental health professionals or agencies',
-        step6: 'Make your environment safe'
-      },
-      emergency_contacts: {
-        emergency: '911',
-        suicide_prevention: '988',
-        crisis_text: '741741'
-      },
+      versions: listPlanVersions(req.user.id),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Safety plan retrieval failed', {
-      error: error.message
+    safetyPlanError(req, res, 'Safety plan history retrieval failed', error);
+  }
+});
+
+function safetyPlanVersionNotFound(req, res) {
+  return res.status(404).json({
+    error: 'Safety plan version not found',
+    version: parseInt(req.params.version),
+    timestamp: new Date().toISOString()
+  });
+}
+
+router.get('/safety-plan/versions/:version', (req, res) => {
+  try {
+    const version = getPlanVersion(req.user.id, parseInt(req.params.version));
+    if (!version) {
+      return safetyPlanVersionNotFound(req, res);
+    }
+    
+    res.json({
+      safety_plan: version.plan,
+      version: version.version,
+      created_at: version.created_at,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    safetyPlanError(req, res, 'Safety plan version retrieval failed', error);
+  }
+});
+
+// Restoring saves the old content as a new version, so history is never rewritten
+router.post('/safety-plan/versions/:version/restore', (req, res) => {
+  try {
+    const version = getPlanVersion(req.user.id, parseInt(req.params.version));
+    if (!version) {
+      return safetyPlanVersionNotFound(req, res);
+    }
     
-    res.status(500).json({
-      error: 'Safety plan retrieval failed',
-      emergency_contacts: {
-        emergency: '911',
-        suicide_prevention: '988'
-      },
+    const saved = savePlan(req.user.id, version.plan);
+    
+    logger.info('Safety plan version restored', {
+      userId: req.user.id,
+      restoredFrom: version.version,
+      version: saved.version
+    });
+    
+    res.set('ETag', safetyPlanEtag(saved, 'json', crisisDirectory.localeFromRequest(req)));
+    res.json({
+      success: true,
+      safety_plan: saved.plan,
+      version: saved.version,
+      restored_from: version.version,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    safetyPlanError(req, res, 'Safety plan restore failed', error);
   }
 });
 
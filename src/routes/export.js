@@ -0,0 +1,123 @@
+// src/routes/export.js - Export of the User's Own Data
+const express = require('express');
+const winston = require('winston');
+const storage = require('../utils/storage');
+const { countRecords, buildExport, validateExportOptions } = require('../utils/data-export');
+const { SYNC_MAX_RECORDS, createJob, listJobs, getJob } = require('../utils/export-jobs');
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+function exportError(res, message, error) {
+  logger.error(message, {
+    error: error.message
+  });
+
+  res.status(500).json({
+    error: message,
+    detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    timestamp: new Date().toISOString()
+  });
+}
+
+// ?format=json (complete archive), csv (&dataset=mood|journal|crisis_reports) or pdf
+// (clinician summary, &days=90). Large accounts, or ?async=true, get a job to poll instead.
+router.get('/', async (req, res) => {
+  try {
+    const options = {
+      format: req.query.format || 'json',
+      dataset: req.query.dataset,
+      days: req.query.days === undefined ? undefined : Number(req.query.days)
+    };
+    const validationError = validateExportOptions(options);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const asyncRequested = req.query.async === 'true';
+    if (asyncRequested || countRecords(req.user.id) > SYNC_MAX_RECORDS) {
+      if (storage.isConfigured()) {
+        const job = await createJob(req.user.id, options);
+        logger.info('Export job queued', {
+          jobId: job.id,
+          userId: req.user.id,
+          format: options.format
+        });
+        return res.status(202).json({
+          success: true,
+          job,
+          status_url: `/api/export/jobs/${job.id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (asyncRequested) {
+        return res.status(503).json({
+          error: 'Background exports need file storage, which is not configured - export without async=true',
+          timestamp: new Date().toISOString()
+        });
+      }
+      logger.warn('Large export built in the request because storage is not configured', {
+        userId: req.user.id
+      });
+    }
+
+    const { body, contentType, filename } = buildExport(req.user.id, options);
+
+    logger.info('Data export generated', {
+      userId: req.user.id,
+      format: options.format,
+      dataset: options.dataset,
+      sizeBytes: Buffer.byteLength(body)
+    });
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(body);
+
+  } catch (error) {
+    exportError(res, 'Data export failed', error);
+  }
+});
+
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json({
+      jobs: await listJobs(req.user.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    exportError(res, 'Export job retrieval failed', error);
+  }
+});
+
+// A job's status; once completed, with a fresh short-lived download link
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.user.id, parseInt(req.params.id));
+    if (!job) {
+      return res.status(404).json({
+        error: 'Export job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    exportError(res, 'Export job retrieval failed', error);
+  }
+});
+
+module.exports = router;
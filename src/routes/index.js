@@ -0,0 +1,186 @@
+// src/routes/index.js - Route Registry
+//
+// Every module in src/routes is mounted from the table below, with the prefix it is served
+// under, who may call it and the feature that turns it on. Startup fails when a module is
+// missing from the table or exports a router the table does not mount, so an endpoint can
+// no longer exist in code without being reachable. routeInventory() lists every method and
+// path served; it is logged at boot and test/routes-contract.test.js calls each one.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const winston = require('winston');
+const { requireAuth, requireRole, optionalAuth } = require('../middleware/auth');
+const { screenText } = require('../middleware/text-safety');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+// Who may call a mount; every mount has to choose one
+const ACCESS = {
+  public: () => [],
+  optional: () => [optionalAuth],
+  user: () => [requireAuth],
+  clinician: () => [requireAuth, requireRole('clinician', 'admin')],
+  admin: () => [requireAuth, requireRole('admin')]
+};
+
+// Stripe signs the exact bytes it sent, so the webhook reads the body itself
+async function captureRawBody(req, res, next) {
+  try {
+    req.rawBody = await require('raw-body')(req);
+    next();
+  } catch (error) {
+    logger.error('Webhook raw body parsing failed', { error: error.message });
+    res.status(400).send('Webhook raw body error');
+  }
+}
+
+// In mount order. `handler` names an exported function served at exactly `method path`;
+// without one the module's router (its `router` export, or the module itself) is mounted
+// at `path`. Crisis resources stay public - nobody should need an account to find help.
+const ROUTES = [
+  { module: 'auth', path: '/api/auth', access: 'public' },
+  { module: 'tts', path: '/api/tts', access: 'optional', feature: 'tts' },
+  { module: 'billing', method: 'post', path: '/api/billing/webhook', handler: 'webhook', access: 'public', middleware: [captureRawBody], feature: 'billing_pro' },
+  { module: 'billing', method: 'post', path: '/api/billing/checkout', handler: 'checkout', access: 'public', feature: 'billing_pro' },
+  { module: 'billing', method: 'post', path: '/api/billing/portal', handler: 'customerPortal', access: 'public', feature: 'billing_pro' },
+  { module: 'billing', method: 'get', path: '/api/billing/status', handler: 'getStatus', access: 'public', feature: 'billing_pro' },
+  { module: 'storage', path: '/api/storage', access: 'user', feature: 's3_storage' },
+  { module: 'journal', method: 'post', path: '/api/journal', handler: 'createEntry', access: 'user' },
+  { module: 'journal', method: 'get', path: '/api/journal', handler: 'getEntries', access: 'user' },
+  { module: 'journal', method: 'get', path: '/api/journal/search', handler: 'searchEntries', access: 'user' },
+  { module: 'journal', path: '/api/journal', access: 'user' },
+  { module: 'mood', method: 'post', path: '/api/mood', handler: 'recordMood', access: 'user', middleware: [screenText('notes')] },
+  { module: 'mood', method: 'get', path: '/api/mood', handler: 'getMoodData', access: 'user' },
+  { module: 'mood', path: '/api/mood', access: 'user' },
+  { module: 'crisis', method: 'get', path: '/api/crisis', handler: 'getCrisisResources', access: 'public' },
+  { module: 'crisis', method: 'post', path: '/api/crisis/report', handler: 'reportCrisis', access: 'user', middleware: [screenText('description', 'support_needed')] },
+  { module: 'crisis', path: '/api/crisis', access: 'user' },
+  { module: 'alerts', path: '/api/alerts', access: 'user' },
+  { module: 'export', path: '/api/export', access: 'user' },
+  { module: 'consent', path: '/api/consent', access: 'user' },
+  { module: 'clinician', path: '/api/clinician', access: 'clinician' },
+  { module: 'metrics', method: 'get', path: '/metrics', handler: 'getMetrics', access: 'public', feature: 'monitoring' },
+  { module: 'metrics', path: '/api/metrics', access: 'admin', feature: 'monitoring' },
+  { module: 'analytics', method: 'get', path: '/api/analytics', handler: 'getAnalytics', access: 'public', feature: 'monitoring' },
+  { module: 'analytics', method: 'get', path: '/api/analytics/cohorts', handler: 'getCohorts', access: 'admin', feature: 'monitoring' },
+  { module: 'analytics', path: '/api/analytics', access: 'optional', feature: 'monitoring' }
+];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function isRouter(value) {
+  return typeof value === 'function' && Object.getPrototypeOf(value) === express.Router;
+}
+
+function loadModule(name) {
+  return require(`./${name}`);
+}
+
+// The routers a module exports, by export name ('default' when the module is one)
+function exportedRouters(exported) {
+  if (isRouter(exported)) return { default: exported };
+  return Object.fromEntries(Object.entries(exported).filter(([, value]) => isRouter(value)));
+}
+
+// Throws listing every problem with the table: modules without a mount, bad entries and,
+// for enabled modules, routers that are never mounted
+function validateRoutes(features = {}) {
+  const problems = [];
+  const registered = new Set(ROUTES.map(route => route.module));
+
+  fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => path.basename(file, '.js'))
+    .filter(name => !registered.has(name))
+    .forEach(name => problems.push(`src/routes/${name}.js is not registered`));
+
+  ROUTES.forEach(route => {
+    const label = `${route.module} at ${route.path}`;
+    if (!ACCESS[route.access]) problems.push(`${label} has no valid access (${Object.keys(ACCESS).join(', ')})`);
+    if (route.handler && !METHODS.includes(route.method)) problems.push(`${label} has no valid method`);
+    if (route.feature && !(route.feature in features)) problems.push(`${label} needs unknown feature ${route.feature}`);
+  });
+
+  // Disabled features are not loaded; their modules may need packages that are not installed
+  const enabled = ROUTES.filter(route => !route.feature || features[route.feature]);
+  [...new Set(enabled.map(route => route.module))].forEach(name => {
+    const exported = loadModule(name);
+    const mountsRouter = enabled.some(route => route.module === name && !route.handler);
+
+    Object.keys(exportedRouters(exported)).forEach(exportName => {
+      if (!mountsRouter) problems.push(`src/routes/${name}.js exports a router (${exportName}) that is never mounted`);
+    });
+    enabled.filter(route => route.module === name && route.handler).forEach(route => {
+      if (typeof exported[route.handler] !== 'function') {
+        problems.push(`src/routes/${name}.js does not export ${route.handler}`);
+      }
+    });
+    if (mountsRouter && Object.keys(exportedRouters(exported)).length === 0) {
+      problems.push(`src/routes/${name}.js is mounted as a router but exports none`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Route registry is invalid:\n  - ${problems.join('\n  - ')}`);
+  }
+  return enabled;
+}
+
+function routerOf(exported) {
+  return isRouter(exported) ? exported : exported.router;
+}
+
+// Method and full path of every endpoint a router serves under `prefix`
+function routerEndpoints(router, prefix) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .map(method => ({
+        method: method.toUpperCase(),
+        path: layer.route.path === '/' ? prefix : `${prefix}${layer.route.path}`
+      })));
+}
+
+// [{ method, path, access, module }] for every enabled endpoint, in the order it is matched
+function routeInventory(features = {}) {
+  return validateRoutes(features).flatMap(route => {
+    const endpoints = route.handler ?
+      [{ method: route.method.toUpperCase(), path: route.path }] :
+      routerEndpoints(routerOf(loadModule(route.module)), route.path);
+    return endpoints.map(endpoint => ({ ...endpoint, access: route.access, module: route.module }));
+  });
+}
+
+// Mount every enabled route on the app and log the resulting inventory
+function registerRoutes(app, { features = {} } = {}) {
+  validateRoutes(features).forEach(route => {
+    const exported = loadModule(route.module);
+    const middleware = [...ACCESS[route.access](), ...(route.middleware || [])];
+
+    if (route.handler) {
+      app[route.method](route.path, ...middleware, exported[route.handler]);
+    } else {
+      app.use(route.path, ...middleware, routerOf(exported));
+    }
+  });
+
+  const inventory = routeInventory(features);
+  logger.info('Route inventory', {
+    count: inventory.length,
+    routes: inventory.map(route => `${route.method} ${route.path} (${route.access})`)
+  });
+  return inventory;
+}
+
+module.exports = {
+  ROUTES,
+  ACCESS,
+  validateRoutes,
+  routeInventory,
+  registerRoutes
+};
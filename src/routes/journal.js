@@ -1,6 +1,15 @@
 // src/routes/journal.js - Advanced Journal System with Crisis Detection
 const express = require('express');
 const winston = require('winston');
+const db = require('../db');
+const { encryptRecord, decryptRecord } = require('../utils/encryption');
+const search = require('../utils/search');
+const { safetyPlanFor } = require('../utils/safety-plans');
+const { analyzeFields, crisisResourcesFor, logCrisisDetection, escalateCrisisDetection } = require('../utils/text-safety');
+const { localeFromRequest } = require('../utils/crisis-directory');
+const { evaluateEarlyWarnings } = require('../utils/early-warnings');
+const { userTimeZone, localDate, isValidDate, startOfLocalDay, addDays } = require('../utils/time-zones');
+const events = require('../utils/events');
 const router = express.Router();
 
 const logger = winston.createLogger({
@@ -9,31 +18,6 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// In-memory storage for demo (replace with database in production)
-let journalEntries = [];
-let entryIdCounter = 1;
-
-// Crisis keywords for detection
-const CRISIS_KEYWORDS = [
-  'suicide', 'kill myself', 'end it all', 'worthless', 'hopeless',
-  'self-harm', 'hurt myself', 'cut myself', 'overdose', 'die',
-  'depressed', 'anxiety attack', 'panic', 'cant cope', 'overwhelming'
-];
-
-// Detect crisis indicators in text
-function detectCrisis(text) {
-  const lowerText = text.toLowerCase();
-  const foundKeywords = CRISIS_KEYWORDS.filter(keyword => 
-    lowerText.includes(keyword)
-  );
-  
-  return {
-    detected: foundKeywords.length > 0,
-    keywords: foundKeywords,
-    severity: foundKeywords.length >= 3 ? 'high' : foundKeywords.length >= 1 ? 'medium' : 'low'
-  };
-}
-
 // Generate insights based on journal content
 function generateInsights(content, mood_before, mood_after) {
   const insights = [];
@@ -57,79 +41,103 @@ function generateInsights(content, mood_before, mood_after) {
   return insights;
 }
 
+// Validate the writable fields of an entry; returns an error body or null
+function validateEntryFields({ content, mood_before, mood_after, tags }) {
+  if (!content || typeof content !== 'string') {
+    return { error: 'Content is required and must be a string' };
+  }
+  
+  if (content.length > 10000) {
+    return { error: 'Content exceeds maximum length of 10,000 characters', length: content.length };
+  }
+  
+  if (mood_before !== undefined && mood_before !== null && (mood_before < 1 || mood_before > 10)) {
+    return { error: 'mood_before must be between 1 and 10' };
+  }
+  
+  if (mood_after !== undefined && mood_after !== null && (mood_after < 1 || mood_after > 10)) {
+    return { error: 'mood_after must be between 1 and 10' };
+  }
+  
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    return { error: 'tags must be an array of strings' };
+  }
+  
+  return null;
+}
+
+// Derived fields recomputed whenever content or moods change
+function analyzeEntry({ content, mood_before, mood_after }) {
+  return {
+    crisis_analysis: analyzeFields({ content }),
+    insights: generateInsights(content, mood_before || 5, mood_after || 5),
+    word_count: content.split(' ').length
+  };
+}
+
 // Create journal entry
 function createEntry(req, res) {
   try {
     const { content, mood_before, mood_after, tags = [] } = req.body;
     
     // Validation
-    if (!content || typeof content !== 'string') {
-      return res.status(400).json({
-        error: 'Content is required and must be a string',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    if (content.length > 10000) {
-      return res.status(400).json({
-        error: 'Content exceeds maximum length of 10,000 characters',
-        length: content.length,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    if (mood_before !== undefined && (mood_before < 1 || mood_before > 10)) {
+    const validationError = validateEntryFields({ content, mood_before, mood_after, tags });
+    if (validationError) {
       return res.status(400).json({
-        error: 'mood_before must be between 1 and 10',
+        ...validationError,
         timestamp: new Date().toISOString()
       });
     }
     
-    if (mood_after !== undefined && (mood_after < 1 || mood_after > 10)) {
-      return res.status(400).json({
-        error: 'mood_after must be between 1 and 10',
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Crisis detection and insights
+    const analysis = analyzeEntry({ content, mood_before, mood_after });
+    const crisisAnalysis = analysis.crisis_analysis;
     
-    // Crisis detection
-    const crisisAnalysis = detectCrisis(content);
-    
-    // Generate insights
-    const insights = generateInsights(content, mood_before || 5, mood_after || 5);
-    
-    // Create entry
-    const entry = {
-      id: entryIdCounter++,
-      content,
-      mood_before,
-      mood_after,
-      tags,
-      crisis_analysis: crisisAnalysis,
-      insights,
-      word_count: content.split(' ').length,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    journalEntries.push(entry);
+    // Create entry; `date` is the day it was written on in the user's time zone
+    const createdAt = new Date();
+    const now = createdAt.toISOString();
+    const entry = db.transaction(() => {
+      const inserted = db.collection('journal_entries').insert(encryptRecord('journal_entries', req.user.id, {
+        user_id: req.user.id,
+        content,
+        mood_before,
+        mood_after,
+        tags,
+        ...analysis,
+        revision: 1,
+        date: localDate(createdAt, userTimeZone(req.user.id)),
+        created_at: now,
+        updated_at: now
+      }));
+      search.indexEntry(req.user.id, inserted.id, content);
+      return inserted;
+    });
     
     logger.info('Journal entry created', {
       entryId: entry.id,
+      userId: req.user.id,
       wordCount: entry.word_count,
       crisisDetected: crisisAnalysis.detected,
       moodChange: mood_after ? mood_after - (mood_before || 5) : null
     });
     
+    events.publish(events.EVENTS.JOURNAL_ENTRY_CREATED, {
+      userId: req.user.id,
+      entryId: entry.id,
+      crisisDetected: crisisAnalysis.detected,
+      first: db.collection('journal_entries').count({ user_id: req.user.id }) === 1
+    });
+    
     // Log crisis detection for immediate attention
-    if (crisisAnalysis.detected) {
-      logger.warn('CRISIS INDICATORS DETECTED', {
-        entryId: entry.id,
-        severity: crisisAnalysis.severity,
-        keywords: crisisAnalysis.keywords,
-        timestamp: entry.created_at
-      });
-    }
+    logCrisisDetection('journal_entries', entry);
+    escalateCrisisDetection('journal_entries', entry);
+    
+    const locale = localeFromRequest(req);
+    const earlyWarnings = evaluateEarlyWarnings(req.user.id, {
+      source: 'journal_entries',
+      sourceId: entry.id,
+      locale
+    });
     
     res.status(201).json({
       success: true,
@@ -138,11 +146,9 @@ function createEntry(req, res) {
         // Don't return sensitive content in response, just metadata
         content: content.substring(0, 100) + (content.length > 100 ? '...' : '')
       },
-      crisis_resources: crisisAnalysis.detected ? {
-        emergency: '911',
-        suicide_prevention: '988',
-        crisis_text: 'Text HOME to 741741'
-      } : null,
+      early_warnings: earlyWarnings,
+      crisis_resources: crisisResourcesFor(crisisAnalysis, locale),
+      safety_plan: safetyPlanFor(req.user.id, crisisAnalysis),
       timestamp: new Date().toISOString()
     });
     
@@ -160,83 +166,192 @@ function createEntry(req, res) {
   }
 }
 
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A plain date (YYYY-MM-DD) is a whole day in the user's time zone, so to_date includes
+// all of that day; a full timestamp is used as given
+function rangeBound(value, timeZone, isEnd) {
+  if (!value) return null;
+  if (!DATE_ONLY_PATTERN.test(value)) return new Date(value);
+  if (!isValidDate(value)) return new Date(NaN);
+  return startOfLocalDay(isEnd ? addDays(value, 1) : value, timeZone);
+}
+
+// Parse the list filters shared by listing and search; returns { error } or { query, tags }
+function parseListFilters(req) {
+  const { tags, from_date, to_date } = req.query;
+  
+  const timeZone = userTimeZone(req.user.id);
+  const fromDate = rangeBound(from_date, timeZone, false);
+  const toDate = rangeBound(to_date, timeZone, true);
+  
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'from_date and to_date must be valid dates' };
+  }
+  
+  // Only ever the authenticated user's own entries, filtered by date range
+  const query = { user_id: req.user.id };
+  if (fromDate || toDate) {
+    query.created_at = {};
+    if (fromDate) query.created_at.gte = fromDate.toISOString();
+    if (toDate) query.created_at[DATE_ONLY_PATTERN.test(to_date) ? 'lt' : 'lte'] = toDate.toISOString();
+  }
+  
+  return {
+    query,
+    tags: tags ? tags.split(',').map(tag => tag.trim().toLowerCase()) : null
+  };
+}
+
+function filterByTags(entries, tagArray) {
+  if (!tagArray) return entries;
+  return entries.filter(entry => 
+    entry.tags.some(tag => tagArray.includes(tag.toLowerCase()))
+  );
+}
+
+function paginate(entries, { page = 1, limit = 10 }) {
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const startIndex = (pageNum - 1) * limitNum;
+  const endIndex = startIndex + limitNum;
+  
+  return {
+    items: entries.slice(startIndex, endIndex),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: entries.length,
+      pages: Math.ceil(entries.length / limitNum)
+    }
+  };
+}
+
+function entryStats(entries) {
+  return {
+    total_entries: entries.length,
+    total_words: entries.reduce((sum, entry) => sum + entry.word_count, 0),
+    average_mood_before: entries.length > 0 ? 
+      entries.filter(e => e.mood_before).reduce((sum, e) => sum + e.mood_before, 0) / 
+      entries.filter(e => e.mood_before).length : null,
+    average_mood_after: entries.length > 0 ? 
+      entries.filter(e => e.mood_after).reduce((sum, e) => sum + e.mood_after, 0) / 
+      entries.filter(e => e.mood_after).length : null,
+    crisis_entries: entries.filter(e => e.crisis_analysis.detected).length
+  };
+}
+
+// Decrypt an entry for its owner with content truncated for list views
+function toListEntry(userId, stored) {
+  const entry = decryptRecord('journal_entries', userId, stored);
+  return {
+    ...entry,
+    content: entry.content.substring(0, 200) + (entry.content.length > 200 ? '...' : '')
+  };
+}
+
 // Get journal entries
 function getEntries(req, res) {
   try {
-    const { page = 1, limit = 10, tags, from_date, to_date } = req.query;
+    const filters = parseListFilters(req);
+    if (filters.error) {
+      return res.status(400).json({
+        error: filters.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Sorted by creation date (newest first)
+    const filteredEntries = filterByTags(db.collection('journal_entries').find(filters.query, {
+      orderBy: 'created_at',
+      direction: 'desc'
+    }), filters.tags);
+    
+    const { items, pagination } = paginate(filteredEntries, req.query);
+    
+    res.json({
+      entries: items.map(stored => toListEntry(req.user.id, stored)),
+      pagination,
+      stats: entryStats(filteredEntries),
+      timestamp: new Date().toISOString()
+    });
     
-    let filteredEntries = [...journalEntries];
+  } catch (error) {
+    logger.error('Journal entries retrieval failed', {
+      error: error.message
+    });
     
-    // Filter by tags
-    if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
-      filteredEntries = filteredEntries.filter(entry => 
-        entry.tags.some(tag => tagArray.includes(tag.toLowerCase()))
-      );
+    res.status(500).json({
+      error: 'Journal entries retrieval failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Full-text search over the user's entries, best matches first. Words are stemmed
+// ("running" also finds "runs") and "quoted phrases" must appear in order.
+function searchEntries(req, res) {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({
+        error: 'Search query q is required',
+        timestamp: new Date().toISOString()
+      });
     }
     
-    // Filter by date range
-    if (from_date) {
-      const fromDate = new Date(from_date);
-      filteredEntries = filteredEntries.filter(entry => 
-        new Date(entry.created_at) >= fromDate
-      );
+    if (q.length > 500) {
+      return res.status(400).json({
+        error: 'Search query exceeds maximum length of 500 characters',
+        timestamp: new Date().toISOString()
+      });
     }
     
-    if (to_date) {
-      const toDate = new Date(to_date);
-      filteredEntries = filteredEntries.filter(entry => 
-        new Date(entry.created_at) <= toDate
-      );
+    const filters = parseListFilters(req);
+    if (filters.error) {
+      return res.status(400).json({
+        error: filters.error,
+        timestamp: new Date().toISOString()
+      });
     }
     
-    // Sort by creation date (newest first)
-    filteredEntries.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    
-    const paginatedEntries = filteredEntries.slice(startIndex, endIndex);
-    
-    // Calculate statistics
-    const stats = {
-      total_entries: filteredEntries.length,
-      total_words: filteredEntries.reduce((sum, entry) => sum + entry.word_count, 0),
-      average_mood_before: filteredEntries.length > 0 ? 
-        filteredEntries.filter(e => e.mood_before).reduce((sum, e) => sum + e.mood_before, 0) / 
-        filteredEntries.filter(e => e.mood_before).length : null,
-      average_mood_after: filteredEntries.length > 0 ? 
-        filteredEntries.filter(e => e.mood_after).reduce((sum, e) => sum + e.mood_after, 0) / 
-        filteredEntries.filter(e => e.mood_after).length : null,
-      crisis_entries: filteredEntries.filter(e => e.crisis_analysis.detected).length
-    };
+    const userId = req.user.id;
+    const entries = db.collection('journal_entries').find(filters.query);
+    
+    // Entries written before search existed are indexed on first use
+    search.ensureIndexed(userId, entries, stored => decryptRecord('journal_entries', userId, stored));
+    
+    const parsedQuery = search.parseQuery(q);
+    const scores = new Map(search.search(userId, parsedQuery).map(result => [result.entry_id, result.score]));
+    
+    const matchingEntries = filterByTags(entries.filter(entry => scores.has(entry.id)), filters.tags)
+      .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    
+    const { items, pagination } = paginate(matchingEntries, req.query);
     
     res.json({
-      entries: paginatedEntries.map(entry => ({
-        ...entry,
-        // Truncate content for list view
-        content: entry.content.substring(0, 200) + (entry.content.length > 200 ? '...' : '')
-      })),
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: filteredEntries.length,
-        pages: Math.ceil(filteredEntries.length / limitNum)
-      },
-      stats,
+      query: q,
+      entries: items.map(stored => {
+        const entry = decryptRecord('journal_entries', userId, stored);
+        return {
+          ...toListEntry(userId, stored),
+          score: scores.get(stored.id),
+          highlight: search.highlight(entry.content, parsedQuery)
+        };
+      }),
+      pagination,
+      stats: entryStats(matchingEntries),
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    logger.error('Journal entries retrieval failed', {
+    logger.error('Journal search failed', {
       error: error.message
     });
     
     res.status(500).json({
-      error: 'Journal entries retrieval failed',
+      error: 'Journal search failed',
       detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
       timestamp: new Date().toISOString()
     });
@@ -247,9 +362,9 @@ function getEntries(req, res) {
 router.get('/:id', (req, res) => {
   try {
     const entryId = parseInt(req.params.id);
-    const entry = journalEntries.find(e => e.id === entryId);
+    const stored = db.collection('journal_entries').findOne({ id: entryId, user_id: req.user.id });
     
-    if (!entry) {
+    if (!stored) {
       return res.status(404).json({
         error: 'Journal entry not found',
         id: entryId,
@@ -258,7 +373,7 @@ router.get('/:id', (req, res) => {
     }
     
     res.json({
-      entry,
+      entry: decryptRecord('journal_entries', req.user.id, stored),
       timestamp: new Date().toISOString()
     });
     
@@ -276,9 +391,270 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// Fields captured in each revision snapshot
+function toRevision(entry) {
+  return {
+    entry_id: entry.id,
+    user_id: entry.user_id,
+    revision: entry.revision || 1,
+    content: entry.content,
+    mood_before: entry.mood_before,
+    mood_after: entry.mood_after,
+    tags: entry.tags,
+    created_at: entry.updated_at
+  };
+}
+
+// Snapshot the stored version, then apply the new plaintext fields with fresh crisis
+// analysis. Returns the decrypted entry for the owner's response.
+function applyEdit(existing, fields) {
+  const userId = existing.user_id;
+  const updated = db.transaction(() => {
+    db.collection('journal_revisions').insert(encryptRecord('journal_revisions', userId, toRevision(existing)));
+    
+    search.indexEntry(userId, existing.id, fields.content);
+    
+    return db.collection('journal_entries').update(existing.id, encryptRecord('journal_entries', userId, {
+      content: fields.content,
+      mood_before: fields.mood_before,
+      mood_after: fields.mood_after,
+      tags: fields.tags,
+      ...analyzeEntry(fields),
+      revision: (existing.revision || 1) + 1,
+      updated_at: new Date().toISOString()
+    }));
+  });
+  
+  return decryptRecord('journal_entries', userId, updated);
+}
+
+function findOwnEntry(req) {
+  return db.collection('journal_entries').findOne({ id: parseInt(req.params.id), user_id: req.user.id });
+}
+
+function entryNotFound(req, res) {
+  return res.status(404).json({
+    error: 'Journal entry not found',
+    id: parseInt(req.params.id),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Edits and restores change what the entry says, so early-warning rules run again as
+// they do for a new entry
+function sendEditedEntry(req, res, entry, extra = {}) {
+  const locale = localeFromRequest(req);
+  const earlyWarnings = evaluateEarlyWarnings(req.user.id, {
+    source: 'journal_entries',
+    sourceId: entry.id,
+    locale
+  });
+
+  res.json({
+    success: true,
+    entry: {
+      ...entry,
+      content: entry.content.substring(0, 100) + (entry.content.length > 100 ? '...' : '')
+    },
+    ...extra,
+    early_warnings: earlyWarnings,
+    crisis_resources: crisisResourcesFor(entry.crisis_analysis, locale),
+    safety_plan: safetyPlanFor(entry.user_id, entry.crisis_analysis),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Replace (PUT) or partially update (PATCH) a journal entry
+function updateEntry(req, res) {
+  try {
+    const existing = findOwnEntry(req);
+    if (!existing) {
+      return entryNotFound(req, res);
+    }
+    
+    const body = req.body || {};
+    const current = decryptRecord('journal_entries', req.user.id, existing);
+    const fields = req.method === 'PATCH' ? {
+      content: body.content !== undefined ? body.content : current.content,
+      mood_before: 'mood_before' in body ? body.mood_before : current.mood_before,
+      mood_after: 'mood_after' in body ? body.mood_after : current.mood_after,
+      tags: body.tags !== undefined ? body.tags : current.tags
+    } : {
+      content: body.content,
+      mood_before: body.mood_before,
+      mood_after: body.mood_after,
+      tags: body.tags || []
+    };
+    
+    const validationError = validateEntryFields(fields);
+    if (validationError) {
+      return res.status(400).json({
+        ...validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const entry = applyEdit(existing, fields);
+    
+    logger.info('Journal entry updated', {
+      entryId: entry.id,
+      userId: req.user.id,
+      revision: entry.revision,
+      method: req.method,
+      crisisDetected: entry.crisis_analysis.detected
+    });
+    
+    logCrisisDetection('journal_entries', entry);
+    escalateCrisisDetection('journal_entries', entry);
+    
+    sendEditedEntry(req, res, entry);
+    
+  } catch (error) {
+    logger.error('Journal entry update failed', {
+      error: error.message,
+      entryId: req.params.id
+    });
+    
+    res.status(500).json({
+      error: 'Journal entry update failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+router.put('/:id', updateEntry);
+router.patch('/:id', updateEntry);
+
+// Delete a journal entry together with its edit history
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = findOwnEntry(req);
+    if (!existing) {
+      return entryNotFound(req, res);
+    }
+    
+    db.transaction(() => {
+      db.collection('journal_revisions').removeWhere({ entry_id: existing.id });
+      search.removeFromIndex(existing.id);
+      db.collection('journal_entries').remove(existing.id);
+    });
+    
+    logger.info('Journal entry deleted', {
+      entryId: existing.id,
+      userId: req.user.id
+    });
+    
+    res.json({
+      success: true,
+      id: existing.id,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Journal entry deletion failed', {
+      error: error.message,
+      entryId: req.params.id
+    });
+    
+    res.status(500).json({
+      error: 'Journal entry deletion failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List earlier versions of an entry (newest first)
+router.get('/:id/revisions', (req, res) => {
+  try {
+    const existing = findOwnEntry(req);
+    if (!existing) {
+      return entryNotFound(req, res);
+    }
+    
+    const revisions = db.collection('journal_revisions').find(
+      { entry_id: existing.id },
+      { orderBy: 'revision', direction: 'desc' }
+    ).map(revision => decryptRecord('journal_revisions', req.user.id, revision));
+    
+    res.json({
+      entry_id: existing.id,
+      current_revision: existing.revision || 1,
+      revisions,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Journal revisions retrieval failed', {
+      error: error.message,
+      entryId: req.params.id
+    });
+    
+    res.status(500).json({
+      error: 'Journal revisions retrieval failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Restore an earlier version; the restore is itself recorded as a new revision
+router.post('/:id/revisions/:revision/restore', (req, res) => {
+  try {
+    const existing = findOwnEntry(req);
+    if (!existing) {
+      return entryNotFound(req, res);
+    }
+    
+    const revisionNumber = parseInt(req.params.revision);
+    const revision = db.collection('journal_revisions').findOne({
+      entry_id: existing.id,
+      revision: revisionNumber
+    });
+    
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        id: existing.id,
+        revision: revisionNumber,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const entry = applyEdit(existing, decryptRecord('journal_revisions', req.user.id, revision));
+    
+    logger.info('Journal entry revision restored', {
+      entryId: entry.id,
+      userId: req.user.id,
+      restoredFrom: revisionNumber,
+      revision: entry.revision
+    });
+    
+    logCrisisDetection('journal_entries', entry);
+    escalateCrisisDetection('journal_entries', entry);
+    
+    sendEditedEntry(req, res, entry, { restored_from: revisionNumber });
+    
+  } catch (error) {
+    logger.error('Journal revision restore failed', {
+      error: error.message,
+      entryId: req.params.id
+    });
+    
+    res.status(500).json({
+      error: 'Journal revision restore failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Export functions for server.js
 module.exports = {
   createEntry,
   getEntries,
+  searchEntries,
+  updateEntry,
   router
 };
@@ -2,6 +2,7 @@
 const express = require('express');
 const promClient = require('prom-client');
 const winston = require('winston');
+const events = require('../utils/events');
 const router = express.Router();
 
 const logger = winston.createLogger({
@@ -159,10 +160,12 @@ function updateActiveUsers(count) {
 }
 
 // Get metrics endpoint for Prometheus
-function getMetrics(req, res) {
+// (register.metrics() resolves asynchronously in current prom-client releases)
+async function getMetrics(req, res) {
   try {
+    const body = await register.metrics();
     res.set('Content-Type', register.contentType);
-    res.end(register.metrics());
+    res.end(body);
     
     logger.info('Metrics endpoint accessed');
   } catch (error) {
@@ -249,6 +252,12 @@ function getMetricValue(metrics, metricName, labelValue = null) {
   return metric.values.length > 0 ? metric.values[0].value : null;
 }
 
+// Count domain activity as features publish it
+events.subscribe(events.EVENTS.JOURNAL_ENTRY_CREATED, ({ crisisDetected }) => trackJournalEntry(Boolean(crisisDetected)));
+events.subscribe(events.EVENTS.MOOD_RECORDED, () => trackMoodEntry());
+events.subscribe(events.EVENTS.TTS_REQUESTED, ({ provider, success }) => trackTTSRequest(provider, success));
+events.subscribe(events.EVENTS.CRISIS_REPORTED, ({ severity, immediateDanger }) => trackCrisisReport(severity, immediateDanger));
+
 // Initialize system health metrics
 updateSystemHealth('server', true);
 updateSystemHealth('database', true);
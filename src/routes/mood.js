@@ -1,6 +1,24 @@
 // src/routes/mood.js - Advanced Mood Tracking with Analytics
 const express = require('express');
 const winston = require('winston');
+const db = require('../db');
+const { decryptRecord } = require('../utils/encryption');
+const { safetyPlanFor } = require('../utils/safety-plans');
+const { analyzeCorrelations } = require('../utils/mood-correlations');
+const { analyzeMoodTrend } = require('../utils/mood-trends');
+const { evaluateEarlyWarnings } = require('../utils/early-warnings');
+const { localeFromRequest } = require('../utils/crisis-directory');
+const { userTimeZone, recentLocalDays } = require('../utils/time-zones');
+const {
+  PRESETS,
+  feelingsWheel,
+  listMetrics,
+  createMetric,
+  updateMetric
+} = require('../utils/mood-metrics');
+const { summarizeEntries, dailySummary } = require('../utils/mood-summary');
+const { resolveTimestamp, validateMoodFields, saveMoodEntry, announceMoodEntry } = require('../utils/mood-entries');
+const { validateImportOptions, importMoodEntries } = require('../utils/mood-import');
 const router = express.Router();
 
 const logger = winston.createLogger({
@@ -9,30 +27,10 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// In-memory storage for demo (replace with database in production)
-let moodEntries = [];
-let moodIdCounter = 1;
+// Window for the trend returned with each new entry; a week is too short to fit a line
+const TREND_WINDOW_DAYS = 30;
 
 // Mood analysis functions
-function analyzeMoodTrend(entries, days = 7) {
-  if (entries.length < 2) return { trend: 'insufficient_data', change: 0 };
-  
-  const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-  const recentEntries = entries.filter(entry => new Date(entry.timestamp) >= cutoffDate);
-  
-  if (recentEntries.length < 2) return { trend: 'insufficient_data', change: 0 };
-  
-  const firstMood = recentEntries[recentEntries.length - 1].mood;
-  const lastMood = recentEntries[0].mood;
-  const change = lastMood - firstMood;
-  
-  let trend = 'stable';
-  if (change > 1) trend = 'improving';
-  else if (change < -1) trend = 'declining';
-  
-  return { trend, change, days };
-}
-
 function generateMoodInsights(entries) {
   if (entries.length < 3) {
     return ['Keep tracking your mood to get personalized insights!'];
@@ -81,74 +79,62 @@ function generateMoodInsights(entries) {
 // Record mood entry
 function recordMood(req, res) {
   try {
-    const { mood, energy, stress, sleep_hours, notes, activities = [] } = req.body;
-    
-    // Validation
-    if (mood === undefined || typeof mood !== 'number') {
+    // Validation; `timestamp` may date the entry up to MOOD_BACKDATE_DAYS back
+    const { error: validationError, fields } = validateMoodFields(req.user.id, req.body);
+    const { error: timestampError, timestamp } = resolveTimestamp(req.body.timestamp);
+    if (validationError || timestampError) {
       return res.status(400).json({
-        error: 'Mood is required and must be a number',
+        error: validationError || timestampError,
         timestamp: new Date().toISOString()
       });
     }
+    const { mood, energy, stress } = fields;
     
-    if (mood < 1 || mood > 10) {
-      return res.status(400).json({
-        error: 'Mood must be between 1 and 10',
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Crisis screening of the notes (see middleware/text-safety.js)
+    const { crisis_analysis, crisis_resources } = req.textSafety;
     
-    if (energy !== undefined && (energy < 1 || energy > 10)) {
-      return res.status(400).json({
-        error: 'Energy must be between 1 and 10',
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Create mood entry, dated by the user's own calendar rather than UTC
+    const timeZone = userTimeZone(req.user.id);
+    const moodEntries = db.collection('mood_entries');
+    const moodEntry = saveMoodEntry(req.user.id, fields, { timestamp, timeZone, crisisAnalysis: crisis_analysis });
     
-    if (stress !== undefined && (stress < 1 || stress > 10)) {
-      return res.status(400).json({
-        error: 'Stress must be between 1 and 10',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    if (sleep_hours !== undefined && (sleep_hours < 0 || sleep_hours > 24)) {
-      return res.status(400).json({
-        error: 'Sleep hours must be between 0 and 24',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Create mood entry
-    const moodEntry = {
-      id: moodIdCounter++,
-      mood,
-      energy,
-      stress,
-      sleep_hours,
-      notes,
-      activities,
-      timestamp: new Date().toISOString(),
-      date: new Date().toISOString().split('T')[0] // YYYY-MM-DD format
-    };
-    
-    moodEntries.unshift(moodEntry); // Add to beginning for chronological order
-    
-    // Generate trend analysis
-    const trendAnalysis = analyzeMoodTrend(moodEntries);
+    // Generate trend analysis over the recent window, including the entry just saved
+    const trendWindow = recentLocalDays(TREND_WINDOW_DAYS, timeZone);
+    const trendAnalysis = analyzeMoodTrend(moodEntries.find(
+      { user_id: req.user.id, date: { gte: trendWindow.from } },
+      { orderBy: 'timestamp' }
+    ), { days: TREND_WINDOW_DAYS });
     
     logger.info('Mood entry recorded', {
       entryId: moodEntry.id,
+      userId: req.user.id,
       mood,
       energy,
       stress,
-      trend: trendAnalysis.trend
+      backdated: req.body.timestamp !== undefined && req.body.timestamp !== null,
+      trend: trendAnalysis.trend,
+      trendAlerts: trendAnalysis.alerts,
+      crisisDetected: crisis_analysis.detected
+    });
+    
+    announceMoodEntry(moodEntry, {
+      backdated: req.body.timestamp !== undefined && req.body.timestamp !== null,
+      first: moodEntries.count({ user_id: req.user.id }) === 1
+    });
+    
+    const earlyWarnings = evaluateEarlyWarnings(req.user.id, {
+      source: 'mood_entries',
+      sourceId: moodEntry.id,
+      locale: localeFromRequest(req)
     });
     
     res.status(201).json({
       success: true,
       entry: moodEntry,
       trend_analysis: trendAnalysis,
+      early_warnings: earlyWarnings,
+      crisis_resources,
+      safety_plan: safetyPlanFor(req.user.id, crisis_analysis),
       timestamp: new Date().toISOString()
     });
     
@@ -171,62 +157,33 @@ function getMoodData(req, res) {
   try {
     const { days = 30, format = 'detailed' } = req.query;
     
-    const daysNum = parseInt(days);
-    const cutoffDate = new Date(Date.now() - daysNum * 24 * 60 * 60 * 1000);
+    const daysNum = parseInt(days) || 30;
+    const timeZone = userTimeZone(req.user.id);
+    const range = recentLocalDays(daysNum, timeZone);
     
-    // Filter entries by date range
-    const filteredEntries = moodEntries.filter(entry => 
-      new Date(entry.timestamp) >= cutoffDate
+    // Filter entries by the last `days` calendar days in the user's zone (newest first)
+    const filteredEntries = db.collection('mood_entries').find(
+      { user_id: req.user.id, date: { gte: range.from, lte: range.to } },
+      { orderBy: 'timestamp', direction: 'desc' }
     );
     
     // Calculate statistics
     const stats = {
       total_entries: filteredEntries.length,
       date_range: {
-        from: cutoffDate.toISOString().split('T')[0],
-        to: new Date().toISOString().split('T')[0],
-        days: daysNum
+        from: range.from,
+        to: range.to,
+        days: daysNum,
+        time_zone: timeZone
       }
     };
     
-    if (filteredEntries.length > 0) {
-      stats.averages = {
-        mood: Math.round((filteredEntries.reduce((sum, e) => sum + e.mood, 0) / filteredEntries.length) * 10) / 10,
-        energy: filteredEntries.filter(e => e.energy).length > 0 ? 
-          Math.round((filteredEntries.filter(e => e.energy).reduce((sum, e) => sum + e.energy, 0) / 
-          filteredEntries.filter(e => e.energy).length) * 10) / 10 : null,
-        stress: filteredEntries.filter(e => e.stress).length > 0 ? 
-          Math.round((filteredEntries.filter(e => e.stress).reduce((sum, e) => sum + e.stress, 0) / 
-          filteredEntries.filter(e => e.stress).length) * 10) / 10 : null,
-        sleep_hours: filteredEntries.filter(e => e.sleep_hours).length > 0 ? 
-          Math.round((filteredEntries.filter(e => e.sleep_hours).reduce((sum, e) => sum + e.sleep_hours, 0) / 
-          filteredEntries.filter(e => e.sleep_hours).length) * 10) / 10 : null
-      };
-      
-      stats.ranges = {
-        mood: {
-          min: Math.min(...filteredEntries.map(e => e.mood)),
-          max: Math.max(...filteredEntries.map(e => e.mood))
-        }
-      };
-      
-      if (filteredEntries.some(e => e.energy)) {
-        stats.ranges.energy = {
-          min: Math.min(...filteredEntries.filter(e => e.energy).map(e => e.energy)),
-          max: Math.max(...filteredEntries.filter(e => e.energy).map(e => e.energy))
-        };
-      }
-      
-      if (filteredEntries.some(e => e.stress)) {
-        stats.ranges.stress = {
-          min: Math.min(...filteredEntries.filter(e => e.stress).map(e => e.stress)),
-          max: Math.max(...filteredEntries.filter(e => e.stress).map(e => e.stress))
-        };
-      }
-    }
+    // Averages, ranges, emotions and custom metric definitions (see utils/mood-summary.js)
+    const { fields, summary } = summarizeEntries(req.user.id, filteredEntries);
+    Object.assign(stats, summary);
     
     // Generate trend analysis and insights
-    const trendAnalysis = analyzeMoodTrend(filteredEntries, Math.min(daysNum, 7));
+    const trendAnalysis = analyzeMoodTrend(filteredEntries, { days: daysNum, includeSeries: format === 'summary' });
     const insights = generateMoodInsights(filteredEntries);
     
     // Prepare response based on format
@@ -238,29 +195,10 @@ function getMoodData(req, res) {
     };
     
     if (format === 'detailed') {
-      response.entries = filteredEntries;
+      response.entries = filteredEntries.map(entry => decryptRecord('mood_entries', req.user.id, entry));
     } else if (format === 'summary') {
-      // Group by date for chart data
-      const dailySummary = {};
-      filteredEntries.forEach(entry => {
-        const date = entry.date;
-        if (!dailySummary[date]) {
-          dailySummary[date] = { date, entries: [] };
-        }
-        dailySummary[date].entries.push(entry);
-      });
-      
-      response.daily_summary = Object.values(dailySummary).map(day => ({
-        date: day.date,
-        count: day.entries.length,
-        average_mood: Math.round((day.entries.reduce((sum, e) => sum + e.mood, 0) / day.entries.length) * 10) / 10,
-        average_energy: day.entries.filter(e => e.energy).length > 0 ? 
-          Math.round((day.entries.filter(e => e.energy).reduce((sum, e) => sum + e.energy, 0) / 
-          day.entries.filter(e => e.energy).length) * 10) / 10 : null,
-        average_stress: day.entries.filter(e => e.stress).length > 0 ? 
-          Math.round((day.entries.filter(e => e.stress).reduce((sum, e) => sum + e.stress, 0) / 
-          day.entries.filter(e => e.stress).length) * 10) / 10 : null
-      })).sort((a, b) => a.date.localeCompare(b.date));
+      // Per-day averages for chart data
+      response.daily_summary = dailySummary(filteredEntries, fields);
     }
     
     res.json(response);
@@ -278,6 +216,207 @@ function getMoodData(req, res) {
   }
 }
 
+function metricsError(res, message, error) {
+  logger.error(message, {
+    error: error.message
+  });
+  
+  res.status(500).json({
+    error: message,
+    detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    timestamp: new Date().toISOString()
+  });
+}
+
+// The user's metric definitions (?include_archived=true for all) and the presets they can add
+router.get('/metrics', (req, res) => {
+  try {
+    res.json({
+      metrics: listMetrics(req.user.id, { includeArchived: req.query.include_archived === 'true' }),
+      presets: PRESETS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    metricsError(res, 'Mood metric retrieval failed', error);
+  }
+});
+
+// Define a metric: { preset: 'anxiety' } or { key, label, type, min, max, step, unit }
+router.post('/metrics', (req, res) => {
+  try {
+    const { metric, error, status } = createMetric(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    logger.info('Mood metric created', {
+      userId: req.user.id,
+      key: metric.key,
+      type: metric.type
+    });
+    
+    res.status(201).json({
+      success: true,
+      metric,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    metricsError(res, 'Mood metric creation failed', error);
+  }
+});
+
+// Rename, change the unit of, archive or restore a metric
+router.patch('/metrics/:key', (req, res) => {
+  try {
+    const { metric, error, status } = updateMetric(req.user.id, req.params.key, req.body);
+    if (error) {
+      return res.status(status).json({
+        error,
+        key: req.params.key,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    logger.info('Mood metric updated', {
+      userId: req.user.id,
+      key: metric.key,
+      archived: metric.archived
+    });
+    
+    res.json({
+      success: true,
+      metric,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    metricsError(res, 'Mood metric update failed', error);
+  }
+});
+
+// The feelings-wheel vocabulary accepted in `emotions`, by family
+router.get('/emotions', (req, res) => {
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.json({
+    families: feelingsWheel,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Import history from another app: a CSV body (text/csv, options in the query) or JSON
+// { data, format, mapping, mood_map, dry_run }. Responds with a report for every row.
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const options = isText ? req.query : req.body;
+    const data = isText ? req.body : req.body.data;
+    const dryRun = options.dry_run === true || options.dry_run === 'true';
+    
+    const optionsError = validateImportOptions(options);
+    if (optionsError || typeof data !== 'string' || !data.trim()) {
+      return res.status(400).json({
+        error: optionsError || 'Send the file as a text/csv body or as `data` in JSON',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { report, error } = importMoodEntries(req.user.id, data, {
+      format: options.format,
+      mapping: options.mapping,
+      moodMap: options.mood_map,
+      dryRun
+    });
+    if (error) {
+      return res.status(400).json({
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    logger.info('Mood entries imported', {
+      userId: req.user.id,
+      format: report.format,
+      dryRun,
+      ...report.summary
+    });
+    
+    res.status(!dryRun && report.summary.accepted > 0 ? 201 : 200).json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Mood import failed', {
+      error: error.message
+    });
+    
+    res.status(500).json({
+      error: 'Mood import failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+const MAX_CORRELATION_DAYS = 365;
+
+// What tends to go with better or worse mood: activities, sleep (same and next day),
+// stress and energy. Each result reports its sample size and confidence.
+router.get('/correlations', (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days);
+    
+    if (!Number.isInteger(days) || days < 1 || days > MAX_CORRELATION_DAYS) {
+      return res.status(400).json({
+        error: `days must be a whole number from 1 to ${MAX_CORRELATION_DAYS}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const timeZone = userTimeZone(req.user.id);
+    const range = recentLocalDays(days, timeZone);
+    // Only numeric fields and activities are used, so nothing needs decrypting
+    const entries = db.collection('mood_entries').find(
+      { user_id: req.user.id, date: { gte: range.from, lte: range.to } },
+      { orderBy: 'timestamp' }
+    );
+    
+    const analysis = analyzeCorrelations(entries);
+    
+    logger.info('Mood correlations computed', {
+      userId: req.user.id,
+      days,
+      entries: analysis.sample.entries,
+      insights: analysis.insights.length
+    });
+    
+    res.json({
+      period: {
+        from: range.from,
+        to: range.to,
+        days,
+        time_zone: timeZone
+      },
+      ...analysis,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Mood correlation analysis failed', {
+      error: error.message
+    });
+    
+    res.status(500).json({
+      error: 'Mood correlation analysis failed',
+      detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Export functions for server.js
 module.exports = {
   recordMood,
@@ -1,9 +1,10 @@
 // src/routes/storage.js - Advanced S3 Storage with Deduplication
 const express = require('express');
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const crypto = require('crypto');
 const winston = require('winston');
+const { getS3Client, isConfigured, userPrefix } = require('../utils/storage');
 const router = express.Router();
 
 const logger = winston.createLogger({
@@ -12,22 +13,23 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// Initialize S3 client
-function getS3Client() {
-  return new S3Client({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-  });
-}
-
 // Generate file hash for deduplication
 function generateFileHash(content) {
   return crypto.createHash('sha256').update(content).digest('hex');
 }
 
+function ownsKey(req, key) {
+  return typeof key === 'string' && key.startsWith(userPrefix(req.user.id)) && !key.includes('..');
+}
+
+function forbiddenKey(res, key) {
+  return res.status(403).json({
+    error: 'Access to this storage key is not allowed',
+    key,
+    timestamp: new Date().toISOString()
+  });
+}
+
 // Generate presigned URL for file upload
 router.get('/presign', async (req, res) => {
   try {
@@ -53,7 +55,7 @@ router.get('/presign', async (req, res) => {
     
     // Add timestamp and random prefix to key for uniqueness
     const timestamp = Date.now();
-    const uniqueKey = `uploads/${timestamp}-${crypto.randomBytes(8).toString('hex')}-${key}`;
+    const uniqueKey = `${userPrefix(req.user.id)}uploads/${timestamp}-${crypto.randomBytes(8).toString('hex')}-${key}`;
 
     const command = new PutObjectCommand({
       Bucket: bucket,
@@ -70,6 +72,7 @@ router.get('/presign', async (req, res) => {
 
     logger.info('Presigned URL generated', {
       key: uniqueKey,
+      userId: req.user.id,
       contentType,
       expiresIn
     });
@@ -120,6 +123,10 @@ router.get('/presign-download', async (req, res) => {
       });
     }
 
+    if (!ownsKey(req, key)) {
+      return forbiddenKey(res, key);
+    }
+
     const expiresIn = parseInt(expires) || 3600; // 1 hour default
 
     const command = new GetObjectCommand({
@@ -177,6 +184,10 @@ router.delete('/file', async (req, res) => {
       });
     }
 
+    if (!ownsKey(req, key)) {
+      return forbiddenKey(res, key);
+    }
+
     const command = new DeleteObjectCommand({
       Bucket: bucket,
       Key: key
@@ -184,7 +195,7 @@ router.delete('/file', async (req, res) => {
 
     await getS3Client().send(command);
 
-    logger.info('File deleted from S3', { key, bucket });
+    logger.info('File deleted from S3', { key, bucket, userId: req.user.id });
 
     res.json({
       success: true,
@@ -219,7 +230,7 @@ router.get('/status', async (req, res) => {
       cdnUrl: cdnUrl || 'not-configured',
       deduplication: deduplicationEnabled,
       region: process.env.AWS_REGION || 'us-east-1',
-      configured: !!(bucket && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY),
+      configured: isConfigured(),
       timestamp: new Date().toISOString()
     };
 
@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const winston = require('winston');
+const db = require('../db');
+const events = require('../utils/events');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -9,6 +11,15 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Stamps a signed-in user's first successful request; true when this was it
+function markFirstTTS(userId) {
+  if (!userId) return false;
+  const user = db.collection('users').findById(userId);
+  if (!user || user.first_tts_at) return false;
+  db.collection('users').update(userId, { first_tts_at: new Date().toISOString() });
+  return true;
+}
+
 // OpenAI TTS implementation
 async function generateOpenAITTS(text, voice, model, format) {
   const response = await fetch('https://api.openai.com/v1/audio/speech', {
@@ -145,6 +156,14 @@ router.post('/', async (req, res) => {
 
     res.send(Buffer.from(audioBuffer));
 
+    events.publish(events.EVENTS.TTS_REQUESTED, {
+      userId: req.user ? req.user.id : undefined,
+      provider: actualProvider,
+      success: true,
+      characters: text.length,
+      first: markFirstTTS(req.user && req.user.id)
+    });
+
     logger.info('TTS response sent successfully', {
       provider: actualProvider,
       audioSize: audioBuffer.byteLength,
@@ -158,6 +177,13 @@ router.post('/', async (req, res) => {
       stack: error.stack
     });
 
+    events.publish(events.EVENTS.TTS_REQUESTED, {
+      userId: req.user ? req.user.id : undefined,
+      provider: (req.body && req.body.provider) || 'openai',
+      success: false,
+      characters: req.body && typeof req.body.text === 'string' ? req.body.text.length : 0
+    });
+
     res.status(500).json({
       error: 'TTS generation failed',
       detail: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
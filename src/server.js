@@ -109,6 +109,24 @@ const features = {
 
 logger.info('🚀 MyMentalHealthBuddy™ V10·PERFECTION Starting', { features });
 
+// Persistence layer (runs pending migrations on first open)
+const db = require('./db');
+try {
+  const store = db.getStore();
+  logger.info('✅ Database ready', { driver: store.driver, migrationsApplied: store.appliedMigrations || [] });
+} catch (error) {
+  logger.error('Database initialization failed', { error: error.message });
+}
+
+// Crisis resource directory - refuse to start rather than serve a wrong or missing crisis line
+try {
+  const { entries } = require('./utils/crisis-directory').getDirectory();
+  logger.info('✅ Crisis resource directory loaded', { countries: Object.keys(entries) });
+} catch (error) {
+  logger.error('Crisis resource directory invalid', { error: error.message });
+  process.exit(1);
+}
+
 // V8+ PERFECTION Enhanced health check endpoint with expert diagnostics
 app.get('/health', (req, res) => {
   const healthCheck = {
@@ -147,77 +165,29 @@ app.get('/health', (req, res) => {
 
 // Readiness check endpoint
 app.get('/ready', (req, res) => {
+  const database = db.healthCheck();
   const readiness = {
-    ready: true,
+    ready: database.status === 'operational',
     services: {
       server: 'operational',
-      database: 'operational',
+      database: database.status,
       storage: features.s3_storage ? 'operational' : 'disabled',
       billing: features.billing_pro ? 'operational' : 'disabled',
       tts: features.tts ? 'operational' : 'disabled'
     },
+    database,
     timestamp: new Date().toISOString()
   };
   
-  res.json(readiness);
+  res.status(readiness.ready ? 200 : 503).json(readiness);
 });
 
 
-// TTS routes
-if (features.tts) {
-  app.use('/api/tts', require('./routes/tts'));
-  logger.info('✅ TTS routes enabled');
-}
-
-
-
-// Billing routes
-if (features.billing_pro) {
-  const rawBody = require('raw-body');
-  
-  // Stripe webhook with raw body parsing
-  app.post('/api/billing/webhook', async (req, res, next) => {
-    try {
-      req.rawBody = await rawBody(req);
-      next();
-    } catch (error) {
-      logger.error('Webhook raw body parsing failed', { error: error.message });
-      res.status(400).send('Webhook raw body error');
-    }
-  }, require('./routes/billing').webhook);
-  
-  // Other billing routes
-  app.post('/api/billing/checkout', require('./routes/billing').checkout);
-  app.post('/api/billing/portal', require('./routes/billing').customerPortal);
-  app.get('/api/billing/status', require('./routes/billing').getStatus);
-  
-  logger.info('✅ Advanced billing routes enabled');
-}
-
-
-
-// Storage routes
-if (features.s3_storage) {
-  app.use('/api/storage', require('./routes/storage'));
-  logger.info('✅ S3 storage routes enabled');
-}
-
-
-// Core mental health API routes
-app.post('/api/journal', require('./routes/journal').createEntry);
-app.get('/api/journal', require('./routes/journal').getEntries);
-app.post('/api/mood', require('./routes/mood').recordMood);
-app.get('/api/mood', require('./routes/mood').getMoodData);
-app.get('/api/crisis', require('./routes/crisis').getCrisisResources);
-app.post('/api/crisis/report', require('./routes/crisis').reportCrisis);
-
-
-// Monitoring and metrics
-if (features.monitoring) {
-  app.get('/metrics', require('./routes/metrics').getMetrics);
-  app.get('/api/analytics', require('./routes/analytics').getAnalytics);
-  logger.info('✅ Monitoring and metrics enabled');
-}
+// API routes: every module in src/routes is mounted by the registry, which refuses to
+// start with a router left unmounted and logs the inventory of what is served
+// (kept on app.locals for test/routes-contract.test.js)
+app.locals.routeInventory = require('./routes').registerRoutes(app, { features });
+logger.info('✅ API routes registered');
 
 
 
@@ -247,9 +217,12 @@ if (features.frontend && process.env.NODE_ENV === 'production') {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // JSON parse errors quote the request body, which may be journal text - never log it
+  const bodyParseError = err.type === 'entity.parse.failed';
+  
   logger.error('Unhandled error', {
-    error: err.message,
-    stack: err.stack,
+    error: bodyParseError ? 'Malformed JSON request body' : err.message,
+    stack: bodyParseError ? undefined : err.stack,
     path: req.path,
     method: req.method,
     ip: req.ip
@@ -334,6 +307,13 @@ if (process.env.NODE_ENV === 'production' && cluster.isMaster && process.env.ENA
     });
   });
   
+  // Escalation notifications are sent and retried in the background by every worker
+  require('./notifications').startWorker();
+  // Large data exports are built and expired in the background when storage is set up
+  require('./utils/export-jobs').startWorker();
+  // Analytics rollups are refreshed and data past retention is pruned in the background
+  require('./utils/analytics-store').startWorker();
+  
   // Handle server errors
   server.on('error', (error) => {
     logger.error('Server error', { error: error.message });
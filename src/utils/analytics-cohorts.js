@@ -0,0 +1,204 @@
+// src/utils/analytics-cohorts.js - Retention Cohorts, Adoption Funnel and Streaks
+//
+// Consenting users' events carry their signup week and the day since signup they fall
+// on (see analytics-store.js), so a cohort's day-N retention is the share of its people
+// active on day N. The adoption funnel is ordered: a journal milestone is only recorded
+// for someone who had already logged a mood, and a TTS milestone for someone who had done
+// both. Streaks need a person's individual days, so they come from the raw events that are
+// still kept. Only activity recorded with consent counts; small cohorts and cells are
+// suppressed and counts noised like every other analytics figure, and percentages are
+// worked out from the noised counts so they never give the exact ones away.
+const db = require('../db');
+const store = require('./analytics-store');
+const privacy = require('./analytics-privacy');
+const { localDate, addDays, daysBetween, startOfWeek } = require('./time-zones');
+const { mergeSketches, estimateCardinality, decodeSketch } = require('./hyperloglog');
+
+const RETENTION_DAYS = [1, 7, 30];
+const FUNNEL = ['mood', 'journal', 'tts'];
+const STREAK_BUCKETS = [
+  { label: '1', min: 1, max: 1 },
+  { label: '2-3', min: 2, max: 3 },
+  { label: '4-6', min: 4, max: 6 },
+  { label: '7-13', min: 7, max: 13 },
+  { label: '14+', min: 14, max: Infinity }
+];
+const MAX_WEEKS = 104;
+
+const CSV_COLUMNS = [
+  'cohort_week',
+  'users',
+  ...RETENTION_DAYS.map(day => `day_${day}_retention_percent`),
+  ...FUNNEL.map(step => `funnel_${step}_users`),
+  ...STREAK_BUCKETS.map(bucket => `streak_${bucket.label}_users`)
+];
+
+// Signup week and days since signup, in the reporting zone; {} for an unknown user
+function cohortOf(userId, now = new Date()) {
+  const user = db.collection('users').findById(userId);
+  if (!user) return {};
+  const signupDate = localDate(user.created_at);
+  return { cohort: startOfWeek(signupDate), cohortDay: daysBetween(signupDate, localDate(now)) };
+}
+
+function hasAdopted(userId, step) {
+  switch (step) {
+    case 'mood':
+      return db.collection('mood_entries').count({ user_id: userId }) > 0;
+    case 'journal':
+      return db.collection('journal_entries').count({ user_id: userId }) > 0;
+    case 'tts': {
+      const user = db.collection('users').findById(userId);
+      return Boolean(user && user.first_tts_at);
+    }
+    default:
+      return false;
+  }
+}
+
+// Whether someone doing `step` for the first time has completed every earlier step
+function reachesFunnelStep(userId, step) {
+  return FUNNEL.slice(0, FUNNEL.indexOf(step)).every(previous => hasAdopted(userId, previous));
+}
+
+function distinctPeople(rows) {
+  const sketches = rows.map(row => decodeSketch(row.actors_hll)).filter(Boolean);
+  return sketches.length > 0 ? estimateCardinality(mergeSketches(sketches)) : 0;
+}
+
+// Longest run of consecutive days in a sorted list of YYYY-MM-DD
+function longestStreak(dates) {
+  let longest = 0;
+  let current = 0;
+  dates.forEach((date, index) => {
+    current = index > 0 && daysBetween(dates[index - 1], date) === 1 ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+}
+
+// Error message for bad options, or null
+function validateCohortOptions({ weeks, format }) {
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+    return `weeks must be a whole number from 1 to ${MAX_WEEKS}`;
+  }
+  if (!['json', 'csv'].includes(format)) {
+    return 'format must be json or csv';
+  }
+  return null;
+}
+
+// The last `weeks` signup cohorts, newest first
+function buildCohortReport({ weeks = 12, now = new Date() } = {}) {
+  store.refreshRollups();
+  const today = localDate(now);
+  const firstWeek = addDays(startOfWeek(today), -7 * (weeks - 1));
+  const rawFrom = [store.rawEventsFrom(now), firstWeek].sort()[1];
+  let suppressed = 0;
+  let suppressedCells = 0;
+
+  const activity = store.dailyRollups('cohort_activity', firstWeek, today);
+  const milestones = store.dailyRollups('cohort_milestone', firstWeek, today);
+  const cohortWeeks = [];
+  for (let week = startOfWeek(today); week >= firstWeek; week = addDays(week, -7)) {
+    cohortWeeks.push(week);
+  }
+
+  // Each person's active days in the window raw events still cover, by cohort
+  const daysByPerson = new Map();
+  store.cohortRawEvents(cohortWeeks, rawFrom)
+    .filter(event => event.type !== 'milestone')
+    .forEach(event => {
+      const key = `${event.cohort}\u0000${event.actor}`;
+      if (!daysByPerson.has(key)) daysByPerson.set(key, { cohort: event.cohort, dates: new Set() });
+      daysByPerson.get(key).dates.add(event.date);
+    });
+
+  const cohorts = cohortWeeks.map(week => {
+    const ownActivity = activity.filter(row => row.name.startsWith(`${week}:`));
+    const ownMilestones = milestones.filter(row => row.name.startsWith(`${week}:`));
+    const size = distinctPeople(ownActivity.concat(ownMilestones));
+    const cohort = { cohort_week: week, users: 0, suppressed: false, retention: {}, funnel: {}, streaks: {} };
+
+    if (size === 0) return cohort;
+    if (privacy.isSuppressed(size)) {
+      suppressed += 1;
+      return { ...cohort, users: null, suppressed: true };
+    }
+    cohort.users = privacy.noisyCount(size, `cohort:${week}`);
+
+    // Noised count of a cell and its share of the noised cohort size; null when withheld
+    const cell = (count, cellKey) => {
+      if (privacy.isSuppressed(count)) {
+        suppressedCells += 1;
+        return null;
+      }
+      const noised = privacy.noisyCount(count, cellKey);
+      const percent = cohort.users > 0 ? Math.min(100, Math.round((noised / cohort.users) * 1000) / 10) : 0;
+      return { users: noised, percent };
+    };
+
+    // A day is measurable once the cohort's last signup day has reached it
+    RETENTION_DAYS.forEach(day => {
+      const measurable = daysBetween(addDays(week, 6 + day), today) >= 0;
+      const active = distinctPeople(ownActivity.filter(row => row.name === `${week}:${day}`));
+      const retained = measurable ? cell(active, `cohort:${week}:day:${day}`) : null;
+      cohort.retention[`day_${day}`] = retained ? retained.percent : null;
+    });
+
+    FUNNEL.forEach(step => {
+      const reached = ownMilestones.filter(row => row.name === `${week}:${step}`)
+        .reduce((total, row) => total + row.count, 0);
+      cohort.funnel[step] = cell(reached, `cohort:${week}:funnel:${step}`) || { users: null, percent: null };
+    });
+
+    const streaks = [...daysByPerson.values()]
+      .filter(person => person.cohort === week)
+      .map(person => longestStreak([...person.dates].sort()));
+    STREAK_BUCKETS.forEach(bucket => {
+      const people = streaks.filter(streak => streak >= bucket.min && streak <= bucket.max).length;
+      const streak = cell(people, `cohort:${week}:streak:${bucket.label}`);
+      cohort.streaks[bucket.label] = streak ? streak.users : null;
+    });
+
+    return cohort;
+  });
+
+  return {
+    weeks,
+    from: firstWeek,
+    to: today,
+    retention_days: RETENTION_DAYS,
+    funnel_steps: FUNNEL,
+    streak_window: { from: rawFrom, to: today },
+    cohorts,
+    privacy: {
+      mechanism: 'laplace',
+      epsilon: privacy.DP_EPSILON,
+      k_anonymity: privacy.K_ANONYMITY,
+      suppressed_cohorts: suppressed,
+      suppressed_cells: suppressedCells
+    }
+  };
+}
+
+// One CSV row per cohort; suppressed and not-yet-measurable cells are empty
+function cohortCsvRows(report) {
+  return report.cohorts.map(cohort => {
+    const row = { cohort_week: cohort.cohort_week, users: cohort.users };
+    RETENTION_DAYS.forEach(day => { row[`day_${day}_retention_percent`] = cohort.retention[`day_${day}`]; });
+    FUNNEL.forEach(step => { row[`funnel_${step}_users`] = cohort.funnel[step] ? cohort.funnel[step].users : null; });
+    STREAK_BUCKETS.forEach(bucket => { row[`streak_${bucket.label}_users`] = cohort.streaks[bucket.label]; });
+    return row;
+  });
+}
+
+module.exports = {
+  FUNNEL,
+  CSV_COLUMNS,
+  cohortOf,
+  reachesFunnelStep,
+  validateCohortOptions,
+  buildCohortReport,
+  cohortCsvRows
+};
@@ -0,0 +1,169 @@
+// src/utils/analytics-privacy.js - Consent, Pseudonyms and Disclosure Control for Analytics
+//
+// Nothing is recorded about a signed-in user until they opt in. Identifiers that are
+// recorded are replaced by keyed hashes whose salt rotates every ANALYTICS_SALT_ROTATION_DAYS;
+// retired salts are destroyed, so events from different periods cannot be linked back
+// together. Event names and properties must match an allow-list - free text, where
+// someone's own words could end up, is rejected. Counts leave getAnalytics with
+// Laplace noise (differential privacy, one event per count) and cells reached by fewer
+// than ANALYTICS_K_ANONYMITY people are suppressed.
+const crypto = require('crypto');
+const db = require('../db');
+const { getSystemSecret, removeSystemSecrets } = require('./encryption');
+
+const CONSENT_PURPOSES = ['analytics'];
+
+const SALT_ROTATION_DAYS = parseInt(process.env.ANALYTICS_SALT_ROTATION_DAYS) || 30;
+const K_ANONYMITY = parseInt(process.env.ANALYTICS_K_ANONYMITY) || 5;
+const DP_EPSILON = parseFloat(process.env.ANALYTICS_DP_EPSILON) || 1;
+
+// Names, actions and string properties are short identifiers, never sentences
+const TOKEN_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,63}$/;
+// Page paths, without query strings or fragments
+const PAGE_PATTERN = /^\/?[A-Za-z0-9_.-]{0,64}(\/[A-Za-z0-9_.-]{1,64}){0,7}\/?$/;
+
+// The only properties an event may carry, and what each one holds
+const PROPERTY_SCHEMA = {
+  value: 'number',
+  duration: 'number',
+  count: 'integer',
+  variant: 'token',
+  source: 'token',
+  status: 'token'
+};
+
+let currentSalt = null;
+
+function latestConsent(userId, purpose) {
+  const [record] = db.collection('consent_records').find(
+    { user_id: userId, purpose },
+    { orderBy: 'created_at', direction: 'desc', limit: 1 }
+  );
+  return record || null;
+}
+
+// { analytics: { granted, updated_at } }; a purpose never answered counts as not granted
+function getConsents(userId) {
+  const consents = {};
+  CONSENT_PURPOSES.forEach(purpose => {
+    const record = latestConsent(userId, purpose);
+    consents[purpose] = {
+      granted: record ? record.granted : false,
+      updated_at: record ? record.created_at : null
+    };
+  });
+  return consents;
+}
+
+function hasConsent(userId, purpose = 'analytics') {
+  const record = latestConsent(userId, purpose);
+  return Boolean(record && record.granted);
+}
+
+// Every answer is kept, so when someone opted in or out can always be shown;
+// first_grant is true the first time a purpose is ever granted
+function setConsent(userId, purpose, granted) {
+  const firstGrant = granted && db.collection('consent_records').count({ user_id: userId, purpose, granted: true }) === 0;
+  db.collection('consent_records').insert({
+    user_id: userId,
+    purpose,
+    granted,
+    created_at: new Date().toISOString()
+  });
+
+  // Withdrawing also deletes the raw events still linked to the user's current pseudonym
+  let erasedEvents = 0;
+  if (!granted && purpose === 'analytics') {
+    erasedEvents = db.collection('analytics_events').removeWhere({ actor: pseudonymize('user', userId) });
+  }
+  return { consents: getConsents(userId), erased_events: erasedEvents, first_grant: firstGrant };
+}
+
+// Salt of the current rotation period; older ones are destroyed once a new one exists
+function saltFor(now = new Date()) {
+  const epoch = Math.floor(now.getTime() / (SALT_ROTATION_DAYS * 24 * 60 * 60 * 1000));
+  if (!currentSalt || currentSalt.epoch !== epoch) {
+    const name = `analytics-salt:${epoch}`;
+    currentSalt = { epoch, salt: getSystemSecret('analytics-salt', name) };
+    removeSystemSecrets('analytics-salt', name);
+  }
+  return currentSalt.salt;
+}
+
+// Stable within a rotation period, unlinkable across them; `kind` keeps a user id and a
+// session id with the same value apart
+function pseudonymize(kind, value) {
+  if (value === undefined || value === null || value === '') return null;
+  return crypto.createHmac('sha256', saltFor()).update(`${kind}:${value}`).digest('hex').slice(0, 16);
+}
+
+function isToken(value) {
+  return typeof value === 'string' && TOKEN_PATTERN.test(value);
+}
+
+function isPage(value) {
+  return typeof value === 'string' && PAGE_PATTERN.test(value);
+}
+
+// Error message for the first property outside the allow-list, or null
+function validateProperties(properties) {
+  if (properties === undefined || properties === null) return null;
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    return 'properties must be an object';
+  }
+
+  for (const [key, value] of Object.entries(properties)) {
+    const kind = PROPERTY_SCHEMA[key];
+    if (!kind) {
+      return `Property "${key}" is not allowed; allowed properties are ${Object.keys(PROPERTY_SCHEMA).join(', ')}`;
+    }
+    if (value === null) continue;
+
+    const valid = kind === 'number' ? typeof value === 'number' && Number.isFinite(value) :
+                  kind === 'integer' ? Number.isInteger(value) :
+                  isToken(value);
+    if (!valid) {
+      return kind === 'token' ?
+        `Property "${key}" must be a short identifier (letters, digits, _ . : -), not free text` :
+        `Property "${key}" must be ${kind === 'integer' ? 'a whole number' : 'a number'}`;
+    }
+  }
+  return null;
+}
+
+// Deterministic per cell and count, so asking again cannot average the noise away
+function laplaceNoise(cellKey, count) {
+  const digest = crypto.createHmac('sha256', getSystemSecret('analytics-noise', 'analytics-noise'))
+    .update(`${cellKey}:${count}`)
+    .digest();
+  const u = (digest.readUIntBE(0, 6) + 0.5) / 2 ** 48 - 0.5;
+  return -(1 / DP_EPSILON) * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+}
+
+// Zeros are noised too: releasing them exactly would tell apart a cell nobody is in
+function noisyCount(count, cellKey) {
+  return Math.max(0, Math.round(count + laplaceNoise(cellKey, count)));
+}
+
+// Cells with identifiable people below the threshold are withheld; counts with no
+// identifier at all (e.g. anonymous TTS requests) only get noise
+function isSuppressed(uniqueActors) {
+  return uniqueActors > 0 && uniqueActors < K_ANONYMITY;
+}
+
+module.exports = {
+  CONSENT_PURPOSES,
+  PROPERTY_SCHEMA,
+  K_ANONYMITY,
+  DP_EPSILON,
+  SALT_ROTATION_DAYS,
+  getConsents,
+  hasConsent,
+  setConsent,
+  pseudonymize,
+  isToken,
+  isPage,
+  validateProperties,
+  noisyCount,
+  isSuppressed
+};
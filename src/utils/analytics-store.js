@@ -0,0 +1,339 @@
+// src/utils/analytics-store.js - Persisted Analytics Events and Rollups
+//
+// Every tracked page view, feature event, engagement and performance sample is appended
+// to analytics_events and never changed. Reports read hourly and daily rollups instead,
+// which are recomputed from the raw events of each bucket that received new ones - so a
+// rollup can be rebuilt any number of times, by any process, with the same result.
+// Buckets are wall-clock hours and days in the reporting zone (DEFAULT_TIME_ZONE).
+// Raw events, hourly and daily rollups are each kept for their own retention period.
+//
+// Daily rows also keep a HyperLogLog sketch of who they count, so distinct people over
+// any range of days can be estimated once the raw events are gone. Sessions are rolled
+// up per day from the events sharing a session id: a gap of SESSION_TIMEOUT_MINUTES
+// starts a new one, and a session is a bounce unless it saw a second page view or
+// lasted ENGAGED_SESSION_SECONDS.
+//
+// Events of consenting users carry their signup week (cohort) and how many days after
+// signup they happened, so daily rows can also count each cohort's active people per
+// day since signup and the funnel milestones it reached - without linking pseudonyms
+// across salt rotations.
+const winston = require('winston');
+const db = require('../db');
+const { localDate, localHour, addDays } = require('./time-zones');
+const { createSketch, addToSketch, encodeSketch } = require('./hyperloglog');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const EVENT_TYPES = [
+  'page_view',
+  'feature_event',
+  'engagement',
+  'performance',
+  // Domain activity, recorded from the event bus
+  'journal_entry',
+  'mood_entry',
+  'tts_request',
+  'crisis_report',
+  // Firsts that mark a user's progress through the adoption funnel (see analytics-cohorts.js)
+  'milestone'
+];
+// Rollup rows named ALL total a type across names
+const ALL = '*';
+
+// Raw events must outlive the rollup of the day they belong to
+const RAW_RETENTION_DAYS = Math.max(parseInt(process.env.ANALYTICS_RAW_RETENTION_DAYS) || 30, 2);
+const HOURLY_RETENTION_DAYS = parseInt(process.env.ANALYTICS_HOURLY_RETENTION_DAYS) || 90;
+const DAILY_RETENTION_DAYS = parseInt(process.env.ANALYTICS_DAILY_RETENTION_DAYS) || 730;
+const SESSION_TIMEOUT_MINUTES = parseInt(process.env.ANALYTICS_SESSION_TIMEOUT_MINUTES) || 30;
+const ENGAGED_SESSION_SECONDS = 10;
+const WORKER_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 1000;
+
+let workerTimer = null;
+
+function recordEvent({ type, name, action, actor, sessionId, value, statusCode, properties, cohort, cohortDay }) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown analytics event type: ${type}`);
+  }
+  const now = new Date();
+  return db.collection('analytics_events').insert({
+    type,
+    name: String(name),
+    action: action || undefined,
+    actor: actor === undefined || actor === null ? undefined : String(actor),
+    session_id: sessionId || undefined,
+    value: Number.isFinite(value) ? value : undefined,
+    status_code: Number.isInteger(statusCode) ? statusCode : undefined,
+    properties: properties && typeof properties === 'object' && Object.keys(properties).length > 0 ? properties : undefined,
+    cohort: cohort || undefined,
+    cohort_day: Number.isInteger(cohortDay) ? cohortDay : undefined,
+    occurred_at: now.toISOString(),
+    date: localDate(now),
+    hour: localHour(now)
+  });
+}
+
+// One row per type and name plus a total per type
+function summarize(events) {
+  const rows = new Map();
+  const add = (type, name, event) => {
+    const key = `${type}\u0000${name}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        type,
+        name,
+        count: 0,
+        actors: new Set(),
+        value_sum: 0,
+        value_max: null,
+        error_count: 0,
+        actions: {},
+        first_at: event.occurred_at,
+        last_at: event.occurred_at
+      });
+    }
+    const row = rows.get(key);
+    row.count += 1;
+    if (event.actor || event.session_id) row.actors.add(event.actor || `session:${event.session_id}`);
+    if (event.value !== null && event.value !== undefined) {
+      row.value_sum += event.value;
+      row.value_max = row.value_max === null ? event.value : Math.max(row.value_max, event.value);
+    }
+    if (event.status_code >= 400) row.error_count += 1;
+    if (event.action) row.actions[event.action] = (row.actions[event.action] || 0) + 1;
+    if (event.occurred_at < row.first_at) row.first_at = event.occurred_at;
+    if (event.occurred_at > row.last_at) row.last_at = event.occurred_at;
+  };
+
+  events.forEach(event => {
+    add(event.type, event.name, event);
+    add(event.type, ALL, event);
+  });
+  return [...rows.values()];
+}
+
+// One synthetic "session" event per session in `events`, named engaged or bounce, valued
+// at its length in seconds and dated when it started. Only a day's events are seen, so a
+// session running past midnight counts on both days.
+function sessionEvents(events) {
+  const bySession = new Map();
+  events.filter(event => event.session_id).forEach(event => {
+    if (!bySession.has(event.session_id)) bySession.set(event.session_id, []);
+    bySession.get(event.session_id).push(event);
+  });
+
+  const sessions = [];
+  const close = session => {
+    const seconds = (Date.parse(session.last_at) - Date.parse(session.occurred_at)) / 1000;
+    const engaged = session.page_views >= 2 || seconds >= ENGAGED_SESSION_SECONDS;
+    sessions.push({
+      type: 'session',
+      name: engaged ? 'engaged' : 'bounce',
+      actor: session.actor,
+      session_id: session.session_id,
+      value: seconds,
+      occurred_at: session.occurred_at
+    });
+  };
+
+  bySession.forEach(sessionEvents => {
+    sessionEvents.sort((a, b) => a.occurred_at.localeCompare(b.occurred_at));
+    let current = null;
+    sessionEvents.forEach(event => {
+      const gap = current ? Date.parse(event.occurred_at) - Date.parse(current.last_at) : Infinity;
+      if (gap > SESSION_TIMEOUT_MINUTES * 60 * 1000) {
+        if (current) close(current);
+        current = { session_id: event.session_id, actor: null, occurred_at: event.occurred_at, last_at: event.occurred_at, page_views: 0 };
+      }
+      current.last_at = event.occurred_at;
+      current.actor = current.actor || event.actor;
+      if (event.type === 'page_view') current.page_views += 1;
+    });
+    close(current);
+  });
+  return sessions;
+}
+
+// Synthetic events counting each cohort's activity by day since signup, and its milestones
+function cohortEvents(events) {
+  return events.filter(event => event.cohort && event.actor && event.type !== 'performance').map(event => ({
+    type: event.type === 'milestone' ? 'cohort_milestone' : 'cohort_activity',
+    name: event.type === 'milestone' ? `${event.cohort}:${event.name}` : `${event.cohort}:${event.cohort_day}`,
+    actor: event.actor,
+    occurred_at: event.occurred_at
+  }));
+}
+
+// Replace a bucket's rollups with ones computed from all of its raw events
+function writeBucket(granularity, bucket, events, throughEventId) {
+  const rollups = db.collection('analytics_rollups');
+  const updatedAt = new Date().toISOString();
+  const rows = granularity === 'day' ?
+    summarize(events.concat(sessionEvents(events), cohortEvents(events))) :
+    summarize(events);
+
+  rows.forEach(row => {
+    const values = {
+      count: row.count,
+      unique_actors: row.actors.size,
+      actors_hll: granularity === 'day' && row.actors.size > 0 ?
+        encodeSketch([...row.actors].reduce(addToSketch, createSketch())) : null,
+      value_sum: row.value_sum,
+      value_max: row.value_max,
+      error_count: row.error_count,
+      actions: Object.keys(row.actions).length > 0 ? row.actions : null,
+      first_at: row.first_at,
+      last_at: row.last_at,
+      last_event_id: throughEventId,
+      updated_at: updatedAt
+    };
+    const existing = rollups.findOne({ granularity, bucket, type: row.type, name: row.name });
+    if (existing) {
+      rollups.update(existing.id, values);
+    } else {
+      rollups.insert({ granularity, bucket, type: row.type, name: row.name, ...values });
+    }
+  });
+}
+
+// Every event up to this id is reflected in the rollups
+function rolledUpThrough() {
+  const [latest] = db.collection('analytics_rollups').find({}, {
+    orderBy: 'last_event_id',
+    direction: 'desc',
+    limit: 1
+  });
+  return latest ? latest.last_event_id : 0;
+}
+
+// Roll up events recorded since the last run; returns how many were new. The worker
+// calls it on every run, so reports read rollups at most WORKER_INTERVAL_MS behind.
+function refreshRollups() {
+  const events = db.collection('analytics_events');
+  let through = rolledUpThrough();
+  let rolled = 0;
+
+  try {
+    for (;;) {
+      const pending = events.find({ id: { gt: through } }, { orderBy: 'id', limit: BATCH_SIZE });
+      if (pending.length === 0) break;
+
+      const batchEnd = pending[pending.length - 1].id;
+      const hours = new Set(pending.map(event => event.hour));
+      const dates = new Set(pending.map(event => event.date));
+      db.transaction(() => {
+        hours.forEach(hour => writeBucket('hour', hour, events.find({ hour }), batchEnd));
+        dates.forEach(date => writeBucket('day', date, events.find({ date }), batchEnd));
+      });
+
+      through = batchEnd;
+      rolled += pending.length;
+    }
+  } catch (error) {
+    // Another process rolling up the same buckets; whatever is left is picked up next run
+    logger.warn('Analytics rollup interrupted', { error: error.message, rolled });
+  }
+  return rolled;
+}
+
+// Rollup rows of `type` for the days from..to (YYYY-MM-DD, inclusive)
+function dailyRollups(type, from, to) {
+  return db.collection('analytics_rollups').find(
+    { granularity: 'day', type, bucket: { gte: from, lte: to } },
+    { orderBy: 'bucket' }
+  );
+}
+
+function hourlyRollups(type, from, to) {
+  return db.collection('analytics_rollups').find(
+    { granularity: 'hour', type, bucket: { gte: `${from}T00`, lte: `${to}T23` } },
+    { orderBy: 'bucket' }
+  );
+}
+
+// The newest raw events of `type` on or after `from` (YYYY-MM-DD), oldest first
+function recentEvents(type, from, limit = 100) {
+  return db.collection('analytics_events')
+    .find({ type, date: { gte: from } }, { orderBy: 'id', direction: 'desc', limit })
+    .reverse();
+}
+
+// Raw events of the given cohorts on or after `from`, for per-person measures such as streaks
+function cohortRawEvents(cohorts, from) {
+  return db.collection('analytics_events').find(
+    { cohort: { in: cohorts }, date: { gte: from }, actor: { ne: null } },
+    { orderBy: 'date' }
+  );
+}
+
+// First day raw events are still kept for
+function rawEventsFrom(now = new Date()) {
+  return addDays(localDate(now), -(RAW_RETENTION_DAYS - 1));
+}
+
+// Drop what is past retention; raw events only after their buckets are rolled up
+function prune(now = new Date()) {
+  refreshRollups();
+  const today = localDate(now);
+  const rollups = db.collection('analytics_rollups');
+
+  const removed = {
+    events: db.collection('analytics_events').removeWhere({
+      occurred_at: { lt: new Date(now.getTime() - RAW_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString() }
+    }),
+    hourly: rollups.removeWhere({ granularity: 'hour', bucket: { lt: `${addDays(today, -HOURLY_RETENTION_DAYS)}T00` } }),
+    daily: rollups.removeWhere({ granularity: 'day', bucket: { lt: addDays(today, -DAILY_RETENTION_DAYS) } })
+  };
+  if (removed.events + removed.hourly + removed.daily > 0) {
+    logger.info('Analytics data past retention removed', removed);
+  }
+  return removed;
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    try {
+      prune();
+    } catch (error) {
+      logger.error('Analytics worker run failed', { error: error.message });
+    }
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  logger.info('Analytics worker started', {
+    intervalMs: WORKER_INTERVAL_MS,
+    rawRetentionDays: RAW_RETENTION_DAYS,
+    hourlyRetentionDays: HOURLY_RETENTION_DAYS,
+    dailyRetentionDays: DAILY_RETENTION_DAYS
+  });
+}
+
+function stopWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  ALL,
+  EVENT_TYPES,
+  SESSION_TIMEOUT_MINUTES,
+  RAW_RETENTION_DAYS,
+  HOURLY_RETENTION_DAYS,
+  DAILY_RETENTION_DAYS,
+  recordEvent,
+  refreshRollups,
+  dailyRollups,
+  hourlyRollups,
+  recentEvents,
+  cohortRawEvents,
+  rawEventsFrom,
+  prune,
+  startWorker,
+  stopWorker
+};
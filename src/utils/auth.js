@@ -0,0 +1,190 @@
+// src/utils/auth.js - Password Hashing, JWT Access Tokens and Rotating Refresh Tokens
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Clinicians work the crisis report queue; admins can do everything clinicians can
+const ROLES = ['user', 'clinician', 'admin'];
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is required');
+  }
+  return secret;
+}
+
+async function hashPassword(password) {
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  return bcrypt.hash(password, rounds);
+}
+
+async function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 is ever stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, role: user.role },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, algorithm: 'HS256' }
+  );
+}
+
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+    return {
+      id: Number(payload.sub),
+      email: payload.email,
+      role: payload.role
+    };
+  } catch (error) {
+    throw new AuthError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+  }
+}
+
+function createRefreshToken(userId, familyId = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = db.collection('refresh_tokens').insert({
+    user_id: userId,
+    token_hash: hashToken(token),
+    family_id: familyId,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+  return { token, record };
+}
+
+function buildTokenResponse(user, refresh) {
+  return {
+    access_token: signAccessToken(user),
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_EXPIRES_IN,
+    refresh_token: refresh.token,
+    refresh_token_expires_at: refresh.record.expires_at
+  };
+}
+
+// Start a new token family, e.g. on login or registration
+function issueTokens(user) {
+  return buildTokenResponse(user, createRefreshToken(user.id));
+}
+
+function revokeFamily(familyId) {
+  const tokens = db.collection('refresh_tokens');
+  const now = new Date().toISOString();
+  tokens.find({ family_id: familyId, revoked_at: null }).forEach(token => {
+    tokens.update(token.id, { revoked_at: now });
+  });
+}
+
+// Exchange a refresh token for a new pair. Each refresh token is single-use: presenting
+// one that was already rotated means it leaked, so the whole token family is revoked.
+function rotateRefreshToken(token) {
+  const result = db.transaction(() => {
+    const tokens = db.collection('refresh_tokens');
+    const existing = tokens.findOne({ token_hash: hashToken(token) });
+
+    if (!existing) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    // Revocation must commit, so report failures instead of throwing inside the transaction
+    if (existing.revoked_at) {
+      revokeFamily(existing.family_id);
+      return { error: 'Refresh token reuse detected - please sign in again' };
+    }
+
+    if (existing.expires_at < new Date().toISOString()) {
+      return { error: 'Refresh token expired' };
+    }
+
+    const user = db.collection('users').findById(existing.user_id);
+    if (!user) {
+      return { error: 'Account no longer exists' };
+    }
+
+    const refresh = createRefreshToken(user.id, existing.family_id);
+    tokens.update(existing.id, { revoked_at: new Date().toISOString(), replaced_by: refresh.record.id });
+
+    return { user, tokens: buildTokenResponse(user, refresh) };
+  });
+
+  if (result.error) {
+    throw new AuthError(result.error);
+  }
+  return result;
+}
+
+function revokeRefreshToken(token) {
+  const existing = db.collection('refresh_tokens').findOne({ token_hash: hashToken(token) });
+  if (existing) {
+    revokeFamily(existing.family_id);
+  }
+  return !!existing;
+}
+
+// Public view of a user record - never expose the password hash
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    time_zone: user.time_zone || null,
+    created_at: user.created_at,
+    last_login_at: user.last_login_at
+  };
+}
+
+// Change a user's role and sign them out everywhere so the new role applies at next login
+function setUserRole(email, role) {
+  if (!ROLES.includes(role)) {
+    throw new AuthError(`Role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+
+  const users = db.collection('users');
+  const user = users.findOne({ email: String(email).trim().toLowerCase() });
+  if (!user) {
+    throw new AuthError('User not found', 404);
+  }
+
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    db.collection('refresh_tokens').find({ user_id: user.id, revoked_at: null }).forEach(token => {
+      db.collection('refresh_tokens').update(token.id, { revoked_at: now });
+    });
+    return toPublicUser(users.update(user.id, { role, updated_at: now }));
+  });
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  setUserRole,
+  toPublicUser
+};
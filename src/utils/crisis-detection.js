@@ -0,0 +1,266 @@
+// src/utils/crisis-detection.js - Contextual Crisis Detection Engine
+//
+// Local rule-and-scoring engine: phrase patterns with optional gaps, negation and
+// figurative-use suppression, inflection- and typo-tolerant matching and weighted risk
+// categories.
+// Results are stored unencrypted next to entries, so they only ever name the rule's
+// canonical phrase - never the words the user actually wrote.
+
+// Categories and the weight a single strong match carries
+const CATEGORIES = {
+  suicidal_ideation: { label: 'Suicidal ideation', weight: 0.95 },
+  self_harm: { label: 'Self-harm', weight: 0.9 },
+  hopelessness: { label: 'Hopelessness', weight: 0.55 },
+  panic: { label: 'Panic and acute distress', weight: 0.3 }
+};
+
+// Phrases are written in normalized form (lowercase, no apostrophes). "*" allows one
+// optional word in between, e.g. "take my * life" also matches "take my own life", and
+// each word also matches its inflections ("end my life" matches "ending my life").
+// A rule weight scales its category weight for weaker phrasings.
+const RULES = [
+  { category: 'suicidal_ideation', phrases: ['kill myself', 'suicide', 'suicidal', 'end my life', 'end it all', 'take my * life', 'want to die', 'wanted to die', 'wanting to die', 'wanna die', 'wish i was dead', 'wish i were dead', 'better off dead', 'better off without me', 'dont want to be alive', 'dont want to live', 'dont want to wake up', 'no reason to live', 'no reason to keep going', 'no reason to go on', 'not worth living', 'ready to die', 'no one would miss me', 'nobody would miss me'] },
+  { category: 'suicidal_ideation', weight: 0.7, phrases: ['disappear forever', 'not be here anymore', 'dont want to be here', 'cant do this anymore', 'goodbye forever', 'if i was gone', 'if i were gone', 'when im gone'] },
+  { category: 'self_harm', phrases: ['hurt myself', 'harm myself', 'self harm', 'selfharm', 'cut myself', 'burn myself', 'overdose', 'od on'] },
+  { category: 'self_harm', weight: 0.6, phrases: ['punish myself', 'relapsed', 'urge to cut', 'cut again', 'started cutting'] },
+  { category: 'hopelessness', phrases: ['hopeless', 'worthless', 'no way out', 'no point in anything', 'no point anymore', 'nothing will ever get better', 'never going to get better', 'cant go on', 'give up on everything', 'giving up on life', 'i am a burden', 'im a burden', 'such a burden', 'trapped'] },
+  { category: 'hopelessness', weight: 0.6, phrases: ['pointless', 'empty inside', 'nobody would care', 'no one would care', 'no one would notice'] },
+  { category: 'panic', phrases: ['panic attack', 'anxiety attack', 'cant breathe', 'cant cope', 'cant stop shaking', 'heart is racing'] },
+  { category: 'panic', weight: 0.7, phrases: ['panic', 'panicking', 'overwhelming', 'overwhelmed', 'falling apart'] }
+];
+
+// Everyday idioms that contain crisis words but are not crisis language
+const FIGURATIVE_PHRASES = [
+  'die laughing', 'dying laughing', 'died laughing', 'dying to', 'to die for', 'die of embarrassment',
+  'killing it', 'killed it', 'kill time', 'killing time', 'killing me softly', 'bored to death',
+  'dead tired', 'cut myself some slack', 'cut myself a', 'cut myself off', 'panic buying', 'panic buy',
+  'dont panic', 'no need to panic', 'worthless junk', 'overwhelming support', 'overwhelmingly positive',
+  'trapped in traffic', 'trapped at work', 'suicide squad', 'suicide prevention', 'got cut again',
+  'power cut'
+];
+
+// Looking back on a past crisis still matters, but less than present-tense language
+const HISTORICAL_PHRASES = ['used to', 'years ago', 'months ago', 'in the past', 'back then', 'when i was younger', 'no longer'];
+const HISTORICAL_FACTOR = 0.5;
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', 'doesnt', 'didnt', 'wont', 'wouldnt', 'isnt', 'wasnt', 'arent', 'without', 'nor', 'stopped']);
+// Real words one typo away from a crisis word ("tripped" is not "trapped")
+const FUZZY_EXCLUSIONS = new Set(['tripped', 'trapper', 'suicider', 'hopeful', 'worthies']);
+const CLAUSE_BREAKS = new Set(['but', 'although', 'though', 'however', 'yet']);
+// Suffixes dropped so a word matches its inflections, longest first
+const INFLECTIONS = ['ing', 'ed', 'es', 's'];
+const MIN_STEM_LENGTH = 3;
+const NEGATION_WINDOW = 3;
+const DETECTION_THRESHOLD = 0.4;
+const SEVERITY_THRESHOLDS = [
+  { severity: 'critical', score: 0.9 },
+  { severity: 'high', score: 0.7 },
+  { severity: 'medium', score: DETECTION_THRESHOLD }
+];
+
+// Lowercase words with apostrophes dropped ("can't" -> "cant"), tagged with a clause
+// number so negation never reaches across a comma, a sentence or "but".
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /([\p{L}\p{N}]+(?:['’][\p{L}]+)*)|([.,!?;:\n]+)/gu;
+  let clause = 0;
+  let match;
+
+  while ((match = pattern.exec(text.toLowerCase())) !== null) {
+    if (match[2]) {
+      clause += 1;
+      continue;
+    }
+    const word = match[1].replace(/['’]/g, '');
+    if (CLAUSE_BREAKS.has(word)) clause += 1;
+    tokens.push({ word, clause });
+  }
+
+  return tokens;
+}
+
+// Optimal string alignment distance, capped so long inputs stay cheap
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// A word without its inflectional suffix, undoubling the final consonant it may have
+// gained ("cutting" -> "cut", "killed" -> "kill", "ends" -> "end")
+function stem(word) {
+  const suffix = INFLECTIONS.find(ending => word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH);
+  if (!suffix) return word;
+  const base = word.slice(0, -suffix.length);
+  return /([bdgklmnprt])\1$/.test(base) && !base.endsWith('ll') ? base.slice(0, -1) : base;
+}
+
+// Inflections of the same word match exactly. Short words must match exactly ("die" vs "did"); longer ones tolerate one typo after
+// the first letter. Words inside a multi-word phrase have context, so shorter words
+// qualify there ("kil myslef").
+function wordMatches(expected, actual, inPhrase) {
+  if (expected === actual || stem(expected) === stem(actual)) return { matched: true, fuzzy: false };
+  const minLength = inPhrase ? 4 : 6;
+  if (expected.length < minLength || expected[0] !== actual[0] || FUZZY_EXCLUSIONS.has(actual)) {
+    return { matched: false };
+  }
+  return { matched: editDistance(expected, actual, 1) <= 1, fuzzy: true };
+}
+
+// Try to match a compiled phrase at token index `start`; returns { end, fuzzy } or null
+function matchAt(phraseWords, tokens, start) {
+  let index = start;
+  let fuzzy = false;
+  const inPhrase = phraseWords.length > 1;
+
+  for (let p = 0; p < phraseWords.length; p++) {
+    const expected = phraseWords[p];
+
+    if (expected === '*') {
+      // Optional single word: skip it only if the next phrase word does not match here
+      const next = tokens[index] && wordMatches(phraseWords[p + 1], tokens[index].word, inPhrase);
+      if (!(next && next.matched)) index += 1;
+      continue;
+    }
+
+    const token = tokens[index];
+    if (!token || token.clause !== tokens[start].clause) return null;
+    const result = wordMatches(expected, token.word, inPhrase);
+    if (!result.matched) return null;
+    fuzzy = fuzzy || result.fuzzy;
+    index += 1;
+  }
+
+  return { end: index, fuzzy };
+}
+
+function findSpans(phrases, tokens) {
+  const spans = [];
+  phrases.forEach(phrase => {
+    const words = phrase.split(' ');
+    for (let start = 0; start < tokens.length; start++) {
+      const match = matchAt(words, tokens, start);
+      if (match) spans.push({ phrase, start, end: match.end, fuzzy: match.fuzzy });
+    }
+  });
+  return spans;
+}
+
+function negatorBefore(tokens, start) {
+  for (let i = start - 1; i >= Math.max(0, start - NEGATION_WINDOW); i--) {
+    if (tokens[i].clause !== tokens[start].clause) return null;
+    if (NEGATIONS.has(tokens[i].word)) return tokens[i].word;
+  }
+  return null;
+}
+
+function isHistorical(historical, tokens, start) {
+  return historical.some(span => tokens[span.start].clause === tokens[start].clause && span.start < start);
+}
+
+function severityFor(score) {
+  const level = SEVERITY_THRESHOLDS.find(threshold => score >= threshold.score);
+  return level ? level.severity : 'low';
+}
+
+// Analyze free text. Keeps the { detected, keywords, severity } shape callers already
+// use and adds the overall score, per-category scores and an explanation per match.
+function detectCrisis(text) {
+  const tokens = tokenize(typeof text === 'string' ? text : '');
+  const figurative = findSpans(FIGURATIVE_PHRASES, tokens);
+  const historical = findSpans(HISTORICAL_PHRASES, tokens);
+  const matches = [];
+  const suppressed = [];
+  const claimed = new Set();
+
+  RULES.forEach(rule => {
+    const ruleWeight = CATEGORIES[rule.category].weight * (rule.weight || 1);
+
+    findSpans(rule.phrases, tokens).forEach(span => {
+      // Overlapping phrases ("kill myself" inside "killing myself") count once
+      const key = `${span.start}:${rule.category}`;
+      if (claimed.has(key)) return;
+
+      const idiom = figurative.find(other => other.start <= span.start && other.end >= span.start + 1);
+      if (idiom) {
+        suppressed.push({ category: rule.category, phrase: span.phrase, reason: `figurative use ("${idiom.phrase}")` });
+        return;
+      }
+
+      const negator = negatorBefore(tokens, span.start);
+      if (negator) {
+        suppressed.push({ category: rule.category, phrase: span.phrase, reason: `negated ("${negator}")` });
+        return;
+      }
+
+      const past = isHistorical(historical, tokens, span.start);
+      const weight = Math.round(ruleWeight * (past ? HISTORICAL_FACTOR : 1) * 100) / 100;
+      const notes = [span.fuzzy && 'approximate spelling', past && 'past tense'].filter(Boolean);
+
+      claimed.add(key);
+      matches.push({
+        category: rule.category,
+        phrase: span.phrase,
+        weight,
+        fuzzy: span.fuzzy,
+        explanation: `Matched "${span.phrase}"${notes.length ? ` (${notes.join(', ')})` : ''} - ` +
+          `${CATEGORIES[rule.category].label.toLowerCase()}, weight ${weight}`
+      });
+    });
+  });
+
+  // Distinct phrases within a category reinforce each other, but several weak phrasings
+  // never outweigh the category's strongest phrasing. The overall score combines the
+  // categories as independent signals: 1 - prod(1 - category score).
+  const categories = {};
+  const seen = new Set();
+  matches.forEach(match => {
+    if (seen.has(match.phrase)) return;
+    seen.add(match.phrase);
+    const current = categories[match.category] || 0;
+    categories[match.category] = Math.min(
+      CATEGORIES[match.category].weight,
+      1 - (1 - current) * (1 - match.weight)
+    );
+  });
+  Object.keys(categories).forEach(category => {
+    categories[category] = Math.round(categories[category] * 100) / 100;
+  });
+
+  const score = Math.round(
+    (1 - Object.values(categories).reduce((remaining, value) => remaining * (1 - value), 1)) * 100
+  ) / 100;
+  const detected = score >= DETECTION_THRESHOLD;
+
+  return {
+    detected,
+    keywords: [...new Set(matches.map(match => match.phrase))],
+    severity: detected ? severityFor(score) : 'low',
+    score,
+    categories,
+    matches,
+    suppressed
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  RULES,
+  DETECTION_THRESHOLD,
+  detectCrisis
+};
@@ -0,0 +1,449 @@
+// src/utils/crisis-directory.js - Region-Aware Crisis Resource Directory
+//
+// Crisis lines live in src/data/crisis-resources: one file per country (us.json, gb.json,
+// ...) plus intl.json for countries we have no entry for, and common.json for the
+// category titles, banner labels and self-care techniques shared by all of them. Any
+// text shown to users is either a plain string or an object keyed by language.
+const fs = require('fs');
+const path = require('path');
+const openingHours = require('./opening-hours');
+
+const DIRECTORY_DIR = path.join(__dirname, '..', 'data', 'crisis-resources');
+const COMMON_FILE = 'common.json';
+const INTERNATIONAL = 'INTL';
+// Only when set; otherwise a request that names no country gets the international entry
+const DEFAULT_COUNTRY = process.env.CRISIS_DEFAULT_COUNTRY ? process.env.CRISIS_DEFAULT_COUNTRY.trim().toUpperCase() : null;
+
+// ISO 3166-1 country, optionally with an ISO 3166-2 subdivision: "CA" or "CA-QC"
+const COUNTRY_PATTERN = /^([A-Z]{2})(?:-([A-Z0-9]{1,3}))?$/;
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+const NUMBER_PATTERN = /^[0-9][0-9 -]{1,19}$/;
+const CATEGORY_KEYS = ['immediate_emergency', 'suicide_prevention', 'mental_health_support', 'specialized_support'];
+const LABEL_KEYS = ['banner', 'emergency', 'suicide_prevention', 'crisis_text', 'more_help', 'daily'];
+const NUMBER_KEYS = ['emergency', 'suicide_prevention', 'crisis_text'];
+
+let directory = null;
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkLocalized(errors, where, value, languages) {
+  if (typeof value === 'string') {
+    if (!value.trim()) errors.push(`${where} must not be empty`);
+    return;
+  }
+  if (!isObject(value)) {
+    errors.push(`${where} must be a string or an object keyed by language`);
+    return;
+  }
+  languages.filter(language => typeof value[language] !== 'string' || !value[language].trim())
+    .forEach(language => errors.push(`${where} is missing a "${language}" translation`));
+  Object.keys(value).filter(language => !languages.includes(language))
+    .forEach(language => errors.push(`${where} has a translation for unlisted language "${language}"`));
+}
+
+function checkUrl(errors, where, value) {
+  try {
+    if (new URL(value).protocol === 'https:') return;
+  } catch (error) {
+    // Reported below
+  }
+  errors.push(`${where} must be an https URL`);
+}
+
+function checkContact(errors, where, contact, languages) {
+  if (!isObject(contact)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  checkLocalized(errors, `${where}.name`, contact.name, languages);
+  checkLocalized(errors, `${where}.description`, contact.description, languages);
+  const hoursError = openingHours.validateHours(contact.hours);
+  if (hoursError) errors.push(`${where}.hours ${hoursError}`);
+
+  if (contact.number === undefined && contact.website === undefined) {
+    errors.push(`${where} needs a number or a website`);
+  }
+  if (contact.number !== undefined && (typeof contact.number !== 'string' || !NUMBER_PATTERN.test(contact.number))) {
+    errors.push(`${where}.number must contain only digits, spaces and dashes`);
+  }
+  if (contact.website !== undefined) checkUrl(errors, `${where}.website`, contact.website);
+}
+
+function checkCategories(errors, where, categories, languages) {
+  if (!isObject(categories)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  Object.entries(categories).forEach(([category, contacts]) => {
+    if (!CATEGORY_KEYS.includes(category)) {
+      errors.push(`${where}.${category} is not a known category (${CATEGORY_KEYS.join(', ')})`);
+      return;
+    }
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      errors.push(`${where}.${category} must be a non-empty array of contacts`);
+      return;
+    }
+    contacts.forEach((contact, index) => checkContact(errors, `${where}.${category}[${index}]`, contact, languages));
+  });
+}
+
+function checkNumbers(errors, where, numbers, required) {
+  if (!isObject(numbers)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  Object.keys(numbers).filter(key => !NUMBER_KEYS.includes(key))
+    .forEach(key => errors.push(`${where}.${key} is not one of ${NUMBER_KEYS.join(', ')}`));
+  NUMBER_KEYS.forEach(key => {
+    const value = numbers[key];
+    if (value === undefined) {
+      if (required) errors.push(`${where}.${key} is required (use null when there is no such service)`);
+    } else if (value === null) {
+      if (key === 'emergency') errors.push(`${where}.emergency must not be null`);
+    } else if (typeof value !== 'string' || !NUMBER_PATTERN.test(value)) {
+      errors.push(`${where}.${key} must contain only digits, spaces and dashes`);
+    }
+  });
+}
+
+function validateCommon(errors, common) {
+  if (!isObject(common)) {
+    errors.push(`${COMMON_FILE} must contain an object`);
+    return [];
+  }
+  const languages = Array.isArray(common.languages) ? common.languages : [];
+  if (!languages.includes('en') || languages.some(language => !LANGUAGE_PATTERN.test(language))) {
+    errors.push(`${COMMON_FILE}: languages must be two-letter codes and include "en"`);
+  }
+
+  LABEL_KEYS.forEach(key => {
+    checkLocalized(errors, `${COMMON_FILE}: labels.${key}`, (common.labels || {})[key], languages);
+  });
+  [...CATEGORY_KEYS, 'self_care_resources'].forEach(category => {
+    const details = (common.categories || {})[category] || {};
+    checkLocalized(errors, `${COMMON_FILE}: categories.${category}.title`, details.title, languages);
+    checkLocalized(errors, `${COMMON_FILE}: categories.${category}.description`, details.description, languages);
+  });
+  if (!Array.isArray(common.self_care_techniques) || common.self_care_techniques.length === 0) {
+    errors.push(`${COMMON_FILE}: self_care_techniques must be a non-empty array`);
+  } else {
+    common.self_care_techniques.forEach((technique, index) => {
+      ['name', 'description', 'duration'].forEach(field => {
+        checkLocalized(errors, `${COMMON_FILE}: self_care_techniques[${index}].${field}`, (technique || {})[field], languages);
+      });
+    });
+  }
+  return languages;
+}
+
+function validateEntry(errors, file, entry, supportedLanguages) {
+  const expectedCode = path.basename(file, '.json').toUpperCase();
+  if (!isObject(entry)) {
+    errors.push(`${file} must contain an object`);
+    return;
+  }
+  if (entry.code !== expectedCode) {
+    errors.push(`${file}: code must be "${expectedCode}" to match the file name`);
+  }
+
+  const languages = entry.languages;
+  if (!Array.isArray(languages) || languages.length === 0 || new Set(languages).size !== languages.length) {
+    errors.push(`${file}: languages must be a non-empty list without duplicates`);
+    return;
+  }
+  languages.filter(language => !supportedLanguages.includes(language))
+    .forEach(language => errors.push(`${file}: language "${language}" has no labels in ${COMMON_FILE}`));
+
+  checkLocalized(errors, `${file}: name`, entry.name, languages);
+  checkNumbers(errors, `${file}: emergency_numbers`, entry.emergency_numbers, true);
+  if (isObject(entry.emergency_numbers) && entry.emergency_numbers.crisis_text) {
+    checkLocalized(errors, `${file}: crisis_text_message`, entry.crisis_text_message, languages);
+  }
+  if (entry.more_help_url !== undefined) checkUrl(errors, `${file}: more_help_url`, entry.more_help_url);
+  if (entry.code === INTERNATIONAL && entry.more_help_url === undefined) {
+    errors.push(`${file}: more_help_url is required for the international entry`);
+  }
+
+  checkCategories(errors, `${file}: categories`, entry.categories, languages);
+  if (isObject(entry.categories) && !Array.isArray(entry.categories.immediate_emergency)) {
+    errors.push(`${file}: categories.immediate_emergency is required`);
+  }
+
+  if (entry.regions === undefined) return;
+  if (!isObject(entry.regions)) {
+    errors.push(`${file}: regions must be an object`);
+    return;
+  }
+  Object.entries(entry.regions).forEach(([code, region]) => {
+    const where = `${file}: regions.${code}`;
+    if (!/^[A-Z0-9]{1,3}$/.test(code)) errors.push(`${where} must be keyed by an ISO 3166-2 subdivision code`);
+    if (!isObject(region)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    checkLocalized(errors, `${where}.name`, region.name, languages);
+    if (region.emergency_numbers !== undefined) {
+      checkNumbers(errors, `${where}.emergency_numbers`, region.emergency_numbers, false);
+    }
+    if (region.categories !== undefined) checkCategories(errors, `${where}.categories`, region.categories, languages);
+  });
+}
+
+// Every problem in the directory, as human-readable strings; empty when it is valid
+function validateDirectory({ common, entries, errors: readErrors = [] }) {
+  const errors = [...readErrors];
+  const languages = validateCommon(errors, common);
+
+  Object.entries(entries).forEach(([file, entry]) => validateEntry(errors, file, entry, languages));
+
+  const codes = Object.values(entries).map(entry => entry && entry.code);
+  if (!codes.includes(INTERNATIONAL)) {
+    errors.push(`An ${INTERNATIONAL.toLowerCase()}.json entry is required as the fallback for unlisted countries`);
+  }
+  if (DEFAULT_COUNTRY && !codes.includes(DEFAULT_COUNTRY)) {
+    errors.push(`CRISIS_DEFAULT_COUNTRY "${DEFAULT_COUNTRY}" has no directory entry`);
+  }
+  return errors;
+}
+
+// Parse the raw files; unreadable JSON is reported as a validation error, not thrown
+function readDirectory(dir = DIRECTORY_DIR) {
+  const errors = [];
+  const parse = file => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      return undefined;
+    }
+  };
+
+  const entries = {};
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && file !== COMMON_FILE)
+    .sort()
+    .forEach(file => {
+      const entry = parse(file);
+      if (entry !== undefined) entries[file] = entry;
+    });
+
+  return { common: parse(COMMON_FILE), entries, errors };
+}
+
+// Load and validate, keyed by country code. Throws if the data files are invalid so a
+// bad edit stops the server at startup instead of showing someone a wrong number.
+function loadDirectory(dir = DIRECTORY_DIR) {
+  const raw = readDirectory(dir);
+  const errors = validateDirectory(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid crisis resource directory:\n  ${errors.join('\n  ')}`);
+  }
+
+  const entries = {};
+  Object.values(raw.entries).forEach(entry => {
+    entries[entry.code] = entry;
+  });
+  return { common: raw.common, entries };
+}
+
+function getDirectory() {
+  if (!directory) directory = loadDirectory();
+  return directory;
+}
+
+function isValidCountryCode(value) {
+  return typeof value === 'string' && COUNTRY_PATTERN.test(value.trim().toUpperCase());
+}
+
+// "en-GB,en;q=0.9,fr;q=0.5" -> [{ language: 'en', region: 'GB' }, { language: 'en' }, { language: 'fr' }]
+function parseLanguageTags(header) {
+  if (typeof header !== 'string') return [];
+  return header.split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const [language, region] = tag.trim().split('-');
+      return {
+        language: (language || '').toLowerCase(),
+        region: region && /^[A-Za-z]{2}$/.test(region) ? region.toUpperCase() : null,
+        quality: quality ? parseFloat(quality.slice(2)) || 0 : 1
+      };
+    })
+    .filter(tag => LANGUAGE_PATTERN.test(tag.language) && tag.quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+}
+
+// Pick the directory entry and language for a request. An explicit country wins, then the
+// region of the preferred languages (lang, then Accept-Language), then CRISIS_DEFAULT_COUNTRY
+// when it is set. Countries without an entry, and requests where no country can be told
+// (a bare "en" says nothing about where someone is), get the international entry rather
+// than another country's numbers; requested_country is null and matched false for those.
+function resolveLocale({ country, lang, acceptLanguage } = {}) {
+  const { entries } = getDirectory();
+  const preferences = [...parseLanguageTags(lang), ...parseLanguageTags(acceptLanguage)];
+
+  let code = DEFAULT_COUNTRY;
+  let regionCode = null;
+  if (isValidCountryCode(country)) {
+    [, code, regionCode] = country.trim().toUpperCase().match(COUNTRY_PATTERN);
+  } else {
+    const tagged = preferences.find(preference => preference.region && entries[preference.region]);
+    if (tagged) code = tagged.region;
+  }
+
+  const entry = (code && entries[code]) || entries[INTERNATIONAL];
+  const region = regionCode && entry.regions && entry.regions[regionCode] ? regionCode : null;
+  const language = preferences.map(preference => preference.language)
+    .find(candidate => entry.languages.includes(candidate)) || entry.languages[0];
+
+  return {
+    country: entry.code,
+    region,
+    language,
+    requested_country: code,
+    matched: entry.code === code
+  };
+}
+
+function localeFromRequest(req) {
+  return resolveLocale({
+    country: req.query && req.query.country,
+    lang: req.query && req.query.lang,
+    acceptLanguage: req.get('Accept-Language')
+  });
+}
+
+function localize(value, language) {
+  if (value === undefined || value === null || typeof value === 'string') return value;
+  return value[language] || value.en || Object.values(value)[0];
+}
+
+function entryFor(locale) {
+  const { entries } = getDirectory();
+  const entry = entries[locale.country] || entries[INTERNATIONAL];
+  return {
+    entry,
+    region: locale.region && entry.regions ? entry.regions[locale.region] : null
+  };
+}
+
+// `available` is the human-readable form of `hours`; open_now and next_open are as of `now`
+function localizeContact(contact, locale, now) {
+  const { common } = getDirectory();
+  const { language } = locale;
+  const nextOpen = openingHours.nextOpen(contact.hours, now);
+  return {
+    name: localize(contact.name, language),
+    number: contact.number,
+    description: localize(contact.description, language),
+    available: openingHours.describeHours(contact.hours, dateLocale(locale), localize(common.labels.daily, language), now),
+    hours: contact.hours,
+    open_now: nextOpen === null,
+    next_open: nextOpen && nextOpen.toISOString(),
+    website: contact.website
+  };
+}
+
+// Open 24/7 lines first, then other lines open now, then closed ones by when they open.
+// Array.sort is stable, so the directory's own order holds within each group.
+function compareAvailability(a, b) {
+  const rank = contact => contact.hours === openingHours.ALWAYS_OPEN ? 0 : contact.open_now ? 1 : 2;
+  return rank(a) - rank(b) || (a.next_open || '').localeCompare(b.next_open || '');
+}
+
+// BCP 47 locale for dates and times, e.g. "en-GB" so hours read as the user expects
+function dateLocale(locale) {
+  return locale.country === INTERNATIONAL ? locale.language : `${locale.language}-${locale.country}`;
+}
+
+// Resource categories in the shape clients already use: { key: { title, description, contacts } }.
+// Regional lines are listed before the national ones they supplement, within each availability group.
+function getResources(locale, now = new Date()) {
+  const { common } = getDirectory();
+  const { entry, region } = entryFor(locale);
+  const { language } = locale;
+  const resources = {};
+
+  CATEGORY_KEYS.forEach(category => {
+    const contacts = [
+      ...((region && region.categories && region.categories[category]) || []),
+      ...(entry.categories[category] || [])
+    ];
+    if (contacts.length === 0) return;
+
+    resources[category] = {
+      title: localize(common.categories[category].title, language),
+      description: localize(common.categories[category].description, language),
+      contacts: contacts.map(contact => localizeContact(contact, locale, now)).sort(compareAvailability)
+    };
+  });
+
+  resources.self_care_resources = {
+    title: localize(common.categories.self_care_resources.title, language),
+    description: localize(common.categories.self_care_resources.description, language),
+    techniques: common.self_care_techniques.map(technique => ({
+      name: localize(technique.name, language),
+      description: localize(technique.description, language),
+      duration: localize(technique.duration, language)
+    }))
+  };
+  return resources;
+}
+
+function getEmergencyNumbers(locale) {
+  const { entry, region } = entryFor(locale);
+  return { ...entry.emergency_numbers, ...((region && region.emergency_numbers) || {}) };
+}
+
+function getLabels(locale) {
+  const { common } = getDirectory();
+  return Object.fromEntries(LABEL_KEYS.map(key => [key, localize(common.labels[key], locale.language)]));
+}
+
+// Country and region names plus the numbers to show in banners and crisis responses
+function getSummary(locale) {
+  const { entry, region } = entryFor(locale);
+  const numbers = getEmergencyNumbers(locale);
+  return {
+    country: entry.code,
+    country_name: localize(entry.name, locale.language),
+    region: locale.region,
+    region_name: region ? localize(region.name, locale.language) : null,
+    language: locale.language,
+    available_languages: entry.languages,
+    emergency_numbers: numbers,
+    crisis_text_message: numbers.crisis_text ? localize(entry.crisis_text_message, locale.language) : null,
+    more_help_url: entry.more_help_url || null
+  };
+}
+
+function listCountries(language) {
+  return Object.values(getDirectory().entries)
+    .filter(entry => entry.code !== INTERNATIONAL)
+    .map(entry => ({
+      code: entry.code,
+      name: localize(entry.name, language),
+      languages: entry.languages,
+      regions: Object.keys(entry.regions || {}).map(code => `${entry.code}-${code}`)
+    }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+module.exports = {
+  DIRECTORY_DIR,
+  INTERNATIONAL,
+  readDirectory,
+  validateDirectory,
+  loadDirectory,
+  getDirectory,
+  isValidCountryCode,
+  resolveLocale,
+  localeFromRequest,
+  getResources,
+  getEmergencyNumbers,
+  getLabels,
+  getSummary,
+  listCountries
+};
@@ -0,0 +1,100 @@
+// src/utils/csv.js - CSV Parsing and Writing
+//
+// RFC 4180 with the leniency exports from other apps need: quoted fields may hold
+// delimiters, doubled quotes and line breaks; CRLF or LF endings and a byte-order mark
+// are accepted; blank lines are skipped. Each row keeps the line it starts on so imports
+// can report problems against the file the user has open.
+
+const DELIMITERS = [',', ';', '\t'];
+
+// The delimiter used most on the first line (spreadsheets in many locales save with ";")
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+// Returns { rows: [{ line, values }], delimiter } or { error }
+function parseCsv(text, { delimiter } = {}) {
+  if (typeof text !== 'string') return { error: 'CSV data must be text' };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(field);
+    if (values.length > 1 || values[0].trim() !== '') rows.push({ line: rowLine, values });
+    values = [];
+    field = '';
+    fieldStarted = false;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === separator) {
+      values.push(field);
+      field = '';
+      fieldStarted = false;
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) return { error: `Unterminated quoted field starting on line ${rowLine}` };
+  if (field !== '' || values.length > 0) endRow();
+
+  return { rows, delimiter: separator };
+}
+
+// Text that spreadsheets would run as a formula gets a leading apostrophe
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return formatValue(value.join(' | '));
+  if (typeof value === 'object') return formatValue(JSON.stringify(value));
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One header line of `columns` and a line per row object; arrays are joined with " | "
+// (the separator imports split on) and objects written as JSON
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(formatValue).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
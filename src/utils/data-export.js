@@ -0,0 +1,381 @@
+// src/utils/data-export.js - Users' Own Data as JSON, CSV and a PDF Clinician Summary
+//
+// Everything a user has stored, decrypted, in three shapes: a complete JSON archive, flat
+// CSVs (one dataset per file; the mood CSV uses the columns POST /api/mood/import
+// reads, so it round-trips) and a printable summary to take to a therapist.
+const db = require('../db');
+const { decryptRecord } = require('./encryption');
+const { toCsv } = require('./csv');
+const { createDocument, textWidth, wrapText } = require('./pdf');
+const { toPublicUser } = require('./auth');
+const { listMetrics } = require('./mood-metrics');
+const { summarizeEntries, dailySummary } = require('./mood-summary');
+const { analyzeMoodTrend } = require('./mood-trends');
+const { RULES } = require('./early-warnings');
+const { getCurrentPlan, getPlanVersion, listPlanVersions } = require('./safety-plans');
+const { getTrustedContact } = require('./trusted-contacts');
+const { userTimeZone, recentLocalDays } = require('./time-zones');
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+const CSV_DATASETS = ['mood', 'journal', 'crisis_reports'];
+const DEFAULT_SUMMARY_DAYS = 90;
+const MAX_SUMMARY_DAYS = 365;
+const MAX_FLAGGED_ENTRIES = 25;
+const EXCERPT_LENGTH = 300;
+
+// Fields a user sees of their own crisis reports; assignment and clinician notes stay out
+const CRISIS_REPORT_FIELDS = ['id', 'severity', 'description', 'immediate_danger', 'contact_info', 'location',
+  'support_needed', 'status', 'follow_up_needed', 'timestamp', 'updated_at'];
+
+function withoutOwner({ user_id: userId, ...record }) {
+  return record;
+}
+
+function moodEntries(userId, where = {}) {
+  return db.collection('mood_entries')
+    .find({ user_id: userId, ...where }, { orderBy: 'timestamp' })
+    .map(entry => withoutOwner(decryptRecord('mood_entries', userId, entry)));
+}
+
+function journalEntries(userId, where = {}) {
+  return db.collection('journal_entries')
+    .find({ user_id: userId, ...where }, { orderBy: 'created_at' })
+    .map(entry => withoutOwner(decryptRecord('journal_entries', userId, entry)));
+}
+
+function crisisReports(userId) {
+  return db.collection('crisis_reports')
+    .find({ user_id: userId }, { orderBy: 'timestamp' })
+    .map(report => {
+      const record = decryptRecord('crisis_reports', userId, report);
+      return Object.fromEntries(CRISIS_REPORT_FIELDS.filter(field => record[field] !== undefined)
+        .map(field => [field, record[field]]));
+    });
+}
+
+// Mood logs and journal entries: what decides whether an export runs in the background
+function countRecords(userId) {
+  return db.collection('mood_entries').count({ user_id: userId }) +
+    db.collection('journal_entries').count({ user_id: userId });
+}
+
+// Everything stored for the user. Journal entries carry their earlier revisions.
+function buildArchive(userId) {
+  const user = db.collection('users').findById(userId);
+  const revisions = db.collection('journal_revisions')
+    .find({ user_id: userId }, { orderBy: 'revision' })
+    .map(revision => withoutOwner(decryptRecord('journal_revisions', userId, revision)));
+
+  return {
+    export: {
+      format_version: 1,
+      generated_at: new Date().toISOString(),
+      time_zone: userTimeZone(userId)
+    },
+    user: toPublicUser(user),
+    mood_entries: moodEntries(userId),
+    mood_metrics: listMetrics(userId, { includeArchived: true }),
+    journal_entries: journalEntries(userId).map(entry => ({
+      ...entry,
+      revisions: revisions.filter(revision => revision.entry_id === entry.id)
+        .map(({ entry_id: entryId, ...revision }) => revision)
+    })),
+    safety_plan: {
+      current: getCurrentPlan(userId),
+      versions: listPlanVersions(userId).map(({ version }) => getPlanVersion(userId, version))
+    },
+    crisis_reports: crisisReports(userId),
+    early_warning_alerts: db.collection('early_warning_alerts')
+      .find({ user_id: userId }, { orderBy: 'triggered_at' })
+      .map(withoutOwner),
+    trusted_contact: getTrustedContact(userId)
+  };
+}
+
+function buildCsv(userId, dataset) {
+  if (dataset === 'journal') {
+    return toCsv(
+      ['id', 'created_at', 'date', 'updated_at', 'content', 'mood_before', 'mood_after', 'tags', 'word_count', 'revision'],
+      journalEntries(userId)
+    );
+  }
+  if (dataset === 'crisis_reports') {
+    return toCsv(CRISIS_REPORT_FIELDS, crisisReports(userId));
+  }
+
+  // One column per custom metric, named by its key, as the import expects
+  const metricKeys = listMetrics(userId, { includeArchived: true }).map(metric => metric.key);
+  return toCsv(
+    ['timestamp', 'date', 'mood', 'energy', 'stress', 'sleep_hours', 'notes', 'activities', 'emotions', ...metricKeys, 'source'],
+    moodEntries(userId).map(entry => ({ ...entry, ...(entry.metrics || {}) }))
+  );
+}
+
+// --- PDF clinician summary ---
+
+const MARGIN = 50;
+const GREY = [0.4, 0.4, 0.4];
+const LIGHT_GREY = [0.85, 0.85, 0.85];
+const SERIES = [
+  { key: 'average_mood', label: 'Mood', rgb: [0.16, 0.38, 0.71] },
+  { key: 'average_energy', label: 'Energy', rgb: [0.2, 0.6, 0.3] },
+  { key: 'average_stress', label: 'Stress', rgb: [0.85, 0.45, 0.1] }
+];
+const TREND_LABELS = {
+  improving: 'Improving',
+  declining: 'Declining',
+  stable: 'Stable',
+  insufficient_data: 'Not enough days logged to judge'
+};
+
+// Writes top to bottom, starting a new page whenever the next block would not fit
+function createLayout(doc, footer) {
+  const width = doc.width - 2 * MARGIN;
+  let page = 1;
+  let y = MARGIN;
+
+  const layout = {
+    width,
+    get y() { return y; },
+    ensure(height) {
+      if (y + height > doc.height - MARGIN) {
+        doc.addPage();
+        page += 1;
+        layout.footer();
+        y = MARGIN;
+      }
+    },
+    footer() {
+      doc.text(MARGIN, doc.height - MARGIN + 20, `${footer} - page ${page}`, { size: 7, rgb: GREY });
+    },
+    space(height) {
+      y += height;
+    },
+    heading(text) {
+      layout.ensure(40);
+      y += 10;
+      doc.text(MARGIN, y, text, { size: 13, bold: true });
+      y += 18;
+      doc.line(MARGIN, y, MARGIN + width, y, { rgb: LIGHT_GREY });
+      y += 8;
+    },
+    paragraph(text, { size = 9.5, bold = false, rgb, indent = 0 } = {}) {
+      wrapText(text, width - indent, size, bold).forEach(line => {
+        layout.ensure(size + 4);
+        doc.text(MARGIN + indent, y, line, { size, bold, rgb });
+        y += size + 4;
+      });
+    },
+    // Label on the left, value beside it
+    row(label, value) {
+      const lines = wrapText(value, width - 170, 9.5);
+      layout.ensure(lines.length * 13.5);
+      doc.text(MARGIN, y, label, { size: 9.5, bold: true });
+      lines.forEach((line, index) => doc.text(MARGIN + 170, y + index * 13.5, line, { size: 9.5 }));
+      y += lines.length * 13.5;
+    }
+  };
+  layout.footer();
+  return layout;
+}
+
+// Daily averages on a 1-10 scale, one line per series
+function drawChart(doc, layout, days, range) {
+  const height = 170;
+  const plotLeft = MARGIN + 22;
+  const plotWidth = layout.width - 22;
+  layout.ensure(height + 40);
+  const top = layout.y;
+  const dayCount = Math.round((Date.parse(range.to) - Date.parse(range.from)) / 86400000);
+  const xOf = date => plotLeft + (dayCount === 0 ? plotWidth / 2 : plotWidth * (Date.parse(date) - Date.parse(range.from)) / 86400000 / dayCount);
+  const yOf = value => top + height - (value - 1) / 9 * height;
+
+  [1, 4, 7, 10].forEach(value => {
+    doc.line(plotLeft, yOf(value), plotLeft + plotWidth, yOf(value), { rgb: LIGHT_GREY, dash: value === 1 ? null : [2, 2] });
+    doc.text(MARGIN, yOf(value) - 4, String(value), { size: 7, rgb: GREY });
+  });
+  [range.from, range.to].forEach((date, index) => {
+    const x = index === 0 ? plotLeft : plotLeft + plotWidth - textWidth(date, 7);
+    doc.text(x, top + height + 4, date, { size: 7, rgb: GREY });
+  });
+
+  let legendX = plotLeft;
+  SERIES.forEach(series => {
+    const points = days.filter(day => typeof day[series.key] === 'number').map(day => [xOf(day.date), yOf(day[series.key])]);
+    doc.polyline(points, { width: 1.25, rgb: series.rgb });
+    // Single days still show as a dot
+    points.forEach(([x, y]) => doc.rect(x - 1.25, y - 1.25, 2.5, 2.5, { fill: series.rgb }));
+
+    doc.rect(legendX, top + height + 19, 10, 3, { fill: series.rgb });
+    doc.text(legendX + 14, top + height + 16, series.label, { size: 8 });
+    legendX += 24 + textWidth(series.label, 8);
+  });
+  layout.space(height + 36);
+}
+
+function formatAverage(value, definition) {
+  if (value === null || value === undefined) return 'not logged';
+  if (definition && definition.type === 'boolean') return `${Math.round(value * 100)}% of entries`;
+  const scale = definition ? (definition.type === 'scale' ? ` / ${definition.max}` : definition.unit ? ` ${definition.unit}` : '') : '';
+  return `${value}${scale}`;
+}
+
+function humanize(key) {
+  const text = key.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function excerpt(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > EXCERPT_LENGTH ? `${clean.slice(0, EXCERPT_LENGTH)}...` : clean;
+}
+
+function buildClinicianSummary(userId, { days = DEFAULT_SUMMARY_DAYS } = {}) {
+  const user = db.collection('users').findById(userId);
+  const timeZone = userTimeZone(userId);
+  const range = recentLocalDays(days, timeZone);
+
+  const mood = db.collection('mood_entries').find(
+    { user_id: userId, date: { gte: range.from, lte: range.to } },
+    { orderBy: 'timestamp' }
+  );
+  const journal = db.collection('journal_entries').find(
+    { user_id: userId, created_at: { gte: range.start.toISOString(), lt: range.end.toISOString() } },
+    { orderBy: 'created_at' }
+  );
+  const { fields, summary } = summarizeEntries(userId, mood);
+  const trend = analyzeMoodTrend(mood, { days });
+
+  const doc = createDocument({ title: 'Mood and journal summary', author: user.email });
+  const layout = createLayout(doc, `MyMentalHealthBuddy summary for ${user.email}`);
+
+  doc.text(MARGIN, layout.y, 'Mood and journal summary', { size: 20, bold: true });
+  layout.space(28);
+  layout.paragraph(`${user.email} - ${range.from} to ${range.to} (${days} days, ${timeZone})`);
+  layout.paragraph(`Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`, { rgb: GREY });
+  layout.space(6);
+  layout.paragraph('Self-reported check-ins and journal entries, exported by the user to share. This is not a ' +
+    'diagnosis. Flagged entries were picked out by automatic screening and can include false positives.', { size: 8.5, rgb: GREY });
+
+  layout.heading('Overview');
+  layout.row('Mood check-ins', `${mood.length} on ${trend.days_logged} of ${days} days`);
+  layout.row('Journal entries', String(journal.length));
+  fields.forEach(field => {
+    const spread = summary.ranges && summary.ranges[field.key];
+    const average = formatAverage(summary.averages ? summary.averages[field.key] : null, field.definition);
+    layout.row(field.definition ? field.definition.label : humanize(field.key),
+      spread && average !== 'not logged' ? `${average} (range ${spread.min}-${spread.max})` : average);
+  });
+  const slope = trend.regression ? `, ${trend.regression.slope_per_week > 0 ? '+' : ''}${trend.regression.slope_per_week} per week` : '';
+  layout.row('Mood trend', `${TREND_LABELS[trend.trend]}${trend.trend === 'insufficient_data' ? '' : slope}`);
+  if (trend.change_point) {
+    const { direction, before, after, date } = trend.change_point;
+    layout.row('Shift in mood', `${direction === 'drop' ? 'Dropped' : 'Rose'} from about ${before} to ${after} around ${date}`);
+  }
+
+  const daily = dailySummary(mood, fields);
+  if (daily.length > 0) {
+    layout.heading('Daily averages');
+    drawChart(doc, layout, daily, range);
+  }
+
+  if (summary.emotions && summary.emotions.top.length > 0) {
+    layout.heading('Emotions tagged most often');
+    layout.paragraph(summary.emotions.top.slice(0, 10)
+      .map(({ emotion, family, count }) => `${emotion}${family && family !== emotion ? ` (${family})` : ''} x${count}`)
+      .join(', '));
+  }
+
+  // Flagged by crisis screening when they were written; only these are decrypted
+  const flagged = [
+    ...mood.filter(entry => entry.crisis_analysis && entry.crisis_analysis.detected)
+      .map(entry => ({ at: entry.timestamp, date: entry.date, source: 'Mood check-in', table: 'mood_entries', field: 'notes', entry })),
+    ...journal.filter(entry => entry.crisis_analysis && entry.crisis_analysis.detected)
+      .map(entry => ({ at: entry.created_at, date: entry.date, source: 'Journal entry', table: 'journal_entries', field: 'content', entry }))
+  ].sort((a, b) => b.at.localeCompare(a.at));
+
+  layout.heading('Flagged entries');
+  if (flagged.length === 0) {
+    layout.paragraph('None in this period.');
+  }
+  flagged.slice(0, MAX_FLAGGED_ENTRIES).forEach(({ date, source, table, field, entry }) => {
+    layout.ensure(40);
+    layout.paragraph(`${date} - ${source} - ${entry.crisis_analysis.severity} concern`, { bold: true, size: 9 });
+    layout.paragraph(excerpt(decryptRecord(table, userId, entry)[field]), { size: 9, indent: 10 });
+    layout.space(4);
+  });
+  if (flagged.length > MAX_FLAGGED_ENTRIES) {
+    layout.paragraph(`${flagged.length - MAX_FLAGGED_ENTRIES} earlier flagged entries are in the full JSON export.`, { rgb: GREY });
+  }
+
+  const alerts = db.collection('early_warning_alerts').find(
+    { user_id: userId, triggered_at: { gte: range.start.toISOString() } },
+    { orderBy: 'triggered_at', direction: 'desc' }
+  );
+  if (alerts.length > 0) {
+    layout.heading('Early-warning alerts');
+    alerts.forEach(alert => layout.row(alert.triggered_at.split('T')[0],
+      `${RULES[alert.rule] ? RULES[alert.rule].title : humanize(alert.rule)} (${alert.severity})`));
+  }
+
+  const plan = getCurrentPlan(userId);
+  layout.heading('Safety plan');
+  if (!plan) {
+    layout.paragraph('No personal safety plan saved.');
+  } else {
+    layout.paragraph(`Version ${plan.version}, last updated ${plan.created_at.split('T')[0]}`, { rgb: GREY });
+    Object.entries(plan.plan).forEach(([section, items]) => {
+      if (!Array.isArray(items) || items.length === 0) return;
+      layout.space(4);
+      layout.paragraph(humanize(section), { bold: true });
+      items.forEach(item => layout.paragraph(typeof item === 'string' ? `- ${item}` :
+        `- ${[item.name, item.relationship || item.organization, item.phone].filter(Boolean).join(' | ')}`, { indent: 10 }));
+    });
+  }
+
+  return doc.render();
+}
+
+// { body, contentType, filename } for one export
+function buildExport(userId, { format, dataset = 'mood', days }) {
+  const date = new Date().toISOString().split('T')[0];
+  let body;
+  let name = 'mymentalhealthbuddy-export';
+  if (format === 'json') {
+    body = JSON.stringify(buildArchive(userId), null, 2);
+  } else if (format === 'csv') {
+    body = buildCsv(userId, dataset);
+    name = `mymentalhealthbuddy-${dataset.replace('_', '-')}`;
+  } else {
+    body = buildClinicianSummary(userId, { days });
+    name = 'mymentalhealthbuddy-summary';
+  }
+  return {
+    body,
+    contentType: FORMATS[format].contentType,
+    filename: `${name}-${date}.${FORMATS[format].extension}`
+  };
+}
+
+// Returns an error message or null
+function validateExportOptions({ format, dataset, days }) {
+  if (!FORMATS[format]) return `format must be one of: ${Object.keys(FORMATS).join(', ')}`;
+  if (dataset !== undefined && (format !== 'csv' || !CSV_DATASETS.includes(dataset))) {
+    return `dataset applies to CSV exports and must be one of: ${CSV_DATASETS.join(', ')}`;
+  }
+  if (days !== undefined && (format !== 'pdf' || !Number.isInteger(days) || days < 1 || days > MAX_SUMMARY_DAYS)) {
+    return `days applies to PDF summaries and must be a whole number from 1 to ${MAX_SUMMARY_DAYS}`;
+  }
+  return null;
+}
+
+module.exports = {
+  FORMATS,
+  countRecords,
+  buildExport,
+  validateExportOptions
+};
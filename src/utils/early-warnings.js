@@ -0,0 +1,362 @@
+// src/utils/early-warnings.js - Early-Warning Rules for Sustained Mood Decline
+//
+// Runs after every mood log and journal entry and looks across recent days for patterns
+// worth reaching out about before they turn into a crisis. Each rule fires at most once
+// per cooldown, is stored for the user to see with resources chosen for that pattern, and
+// can be passed on to their trusted contact. Alerts hold figures only - never entry text.
+const winston = require('winston');
+const db = require('../db');
+const { mean, round, standardDeviation } = require('./statistics');
+const { summarizeDays } = require('./mood-correlations');
+const { analyzeMoodTrend } = require('./mood-trends');
+const { userTimeZone, localDate } = require('./time-zones');
+const crisisDirectory = require('./crisis-directory');
+const { SEVERITIES, getTrustedContact, shouldNotify } = require('./trusted-contacts');
+const notifications = require('../notifications');
+const { MAX_SMS_LENGTH } = require('../notifications/sms');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Baseline window plus the recent days compared against it
+const LOOKBACK_DAYS = 35;
+
+// Consecutive days with average mood at or below the threshold
+const LOW_MOOD_THRESHOLD = parseFloat(process.env.EARLY_WARNING_LOW_MOOD) || 4;
+const LOW_MOOD_DAYS = parseInt(process.env.EARLY_WARNING_LOW_MOOD_DAYS) || 5;
+// Last few days against the four weeks before them; the drop must be large in points and
+// unusual for this person (beyond 1.5 of their own standard deviations)
+const RECENT_DAYS = 3;
+const MIN_RECENT_DAYS = 2;
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 7;
+const MIN_BASELINE_DROP = 2;
+const BASELINE_DROP_DEVIATIONS = 1.5;
+// This week against last week
+const STRAIN_WINDOW_DAYS = 7;
+const MIN_STRAIN_DAYS = 3;
+const MIN_STRESS_RISE = 2;
+const MIN_SLEEP_FALL = 1;
+const TREND_DAYS = 30;
+// Records whose text tripped crisis detection
+const DISTRESS_WINDOW_DAYS = 7;
+const MIN_DISTRESS_RECORDS = 3;
+
+const COOLDOWN_DAYS = parseInt(process.env.EARLY_WARNING_COOLDOWN_DAYS) || 7;
+
+function dayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+function valuesOf(days, field) {
+  return days.map(day => day[field]).filter(value => value !== null);
+}
+
+// Logged days whose day number falls in (end - length, end]
+function daysBetween(days, end, length) {
+  return days.filter(day => {
+    const n = dayNumber(day.date);
+    return n > end - length && n <= end;
+  });
+}
+
+const RULES = {
+  low_mood_streak: {
+    severity: 'high',
+    title: 'Several low days in a row',
+    message: details => `Your mood has been ${details.threshold} or lower for ${details.days} days in a row. ` +
+      'You do not have to wait for this to pass on your own - talking to someone can help.',
+    resources: ['mental_health_support', 'suicide_prevention', 'self_care_resources'],
+    // The run must reach today or yesterday; an old streak is not a warning any more
+    check: ({ days, today }) => {
+      const streak = [];
+      for (let i = days.length - 1; i >= 0; i--) {
+        const day = days[i];
+        const expected = streak.length === 0 ? null : dayNumber(streak[streak.length - 1].date) - 1;
+        if (day.mood > LOW_MOOD_THRESHOLD || (expected !== null && dayNumber(day.date) !== expected)) break;
+        streak.push(day);
+      }
+      if (streak.length < LOW_MOOD_DAYS || today - dayNumber(streak[0].date) > 1) return null;
+      return {
+        days: streak.length,
+        threshold: LOW_MOOD_THRESHOLD,
+        average_mood: round(mean(valuesOf(streak, 'mood'))),
+        since: streak[streak.length - 1].date
+      };
+    }
+  },
+
+  baseline_drop: {
+    severity: 'medium',
+    title: 'A sharp drop in mood',
+    message: details => `Over the last few days your mood has averaged ${details.recent_mood}, ` +
+      `${details.drop} points below your usual ${details.baseline_mood}. ` +
+      'It may help to check in with someone you trust or a support line.',
+    resources: ['mental_health_support', 'self_care_resources'],
+    check: ({ days, today }) => {
+      const recent = valuesOf(daysBetween(days, today, RECENT_DAYS), 'mood');
+      const baseline = valuesOf(daysBetween(days, today - RECENT_DAYS, BASELINE_DAYS), 'mood');
+      if (recent.length < MIN_RECENT_DAYS || baseline.length < MIN_BASELINE_DAYS) return null;
+
+      const drop = mean(baseline) - mean(recent);
+      const spread = standardDeviation(baseline);
+      if (drop < MIN_BASELINE_DROP || (spread > 0 && drop < BASELINE_DROP_DEVIATIONS * spread)) return null;
+      return {
+        baseline_mood: round(mean(baseline), 1),
+        recent_mood: round(mean(recent), 1),
+        drop: round(drop, 1),
+        baseline_days: baseline.length,
+        recent_days: recent.length
+      };
+    }
+  },
+
+  stress_sleep_strain: {
+    severity: 'medium',
+    title: 'Stress is up and sleep is down',
+    message: details => `This week your stress is up ${details.stress_rise} points and you are sleeping ` +
+      `${details.sleep_fall} hours less than the week before. Stress and short sleep feed each other - ` +
+      'a wind-down routine or a few minutes of breathing before bed can help break the cycle.',
+    resources: ['self_care_resources', 'mental_health_support'],
+    check: ({ days, today }) => {
+      const thisWeek = daysBetween(days, today, STRAIN_WINDOW_DAYS);
+      const lastWeek = daysBetween(days, today - STRAIN_WINDOW_DAYS, STRAIN_WINDOW_DAYS);
+      const samples = {
+        stress: [valuesOf(lastWeek, 'stress'), valuesOf(thisWeek, 'stress')],
+        sleep: [valuesOf(lastWeek, 'sleep_hours'), valuesOf(thisWeek, 'sleep_hours')]
+      };
+      if (Object.values(samples).flat().some(values => values.length < MIN_STRAIN_DAYS)) return null;
+
+      const stressRise = mean(samples.stress[1]) - mean(samples.stress[0]);
+      const sleepFall = mean(samples.sleep[0]) - mean(samples.sleep[1]);
+      if (stressRise < MIN_STRESS_RISE || sleepFall < MIN_SLEEP_FALL) return null;
+      return {
+        stress_rise: round(stressRise, 1),
+        sleep_fall: round(sleepFall, 1),
+        stress: round(mean(samples.stress[1]), 1),
+        sleep_hours: round(mean(samples.sleep[1]), 1)
+      };
+    }
+  },
+
+  // The trend engine's change point: mood moved to a lower level and is still there
+  sustained_decline: {
+    severity: 'medium',
+    title: 'Your mood has shifted lower',
+    message: details => `Since ${details.since} your mood has settled around ${details.after}, ` +
+      `down from ${details.before} before. A lasting change like this is worth talking through with someone.`,
+    resources: ['mental_health_support', 'self_care_resources'],
+    check: ({ readings, today }) => {
+      const since = new Date((today - TREND_DAYS + 1) * DAY_MS).toISOString().split('T')[0];
+      const trend = analyzeMoodTrend(readings.filter(reading => reading.date >= since), { days: TREND_DAYS });
+      if (!trend.alerts.includes('sustained_drop')) return null;
+      const { date, before, after, change } = trend.change_point;
+      return { since: date, before: round(before, 1), after: round(after, 1), change: round(change, 1) };
+    }
+  },
+
+  repeated_distress: {
+    severity: 'high',
+    title: 'You have been going through a lot',
+    message: details => `${details.records} of your entries in the last ${details.window_days} days showed ` +
+      'signs of distress. You deserve support - please consider reaching out to one of the lines below.',
+    resources: ['suicide_prevention', 'mental_health_support', 'immediate_emergency'],
+    check: ({ distressRecords }) => distressRecords < MIN_DISTRESS_RECORDS ? null : {
+      records: distressRecords,
+      window_days: DISTRESS_WINDOW_DAYS
+    }
+  }
+};
+
+// Mood logs plus journal entries that carry a mood rating. Only numbers and the stored
+// crisis_analysis are read, so nothing needs decrypting. Days are the user's local days.
+function loadContext(userId, now) {
+  const timeZone = userTimeZone(userId);
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS).toISOString();
+  const distressSince = new Date(now.getTime() - DISTRESS_WINDOW_DAYS * DAY_MS).toISOString();
+  const moodEntries = db.collection('mood_entries').find(
+    { user_id: userId, timestamp: { gte: since } },
+    { orderBy: 'timestamp' }
+  );
+  const journalEntries = db.collection('journal_entries').find(
+    { user_id: userId, created_at: { gte: since } },
+    { orderBy: 'created_at' }
+  );
+
+  const readings = [
+    ...moodEntries,
+    ...journalEntries
+      .filter(entry => typeof (entry.mood_after || entry.mood_before) === 'number')
+      .map(entry => ({ date: entry.date || localDate(entry.created_at, timeZone), mood: entry.mood_after || entry.mood_before }))
+  ];
+  const distressRecords = [
+    ...moodEntries.map(entry => ({ at: entry.timestamp, analysis: entry.crisis_analysis })),
+    ...journalEntries.map(entry => ({ at: entry.created_at, analysis: entry.crisis_analysis }))
+  ].filter(record => record.at >= distressSince && record.analysis && record.analysis.detected).length;
+
+  return {
+    readings,
+    days: summarizeDays(readings).filter(day => day.mood !== null),
+    distressRecords,
+    today: dayNumber(localDate(now, timeZone))
+  };
+}
+
+// Resources for each alert's pattern, in the user's country and language
+function resourcesFor(rule, allResources) {
+  return Object.fromEntries(RULES[rule].resources
+    .filter(category => allResources[category])
+    .map(category => [category, allResources[category]]));
+}
+
+function toAlertView(alert, allResources) {
+  const rule = RULES[alert.rule];
+  return {
+    id: alert.id,
+    rule: alert.rule,
+    severity: alert.severity,
+    status: alert.status,
+    title: rule.title,
+    message: rule.message(alert.details),
+    details: alert.details,
+    contact_notified: alert.contact_notified,
+    triggered_at: alert.triggered_at,
+    acknowledged_at: alert.acknowledged_at || null,
+    resources: resourcesFor(alert.rule, allResources)
+  };
+}
+
+function toAlertViews(alerts, locale) {
+  if (alerts.length === 0) return [];
+  const allResources = crisisDirectory.getResources(locale);
+  return alerts.map(alert => toAlertView(alert, allResources));
+}
+
+// The trusted contact's message, rendered at send time from the sealed contact. It says
+// only that the user may be having a hard time - never which pattern fired or anything
+// they logged. The SMS leads with the emergency number and shortens the user's name when
+// that is what it takes to fit in MAX_SMS_LENGTH.
+function contactMessage(contact, { locale }) {
+  const { emergency } = crisisDirectory.getEmergencyNumbers(locale);
+  const smsFor = name => `If ${name} is in immediate danger, call ${emergency}. ${name} chose you as their ` +
+    'trusted contact on MyMentalHealthBuddy and their recent check-ins suggest they may be having a hard ' +
+    'time. A call or message to see how they are doing could help.';
+
+  const room = Math.floor((MAX_SMS_LENGTH - smsFor('').length) / 2);
+  const smsName = contact.display_name.length > room ?
+    `${contact.display_name.slice(0, room - 3).trim()}...` :
+    contact.display_name;
+
+  return {
+    subject: `${contact.display_name} may need some support`,
+    message: `Hi ${contact.name}, ${contact.display_name} chose you as their trusted contact on MyMentalHealthBuddy ` +
+      'and asked us to let you know when they might be having a hard time. Their recent check-ins suggest ' +
+      'this may be one of those times, so a call or message to see how they are doing could help. ' +
+      `If you believe they are in immediate danger, call ${emergency}.`,
+    sms: smsFor(smsName)
+  };
+}
+
+notifications.registerContactTemplate('early_warning_contact', contactMessage);
+
+// One message for the most serious of the new alerts, queued with a reference to the
+// contact rather than their details
+function notifyTrustedContact(userId, raised, locale) {
+  const worst = raised.reduce((best, alert) =>
+    SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(best.severity) ? alert : best
+  );
+  if (!shouldNotify(getTrustedContact(userId), worst.severity)) return false;
+
+  const queued = notifications.notifyContact(userId, {
+    type: 'early_warning_contact',
+    severity: worst.severity,
+    dedupeKey: `early_warning_contact:user:${userId}`,
+    data: {
+      alert_ids: raised.map(alert => alert.id),
+      locale: { country: locale.country, region: locale.region, language: locale.language }
+    }
+  });
+  return queued.length > 0;
+}
+
+// Run every rule for the user after a new entry and store the ones that fire. Returns the
+// new alerts, ready to show. Never throws: a problem here must not fail the entry itself.
+function evaluateEarlyWarnings(userId, { source, sourceId, locale = crisisDirectory.resolveLocale(), now = new Date() } = {}) {
+  try {
+    const context = loadContext(userId, now);
+    const alerts = db.collection('early_warning_alerts');
+    const cooldownStart = new Date(now.getTime() - COOLDOWN_DAYS * DAY_MS).toISOString();
+
+    const raised = db.transaction(() => Object.entries(RULES)
+      .map(([rule, definition]) => {
+        const details = definition.check(context);
+        if (!details || alerts.findOne({ user_id: userId, rule, triggered_at: { gte: cooldownStart } })) return null;
+        return alerts.insert({
+          user_id: userId,
+          rule,
+          severity: definition.severity,
+          source,
+          source_id: sourceId,
+          details,
+          status: 'active',
+          contact_notified: false,
+          triggered_at: now.toISOString()
+        });
+      })
+      .filter(Boolean));
+
+    if (raised.length === 0) return [];
+
+    const contactNotified = notifyTrustedContact(userId, raised, locale);
+    if (contactNotified) {
+      raised.forEach(alert => {
+        alert.contact_notified = true;
+        alerts.update(alert.id, { contact_notified: true });
+      });
+    }
+
+    logger.warn('Early-warning alerts raised', {
+      userId,
+      source,
+      sourceId,
+      rules: raised.map(alert => alert.rule),
+      contactNotified
+    });
+    return toAlertViews(raised, locale);
+
+  } catch (error) {
+    logger.error('Early-warning evaluation failed', { userId, source, error: error.message });
+    return [];
+  }
+}
+
+function listAlerts(userId, { status, limit = 50 } = {}, locale) {
+  const where = { user_id: userId };
+  if (status) where.status = status;
+  const alerts = db.collection('early_warning_alerts').find(where, { orderBy: 'triggered_at', direction: 'desc', limit });
+  return toAlertViews(alerts, locale);
+}
+
+// Mark the user's own alert as seen; null when it is not theirs
+function acknowledgeAlert(userId, id, locale) {
+  const alerts = db.collection('early_warning_alerts');
+  const alert = alerts.findOne({ id, user_id: userId });
+  if (!alert) return null;
+
+  const updated = alert.status === 'acknowledged' ? alert : alerts.update(alert.id, {
+    status: 'acknowledged',
+    acknowledged_at: new Date().toISOString()
+  });
+  return toAlertViews([updated], locale)[0];
+}
+
+module.exports = {
+  RULES,
+  evaluateEarlyWarnings,
+  listAlerts,
+  acknowledgeAlert
+};
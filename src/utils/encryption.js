@@ -0,0 +1,275 @@
+// src/utils/encryption.js - Envelope Encryption for Sensitive Fields at Rest
+//
+// Each user gets a random 256-bit data key. Data keys are stored only in wrapped form,
+// encrypted with a master key from the environment, so rotating the master key means
+// re-wrapping one small row per user instead of re-encrypting every journal entry.
+const crypto = require('crypto');
+const db = require('../db');
+
+const CIPHER = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Columns that are never written to the database in plaintext
+const ENCRYPTED_FIELDS = {
+  journal_entries: ['content'],
+  journal_revisions: ['content'],
+  mood_entries: ['notes'],
+  crisis_reports: ['description', 'contact_info', 'location'],
+  // Clinician notes are sealed under the reporting user's key, like the report itself
+  crisis_report_notes: ['note'],
+  safety_plans: ['plan'],
+  trusted_contacts: ['contact']
+};
+
+// Unwrapped data keys by user id. Re-wrapping never changes a data key, so entries
+// stay valid across master key rotations.
+const dataKeyCache = new Map();
+
+// ENCRYPTION_MASTER_KEYS holds "id:base64key" pairs separated by commas. Keep retired
+// keys listed until `npm run keys:rotate` has re-wrapped every data key.
+function loadMasterKeys() {
+  const raw = process.env.ENCRYPTION_MASTER_KEYS;
+  if (!raw) {
+    throw new Error('ENCRYPTION_MASTER_KEYS is required');
+  }
+
+  const keys = new Map();
+  raw.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf(':');
+    const id = pair.slice(0, separator);
+    const key = Buffer.from(pair.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || key.length !== 32) {
+      throw new Error(`Invalid master key entry "${id || pair.slice(0, 8)}": expected id:base64 of 32 bytes`);
+    }
+    keys.set(id, key);
+  });
+
+  const activeId = process.env.ENCRYPTION_ACTIVE_KEY_ID || [...keys.keys()][0];
+  if (!keys.has(activeId)) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY_ID "${activeId}" is not present in ENCRYPTION_MASTER_KEYS`);
+  }
+
+  return { keys, activeId };
+}
+
+function getMasterKey(id) {
+  const { keys } = loadMasterKeys();
+  const key = keys.get(id);
+  if (!key) {
+    throw new Error(`Master key "${id}" is not configured - was it removed before rotation finished?`);
+  }
+  return key;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(dataKey, userId, masterKeyId) {
+  return seal(getMasterKey(masterKeyId), dataKey, `data-key:${userId}:${masterKeyId}`);
+}
+
+function unwrapDataKey(record) {
+  return open(getMasterKey(record.master_key_id), record.wrapped_key, `data-key:${record.user_id}:${record.master_key_id}`);
+}
+
+// Fetch (or lazily create) the user's data key
+function getDataKey(userId) {
+  if (dataKeyCache.has(userId)) {
+    return dataKeyCache.get(userId);
+  }
+
+  const keys = db.collection('user_data_keys');
+  let record = keys.findOne({ user_id: userId });
+
+  if (!record) {
+    const { activeId } = loadMasterKeys();
+    const now = new Date().toISOString();
+    try {
+      record = keys.insert({
+        user_id: userId,
+        master_key_id: activeId,
+        wrapped_key: wrapDataKey(crypto.randomBytes(32), userId, activeId),
+        created_at: now,
+        rotated_at: now
+      });
+    } catch (error) {
+      // Another worker created the key first
+      record = keys.findOne({ user_id: userId });
+      if (!record) throw error;
+    }
+  }
+
+  const dataKey = unwrapDataKey(record);
+  dataKeyCache.set(userId, dataKey);
+  return dataKey;
+}
+
+// Purpose-bound subkey of the user's data key (e.g. for blind search index tokens)
+function deriveUserKey(userId, purpose) {
+  return Buffer.from(crypto.hkdfSync('sha256', getDataKey(userId), Buffer.alloc(0), purpose, 32));
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Values are JSON-encoded before sealing so objects (e.g. contact_info) round-trip intact
+function encryptValue(userId, field, value) {
+  if (value === undefined || value === null || isEncrypted(value)) return value;
+  return PREFIX + seal(getDataKey(userId), JSON.stringify(value), `user:${userId}:${field}`);
+}
+
+function decryptValue(userId, field, value) {
+  // Rows written before encryption was enabled are passed through until backfilled
+  if (!isEncrypted(value)) return value;
+  const plaintext = open(getDataKey(userId), value.slice(PREFIX.length), `user:${userId}:${field}`);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+function transformRecord(table, userId, record, transform) {
+  if (!record) return record;
+
+  const fields = ENCRYPTED_FIELDS[table] || [];
+  const result = { ...record };
+  fields.forEach(field => {
+    if (field in result) {
+      result[field] = transform(userId, field, result[field]);
+    }
+  });
+  return result;
+}
+
+// Encrypt the sensitive fields of a record before it is written
+function encryptRecord(table, userId, record) {
+  return transformRecord(table, userId, record, encryptValue);
+}
+
+// Decrypt a stored record for its owner. Only call this while answering that owner's request.
+function decryptRecord(table, userId, record) {
+  return transformRecord(table, userId, record, decryptValue);
+}
+
+// Random secrets the service itself needs (e.g. analytics pseudonym salts), stored
+// sealed under the master key like data keys so a copy of the database alone is useless
+const systemSecretCache = new Map();
+
+function getSystemSecret(purpose, name) {
+  if (systemSecretCache.has(name)) {
+    return systemSecretCache.get(name);
+  }
+
+  const secrets = db.collection('system_secrets');
+  let record = secrets.findOne({ name });
+
+  if (!record) {
+    const { activeId } = loadMasterKeys();
+    const now = new Date().toISOString();
+    try {
+      record = secrets.insert({
+        purpose,
+        name,
+        master_key_id: activeId,
+        wrapped_secret: seal(getMasterKey(activeId), crypto.randomBytes(32), `system-secret:${name}:${activeId}`),
+        created_at: now,
+        rotated_at: now
+      });
+    } catch (error) {
+      // Another worker created it first
+      record = secrets.findOne({ name });
+      if (!record) throw error;
+    }
+  }
+
+  const secret = open(getMasterKey(record.master_key_id), record.wrapped_secret, `system-secret:${name}:${record.master_key_id}`);
+  systemSecretCache.set(name, secret);
+  return secret;
+}
+
+// Destroy every secret of `purpose` except `keepName`; whatever they protected can no
+// longer be recomputed
+function removeSystemSecrets(purpose, keepName) {
+  [...systemSecretCache.keys()].filter(name => name !== keepName).forEach(name => systemSecretCache.delete(name));
+  return db.collection('system_secrets').removeWhere({ purpose, name: { ne: keepName } });
+}
+
+// Re-wrap every data key and system secret that is not yet under the active master key.
+// Old keys keep working while this runs, so it can be done against a live database.
+function rotateMasterKey() {
+  const { activeId } = loadMasterKeys();
+  const keys = db.collection('user_data_keys');
+  const stale = keys.find({ master_key_id: { ne: activeId } });
+
+  stale.forEach(record => {
+    const dataKey = unwrapDataKey(record);
+    keys.update(record.id, {
+      master_key_id: activeId,
+      wrapped_key: wrapDataKey(dataKey, record.user_id, activeId),
+      rotated_at: new Date().toISOString()
+    });
+  });
+
+  const secrets = db.collection('system_secrets');
+  const staleSecrets = secrets.find({ master_key_id: { ne: activeId } });
+  staleSecrets.forEach(record => {
+    const secret = open(getMasterKey(record.master_key_id), record.wrapped_secret, `system-secret:${record.name}:${record.master_key_id}`);
+    secrets.update(record.id, {
+      master_key_id: activeId,
+      wrapped_secret: seal(getMasterKey(activeId), secret, `system-secret:${record.name}:${activeId}`),
+      rotated_at: new Date().toISOString()
+    });
+  });
+
+  return { active_key_id: activeId, rewrapped: stale.length, rewrapped_secrets: staleSecrets.length };
+}
+
+// Encrypt rows stored before field-level encryption existed
+function backfillPlaintextRecords() {
+  const summary = {};
+
+  Object.entries(ENCRYPTED_FIELDS).forEach(([table, fields]) => {
+    const repository = db.collection(table);
+    let updated = 0;
+
+    repository.find({ user_id: { ne: null } }).forEach(record => {
+      const plaintextFields = fields.filter(field => record[field] !== undefined && !isEncrypted(record[field]));
+      if (plaintextFields.length === 0) return;
+
+      const changes = {};
+      plaintextFields.forEach(field => {
+        changes[field] = encryptValue(record.user_id, field, record[field]);
+      });
+      repository.update(record.id, changes);
+      updated += 1;
+    });
+
+    summary[table] = updated;
+  });
+
+  return summary;
+}
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  encryptRecord,
+  decryptRecord,
+  deriveUserKey,
+  getSystemSecret,
+  removeSystemSecrets,
+  isEncrypted,
+  rotateMasterKey,
+  backfillPlaintextRecords
+};
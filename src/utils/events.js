@@ -0,0 +1,65 @@
+// src/utils/events.js - In-Process Domain Event Bus
+//
+// Features publish what happened once it is saved; counters such as analytics and the
+// Prometheus metrics subscribe instead of being called from every route. Subscribers run
+// synchronously after the publisher's write, and a failing subscriber is logged without
+// affecting the request that published. Payloads carry ids and categories only - never
+// what the user wrote.
+const { EventEmitter } = require('events');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const EVENTS = {
+  // { userId, entryId, crisisDetected, first }
+  JOURNAL_ENTRY_CREATED: 'journal.entry_created',
+  // { userId, entryId, crisisDetected, backdated, first }
+  MOOD_RECORDED: 'mood.recorded',
+  // { userId, provider, success, characters, first }; userId only when signed in
+  TTS_REQUESTED: 'tts.requested',
+  // { userId, reportId, severity, immediateDanger }
+  CRISIS_REPORTED: 'crisis.reported',
+  // { userId, purpose, granted, first }
+  CONSENT_UPDATED: 'consent.updated'
+};
+
+const KNOWN_EVENTS = new Set(Object.values(EVENTS));
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(20);
+
+function assertKnown(event) {
+  if (!KNOWN_EVENTS.has(event)) {
+    throw new Error(`Unknown domain event: ${event}`);
+  }
+}
+
+function subscribe(event, handler) {
+  assertKnown(event);
+  const listener = payload => {
+    try {
+      Promise.resolve(handler(payload)).catch(error => {
+        logger.error('Domain event subscriber failed', { event, error: error.message });
+      });
+    } catch (error) {
+      logger.error('Domain event subscriber failed', { event, error: error.message });
+    }
+  };
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+}
+
+function publish(event, payload = {}) {
+  assertKnown(event);
+  emitter.emit(event, { ...payload, occurred_at: new Date().toISOString() });
+}
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publish
+};
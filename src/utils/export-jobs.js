@@ -0,0 +1,208 @@
+// src/utils/export-jobs.js - Background Data Exports
+//
+// Exports too large to build inside a request run as jobs: built right after they are
+// queued, uploaded under the user's storage prefix and handed out through short-lived
+// signed links. A worker picks up jobs a restart left behind and deletes each file once
+// it expires, so exported health data does not linger in the bucket.
+const winston = require('winston');
+const db = require('../db');
+const storage = require('./storage');
+const { buildExport } = require('./data-export');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+// Mood logs plus journal entries above which GET /api/export answers with a job
+const SYNC_MAX_RECORDS = parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 2000;
+const RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS) || 72;
+const LINK_TTL_SECONDS = 15 * 60;
+const WORKER_INTERVAL_MS = 60 * 1000;
+// A job "running" this long belonged to a process that died while building it
+const STALE_RUNNING_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 10;
+
+let workerTimer = null;
+let processing = false;
+
+async function toJobView(job) {
+  const view = {
+    id: job.id,
+    format: job.format,
+    dataset: job.dataset || null,
+    days: job.days || null,
+    status: job.status,
+    size_bytes: job.size_bytes || null,
+    error: job.error || null,
+    created_at: job.created_at,
+    completed_at: job.completed_at || null,
+    expires_at: job.expires_at || null
+  };
+  if (job.status === 'completed') {
+    view.download = {
+      url: await storage.downloadUrl(job.storage_key, { expiresIn: LINK_TTL_SECONDS, filename: job.filename }),
+      filename: job.filename,
+      link_expires_at: new Date(Date.now() + LINK_TTL_SECONDS * 1000).toISOString()
+    };
+  }
+  return view;
+}
+
+function createJob(userId, { format, dataset, days }) {
+  const now = new Date().toISOString();
+  const job = db.collection('export_jobs').insert({
+    user_id: userId,
+    format,
+    dataset: format === 'csv' ? dataset || 'mood' : undefined,
+    days,
+    status: 'queued',
+    created_at: now,
+    updated_at: now
+  });
+  setImmediate(() => processJobs().catch(error => {
+    logger.error('Export job processing failed', { error: error.message });
+  }));
+  return toJobView(job);
+}
+
+// Mark a job as ours to build; null when another worker got there first
+function claim(job) {
+  try {
+    return db.transaction(() => {
+      const jobs = db.collection('export_jobs');
+      const current = jobs.findById(job.id);
+      if (!current || current.status !== job.status || current.updated_at !== job.updated_at) {
+        return null;
+      }
+      return jobs.update(job.id, { status: 'running', updated_at: new Date().toISOString() });
+    });
+  } catch (error) {
+    logger.debug('Export job claim skipped', { jobId: job.id, error: error.message });
+    return null;
+  }
+}
+
+async function build(job) {
+  const jobs = db.collection('export_jobs');
+  try {
+    const { body, contentType, filename } = buildExport(job.user_id, job);
+    const key = `${storage.userPrefix(job.user_id)}exports/${job.id}-${filename}`;
+    await storage.putObject(key, body, contentType);
+
+    const now = new Date();
+    jobs.update(job.id, {
+      status: 'completed',
+      storage_key: key,
+      filename,
+      size_bytes: Buffer.byteLength(body),
+      completed_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + RETENTION_HOURS * 60 * 60 * 1000).toISOString(),
+      updated_at: now.toISOString()
+    });
+    logger.info('Export job completed', {
+      jobId: job.id,
+      userId: job.user_id,
+      format: job.format,
+      sizeBytes: Buffer.byteLength(body)
+    });
+
+  } catch (error) {
+    // The stored error is shown to the user, so it stays generic
+    jobs.update(job.id, {
+      status: 'failed',
+      error: 'The export could not be created - please try again',
+      updated_at: new Date().toISOString()
+    });
+    logger.error('Export job failed', {
+      jobId: job.id,
+      userId: job.user_id,
+      error: error.message
+    });
+  }
+}
+
+// Delete files past their retention; the job stays listed as expired
+async function expireJobs() {
+  const jobs = db.collection('export_jobs');
+  const expired = jobs.find(
+    { status: 'completed', expires_at: { lte: new Date().toISOString() } },
+    { limit: BATCH_SIZE }
+  );
+  for (const job of expired) {
+    try {
+      await storage.deleteObject(job.storage_key);
+      jobs.update(job.id, { status: 'expired', storage_key: null, updated_at: new Date().toISOString() });
+    } catch (error) {
+      logger.warn('Expired export could not be deleted', { jobId: job.id, error: error.message });
+    }
+  }
+  return expired.length;
+}
+
+// Build queued jobs and clean up expired ones. Safe to call from several processes.
+async function processJobs() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const jobs = db.collection('export_jobs');
+    const due = [
+      ...jobs.find({ status: 'queued' }, { orderBy: 'created_at', limit: BATCH_SIZE }),
+      ...jobs.find(
+        { status: 'running', updated_at: { lt: new Date(Date.now() - STALE_RUNNING_MS).toISOString() } },
+        { limit: BATCH_SIZE }
+      )
+    ];
+    for (const job of due) {
+      const claimed = claim(job);
+      if (claimed) await build(claimed);
+    }
+    await expireJobs();
+
+  } finally {
+    processing = false;
+  }
+}
+
+async function listJobs(userId) {
+  const jobs = db.collection('export_jobs').find(
+    { user_id: userId },
+    { orderBy: 'created_at', direction: 'desc', limit: 20 }
+  );
+  return Promise.all(jobs.map(toJobView));
+}
+
+async function getJob(userId, id) {
+  const job = db.collection('export_jobs').findOne({ id, user_id: userId });
+  return job ? toJobView(job) : null;
+}
+
+function startWorker() {
+  if (workerTimer || !storage.isConfigured()) return;
+  workerTimer = setInterval(() => {
+    processJobs().catch(error => {
+      logger.error('Export worker run failed', { error: error.message });
+    });
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+  logger.info('Export worker started', { intervalMs: WORKER_INTERVAL_MS, retentionHours: RETENTION_HOURS });
+}
+
+function stopWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  SYNC_MAX_RECORDS,
+  createJob,
+  processJobs,
+  listJobs,
+  getJob,
+  startWorker,
+  stopWorker
+};
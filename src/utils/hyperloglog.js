@@ -0,0 +1,74 @@
+// src/utils/hyperloglog.js - HyperLogLog Distinct Counting
+//
+// A sketch estimates how many distinct values were added to it in 2^PRECISION bytes,
+// whatever the number of values, with a standard error of about 3%. Sketches of
+// different buckets merge into the sketch of their union, so distinct visitors over any
+// range of days come from the daily sketches without keeping who the visitors were.
+const crypto = require('crypto');
+
+const PRECISION = 10;
+const REGISTERS = 1 << PRECISION;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTERS);
+
+function createSketch() {
+  return Buffer.alloc(REGISTERS);
+}
+
+// 64 bits of the value's hash: the first PRECISION pick a register, which keeps the
+// longest run of leading zeros (plus one) seen in the rest
+function addToSketch(sketch, value) {
+  const hash = crypto.createHash('sha256').update(String(value)).digest();
+  const high = hash.readUInt32BE(0);
+  const low = hash.readUInt32BE(4);
+  const index = high >>> (32 - PRECISION);
+  const rest = (high << PRECISION) >>> 0;
+  const rank = rest !== 0 ? Math.clz32(rest) + 1 : (32 - PRECISION) + Math.clz32(low) + 1;
+  if (rank > sketch[index]) sketch[index] = rank;
+  return sketch;
+}
+
+function mergeSketches(sketches) {
+  const merged = createSketch();
+  sketches.forEach(sketch => {
+    for (let i = 0; i < REGISTERS; i++) {
+      if (sketch[i] > merged[i]) merged[i] = sketch[i];
+    }
+  });
+  return merged;
+}
+
+// Rounded estimate; small sets use linear counting, which is exact-ish where the raw
+// estimate is biased
+function estimateCardinality(sketch) {
+  let sum = 0;
+  let zeros = 0;
+  for (let i = 0; i < REGISTERS; i++) {
+    sum += 2 ** -sketch[i];
+    if (sketch[i] === 0) zeros += 1;
+  }
+  const estimate = ALPHA * REGISTERS * REGISTERS / sum;
+  if (estimate <= 2.5 * REGISTERS && zeros > 0) {
+    return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+  }
+  return Math.round(estimate);
+}
+
+function encodeSketch(sketch) {
+  return Buffer.from(sketch).toString('base64');
+}
+
+// null for anything that is not a sketch of this precision (e.g. rows from before sketches)
+function decodeSketch(encoded) {
+  if (typeof encoded !== 'string') return null;
+  const sketch = Buffer.from(encoded, 'base64');
+  return sketch.length === REGISTERS ? sketch : null;
+}
+
+module.exports = {
+  createSketch,
+  addToSketch,
+  mergeSketches,
+  estimateCardinality,
+  encodeSketch,
+  decodeSketch
+};
@@ -0,0 +1,218 @@
+// src/utils/mood-correlations.js - What Goes Along With Better or Worse Mood
+//
+// Works on days rather than entries so a day with five check-ins does not count five
+// times. Every figure carries its sample size, p-value and a confidence level, and nothing
+// is reported as an insight until the minimum-sample guards are met - a pattern drawn
+// from three days is more likely noise than a finding.
+const { mean, round, pearson, welchTTest, benjaminiHochberg } = require('./statistics');
+
+const MIN_DAYS = 7;           // logged days before anything is analyzed
+const MIN_ACTIVITY_DAYS = 3;  // days with, and days without, an activity
+const MIN_PAIRS = 7;          // paired days for a correlation
+const MAX_ACTIVITY_LENGTH = 50;
+
+const MINIMUM_SAMPLES = {
+  days: MIN_DAYS,
+  activity_days: MIN_ACTIVITY_DAYS,
+  correlation_pairs: MIN_PAIRS
+};
+
+// high: p < 0.01 on two weeks or more of data; moderate: p < 0.05; low: suggestive only
+function confidenceLevel(pValue, n) {
+  if (pValue < 0.01 && n >= 14) return 'high';
+  if (pValue < 0.05) return 'moderate';
+  if (pValue < 0.2) return 'low';
+  return 'none';
+}
+
+function isReportable(result) {
+  return result.confidence === 'high' || result.confidence === 'moderate';
+}
+
+function normalizeActivities(activities) {
+  if (!Array.isArray(activities)) return [];
+  return [...new Set(activities
+    .filter(activity => typeof activity === 'string')
+    .map(activity => activity.trim().toLowerCase())
+    .filter(activity => activity.length > 0 && activity.length <= MAX_ACTIVITY_LENGTH))];
+}
+
+function numbers(entries, field) {
+  return entries.map(entry => entry[field]).filter(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+// One record per calendar day: averages of that day's entries and every activity logged
+function summarizeDays(entries) {
+  const byDate = new Map();
+  entries.forEach(entry => {
+    if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+    byDate.get(entry.date).push(entry);
+  });
+
+  return [...byDate.entries()]
+    .map(([date, dayEntries]) => {
+      const average = field => {
+        const values = numbers(dayEntries, field);
+        return values.length > 0 ? mean(values) : null;
+      };
+      return {
+        date,
+        mood: average('mood'),
+        energy: average('energy'),
+        stress: average('stress'),
+        sleep_hours: average('sleep_hours'),
+        activities: new Set(dayEntries.flatMap(entry => normalizeActivities(entry.activities)))
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function nextDate(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+}
+
+function correlate(pairs) {
+  const result = pairs.length >= MIN_PAIRS ? pearson(pairs.map(([x]) => x), pairs.map(([, y]) => y)) : null;
+  if (!result) {
+    return { n: pairs.length, status: 'insufficient_data', minimum: MIN_PAIRS };
+  }
+  return {
+    n: result.n,
+    status: 'ok',
+    r: round(result.r),
+    ci_95: result.ci_95.map(bound => round(bound)),
+    p_value: round(result.p_value, 4),
+    slope: round(result.slope),
+    confidence: confidenceLevel(result.p_value, result.n)
+  };
+}
+
+// Mood on days with each activity against days without it
+function activityLift(days) {
+  const names = [...new Set(days.flatMap(day => [...day.activities]))].sort();
+
+  const results = names.map(activity => {
+    const withMood = days.filter(day => day.activities.has(activity)).map(day => day.mood);
+    const withoutMood = days.filter(day => !day.activities.has(activity)).map(day => day.mood);
+    const base = { activity, days_with: withMood.length, days_without: withoutMood.length };
+
+    if (withMood.length < MIN_ACTIVITY_DAYS || withoutMood.length < MIN_ACTIVITY_DAYS) {
+      return { ...base, status: 'insufficient_data', minimum: MIN_ACTIVITY_DAYS };
+    }
+    const test = welchTTest(withMood, withoutMood);
+    return {
+      ...base,
+      status: 'ok',
+      mood_with: round(mean(withMood)),
+      mood_without: round(mean(withoutMood)),
+      lift: round(test.difference),
+      ci_95: test.ci_95.map(bound => round(bound)),
+      p_value: test.p_value
+    };
+  });
+
+  // Confidence comes from the adjusted p-value: with twenty activities, one will look
+  // "significant" at p < 0.05 by chance alone
+  const tested = results.filter(result => result.status === 'ok');
+  const qValues = benjaminiHochberg(tested.map(result => result.p_value));
+  tested.forEach((result, index) => {
+    result.q_value = round(qValues[index], 4);
+    result.p_value = round(result.p_value, 4);
+    result.confidence = confidenceLevel(qValues[index], result.days_with + result.days_without);
+  });
+
+  return results.sort((a, b) =>
+    (a.status === 'ok' ? 0 : 1) - (b.status === 'ok' ? 0 : 1) ||
+    Math.abs(b.lift || 0) - Math.abs(a.lift || 0) ||
+    a.activity.localeCompare(b.activity)
+  );
+}
+
+function pairsOf(days, xField, yField) {
+  return days
+    .filter(day => day[xField] !== null && day[yField] !== null)
+    .map(day => [day[xField], day[yField]]);
+}
+
+// Sleep logged on a day against mood that day and mood the following day
+function sleepAnalysis(days) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const nextDayPairs = days
+    .filter(day => day.sleep_hours !== null && byDate.has(nextDate(day.date)))
+    .map(day => [day.sleep_hours, byDate.get(nextDate(day.date)).mood]);
+
+  return {
+    same_day: correlate(pairsOf(days, 'sleep_hours', 'mood')),
+    next_day: correlate(nextDayPairs)
+  };
+}
+
+function points(value) {
+  const magnitude = Math.abs(value);
+  return `${magnitude.toFixed(1)} point${magnitude.toFixed(1) === '1.0' ? '' : 's'}`;
+}
+
+function buildInsights(analysis) {
+  const insights = [];
+
+  analysis.activities.filter(result => result.status === 'ok' && isReportable(result)).forEach(result => {
+    insights.push(`Days with '${result.activity}' average ${points(result.lift)} ${result.lift >= 0 ? 'higher' : 'lower'} mood ` +
+      `(${result.days_with} days with it, ${result.days_without} without).`);
+  });
+
+  const nextDay = analysis.sleep.next_day;
+  if (nextDay.status === 'ok' && isReportable(nextDay)) {
+    insights.push(`Each extra hour of sleep is followed by about ${points(nextDay.slope)} ` +
+      `${nextDay.slope >= 0 ? 'higher' : 'lower'} mood the next day.`);
+  }
+
+  const described = {
+    stress_mood: r => r < 0 ? 'On more stressful days your mood tends to be lower' : 'Your mood tends to be higher on more stressful days',
+    energy_mood: r => r > 0 ? 'Your mood tends to rise and fall with your energy' : 'Your mood tends to be lower on higher-energy days',
+    stress_energy: r => r < 0 ? 'Stressful days tend to leave you with less energy' : 'Your energy tends to be higher on stressful days'
+  };
+  Object.entries(described).forEach(([key, describe]) => {
+    const result = analysis.relationships[key];
+    if (result.status === 'ok' && isReportable(result)) {
+      insights.push(`${describe(result.r)} (r = ${result.r.toFixed(2)}).`);
+    }
+  });
+
+  if (insights.length > 0) return insights;
+  return analysis.sample.days_logged < MIN_DAYS
+    ? [`Log your mood on at least ${MIN_DAYS} different days to see what affects it.`]
+    : ['No clear patterns yet - keep logging activities, sleep and stress to find out what helps.'];
+}
+
+// Full correlation report for a set of mood entries
+function analyzeCorrelations(entries) {
+  const days = summarizeDays(entries).filter(day => day.mood !== null);
+  const enoughDays = days.length >= MIN_DAYS;
+  const usable = enoughDays ? days : [];
+
+  const analysis = {
+    sample: {
+      entries: entries.length,
+      days_logged: days.length
+    },
+    activities: enoughDays ? activityLift(usable) : [],
+    sleep: sleepAnalysis(usable),
+    relationships: {
+      stress_mood: correlate(pairsOf(usable, 'stress', 'mood')),
+      energy_mood: correlate(pairsOf(usable, 'energy', 'mood')),
+      stress_energy: correlate(pairsOf(usable, 'stress', 'energy'))
+    },
+    minimum_samples: MINIMUM_SAMPLES
+  };
+  analysis.insights = buildInsights(analysis);
+  return analysis;
+}
+
+module.exports = {
+  MINIMUM_SAMPLES,
+  normalizeActivities,
+  summarizeDays,
+  analyzeCorrelations
+};
@@ -0,0 +1,109 @@
+// src/utils/mood-entries.js - Mood Entry Validation and Saving
+//
+// Shared by POST /api/mood and imports, so a row from another app is held to the same
+// rules as an entry logged in the app, and is seen by analytics and crisis escalation
+// like one. Entries can be dated in the past (a mood the user forgot to log yesterday),
+// but never in the future.
+const db = require('../db');
+const { encryptRecord, decryptRecord } = require('./encryption');
+const { logCrisisDetection, escalateCrisisDetection } = require('./text-safety');
+const { localDate } = require('./time-zones');
+const events = require('./events');
+const { validateMetricValues, normalizeEmotions } = require('./mood-metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back an entry logged in the app may be dated
+const BACKDATE_DAYS = parseInt(process.env.MOOD_BACKDATE_DAYS) || 30;
+// Allowance for client clocks that run slightly fast
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+// A full ISO 8601 timestamp with an explicit zone, so it never depends on the server's
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Returns { timestamp } (a Date; now when none was given) or { error }
+function resolveTimestamp(value, { now = new Date(), maxAgeDays = BACKDATE_DAYS } = {}) {
+  if (value === undefined || value === null) return { timestamp: now };
+
+  const timestamp = new Date(value);
+  if (typeof value !== 'string' || !TIMESTAMP_PATTERN.test(value) || isNaN(timestamp)) {
+    return { error: 'timestamp must be an ISO 8601 date and time with a zone, e.g. 2024-05-01T20:30:00Z' };
+  }
+  if (timestamp - now > FUTURE_TOLERANCE_MS) {
+    return { error: 'timestamp cannot be in the future' };
+  }
+  if (now - timestamp > maxAgeDays * DAY_MS) {
+    return { error: `timestamp must be within the last ${maxAgeDays} days` };
+  }
+  return { timestamp };
+}
+
+// Check an entry's fields; returns { error } or { fields } with metrics and emotions
+// normalized. Custom metrics are checked against the user's own definitions.
+function validateMoodFields(userId, body) {
+  const { mood, energy, stress, sleep_hours, notes, activities = [] } = body;
+
+  if (mood === undefined || typeof mood !== 'number') {
+    return { error: 'Mood is required and must be a number' };
+  }
+  if (mood < 1 || mood > 10) {
+    return { error: 'Mood must be between 1 and 10' };
+  }
+  if (energy !== undefined && (energy < 1 || energy > 10)) {
+    return { error: 'Energy must be between 1 and 10' };
+  }
+  if (stress !== undefined && (stress < 1 || stress > 10)) {
+    return { error: 'Stress must be between 1 and 10' };
+  }
+  if (sleep_hours !== undefined && (sleep_hours < 0 || sleep_hours > 24)) {
+    return { error: 'Sleep hours must be between 0 and 24' };
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { error: 'Notes must be a string' };
+  }
+
+  const { error: metricsError, metrics } = validateMetricValues(userId, body.metrics);
+  const { error: emotionsError, emotions } = normalizeEmotions(body.emotions);
+  if (metricsError || emotionsError) {
+    return { error: metricsError || emotionsError };
+  }
+
+  return { fields: { mood, energy, stress, sleep_hours, notes, activities, metrics, emotions } };
+}
+
+// Save validated fields as an entry dated by the user's own calendar; returns it decrypted.
+// Safe to call inside a transaction - nothing outside the database is told until
+// announceMoodEntry.
+function saveMoodEntry(userId, fields, { timestamp, timeZone, crisisAnalysis, source, loggedAt = new Date() }) {
+  const stored = db.collection('mood_entries').insert(encryptRecord('mood_entries', userId, {
+    user_id: userId,
+    ...fields,
+    crisis_analysis: crisisAnalysis,
+    timestamp: timestamp.toISOString(),
+    date: localDate(timestamp, timeZone),
+    logged_at: loggedAt.toISOString(),
+    source
+  }));
+  return decryptRecord('mood_entries', userId, stored);
+}
+
+// Publish a saved entry and log and escalate any crisis language in it; call once the
+// entry is committed
+function announceMoodEntry(entry, { backdated, first }) {
+  events.publish(events.EVENTS.MOOD_RECORDED, {
+    userId: entry.user_id,
+    entryId: entry.id,
+    crisisDetected: Boolean(entry.crisis_analysis && entry.crisis_analysis.detected),
+    backdated,
+    first
+  });
+
+  logCrisisDetection('mood_entries', entry);
+  escalateCrisisDetection('mood_entries', entry);
+}
+
+module.exports = {
+  TIMESTAMP_PATTERN,
+  resolveTimestamp,
+  validateMoodFields,
+  saveMoodEntry,
+  announceMoodEntry
+};
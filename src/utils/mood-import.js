@@ -0,0 +1,297 @@
+// src/utils/mood-import.js - Mood History Import from CSV, Daylio and eMoods
+//
+// Lets users bring their history over from other apps. Every row is mapped to our fields,
+// checked with the same rules as an entry logged in the app and reported back as
+// accepted, duplicate or rejected - one bad row never sinks the rest of the file. Saved
+// rows are published and screened for crisis language one by one, as if logged in the
+// app. Dates and times in the file are wall-clock times in the user's time zone.
+//
+// Mappings from other apps' scales:
+// - Daylio moods: rad 9, good 7, meh 5, bad 3, awful 1 (custom moods via `mood_map`)
+// - eMoods ratings are 0-3 (none to severe): mood is 7 - 2 x depressed, stress is
+//   1 + 3 x the higher of anxiety and irritability
+const db = require('../db');
+const { parseCsv } = require('./csv');
+const { analyzeFields } = require('./text-safety');
+const { TIMESTAMP_PATTERN, resolveTimestamp, validateMoodFields, saveMoodEntry, announceMoodEntry } = require('./mood-entries');
+const { listMetrics } = require('./mood-metrics');
+const { userTimeZone, isValidDate, zonedDateTime } = require('./time-zones');
+
+const MAX_IMPORT_ROWS = 5000;
+// Imports are history, so they may go back much further than a backdated entry
+const IMPORT_MAX_AGE_DAYS = 10 * 365;
+// Time used for rows that only have a date (eMoods logs one entry per day)
+const DEFAULT_TIME = '12:00';
+
+const DAYLIO_MOODS = { rad: 9, good: 7, meh: 5, bad: 3, awful: 1 };
+
+// Column names accepted by the plain CSV format, after normalizing headers
+const CSV_COLUMNS = {
+  timestamp: ['timestamp', 'datetime'],
+  date: ['date', 'day'],
+  time: ['time'],
+  mood: ['mood'],
+  energy: ['energy'],
+  stress: ['stress'],
+  sleep_hours: ['sleep_hours', 'sleep'],
+  notes: ['notes', 'note'],
+  activities: ['activities'],
+  emotions: ['emotions', 'feelings']
+};
+
+// "Sleep Hours" -> "sleep_hours"
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function parseNumber(value, label) {
+  if (value === undefined || value.trim() === '') return { value: undefined };
+  if (!/^-?\d+(\.\d+)?$/.test(value.trim())) return { error: `${label} "${value}" is not a number` };
+  return { value: parseFloat(value) };
+}
+
+function parseBoolean(value, label) {
+  const normalized = (value || '').trim().toLowerCase();
+  if (normalized === '') return { value: undefined };
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return { value: true };
+  if (['false', 'no', 'n', '0'].includes(normalized)) return { value: false };
+  return { error: `${label} "${value}" is not yes or no` };
+}
+
+function parseList(value) {
+  if (!value || value.trim() === '') return [];
+  return value.split(/\s*[|;]\s*/).map(item => item.trim()).filter(Boolean);
+}
+
+// "20:23", "8:23 PM" or "20:23:05" -> "HH:MM" / "HH:MM:SS", or null
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec((value || '').trim());
+  if (!match) return null;
+  let hour = parseInt(match[1]);
+  const meridiem = match[4] && match[4].toLowerCase()[0];
+  if (meridiem && (hour < 1 || hour > 12)) return null;
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  if (hour > 23 || parseInt(match[2]) > 59 || (match[3] && parseInt(match[3]) > 59)) return null;
+  return [String(hour).padStart(2, '0'), match[2], match[3]].filter(Boolean).join(':');
+}
+
+// A full timestamp is used as given; a date (plus optional time) is local to the user
+function parseWhen({ timestamp, date, time }, timeZone) {
+  if (timestamp && timestamp.trim()) {
+    return TIMESTAMP_PATTERN.test(timestamp.trim())
+      ? { value: timestamp.trim() }
+      : { error: `timestamp "${timestamp}" must be ISO 8601 with a zone, e.g. 2024-05-01T20:30:00Z` };
+  }
+  if (!date || !isValidDate(date.trim())) {
+    return { error: date ? `date "${date}" must be YYYY-MM-DD` : 'date is missing' };
+  }
+  const localTime = time && time.trim() ? parseTime(time) : DEFAULT_TIME;
+  if (!localTime) return { error: `time "${time}" is not a time of day` };
+  return { value: zonedDateTime(date.trim(), localTime, timeZone).toISOString() };
+}
+
+// Each mapper turns one record ({ header: value }) into the body of a mood entry
+// plus its timestamp, or an error
+const FORMATS = {
+  daylio: {
+    detect: headers => headers.includes('full_date') && headers.includes('mood'),
+    map: (record, { timeZone, moodMap }) => {
+      const label = (record.mood || '').trim().toLowerCase();
+      const mood = moodMap[label] !== undefined ? moodMap[label] : DAYLIO_MOODS[label];
+      if (mood === undefined) {
+        return { error: `Daylio mood "${record.mood}" is not one of ${Object.keys(DAYLIO_MOODS).join(', ')} - map it with mood_map` };
+      }
+      const when = parseWhen({ date: record.full_date, time: record.time }, timeZone);
+      if (when.error) return when;
+
+      const notes = [record.note_title, record.note]
+        .map(text => (text || '').replace(/<br\s*\/?>/gi, '\n').trim())
+        .filter(Boolean)
+        .join('\n\n');
+      return {
+        timestamp: when.value,
+        body: { mood, notes: notes || undefined, activities: parseList(record.activities) }
+      };
+    }
+  },
+
+  emoods: {
+    detect: headers => headers.includes('depressed') && headers.includes('elevated'),
+    map: (record, { timeZone }) => {
+      const ratings = {};
+      for (const field of ['depressed', 'anxiety', 'irritability']) {
+        const raw = field === 'irritability' && record.irritability === undefined ? record.irritable : record[field];
+        const { value, error } = parseNumber(raw, field);
+        if (error) return { error };
+        if (value !== undefined && (value < 0 || value > 3 || !Number.isInteger(value))) {
+          return { error: `${field} must be an eMoods rating from 0 to 3` };
+        }
+        ratings[field] = value;
+      }
+      if (ratings.depressed === undefined) return { error: 'depressed rating is missing' };
+
+      const sleep = parseNumber(record.sleep, 'sleep');
+      if (sleep.error) return sleep;
+      const when = parseWhen({ date: record.date }, timeZone);
+      if (when.error) return when;
+
+      const strain = [ratings.anxiety, ratings.irritability].filter(value => value !== undefined);
+      return {
+        timestamp: when.value,
+        body: {
+          mood: 7 - 2 * ratings.depressed,
+          stress: strain.length > 0 ? 1 + 3 * Math.max(...strain) : undefined,
+          sleep_hours: sleep.value,
+          notes: record.notes && record.notes.trim() ? record.notes.trim() : undefined
+        }
+      };
+    }
+  },
+
+  // Our own columns (see CSV_COLUMNS), plus one column per custom metric key
+  csv: {
+    detect: () => true,
+    map: (record, { timeZone, metrics }) => {
+      const value = field => CSV_COLUMNS[field].map(name => record[name]).find(item => item !== undefined);
+
+      const when = parseWhen({ timestamp: value('timestamp'), date: value('date'), time: value('time') }, timeZone);
+      if (when.error) return when;
+
+      const body = {
+        notes: value('notes') && value('notes').trim() ? value('notes').trim() : undefined,
+        activities: parseList(value('activities')),
+        emotions: parseList(value('emotions'))
+      };
+      for (const field of ['mood', 'energy', 'stress', 'sleep_hours']) {
+        const { value: number, error } = parseNumber(value(field), field);
+        if (error) return { error };
+        body[field] = number;
+      }
+
+      const values = {};
+      for (const metric of metrics) {
+        if (record[metric.key] === undefined) continue;
+        const parsed = metric.type === 'boolean'
+          ? parseBoolean(record[metric.key], metric.label)
+          : parseNumber(record[metric.key], metric.label);
+        if (parsed.error) return { error: parsed.error };
+        if (parsed.value !== undefined) values[metric.key] = parsed.value;
+      }
+      if (Object.keys(values).length > 0) body.metrics = values;
+
+      return { timestamp: when.value, body };
+    }
+  }
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// Check the import options; returns an error message or null
+function validateImportOptions({ format, mapping, mood_map: moodMap }) {
+  if (format !== undefined && format !== 'auto' && !FORMATS[format]) {
+    return `format must be one of: auto, ${FORMAT_NAMES.join(', ')}`;
+  }
+  if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping) ||
+      Object.values(mapping).some(header => typeof header !== 'string'))) {
+    return 'mapping must be an object of field name to column header';
+  }
+  if (moodMap !== undefined && (typeof moodMap !== 'object' || moodMap === null || Array.isArray(moodMap) ||
+      Object.values(moodMap).some(mood => typeof mood !== 'number' || mood < 1 || mood > 10))) {
+    return 'mood_map must be an object of mood label to a mood from 1 to 10';
+  }
+  return null;
+}
+
+// Import a file's rows as mood entries. `mapping` renames columns ({ mood: 'How I felt' });
+// with `dryRun` nothing is saved. Returns { error } when the file itself can't be read,
+// otherwise { report } with a status for every row.
+function importMoodEntries(userId, data, { format = 'auto', mapping = {}, moodMap = {}, dryRun = false, now = new Date() } = {}) {
+  const { rows, error } = parseCsv(data);
+  if (error) return { error };
+  if (rows.length < 2) return { error: 'The file needs a header row and at least one entry' };
+  if (rows.length - 1 > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+
+  // Columns named in `mapping` are read as the field they map to
+  const renames = new Map(Object.entries(mapping).map(([field, header]) => [normalizeHeader(header), normalizeHeader(field)]));
+  const headers = rows[0].values.map(normalizeHeader).map(header => renames.get(header) || header);
+  const formatName = format === 'auto' ? FORMAT_NAMES.find(name => FORMATS[name].detect(headers)) : format;
+
+  const context = {
+    timeZone: userTimeZone(userId),
+    moodMap: Object.fromEntries(Object.entries(moodMap).map(([label, mood]) => [label.trim().toLowerCase(), mood])),
+    metrics: listMetrics(userId)
+  };
+
+  const report = [];
+  const candidates = [];
+  rows.slice(1).forEach(({ line, values }) => {
+    const record = Object.fromEntries(headers.map((header, index) => [header, values[index]]));
+    const mapped = FORMATS[formatName].map(record, context);
+    const checked = mapped.error ? mapped : validateMoodFields(userId, mapped.body);
+    const when = checked.error ? checked : resolveTimestamp(mapped.timestamp, { now, maxAgeDays: IMPORT_MAX_AGE_DAYS });
+
+    if (when.error) {
+      report.push({ row: line, status: 'rejected', error: when.error });
+      return;
+    }
+    const entry = { row: line, status: 'accepted', timestamp: when.timestamp.toISOString(), fields: checked.fields };
+    candidates.push(entry);
+    report.push(entry);
+  });
+
+  // The same moment and mood counts as the same entry, within the file or already saved
+  const keyOf = (timestamp, mood) => `${timestamp}|${Number(mood)}`;
+  const seen = new Set();
+  if (candidates.length > 0) {
+    const timestamps = candidates.map(entry => entry.timestamp).sort();
+    db.collection('mood_entries').find({
+      user_id: userId,
+      timestamp: { gte: timestamps[0], lte: timestamps[timestamps.length - 1] }
+    }).forEach(existing => seen.add(keyOf(existing.timestamp, existing.mood)));
+  }
+  const accepted = candidates.filter(entry => {
+    const key = keyOf(entry.timestamp, entry.fields.mood);
+    if (seen.has(key)) {
+      entry.status = 'duplicate';
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  // Saved in one transaction, then announced row by row like entries logged in the app
+  if (!dryRun && accepted.length > 0) {
+    const hadEntries = db.collection('mood_entries').count({ user_id: userId }) > 0;
+    const saved = db.transaction(() => accepted.map(entry => saveMoodEntry(userId, entry.fields, {
+      timestamp: new Date(entry.timestamp),
+      timeZone: context.timeZone,
+      crisisAnalysis: analyzeFields({ notes: entry.fields.notes }),
+      source: `import:${formatName}`,
+      loggedAt: now
+    })));
+    saved.forEach((moodEntry, index) => {
+      accepted[index].id = moodEntry.id;
+      announceMoodEntry(moodEntry, { backdated: true, first: !hadEntries && index === 0 });
+    });
+  }
+
+  return {
+    report: {
+      format: formatName,
+      dry_run: dryRun,
+      summary: {
+        rows: report.length,
+        accepted: accepted.length,
+        duplicates: candidates.length - accepted.length,
+        rejected: report.length - candidates.length
+      },
+      rows: report.map(({ fields, ...row }) => row)
+    }
+  };
+}
+
+module.exports = {
+  validateImportOptions,
+  importMoodEntries
+};
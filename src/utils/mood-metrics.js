@@ -0,0 +1,243 @@
+// src/utils/mood-metrics.js - User-Defined Mood Metrics and Emotion Tags
+//
+// Besides the built-in mood, energy, stress and sleep_hours, each user can track their own
+// metrics (anxiety, pain, medication taken, ...). A definition fixes the metric's type and
+// scale; values are checked against it on every entry and stored in the entry's `metrics`
+// object. Keys are never deleted, only archived, so older entries always stay readable.
+// Emotions come from a fixed feelings-wheel vocabulary (src/data/feelings-wheel.json).
+const db = require('../db');
+const feelingsWheel = require('../data/feelings-wheel.json');
+
+const TYPES = ['scale', 'number', 'boolean'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+// Built-in fields and names used in responses (e.g. daily_summary's `count`)
+const RESERVED_KEYS = ['mood', 'energy', 'stress', 'sleep_hours', 'notes', 'activities', 'metrics', 'emotions',
+  'date', 'timestamp', 'count'];
+const MAX_ACTIVE_METRICS = 20;
+const MAX_LABEL_LENGTH = 50;
+const MAX_UNIT_LENGTH = 20;
+const MAX_SCALE_STEPS = 100;
+const MAX_EMOTIONS = 10;
+
+const PRESETS = {
+  anxiety: { label: 'Anxiety', type: 'scale', min: 1, max: 10 },
+  irritability: { label: 'Irritability', type: 'scale', min: 1, max: 10 },
+  focus: { label: 'Focus', type: 'scale', min: 1, max: 10 },
+  pain: { label: 'Pain', type: 'scale', min: 0, max: 10 },
+  medication_taken: { label: 'Medication taken', type: 'boolean' }
+};
+
+// Emotion name -> its family on the wheel ("anxious" -> "fearful"); families count too
+const EMOTION_FAMILIES = new Map();
+Object.entries(feelingsWheel).forEach(([family, emotions]) => {
+  EMOTION_FAMILIES.set(family, family);
+  emotions.forEach(emotion => EMOTION_FAMILIES.set(emotion, family));
+});
+
+function isOptionalNumber(value) {
+  return value === undefined || value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+// Returns an error message or null. `definition` is a full definition for a new metric.
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return 'Metric definition must be an object';
+  }
+  const { key, label, type, min, max, step, unit } = definition;
+
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    return 'key must be 2-40 lowercase letters, digits or underscores, starting with a letter';
+  }
+  if (RESERVED_KEYS.includes(key)) {
+    return `key "${key}" is reserved`;
+  }
+  if (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH) {
+    return `label is required and must be at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  if (!TYPES.includes(type)) {
+    return `type must be one of: ${TYPES.join(', ')}`;
+  }
+  if (unit !== undefined && unit !== null && (typeof unit !== 'string' || unit.length > MAX_UNIT_LENGTH)) {
+    return `unit must be a string of at most ${MAX_UNIT_LENGTH} characters`;
+  }
+  if (type === 'boolean') {
+    return [min, max, step].some(value => value !== undefined && value !== null)
+      ? 'boolean metrics have no min, max or step'
+      : null;
+  }
+
+  if (![min, max, step].every(isOptionalNumber)) {
+    return 'min, max and step must be numbers';
+  }
+  if (type === 'number' && step !== undefined && step !== null) {
+    return 'step only applies to scale metrics';
+  }
+  if (type === 'scale') {
+    if (!Number.isInteger(min) || !Number.isInteger(max)) {
+      return 'scale metrics need whole-number min and max';
+    }
+    const scaleStep = step === undefined || step === null ? 1 : step;
+    if (scaleStep <= 0 || (max - min) / scaleStep > MAX_SCALE_STEPS) {
+      return `step must be positive and the scale at most ${MAX_SCALE_STEPS} steps long`;
+    }
+  }
+  if (typeof min === 'number' && typeof max === 'number' && min >= max) {
+    return 'min must be less than max';
+  }
+  return null;
+}
+
+function toDefinition(record) {
+  const definition = {
+    key: record.key,
+    label: record.label,
+    type: record.type,
+    archived: record.archived,
+    created_at: record.created_at,
+    updated_at: record.updated_at
+  };
+  ['min', 'max', 'step', 'unit'].forEach(field => {
+    if (record[field] !== null && record[field] !== undefined) definition[field] = record[field];
+  });
+  return definition;
+}
+
+function listMetrics(userId, { includeArchived = false } = {}) {
+  const where = { user_id: userId };
+  if (!includeArchived) where.archived = false;
+  return db.collection('mood_metrics').find(where, { orderBy: 'created_at' }).map(toDefinition);
+}
+
+// Create a metric from a full definition or { preset: 'anxiety' }. Returns { metric } or
+// { error, status } when it is invalid, taken or over the limit.
+function createMetric(userId, body) {
+  const preset = body && body.preset;
+  if (preset !== undefined && !PRESETS[preset]) {
+    return { status: 400, error: `preset must be one of: ${Object.keys(PRESETS).join(', ')}` };
+  }
+  const definition = preset ? { key: preset, ...PRESETS[preset], ...body, preset: undefined } : body;
+
+  const validationError = validateDefinition(definition);
+  if (validationError) return { status: 400, error: validationError };
+
+  return db.transaction(() => {
+    const metrics = db.collection('mood_metrics');
+    if (metrics.findOne({ user_id: userId, key: definition.key })) {
+      return { status: 409, error: `A metric with key "${definition.key}" already exists` };
+    }
+    if (metrics.count({ user_id: userId, archived: false }) >= MAX_ACTIVE_METRICS) {
+      return { status: 400, error: `At most ${MAX_ACTIVE_METRICS} metrics can be active - archive one first` };
+    }
+
+    const now = new Date().toISOString();
+    return {
+      metric: toDefinition(metrics.insert({
+        user_id: userId,
+        key: definition.key,
+        label: definition.label.trim(),
+        type: definition.type,
+        min: definition.min === undefined ? null : definition.min,
+        max: definition.max === undefined ? null : definition.max,
+        step: definition.type === 'scale' ? definition.step || 1 : null,
+        unit: definition.unit ? definition.unit.trim() : null,
+        archived: false,
+        created_at: now,
+        updated_at: now
+      }))
+    };
+  });
+}
+
+// Only the label, unit and archived flag can change: type and scale are fixed once
+// values have been recorded against them
+function updateMetric(userId, key, changes) {
+  const metrics = db.collection('mood_metrics');
+  const record = metrics.findOne({ user_id: userId, key });
+  if (!record) return { status: 404, error: 'Metric not found' };
+
+  const body = changes || {};
+  const fixed = ['key', 'type', 'min', 'max', 'step'].find(field => body[field] !== undefined);
+  if (fixed) return { status: 400, error: `${fixed} cannot be changed - archive this metric and create a new one` };
+  if (body.label !== undefined && (typeof body.label !== 'string' || !body.label.trim() || body.label.length > MAX_LABEL_LENGTH)) {
+    return { status: 400, error: `label must be at most ${MAX_LABEL_LENGTH} characters` };
+  }
+  if (body.unit !== undefined && body.unit !== null && (typeof body.unit !== 'string' || body.unit.length > MAX_UNIT_LENGTH)) {
+    return { status: 400, error: `unit must be a string of at most ${MAX_UNIT_LENGTH} characters` };
+  }
+  if (body.archived !== undefined && typeof body.archived !== 'boolean') {
+    return { status: 400, error: 'archived must be true or false' };
+  }
+  if (body.archived === false && record.archived &&
+      metrics.count({ user_id: userId, archived: false }) >= MAX_ACTIVE_METRICS) {
+    return { status: 400, error: `At most ${MAX_ACTIVE_METRICS} metrics can be active - archive one first` };
+  }
+
+  const update = { updated_at: new Date().toISOString() };
+  if (body.label !== undefined) update.label = body.label.trim();
+  if (body.unit !== undefined) update.unit = body.unit ? body.unit.trim() : null;
+  if (body.archived !== undefined) update.archived = body.archived;
+  return { metric: toDefinition(metrics.update(record.id, update)) };
+}
+
+function checkValue(definition, value) {
+  if (definition.type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+  if (definition.min !== undefined && value < definition.min) return `must be at least ${definition.min}`;
+  if (definition.max !== undefined && value > definition.max) return `must be at most ${definition.max}`;
+  if (definition.type === 'scale') {
+    const steps = (value - definition.min) / definition.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) return `must be in steps of ${definition.step} from ${definition.min}`;
+  }
+  return null;
+}
+
+// Check an entry's { key: value } against the user's active metrics. Returns
+// { error } or { metrics } (null when none were given).
+function validateMetricValues(userId, values) {
+  if (values === undefined || values === null) return { metrics: null };
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    return { error: 'metrics must be an object of metric key to value' };
+  }
+
+  const definitions = new Map(listMetrics(userId).map(definition => [definition.key, definition]));
+  for (const [key, value] of Object.entries(values)) {
+    const definition = definitions.get(key);
+    if (!definition) {
+      return { error: `Unknown metric "${key}" - define it first with POST /api/mood/metrics` };
+    }
+    const problem = checkValue(definition, value);
+    if (problem) return { error: `${definition.label} ${problem}` };
+  }
+  return { metrics: Object.keys(values).length > 0 ? values : null };
+}
+
+// Lowercased, de-duplicated emotion names from the wheel. Returns { error } or { emotions }.
+function normalizeEmotions(emotions) {
+  if (emotions === undefined || emotions === null) return { emotions: [] };
+  if (!Array.isArray(emotions) || emotions.some(emotion => typeof emotion !== 'string')) {
+    return { error: 'emotions must be an array of strings' };
+  }
+
+  const normalized = [...new Set(emotions.map(emotion => emotion.trim().toLowerCase()))];
+  const unknown = normalized.find(emotion => !EMOTION_FAMILIES.has(emotion));
+  if (unknown) return { error: `Unknown emotion "${unknown}" - see GET /api/mood/emotions` };
+  if (normalized.length > MAX_EMOTIONS) return { error: `At most ${MAX_EMOTIONS} emotions per entry` };
+  return { emotions: normalized };
+}
+
+function emotionFamily(emotion) {
+  return EMOTION_FAMILIES.get(emotion) || null;
+}
+
+module.exports = {
+  PRESETS,
+  feelingsWheel,
+  listMetrics,
+  createMetric,
+  updateMetric,
+  validateMetricValues,
+  normalizeEmotions,
+  emotionFamily
+};
@@ -0,0 +1,111 @@
+// src/utils/mood-summary.js - Mood Entry Summaries
+//
+// The averages, ranges and emotion counts behind GET /api/mood, shared with exports so a
+// clinician summary shows the same figures the user sees in the app.
+const { mean, round } = require('./statistics');
+const { listMetrics, emotionFamily } = require('./mood-metrics');
+
+// Built-in fields; `range` adds them to the summary's ranges and `daily` to the daily summary
+const BUILT_IN_FIELDS = [
+  { key: 'mood', read: entry => entry.mood, range: true, daily: true },
+  { key: 'energy', read: entry => entry.energy, range: true, daily: true },
+  { key: 'stress', read: entry => entry.stress, range: true, daily: true },
+  { key: 'sleep_hours', read: entry => entry.sleep_hours, range: false, daily: false }
+];
+
+// The user's metrics summarized like the built-ins: active ones always, archived ones
+// while they still have values in the period. A boolean metric's average is the share
+// of entries where it was true (0-1), and it has no range.
+function metricFields(definitions, entries) {
+  return definitions
+    .map(definition => ({
+      key: definition.key,
+      definition,
+      read: entry => {
+        const value = entry.metrics ? entry.metrics[definition.key] : undefined;
+        return typeof value === 'boolean' ? Number(value) : value;
+      },
+      places: definition.type === 'boolean' ? 2 : 1,
+      range: definition.type !== 'boolean',
+      daily: true
+    }))
+    .filter(field => !field.definition.archived || fieldValues(entries, field).length > 0);
+}
+
+function fieldValues(entries, field) {
+  return entries.map(field.read).filter(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+function averageOf(entries, field) {
+  const values = fieldValues(entries, field);
+  return values.length > 0 ? round(mean(values), field.places || 1) : null;
+}
+
+// How often each emotion and each feelings-wheel family was tagged
+function emotionCounts(entries) {
+  const emotions = {};
+  const families = {};
+  entries.forEach(entry => (entry.emotions || []).forEach(emotion => {
+    emotions[emotion] = (emotions[emotion] || 0) + 1;
+    const family = emotionFamily(emotion);
+    if (family) families[family] = (families[family] || 0) + 1;
+  }));
+  return {
+    top: Object.entries(emotions)
+      .map(([emotion, count]) => ({ emotion, family: emotionFamily(emotion), count }))
+      .sort((a, b) => b.count - a.count || a.emotion.localeCompare(b.emotion)),
+    families
+  };
+}
+
+// Summary of `entries` for the user: averages, ranges and emotions (when there are
+// entries) and the custom metric definitions, for labels and scales in charts. `fields`
+// is returned for dailySummary.
+function summarizeEntries(userId, entries) {
+  const fields = [
+    ...BUILT_IN_FIELDS,
+    ...metricFields(listMetrics(userId, { includeArchived: true }), entries)
+  ];
+  const summary = {};
+
+  if (entries.length > 0) {
+    summary.averages = Object.fromEntries(fields.map(field => [field.key, averageOf(entries, field)]));
+
+    summary.ranges = {};
+    fields.filter(field => field.range).forEach(field => {
+      const values = fieldValues(entries, field);
+      if (values.length > 0) {
+        summary.ranges[field.key] = { min: Math.min(...values), max: Math.max(...values) };
+      }
+    });
+
+    summary.emotions = emotionCounts(entries);
+  }
+
+  summary.metrics = fields.filter(field => field.definition).map(field => field.definition);
+  return { fields, summary };
+}
+
+// One row per local day (oldest first) with the average of each daily field
+function dailySummary(entries, fields) {
+  const days = {};
+  entries.forEach(entry => {
+    if (!days[entry.date]) {
+      days[entry.date] = { date: entry.date, entries: [] };
+    }
+    days[entry.date].entries.push(entry);
+  });
+
+  return Object.values(days).map(day => ({
+    date: day.date,
+    count: day.entries.length,
+    ...Object.fromEntries(fields.filter(field => field.daily)
+      .map(field => [`average_${field.key}`, averageOf(day.entries, field)])),
+    emotions: [...new Set(day.entries.flatMap(entry => entry.emotions || []))].sort()
+  })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  summarizeEntries,
+  dailySummary
+};
@@ -0,0 +1,185 @@
+// src/utils/mood-trends.js - Mood Trend Engine
+//
+// Fits a line through daily mood averages instead of comparing the first and last entries,
+// so one unusually good or bad check-in cannot flip the trend. A weekly rhythm (e.g. every
+// Monday is low) is detected and taken out before fitting, and the series is searched for
+// the point where mood shifted to a new level so sustained drops can be flagged.
+const { mean, round, welchTTest, linearRegression, oneWayAnova } = require('./statistics');
+const { summarizeDays } = require('./mood-correlations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MIN_TREND_DAYS = 5;
+// Smallest fitted change per week still called a trend; smaller slopes read as stable
+const MIN_WEEKLY_CHANGE = 0.25;
+const ROLLING_WINDOW_DAYS = 7;
+// Weekly pattern needs two weeks of data and two days for most weekdays
+const MIN_SEASONAL_SPAN_DAYS = 14;
+const MIN_SEASONAL_WEEKDAYS = 5;
+const MIN_SEASONAL_AMPLITUDE = 0.5;
+// A change point needs this many days on each side and a shift of at least this many points
+const MIN_SEGMENT_DAYS = 5;
+const MIN_SHIFT = 1.0;
+const CHANGE_POINT_P_VALUE = 0.01;
+
+function dayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Trailing average over the previous ROLLING_WINDOW_DAYS calendar days, for each logged day
+function rollingAverages(days) {
+  return days.map(day => {
+    const end = dayNumber(day.date);
+    const window = days.filter(other => {
+      const n = dayNumber(other.date);
+      return n > end - ROLLING_WINDOW_DAYS && n <= end;
+    });
+    return { date: day.date, mood: round(day.mood), rolling: round(mean(window.map(other => other.mood))) };
+  });
+}
+
+function rollingSummary(days) {
+  if (days.length === 0) return { window_days: ROLLING_WINDOW_DAYS, current: null, previous: null, change: null };
+
+  const last = dayNumber(days[days.length - 1].date);
+  const inWindow = (offset) => days
+    .filter(day => {
+      const n = dayNumber(day.date);
+      return n > last - offset - ROLLING_WINDOW_DAYS && n <= last - offset;
+    })
+    .map(day => day.mood);
+
+  const current = mean(inWindow(0));
+  const previousValues = inWindow(ROLLING_WINDOW_DAYS);
+  const previous = previousValues.length > 0 ? mean(previousValues) : null;
+  return {
+    window_days: ROLLING_WINDOW_DAYS,
+    current: round(current),
+    previous: round(previous),
+    change: previous === null ? null : round(current - previous)
+  };
+}
+
+// Average deviation from overall mood for each weekday, kept when a one-way ANOVA says the
+// weekdays really differ and the swing is big enough to matter
+function weeklyPattern(days) {
+  const groups = Object.fromEntries(WEEKDAYS.map(weekday => [weekday, []]));
+  days.forEach(day => groups[weekdayOf(day.date)].push(day.mood));
+
+  const overall = mean(days.map(day => day.mood));
+  const byWeekday = Object.fromEntries(WEEKDAYS.map(weekday => [
+    weekday,
+    groups[weekday].length > 0 ? mean(groups[weekday]) - overall : null
+  ]));
+
+  const span = days.length > 0 ? dayNumber(days[days.length - 1].date) - dayNumber(days[0].date) + 1 : 0;
+  const coveredWeekdays = WEEKDAYS.filter(weekday => groups[weekday].length >= 2);
+  const effects = coveredWeekdays.map(weekday => byWeekday[weekday]);
+  const amplitude = effects.length > 0 ? Math.max(...effects) - Math.min(...effects) : 0;
+  const anova = coveredWeekdays.length >= MIN_SEASONAL_WEEKDAYS && span >= MIN_SEASONAL_SPAN_DAYS
+    ? oneWayAnova(coveredWeekdays.map(weekday => groups[weekday]))
+    : null;
+
+  const ranked = coveredWeekdays.slice().sort((a, b) => byWeekday[b] - byWeekday[a]);
+  return {
+    detected: Boolean(anova) && anova.p_value < 0.05 && amplitude >= MIN_SEASONAL_AMPLITUDE,
+    amplitude: round(amplitude),
+    p_value: anova ? round(anova.p_value, 4) : null,
+    best_day: ranked[0] || null,
+    worst_day: ranked[ranked.length - 1] || null,
+    by_weekday: Object.fromEntries(WEEKDAYS.map(weekday => [weekday, round(byWeekday[weekday])]))
+  };
+}
+
+// The split that best separates the series into two levels (largest Welch t), if the shift
+// is both large and unlikely to be chance. `ongoing` means the latest days are still at the
+// new level rather than having already recovered.
+function detectChangePoint(days, values) {
+  if (days.length < MIN_SEGMENT_DAYS * 2) return null;
+
+  let best = null;
+  for (let split = MIN_SEGMENT_DAYS; split <= days.length - MIN_SEGMENT_DAYS; split++) {
+    const before = values.slice(0, split);
+    const after = values.slice(split);
+    const test = welchTTest(after, before);
+    if (test && (!best || test.p_value < best.test.p_value)) {
+      best = { split, before, after, test };
+    }
+  }
+  if (!best || best.test.p_value >= CHANGE_POINT_P_VALUE || Math.abs(best.test.difference) < MIN_SHIFT) {
+    return null;
+  }
+
+  const direction = best.test.difference < 0 ? 'drop' : 'rise';
+  const beforeMean = mean(best.before);
+  const recent = mean(values.slice(-Math.min(3, best.after.length)));
+  const ongoing = direction === 'drop'
+    ? recent <= beforeMean - MIN_SHIFT / 2
+    : recent >= beforeMean + MIN_SHIFT / 2;
+
+  return {
+    date: days[best.split].date,
+    direction,
+    before: round(beforeMean),
+    after: round(mean(best.after)),
+    change: round(best.test.difference),
+    days_since: best.after.length,
+    p_value: round(best.test.p_value, 4),
+    ongoing
+  };
+}
+
+// Trend over the given entries (any order). `days` is the window they were selected from;
+// includeSeries adds the per-day rolling averages for charts.
+function analyzeMoodTrend(entries, { days, includeSeries = false } = {}) {
+  const daily = summarizeDays(entries).filter(day => day.mood !== null);
+  const result = {
+    trend: 'insufficient_data',
+    change: 0,
+    days,
+    days_logged: daily.length,
+    rolling_average: rollingSummary(daily),
+    alerts: []
+  };
+  if (includeSeries) result.rolling_average.series = rollingAverages(daily);
+  if (daily.length < MIN_TREND_DAYS) return result;
+
+  const pattern = weeklyPattern(daily);
+  // Fit against weekday-adjusted mood so a run of good weekends does not read as a trend
+  const values = daily.map(day =>
+    pattern.detected ? day.mood - (pattern.by_weekday[weekdayOf(day.date)] || 0) : day.mood
+  );
+  const xs = daily.map(day => dayNumber(day.date) - dayNumber(daily[0].date));
+  const regression = linearRegression(xs, values);
+  const changePoint = detectChangePoint(daily, values);
+
+  let trend = 'stable';
+  if (regression && regression.p_value < 0.05 && Math.abs(regression.slope * 7) >= MIN_WEEKLY_CHANGE) {
+    trend = regression.slope > 0 ? 'improving' : 'declining';
+  }
+
+  return {
+    ...result,
+    trend,
+    change: regression ? round(regression.slope * xs[xs.length - 1], 1) : 0,
+    regression: regression && {
+      slope_per_day: round(regression.slope, 3),
+      slope_per_week: round(regression.slope * 7),
+      ci_95_per_week: regression.ci_95.map(bound => round(bound * 7)),
+      p_value: round(regression.p_value, 4),
+      r_squared: round(regression.r_squared),
+      seasonally_adjusted: pattern.detected
+    },
+    weekly_pattern: pattern,
+    change_point: changePoint,
+    alerts: changePoint && changePoint.direction === 'drop' && changePoint.ongoing ? ['sustained_drop'] : []
+  };
+}
+
+module.exports = {
+  analyzeMoodTrend
+};
@@ -0,0 +1,143 @@
+// src/utils/opening-hours.js - Structured Opening Hours for Crisis Lines
+//
+// Hours are either the string "24/7" or { timezone, periods: [{ days, open, close }] } with
+// IANA time zones and 24-hour "HH:MM" times in that zone. A close at or before the open
+// time runs past midnight into the next day ("22:00"-"06:00"); "24:00" closes at midnight.
+// All arithmetic happens in minutes of the line's local week, so DST shifts are handled by
+// the zone itself rather than by fixed UTC offsets.
+const { isValidTimeZone } = require('./time-zones');
+
+const ALWAYS_OPEN = '24/7';
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):([0-5][0-9])$|^24:00$/;
+
+// 2024-01-01 was a Monday; used to get localized weekday names
+const REFERENCE_MONDAY = Date.UTC(2024, 0, 1);
+
+const partsFormatters = new Map();
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Returns an error message or null
+function validateHours(hours) {
+  if (hours === ALWAYS_OPEN) return null;
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return `must be "${ALWAYS_OPEN}" or { timezone, periods }`;
+  }
+  if (!isValidTimeZone(hours.timezone)) return 'timezone must be an IANA time zone such as America/New_York';
+  if (!Array.isArray(hours.periods) || hours.periods.length === 0) return 'periods must be a non-empty array';
+
+  for (const [index, period] of hours.periods.entries()) {
+    if (!period || !Array.isArray(period.days) || period.days.length === 0 ||
+        period.days.some(day => !DAYS.includes(day))) {
+      return `periods[${index}].days must list days from ${DAYS.join(', ')}`;
+    }
+    if (!TIME_PATTERN.test(period.open) || period.open === '24:00') {
+      return `periods[${index}].open must be a time from 00:00 to 23:59`;
+    }
+    if (!TIME_PATTERN.test(period.close)) {
+      return `periods[${index}].close must be a time from 00:00 to 24:00`;
+    }
+  }
+  return null;
+}
+
+// Day of week (0 = Monday) and minutes past midnight of `date` in `timezone`
+function zonedMinuteOfWeek(date, timezone) {
+  if (!partsFormatters.has(timezone)) {
+    partsFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(
+    partsFormatters.get(timezone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const day = DAYS.indexOf(parts.weekday.toLowerCase());
+  return day * MINUTES_PER_DAY + parseInt(parts.hour) * 60 + parseInt(parts.minute);
+}
+
+// [start, end) in minutes of the local week; an interval may run past the end of Sunday
+function intervals(hours) {
+  return hours.periods.flatMap(period => period.days.map(day => {
+    const start = DAYS.indexOf(day) * MINUTES_PER_DAY + toMinutes(period.open);
+    let duration = toMinutes(period.close) - toMinutes(period.open);
+    if (duration <= 0) duration += MINUTES_PER_DAY;
+    return [start, start + duration];
+  }));
+}
+
+function isOpen(hours, date = new Date()) {
+  if (hours === ALWAYS_OPEN) return true;
+  const now = zonedMinuteOfWeek(date, hours.timezone);
+  return intervals(hours).some(([start, end]) =>
+    (now >= start && now < end) || (now + MINUTES_PER_WEEK >= start && now + MINUTES_PER_WEEK < end)
+  );
+}
+
+// When the line next opens, as a Date; null when it is open now
+function nextOpen(hours, date = new Date()) {
+  if (isOpen(hours, date)) return null;
+
+  const now = zonedMinuteOfWeek(date, hours.timezone);
+  const wait = Math.min(...intervals(hours).map(([start]) =>
+    ((start % MINUTES_PER_WEEK) - now + MINUTES_PER_WEEK) % MINUTES_PER_WEEK
+  ));
+  const target = (now + wait) % MINUTES_PER_WEEK;
+
+  const candidate = new Date(date.getTime() + wait * 60000);
+  candidate.setUTCSeconds(0, 0);
+  // A DST change in between shifts the wall clock; correct by the difference
+  let drift = (target - zonedMinuteOfWeek(candidate, hours.timezone)) % MINUTES_PER_WEEK;
+  if (drift > MINUTES_PER_WEEK / 2) drift -= MINUTES_PER_WEEK;
+  if (drift < -MINUTES_PER_WEEK / 2) drift += MINUTES_PER_WEEK;
+  return new Date(candidate.getTime() + drift * 60000);
+}
+
+function formatDayRange(days, locale, dailyLabel) {
+  if (days.length === DAYS.length) return dailyLabel;
+
+  const names = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+  const name = day => names.format(new Date(REFERENCE_MONDAY + DAYS.indexOf(day) * 86400000));
+  const indexes = days.map(day => DAYS.indexOf(day)).sort((a, b) => a - b);
+  const consecutive = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1);
+
+  if (indexes.length > 2 && consecutive) {
+    return `${name(DAYS[indexes[0]])}–${name(DAYS[indexes[indexes.length - 1]])}`;
+  }
+  return indexes.map(index => name(DAYS[index])).join(', ');
+}
+
+function formatTime(time, locale) {
+  const minutes = toMinutes(time) % MINUTES_PER_DAY;
+  return new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+    .format(new Date(REFERENCE_MONDAY + minutes * 60000));
+}
+
+// Human-readable hours, e.g. "Mon–Fri 10:00 AM–10:00 PM EDT", in the given BCP 47 locale
+function describeHours(hours, locale, dailyLabel, date = new Date()) {
+  if (hours === ALWAYS_OPEN) return ALWAYS_OPEN;
+
+  const zoneName = new Intl.DateTimeFormat(locale, { timeZone: hours.timezone, timeZoneName: 'short' })
+    .formatToParts(date).find(part => part.type === 'timeZoneName').value;
+  const periods = hours.periods.map(period =>
+    `${formatDayRange(period.days, locale, dailyLabel)} ${formatTime(period.open, locale)}–${formatTime(period.close, locale)}`
+  );
+  return `${periods.join(', ')} ${zoneName}`;
+}
+
+module.exports = {
+  ALWAYS_OPEN,
+  validateHours,
+  isOpen,
+  nextOpen,
+  describeHours
+};
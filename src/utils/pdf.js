@@ -0,0 +1,181 @@
+// src/utils/pdf.js - Minimal PDF Writer
+//
+// Just enough of PDF 1.4 for printable reports: A4 pages with text in the built-in
+// Helvetica fonts, lines, rectangles and polylines. Built-in fonts need no embedding, so
+// files stay small and no PDF library is required. Text is WinAnsi (Latin-1); anything
+// outside it prints as "?". Coordinates are points from the top-left corner.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths (1/1000 em) for characters 32-126, from the Adobe font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// Curly quotes and dashes have WinAnsi codes outside Latin-1
+const WIN_ANSI = { '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97, '•': 0x95, '…': 0x85 };
+
+function toWinAnsi(text) {
+  return Array.from(String(text), char => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    const code = char.charCodeAt(0);
+    return (code >= 32 && code < 127) || (code >= 160 && code <= 255) ? char : '?';
+  }).join('');
+}
+
+function escapeText(text) {
+  return toWinAnsi(text).replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function textWidth(text, size, bold = false) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return total * size / 1000;
+}
+
+// Break text into lines no wider than `width`; existing line breaks are kept and words
+// longer than a line are split
+function wrapText(text, width, size, bold = false) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      let rest = word;
+      while (textWidth(rest, size, bold) > width) {
+        let cut = rest.length - 1;
+        while (cut > 1 && textWidth(rest.slice(0, cut), size, bold) > width) cut--;
+        if (line) lines.push(line);
+        lines.push(rest.slice(0, cut));
+        line = '';
+        rest = rest.slice(cut);
+      }
+      const candidate = line ? `${line} ${rest}` : rest;
+      if (textWidth(candidate, size, bold) > width && line) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function color(rgb) {
+  return rgb.map(value => Number(value.toFixed(3))).join(' ');
+}
+
+function number(value) {
+  return Number(value.toFixed(2));
+}
+
+// A document is a list of pages, each a list of content-stream operators. Drawing goes
+// to the current page; addPage() starts a new one.
+function createDocument({ title = 'Report', author = '' } = {}) {
+  const pages = [];
+  let current = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    text(x, y, text, { size = 10, bold = false, rgb = [0, 0, 0] } = {}) {
+      current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${color(rgb)} rg ${number(x)} ${number(PAGE_HEIGHT - y - size)} Td (${escapeText(text)}) Tj ET`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, rgb = [0, 0, 0], dash = null } = {}) {
+      current.push(`${width} w ${color(rgb)} RG ${dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d'} ${number(x1)} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(PAGE_HEIGHT - y2)} l S`);
+      return doc;
+    },
+
+    rect(x, y, width, height, { fill = null, stroke = null } = {}) {
+      const path = `${number(x)} ${number(PAGE_HEIGHT - y - height)} ${number(width)} ${number(height)} re`;
+      if (fill) current.push(`${color(fill)} rg ${path} f`);
+      if (stroke) current.push(`0.5 w ${color(stroke)} RG [] 0 d ${path} S`);
+      return doc;
+    },
+
+    polyline(points, { width = 1, rgb = [0, 0, 0] } = {}) {
+      if (points.length < 2) return doc;
+      const [first, ...rest] = points;
+      current.push([
+        `${width} w ${color(rgb)} RG [] 0 d 1 j`,
+        `${number(first[0])} ${number(PAGE_HEIGHT - first[1])} m`,
+        ...rest.map(([x, y]) => `${number(x)} ${number(PAGE_HEIGHT - y)} l`),
+        'S'
+      ].join(' '));
+      return doc;
+    },
+
+    // Serialize to a Buffer
+    render() {
+      const objects = [];
+      // Object numbers start at 1, so each object's number is the array's new length
+      const add = body => objects.push(body);
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) /Producer (MyMentalHealthBuddy) >>`);
+
+      const pageIds = pages.map(operators => {
+        const stream = operators.join('\n');
+        const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc.addPage();
+}
+
+module.exports = {
+  createDocument,
+  textWidth,
+  wrapText
+};
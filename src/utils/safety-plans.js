@@ -0,0 +1,172 @@
+// src/utils/safety-plans.js - Personal Stanley-Brown Safety Plans
+//
+// Each save appends a new immutable version, so earlier plans can be reviewed and
+// restored. The plan body is sealed with the owner's data key like other personal text.
+const db = require('../db');
+const { encryptRecord, decryptRecord } = require('./encryption');
+
+const MAX_ITEMS = 20;
+const MAX_TEXT_LENGTH = 500;
+const MAX_NAME_LENGTH = 100;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ().-]{1,23}$/;
+
+// Stanley-Brown sections, in the order they are worked through during a crisis
+const TEXT_SECTIONS = ['warning_signs', 'coping_strategies', 'distractions', 'environment_safety', 'reasons_for_living'];
+const CONTACT_SECTIONS = {
+  contacts: ['name', 'phone', 'relationship'],
+  professionals: ['name', 'phone', 'organization']
+};
+
+function validateText(section, value) {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    return `${section} must be an array of non-empty strings`;
+  }
+  if (value.length > MAX_ITEMS) return `${section} allows at most ${MAX_ITEMS} items`;
+  if (value.some(item => item.length > MAX_TEXT_LENGTH)) {
+    return `${section} items must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateContacts(section, value) {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || value.some(item => !item || typeof item !== 'object')) {
+    return `${section} must be an array of objects`;
+  }
+  if (value.length > MAX_ITEMS) return `${section} allows at most ${MAX_ITEMS} items`;
+
+  for (const contact of value) {
+    if (typeof contact.name !== 'string' || !contact.name.trim() || contact.name.length > MAX_NAME_LENGTH) {
+      return `${section} entries need a name of at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (contact.phone !== undefined && (typeof contact.phone !== 'string' || !PHONE_PATTERN.test(contact.phone.trim()))) {
+      return `${section} phone numbers must contain only digits, spaces, +, -, ( and )`;
+    }
+    const extra = CONTACT_SECTIONS[section].find(field =>
+      field !== 'name' && field !== 'phone' && contact[field] !== undefined &&
+      (typeof contact[field] !== 'string' || contact[field].length > MAX_NAME_LENGTH)
+    );
+    if (extra) return `${section} ${extra} must be a string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Returns an error message or null
+function validatePlan(plan) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return 'Safety plan must be an object';
+  }
+
+  for (const section of TEXT_SECTIONS) {
+    const error = validateText(section, plan[section]);
+    if (error) return error;
+  }
+  for (const section of Object.keys(CONTACT_SECTIONS)) {
+    const error = validateContacts(section, plan[section]);
+    if (error) return error;
+  }
+
+  const hasContent = [...TEXT_SECTIONS, ...Object.keys(CONTACT_SECTIONS)]
+    .some(section => Array.isArray(plan[section]) && plan[section].length > 0);
+  return hasContent ? null : 'Safety plan needs at least one item';
+}
+
+// Keep only known sections and fields, trimmed
+function normalizePlan(plan) {
+  const normalized = {};
+  TEXT_SECTIONS.forEach(section => {
+    normalized[section] = (plan[section] || []).map(item => item.trim());
+  });
+  Object.entries(CONTACT_SECTIONS).forEach(([section, fields]) => {
+    normalized[section] = (plan[section] || []).map(contact => {
+      const entry = {};
+      fields.forEach(field => {
+        if (typeof contact[field] === 'string' && contact[field].trim()) entry[field] = contact[field].trim();
+      });
+      return entry;
+    });
+  });
+  return normalized;
+}
+
+function toPlanVersion(userId, stored) {
+  if (!stored) return null;
+  const record = decryptRecord('safety_plans', userId, stored);
+  return {
+    version: record.version,
+    plan: record.plan,
+    created_at: record.created_at
+  };
+}
+
+function latestVersion(userId) {
+  return db.collection('safety_plans').find(
+    { user_id: userId },
+    { orderBy: 'version', direction: 'desc', limit: 1 }
+  )[0] || null;
+}
+
+function getCurrentPlan(userId) {
+  return toPlanVersion(userId, latestVersion(userId));
+}
+
+function getPlanVersion(userId, version) {
+  return toPlanVersion(userId, db.collection('safety_plans').findOne({ user_id: userId, version }));
+}
+
+// Version numbers and dates only - listing never needs to decrypt
+function listPlanVersions(userId) {
+  return db.collection('safety_plans')
+    .find({ user_id: userId }, { orderBy: 'version', direction: 'desc' })
+    .map(record => ({ version: record.version, created_at: record.created_at }));
+}
+
+// A conditional save found a different version than the one it was based on
+class PlanVersionConflict extends Error {
+  constructor(currentVersion) {
+    super('Safety plan was changed elsewhere - reload it before saving');
+    this.name = 'PlanVersionConflict';
+    this.currentVersion = currentVersion;
+  }
+}
+
+// Append a new version; the UNIQUE (user_id, version) constraint rejects a concurrent save.
+// `expectedVersions` makes the save conditional: it lists the versions the edit may be
+// based on (0 for none yet, '*' for any saved plan) and is checked against the latest
+// version inside the same transaction as the insert.
+function savePlan(userId, plan, expectedVersions) {
+  return db.transaction(() => {
+    const plans = db.collection('safety_plans');
+    const latest = latestVersion(userId);
+
+    const currentVersion = latest ? latest.version : 0;
+    if (expectedVersions && !expectedVersions.some(version => version === '*' ? Boolean(latest) : version === currentVersion)) {
+      throw new PlanVersionConflict(latest ? latest.version : null);
+    }
+
+    const stored = plans.insert(encryptRecord('safety_plans', userId, {
+      user_id: userId,
+      version: latest ? latest.version + 1 : 1,
+      plan: normalizePlan(plan),
+      created_at: new Date().toISOString()
+    }));
+    return toPlanVersion(userId, stored);
+  });
+}
+
+// The user's own plan to show alongside crisis resources, or null
+function safetyPlanFor(userId, crisisAnalysis) {
+  if (!crisisAnalysis || !crisisAnalysis.detected) return null;
+  return getCurrentPlan(userId);
+}
+
+module.exports = {
+  PlanVersionConflict,
+  validatePlan,
+  getCurrentPlan,
+  getPlanVersion,
+  listPlanVersions,
+  savePlan,
+  safetyPlanFor
+};
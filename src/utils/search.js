@@ -0,0 +1,223 @@
+// src/utils/search.js - Blind Full-Text Index for Encrypted Journal Entries
+//
+// Journal content is encrypted at rest, so the index never stores words. Each stemmed
+// term is replaced by an HMAC under a per-user search key; queries are hashed the same
+// way, and highlighting happens after the matching entries are decrypted for the owner.
+const crypto = require('crypto');
+const db = require('../db');
+const { stem } = require('./stemmer');
+const { deriveUserKey } = require('./encryption');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'so', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+  'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// BM25 tuning; the usual defaults work well for short personal documents
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BOOST = 1.5;
+const SNIPPET_RADIUS = 80;
+
+// Split text into normalized tokens, keeping character offsets for highlighting.
+// Stop words keep their position so phrase queries still line up.
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+  let match;
+  let position = 0;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const word = match[0].toLowerCase().replace(/['’]/g, '');
+    tokens.push({
+      word,
+      term: STOP_WORDS.has(word) ? null : stem(word),
+      position: position++,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+// Parse a query into loose terms and "quoted phrases". Phrase terms carry their offset
+// within the phrase so skipped stop words still count as a gap.
+function parseQuery(query) {
+  const phrases = [];
+  const remainder = query.replace(/"([^"]+)"/g, (_, phrase) => {
+    const tokens = tokenize(phrase).filter(token => token.term);
+    if (tokens.length > 0) {
+      phrases.push(tokens.map(token => ({ term: token.term, offset: token.position - tokens[0].position })));
+    }
+    return ' ';
+  });
+
+  const terms = tokenize(remainder).filter(token => token.term).map(token => token.term);
+  const allTerms = [...new Set([...terms, ...phrases.flat().map(part => part.term)])];
+
+  return { terms: [...new Set(terms)], phrases, allTerms };
+}
+
+function termHasher(userId) {
+  const key = deriveUserKey(userId, 'journal-search-index');
+  return term => crypto.createHmac('sha256', key).update(term).digest('hex').slice(0, 32);
+}
+
+function removeFromIndex(entryId) {
+  db.collection('journal_search_postings').removeWhere({ entry_id: entryId });
+  db.collection('journal_search_documents').removeWhere({ entry_id: entryId });
+}
+
+// (Re)index one entry from its plaintext content
+function indexEntry(userId, entryId, content) {
+  const hash = termHasher(userId);
+  const tokens = tokenize(content);
+  const positionsByTerm = new Map();
+
+  tokens.forEach(token => {
+    if (!token.term) return;
+    const termHash = hash(token.term);
+    if (!positionsByTerm.has(termHash)) positionsByTerm.set(termHash, []);
+    positionsByTerm.get(termHash).push(token.position);
+  });
+
+  db.transaction(() => {
+    removeFromIndex(entryId);
+
+    const postings = db.collection('journal_search_postings');
+    positionsByTerm.forEach((positions, termHash) => {
+      postings.insert({
+        entry_id: entryId,
+        user_id: userId,
+        term_hash: termHash,
+        positions,
+        frequency: positions.length
+      });
+    });
+
+    db.collection('journal_search_documents').insert({
+      entry_id: entryId,
+      user_id: userId,
+      length: tokens.length,
+      indexed_at: new Date().toISOString()
+    });
+  });
+}
+
+// Index entries written before search existed. `decrypt` turns a stored entry into plaintext.
+function ensureIndexed(userId, entries, decrypt) {
+  const indexed = new Set(
+    db.collection('journal_search_documents').find({ user_id: userId }).map(doc => doc.entry_id)
+  );
+
+  entries.filter(entry => !indexed.has(entry.id)).forEach(entry => {
+    indexEntry(userId, entry.id, decrypt(entry).content);
+  });
+}
+
+function containsPhrase(phrase, positionsOf) {
+  return positionsOf(phrase[0].term).some(start =>
+    phrase.every(part => positionsOf(part.term).includes(start + part.offset))
+  );
+}
+
+// Rank the user's entries against a parsed query with BM25. Every term and phrase must
+// match; phrase matches earn a boost. Returns [{ entry_id, score }] best first.
+function search(userId, parsedQuery) {
+  const hash = termHasher(userId);
+  const documents = db.collection('journal_search_documents').find({ user_id: userId });
+  if (documents.length === 0 || parsedQuery.allTerms.length === 0) return [];
+
+  const lengths = new Map(documents.map(doc => [doc.entry_id, doc.length]));
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length;
+
+  const hashes = new Map(parsedQuery.allTerms.map(term => [term, hash(term)]));
+  const postings = db.collection('journal_search_postings').find({
+    user_id: userId,
+    term_hash: { in: [...hashes.values()] }
+  });
+
+  // entry_id -> term_hash -> posting
+  const byEntry = new Map();
+  postings.forEach(posting => {
+    if (!byEntry.has(posting.entry_id)) byEntry.set(posting.entry_id, new Map());
+    byEntry.get(posting.entry_id).set(posting.term_hash, posting);
+  });
+
+  const documentFrequency = new Map();
+  postings.forEach(posting => {
+    documentFrequency.set(posting.term_hash, (documentFrequency.get(posting.term_hash) || 0) + 1);
+  });
+
+  const results = [];
+  byEntry.forEach((entryPostings, entryId) => {
+    if (![...hashes.values()].every(termHash => entryPostings.has(termHash))) return;
+
+    const positionsOf = term => entryPostings.get(hashes.get(term)).positions;
+    const phraseMatches = parsedQuery.phrases.filter(phrase => containsPhrase(phrase, positionsOf)).length;
+    if (phraseMatches < parsedQuery.phrases.length) return;
+
+    const length = lengths.get(entryId) || averageLength;
+    let score = 0;
+    hashes.forEach(termHash => {
+      const frequency = entryPostings.get(termHash).frequency;
+      const df = documentFrequency.get(termHash);
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+    });
+
+    results.push({
+      entry_id: entryId,
+      score: Math.round(score * (1 + PHRASE_BOOST * phraseMatches) * 1000) / 1000
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Build a snippet around the first match with <mark> tags, plus raw match offsets
+function highlight(content, parsedQuery) {
+  const wanted = new Set(parsedQuery.allTerms);
+  const matches = tokenize(content)
+    .filter(token => token.term && wanted.has(token.term))
+    .map(token => ({ start: token.start, end: token.end }));
+
+  if (matches.length === 0) {
+    return { snippet: escapeHtml(content.substring(0, SNIPPET_RADIUS * 2)), matches };
+  }
+
+  const start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+  const end = Math.min(content.length, matches[0].end + SNIPPET_RADIUS);
+  let snippet = '';
+  let cursor = start;
+
+  matches.filter(match => match.start >= start && match.end <= end).forEach(match => {
+    snippet += escapeHtml(content.slice(cursor, match.start)) + '<mark>' + escapeHtml(content.slice(match.start, match.end)) + '</mark>';
+    cursor = match.end;
+  });
+  snippet += escapeHtml(content.slice(cursor, end));
+
+  return {
+    snippet: (start > 0 ? '...' : '') + snippet + (end < content.length ? '...' : ''),
+    matches
+  };
+}
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  indexEntry,
+  removeFromIndex,
+  ensureIndexed,
+  search,
+  highlight
+};
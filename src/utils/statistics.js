@@ -0,0 +1,251 @@
+// src/utils/statistics.js - Small Statistics Toolkit for Mood Analysis
+//
+// Just what the mood analyses need: descriptive statistics, Pearson correlation, Welch's
+// t-test, least-squares regression and one-way ANOVA, with p-values and confidence
+// intervals from the Student t and F distributions. Functions return null when there is
+// too little data to compute.
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : null;
+}
+
+// Sample variance (n - 1 denominator)
+function variance(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return sum(values.map(value => (value - average) ** 2)) / (values.length - 1);
+}
+
+function standardDeviation(values) {
+  const result = variance(values);
+  return result === null ? null : Math.sqrt(result);
+}
+
+function round(value, places = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// ln(Gamma(x)), Lanczos approximation
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 3e-12) break;
+  }
+  return result;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value for a t statistic with df degrees of freedom
+function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// t such that P(|T| > t) = alpha, found by bisection on the p-value
+function tCritical(df, alpha = 0.05) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (tTestPValue(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Pearson r with a two-sided p-value and a 95% interval (Fisher z transform)
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3 || ys.length !== n) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+
+  const r = Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+  const t = Math.abs(r) === 1 ? Infinity : r * Math.sqrt((n - 2) / (1 - r * r));
+  let ci = [r, r];
+  if (n > 3 && Math.abs(r) < 1) {
+    const z = Math.atanh(r);
+    const margin = 1.959964 / Math.sqrt(n - 3);
+    ci = [Math.tanh(z - margin), Math.tanh(z + margin)];
+  }
+  return {
+    n,
+    r,
+    p_value: tTestPValue(t, n - 2),
+    ci_95: ci,
+    slope: sxy / sxx,
+    intercept: meanY - (sxy / sxx) * meanX
+  };
+}
+
+// Difference of means (a - b) with Welch's unequal-variance t-test and 95% interval
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const difference = mean(a) - mean(b);
+  const varA = variance(a) / a.length;
+  const varB = variance(b) / b.length;
+  const standardError = Math.sqrt(varA + varB);
+
+  if (standardError === 0) {
+    return { difference, p_value: difference === 0 ? 1 : 0, ci_95: [difference, difference], df: a.length + b.length - 2 };
+  }
+
+  const df = (varA + varB) ** 2 /
+    ((varA ** 2) / (a.length - 1) + (varB ** 2) / (b.length - 1));
+  const margin = tCritical(df) * standardError;
+  return {
+    difference,
+    p_value: tTestPValue(difference / standardError, df),
+    ci_95: [difference - margin, difference + margin],
+    df
+  };
+}
+
+// Least-squares line with a 95% interval and p-value for the slope
+function linearRegression(xs, ys) {
+  const n = xs.length;
+  if (n < 3 || ys.length !== n) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const sxx = sum(xs.map(x => (x - meanX) ** 2));
+  if (sxx === 0) return null;
+  const slope = sum(xs.map((x, i) => (x - meanX) * (ys[i] - meanY))) / sxx;
+  const intercept = meanY - slope * meanX;
+
+  const residuals = xs.map((x, i) => ys[i] - (intercept + slope * x));
+  const sse = sum(residuals.map(residual => residual ** 2));
+  const sst = sum(ys.map(y => (y - meanY) ** 2));
+  const standardError = Math.sqrt(sse / (n - 2) / sxx);
+  const margin = tCritical(n - 2) * standardError;
+
+  return {
+    n,
+    slope,
+    intercept,
+    ci_95: [slope - margin, slope + margin],
+    p_value: standardError === 0 ? (slope === 0 ? 1 : 0) : tTestPValue(slope / standardError, n - 2),
+    r_squared: sst === 0 ? 0 : 1 - sse / sst
+  };
+}
+
+// One-way ANOVA across groups of values; p-value from the F distribution
+function oneWayAnova(groups) {
+  const usable = groups.filter(group => group.length > 0);
+  const all = usable.flat();
+  const k = usable.length;
+  if (k < 2 || all.length <= k) return null;
+
+  const grandMean = mean(all);
+  const between = sum(usable.map(group => group.length * (mean(group) - grandMean) ** 2));
+  const within = sum(usable.map(group => {
+    const groupMean = mean(group);
+    return sum(group.map(value => (value - groupMean) ** 2));
+  }));
+  const dfBetween = k - 1;
+  const dfWithin = all.length - k;
+  if (within === 0) return { f: Infinity, p_value: between === 0 ? 1 : 0, df: [dfBetween, dfWithin] };
+
+  const f = (between / dfBetween) / (within / dfWithin);
+  return {
+    f,
+    p_value: incompleteBeta(dfWithin / (dfWithin + dfBetween * f), dfWithin / 2, dfBetween / 2),
+    df: [dfBetween, dfWithin]
+  };
+}
+
+// Benjamini-Hochberg adjusted p-values (q-values), in the input order. Keeps the share of
+// false discoveries in check when many activities are tested at once.
+function benjaminiHochberg(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, index) => ({ p, index })).sort((x, y) => x.p - y.p);
+  const adjusted = new Array(m);
+  let running = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const { p, index } = order[rank - 1];
+    running = Math.min(running, (p * m) / rank);
+    adjusted[index] = running;
+  }
+  return adjusted;
+}
+
+module.exports = {
+  sum,
+  mean,
+  variance,
+  standardDeviation,
+  round,
+  incompleteBeta,
+  tTestPValue,
+  tCritical,
+  pearson,
+  welchTTest,
+  linearRegression,
+  oneWayAnova,
+  benjaminiHochberg
+};
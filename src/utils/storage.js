@@ -0,0 +1,60 @@
+// src/utils/storage.js - S3 Object Storage
+//
+// The S3 client and per-user key layout, shared by the storage routes and by files the
+// server writes for a user itself (data exports). Every object a user owns lives under
+// their own prefix.
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Initialize S3 client
+function getS3Client() {
+  return new S3Client({
+    region: process.env.AWS_REGION || 'us-east-1',
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    }
+  });
+}
+
+function isConfigured() {
+  return Boolean(process.env.S3_BUCKET && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+}
+
+function userPrefix(userId) {
+  return `users/${userId}/`;
+}
+
+async function putObject(key, body, contentType) {
+  await getS3Client().send(new PutObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: contentType
+  }));
+}
+
+async function deleteObject(key) {
+  await getS3Client().send(new DeleteObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key
+  }));
+}
+
+// Time-limited GET link; `filename` makes browsers save it under that name
+function downloadUrl(key, { expiresIn = 3600, filename } = {}) {
+  return getSignedUrl(getS3Client(), new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key,
+    ResponseContentDisposition: filename ? `attachment; filename="${filename}"` : undefined
+  }), { expiresIn });
+}
+
+module.exports = {
+  getS3Client,
+  isConfigured,
+  userPrefix,
+  putObject,
+  deleteObject,
+  downloadUrl
+};
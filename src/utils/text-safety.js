@@ -0,0 +1,116 @@
+// src/utils/text-safety.js - Shared Crisis Screening for Free-Text Fields
+//
+// Every user-written field that gets stored (journal content, mood notes, crisis report
+// descriptions) goes through here so each record carries a crisis_analysis and every
+// response can offer crisis resources when a risk is detected.
+const winston = require('winston');
+const { CATEGORIES, detectCrisis } = require('./crisis-detection');
+const crisisDirectory = require('./crisis-directory');
+const notifications = require('../notifications');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.Console()]
+});
+
+const SOURCE_LABELS = {
+  journal_entries: 'journal entry',
+  mood_entries: 'mood log'
+};
+
+// Analyze several fields of one record, e.g. { notes: '...' }. Score and severity come
+// from the most concerning field; matches record which field they were found in.
+function analyzeFields(fields) {
+  const results = Object.entries(fields)
+    .filter(([, value]) => typeof value === 'string' && value.trim().length > 0)
+    .map(([field, value]) => ({ field, analysis: detectCrisis(value) }));
+
+  if (results.length === 0) {
+    return { ...detectCrisis(''), fields: [] };
+  }
+
+  const strongest = results.reduce((best, result) =>
+    result.analysis.score > best.analysis.score ? result : best
+  );
+
+  const categories = {};
+  results.forEach(({ analysis }) => {
+    Object.entries(analysis.categories).forEach(([category, score]) => {
+      categories[category] = Math.max(categories[category] || 0, score);
+    });
+  });
+
+  return {
+    ...strongest.analysis,
+    keywords: [...new Set(results.flatMap(({ analysis }) => analysis.keywords))],
+    categories,
+    matches: results.flatMap(({ field, analysis }) => analysis.matches.map(match => ({ field, ...match }))),
+    suppressed: results.flatMap(({ field, analysis }) => analysis.suppressed.map(item => ({ field, ...item }))),
+    fields: results.filter(({ analysis }) => analysis.detected).map(({ field }) => field)
+  };
+}
+
+// Numbers for the user's country (see crisis-directory's resolveLocale); without a
+// locale, those of CRISIS_DEFAULT_COUNTRY or the international entry
+function crisisResourcesFor(crisisAnalysis, locale = crisisDirectory.resolveLocale()) {
+  if (!crisisAnalysis || !crisisAnalysis.detected) return null;
+
+  const summary = crisisDirectory.getSummary(locale);
+  return {
+    country: summary.country,
+    emergency: summary.emergency_numbers.emergency,
+    suicide_prevention: summary.emergency_numbers.suicide_prevention,
+    crisis_text: summary.crisis_text_message,
+    more_help_url: summary.more_help_url
+  };
+}
+
+// Flag a stored record whose text tripped detection for immediate attention
+function logCrisisDetection(source, record) {
+  const analysis = record.crisis_analysis;
+  if (!analysis || !analysis.detected) return;
+
+  logger.warn('CRISIS INDICATORS DETECTED', {
+    source,
+    recordId: record.id,
+    userId: record.user_id,
+    severity: analysis.severity,
+    score: analysis.score,
+    keywords: analysis.keywords,
+    fields: analysis.fields,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Alert on-call staff about high and critical detections. Repeat detections for the same
+// user and source within the dedupe window are collapsed into one alert.
+function escalateCrisisDetection(source, record) {
+  const analysis = record.crisis_analysis;
+  if (!analysis || !analysis.detected || !['high', 'critical'].includes(analysis.severity)) return;
+
+  const categories = Object.keys(analysis.categories).map(category => CATEGORIES[category].label.toLowerCase());
+  notifications.notify({
+    type: 'crisis_detection',
+    severity: analysis.severity,
+    dedupeKey: `crisis_detection:${source}:user:${record.user_id}`,
+    subject: `${analysis.severity === 'critical' ? 'Critical' : 'High'} risk language detected for user #${record.user_id}`,
+    message: `A new ${SOURCE_LABELS[source] || source} from user #${record.user_id} showed ${categories.join(', ')} ` +
+      `indicators (score ${analysis.score}). Please review the user's crisis reports and reach out if appropriate.`,
+    data: {
+      source,
+      record_id: record.id,
+      user_id: record.user_id,
+      severity: analysis.severity,
+      score: analysis.score,
+      categories: Object.keys(analysis.categories)
+    }
+  });
+}
+
+module.exports = {
+  analyzeFields,
+  crisisResourcesFor,
+  logCrisisDetection,
+  escalateCrisisDetection
+};
@@ -0,0 +1,159 @@
+// src/utils/time-zones.js - Users' Local Calendar Days
+//
+// Timestamps are stored in UTC, but "today" and "the last 30 days" mean the user's own
+// calendar. Local dates are worked out with Intl in the user's IANA zone, and a local day
+// is turned back into UTC bounds by asking the zone for its offset at that moment, so
+// 23- and 25-hour DST days come out right without any fixed offsets.
+const db = require('../db');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return typeof timezone === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Zone used for users who have not chosen one, and for platform-wide reports
+const DEFAULT_TIME_ZONE = isValidTimeZone(process.env.DEFAULT_TIME_ZONE) ? process.env.DEFAULT_TIME_ZONE : 'UTC';
+
+function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(
+    formatters.get(timezone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second)
+  };
+}
+
+// "YYYY-MM-DD" of `date` on the wall calendar in `timezone`
+function localDate(date, timezone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = zonedParts(new Date(date), timezone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "YYYY-MM-DDTHH" of the wall-clock hour `date` falls in; both fall-back hours share a label
+function localHour(date, timezone = DEFAULT_TIME_ZONE) {
+  const { hour } = zonedParts(new Date(date), timezone);
+  return `${localDate(date, timezone)}T${String(hour).padStart(2, '0')}`;
+}
+
+// Minutes the zone is ahead of UTC at `date` (e.g. -240 for New York in summer)
+function offsetMinutes(date, timezone) {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const { year, month, day, hour, minute, second } = zonedParts(new Date(time), timezone);
+  return (Date.UTC(year, month - 1, day, hour, minute, second) - time) / 60000;
+}
+
+function isValidDate(value) {
+  const match = typeof value === 'string' && DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  return date.toISOString().startsWith(value);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// Whole days from one YYYY-MM-DD to another (negative when `to` is earlier)
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// The Monday of the ISO week a YYYY-MM-DD falls in
+function startOfWeek(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+// The first instant of a local calendar day, as a UTC Date. Where a DST change skips
+// midnight (e.g. America/Santiago), the day starts when the clocks jump.
+function startOfLocalDay(date, timezone = DEFAULT_TIME_ZONE) {
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  let start = midnight - offsetMinutes(midnight, timezone) * 60000;
+  // The offset at the first guess can be the other side of a DST change; one more pass
+  // with the offset at the corrected instant settles it
+  start = midnight - offsetMinutes(start, timezone) * 60000;
+
+  if (localDate(start, timezone) < date) {
+    let low = start;
+    let high = start + 3 * 60 * 60 * 1000;
+    // Zone transitions fall on whole minutes
+    while (high - low > 60000) {
+      const mid = low + Math.floor((high - low) / 120000) * 60000;
+      if (localDate(mid, timezone) < date) low = mid;
+      else high = mid;
+    }
+    start = high;
+  }
+  return new Date(start);
+}
+
+// The instant a wall-clock time ("HH:MM" or "HH:MM:SS") on a local day happens in
+// `timezone`. A time skipped or repeated by a DST change resolves to one side of it.
+function zonedDateTime(date, time, timezone = DEFAULT_TIME_ZONE) {
+  const wall = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  const instant = wall - offsetMinutes(wall, timezone) * 60000;
+  return new Date(wall - offsetMinutes(instant, timezone) * 60000);
+}
+
+// UTC bounds [start, end) covering local days `from` through `to` inclusive
+function localDayRange(from, to, timezone = DEFAULT_TIME_ZONE) {
+  return {
+    start: startOfLocalDay(from, timezone),
+    end: startOfLocalDay(addDays(to, 1), timezone)
+  };
+}
+
+// The last `days` local calendar days, ending today
+function recentLocalDays(days, timezone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const to = localDate(now, timezone);
+  const from = addDays(to, -(days - 1));
+  return { from, to, ...localDayRange(from, to, timezone) };
+}
+
+function userTimeZone(userId) {
+  const user = db.collection('users').findById(userId);
+  return (user && user.time_zone) || DEFAULT_TIME_ZONE;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  isValidDate,
+  localDate,
+  localHour,
+  offsetMinutes,
+  addDays,
+  daysBetween,
+  startOfWeek,
+  startOfLocalDay,
+  zonedDateTime,
+  localDayRange,
+  recentLocalDays,
+  userTimeZone
+};
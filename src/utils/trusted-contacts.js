@@ -0,0 +1,110 @@
+// src/utils/trusted-contacts.js - The Person a User Wants Told When Things Look Hard
+//
+// One contact per user, opted into by the user. Names, email and phone are sealed with
+// the owner's data key; only the notify settings are stored in the clear.
+const db = require('../db');
+const { encryptRecord, decryptRecord } = require('./encryption');
+
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ().-]{1,23}$/;
+// Alerts at or above this severity reach the contact
+const SEVERITIES = ['medium', 'high'];
+const DEFAULT_MIN_SEVERITY = 'high';
+
+function isShortText(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_NAME_LENGTH;
+}
+
+// Returns an error message or null
+function validateContact(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Trusted contact must be an object';
+  }
+  if (!isShortText(body.name)) {
+    return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  // What the contact calls the user - messages would mean nothing without it
+  if (!isShortText(body.display_name)) {
+    return `display_name (the name your contact knows you by) is required and must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (body.email === undefined && body.phone === undefined) {
+    return 'An email address or phone number is required';
+  }
+  if (body.email !== undefined && (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim()))) {
+    return 'email must be a valid email address';
+  }
+  if (body.phone !== undefined && (typeof body.phone !== 'string' || !PHONE_PATTERN.test(body.phone.trim()))) {
+    return 'phone must contain only digits, spaces, +, -, ( and )';
+  }
+  if (body.relationship !== undefined && !isShortText(body.relationship)) {
+    return `relationship must be a string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (body.notify !== undefined && typeof body.notify !== 'boolean') {
+    return 'notify must be true or false';
+  }
+  if (body.min_severity !== undefined && !SEVERITIES.includes(body.min_severity)) {
+    return `min_severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+  return null;
+}
+
+function toContact(userId, stored) {
+  if (!stored) return null;
+  const record = decryptRecord('trusted_contacts', userId, stored);
+  return {
+    ...record.contact,
+    notify: record.notify,
+    min_severity: record.min_severity,
+    updated_at: record.updated_at
+  };
+}
+
+function getTrustedContact(userId) {
+  return toContact(userId, db.collection('trusted_contacts').findOne({ user_id: userId }));
+}
+
+// Create or replace the user's contact; returns { contact, created }
+function saveTrustedContact(userId, body) {
+  const contact = { name: body.name.trim(), display_name: body.display_name.trim() };
+  ['email', 'phone', 'relationship'].forEach(field => {
+    if (typeof body[field] === 'string' && body[field].trim()) contact[field] = body[field].trim();
+  });
+  if (contact.email) contact.email = contact.email.toLowerCase();
+
+  return db.transaction(() => {
+    const contacts = db.collection('trusted_contacts');
+    const existing = contacts.findOne({ user_id: userId });
+    const now = new Date().toISOString();
+    const fields = encryptRecord('trusted_contacts', userId, {
+      contact,
+      notify: body.notify !== undefined ? body.notify : true,
+      min_severity: body.min_severity || DEFAULT_MIN_SEVERITY,
+      updated_at: now
+    });
+
+    const stored = existing
+      ? contacts.update(existing.id, fields)
+      : contacts.insert({ user_id: userId, ...fields, created_at: now });
+    return { contact: toContact(userId, stored), created: !existing };
+  });
+}
+
+function removeTrustedContact(userId) {
+  return db.collection('trusted_contacts').removeWhere({ user_id: userId }) > 0;
+}
+
+// Whether an alert of this severity should go to the contact
+function shouldNotify(contact, severity) {
+  return Boolean(contact) && contact.notify &&
+    SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(contact.min_severity);
+}
+
+module.exports = {
+  SEVERITIES,
+  validateContact,
+  getTrustedContact,
+  saveTrustedContact,
+  removeTrustedContact,
+  shouldNotify
+};
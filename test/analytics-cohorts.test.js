@@ -0,0 +1,55 @@
+// test/analytics-cohorts.test.js - Cohort Report Figures Only Come from Noised Counts
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+const store = require('../src/utils/analytics-store');
+const { buildCohortReport } = require('../src/utils/analytics-cohorts');
+
+const WEEK = '2026-08-31';
+const ACTORS = Array.from({ length: 12 }, (value, index) => `cohort-test-${index}`);
+
+function record(instant, actors, event) {
+  mock.timers.setTime(Date.parse(instant));
+  actors.forEach(actor => store.recordEvent({ ...event, actor, cohort: WEEK }));
+}
+
+function share(count, total) {
+  return Math.min(100, Math.round((count / total) * 1000) / 10);
+}
+
+describe('cohort report', () => {
+  let cohort;
+  let report;
+
+  before(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-09-01T12:00:00Z') });
+    record('2026-09-01T12:00:00Z', ACTORS, { type: 'milestone', name: 'mood', cohortDay: 1 });
+    record('2026-09-01T12:05:00Z', ACTORS, { type: 'mood_entry', name: 'mood', cohortDay: 1 });
+    // Fewer people than K_ANONYMITY came back on day 7 and went on to journal
+    record('2026-09-07T12:00:00Z', ACTORS.slice(0, 3), { type: 'mood_entry', name: 'mood', cohortDay: 7 });
+    record('2026-09-07T12:05:00Z', ACTORS.slice(0, 3), { type: 'milestone', name: 'journal', cohortDay: 7 });
+
+    mock.timers.setTime(Date.parse('2026-09-20T12:00:00Z'));
+    report = buildCohortReport({ weeks: 4 });
+    cohort = report.cohorts.find(row => row.cohort_week === WEEK);
+  });
+
+  after(() => mock.timers.reset());
+
+  it('works out percentages from the noised counts', () => {
+    assert.ok(cohort.users > 0);
+    const { users, percent } = cohort.funnel.mood;
+    assert.equal(percent, share(users, cohort.users));
+  });
+
+  it('withholds cells with fewer people than k', () => {
+    assert.equal(cohort.retention.day_7, null);
+    assert.deepEqual(cohort.funnel.journal, { users: null, percent: null });
+    assert.ok(report.privacy.suppressed_cells >= 2);
+  });
+
+  it('leaves days the cohort has not reached yet empty', () => {
+    assert.notEqual(cohort.retention.day_1, null);
+    assert.equal(cohort.retention.day_30, null);
+  });
+});
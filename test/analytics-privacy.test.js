@@ -0,0 +1,111 @@
+// test/analytics-privacy.test.js - Consent, Pseudonym Rotation, Allow-List and k-Anonymity
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser, routeHandler } = require('./setup');
+const db = require('../src/db');
+const store = require('../src/utils/analytics-store');
+const privacy = require('../src/utils/analytics-privacy');
+const { router, getAnalytics } = require('../src/routes/analytics');
+
+const trackPageView = routeHandler(router, 'post', '/pageview');
+const trackEvent = routeHandler(router, 'post', '/event');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function storedEvents() {
+  return db.collection('analytics_events').count({});
+}
+
+function call(handler, req) {
+  const res = response();
+  handler(req, res);
+  return res;
+}
+
+describe('analytics privacy', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-09-15T12:00:00Z') }));
+  after(() => mock.timers.reset());
+
+  it('stores nothing about a signed-in user until they opt in', () => {
+    const user = createUser();
+    const before = storedEvents();
+
+    const refused = call(trackPageView, request(user.id, { body: { page: '/journal' } }));
+    assert.equal(refused.body.recorded, false);
+    call(trackEvent, request(user.id, { body: { event_name: 'opened', feature: 'journal' } }));
+    assert.equal(storedEvents(), before);
+
+    privacy.setConsent(user.id, 'analytics', true);
+    const accepted = call(trackPageView, request(user.id, { body: { page: '/journal' } }));
+    assert.equal(accepted.body.recorded, true);
+
+    const [latest] = db.collection('analytics_events').find({ type: 'page_view' }, { orderBy: 'id', direction: 'desc', limit: 1 });
+    assert.equal(latest.actor, privacy.pseudonymize('user', user.id));
+    assert.notEqual(latest.actor, String(user.id));
+  });
+
+  it('honours a browser opt-out even with consent', () => {
+    const user = createUser();
+    privacy.setConsent(user.id, 'analytics', true);
+    const before = storedEvents();
+
+    const res = call(trackPageView, request(user.id, { body: { page: '/mood' }, headers: { 'sec-gpc': '1' } }));
+    assert.equal(res.body.recorded, false);
+    assert.equal(storedEvents(), before);
+  });
+
+  it('changes pseudonyms and destroys the old salt when the salt rotates', () => {
+    const first = privacy.pseudonymize('user', 42);
+    assert.equal(privacy.pseudonymize('user', 42), first);
+    assert.notEqual(privacy.pseudonymize('session', 42), first);
+
+    mock.timers.setTime(Date.now() + privacy.SALT_ROTATION_DAYS * DAY);
+    const second = privacy.pseudonymize('user', 42);
+    assert.notEqual(second, first);
+    assert.equal(db.collection('system_secrets').count({ purpose: 'analytics-salt' }), 1);
+    mock.timers.setTime(Date.parse('2026-09-15T12:00:00Z'));
+  });
+
+  it('rejects events and properties outside the allow-list', () => {
+    const before = storedEvents();
+    const cases = [
+      { event_name: 'I felt awful after talking to my sister' },
+      { event_name: 'opened', feature: 'journal', action: 'wrote about feeling hopeless' },
+      { event_name: 'opened', properties: { note: 'free text' } },
+      { event_name: 'opened', properties: { source: 'typed a whole sentence here' } },
+      { event_name: 'opened', properties: { duration: 'long' } }
+    ];
+
+    cases.forEach(body => {
+      const res = call(trackEvent, { ...request(undefined, { body }), user: undefined });
+      assert.equal(res.statusCode, 400, JSON.stringify(body));
+    });
+    const page = call(trackPageView, { ...request(undefined, { body: { page: '/search?q=self harm' } }), user: undefined });
+    assert.equal(page.statusCode, 400);
+    assert.equal(storedEvents(), before);
+  });
+
+  it('withholds cells reached by fewer than K_ANONYMITY people', () => {
+    mock.timers.setTime(Date.parse('2026-09-10T12:00:00Z'));
+    for (let index = 0; index < privacy.K_ANONYMITY - 1; index += 1) {
+      store.recordEvent({ type: 'page_view', name: '/few', actor: `few-${index}` });
+      store.recordEvent({ type: 'feature_event', name: 'rare_feature', action: 'used', actor: `few-${index}` });
+    }
+    mock.timers.setTime(Date.parse('2026-09-11T12:00:00Z'));
+    for (let index = 0; index < privacy.K_ANONYMITY * 2; index += 1) {
+      store.recordEvent({ type: 'page_view', name: '/many', actor: `many-${index}` });
+    }
+    mock.timers.setTime(Date.parse('2026-09-15T12:00:00Z'));
+    store.refreshRollups();
+
+    const res = call(getAnalytics, { ...request(undefined, { query: { timeframe: '7', include_raw: 'true' } }), user: undefined });
+    assert.equal(res.statusCode, 200);
+    const byDate = new Map(res.body.raw_data.daily_stats.map(day => [day.date, day]));
+
+    assert.equal(byDate.get('2026-09-10').page_views, null);
+    assert.equal(byDate.get('2026-09-10').unique_visitors, null);
+    assert.notEqual(byDate.get('2026-09-11').page_views, null);
+    assert.equal(res.body.feature_usage.rare_feature, undefined);
+    assert.ok(res.body.privacy.suppressed_cells >= 2);
+  });
+});
@@ -0,0 +1,95 @@
+// test/analytics-sessions.test.js - Sessions, Bounces and Distinct Visitors in Reports
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response } = require('./setup');
+const db = require('../src/db');
+const store = require('../src/utils/analytics-store');
+const { getAnalytics } = require('../src/routes/analytics');
+
+function at(instant) {
+  mock.timers.setTime(Date.parse(instant));
+}
+
+function pageView(instant, actor, sessionId) {
+  at(instant);
+  store.recordEvent({ type: 'page_view', name: '/', actor, sessionId });
+}
+
+function sessionRow(date, name) {
+  return db.collection('analytics_rollups').findOne({ granularity: 'day', bucket: date, type: 'session', name });
+}
+
+function report(timeframe) {
+  const res = response();
+  getAnalytics(request(1, { query: { timeframe: String(timeframe) }, role: 'admin' }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+describe('analytics sessions and visitors', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-09-10T12:00:00Z') }));
+  after(() => mock.timers.reset());
+
+  it('splits sessions on inactivity and tells engaged sessions from bounces', () => {
+    // Two page views: engaged, two minutes long
+    pageView('2026-09-10T10:00:00Z', 'a', 's1');
+    pageView('2026-09-10T10:02:00Z', 'a', 's1');
+    // One page view: a bounce
+    pageView('2026-09-10T10:00:00Z', 'b', 's2');
+    // One page view, then thirty seconds using a feature: engaged
+    pageView('2026-09-10T10:00:00Z', 'c', 's3');
+    at('2026-09-10T10:00:30Z');
+    store.recordEvent({ type: 'feature_event', name: 'journal', action: 'opened', actor: 'c', sessionId: 's3' });
+    // Back after an hour on the same session id: two separate bounces
+    pageView('2026-09-10T10:00:00Z', 'd', 's4');
+    pageView('2026-09-10T11:00:00Z', 'd', 's4');
+    at('2026-09-10T12:00:00Z');
+    store.refreshRollups();
+
+    const all = sessionRow('2026-09-10', store.ALL);
+    assert.equal(all.count, 5);
+    assert.equal(all.value_sum, 150);
+    assert.equal(all.value_max, 120);
+    assert.equal(all.unique_actors, 4);
+    assert.equal(sessionRow('2026-09-10', 'engaged').count, 2);
+    assert.equal(sessionRow('2026-09-10', 'bounce').count, 3);
+    assert.equal(sessionRow('2026-09-10', 'bounce').value_sum, 0);
+  });
+
+  it('withholds session figures until enough people are behind them', () => {
+    const body = report(1);
+    assert.equal(body.summary.sessions, null);
+    assert.ok(body.privacy.suppressed_cells > 0);
+    assert.ok(!body.insights.some(insight => insight.type === 'sessions'));
+  });
+
+  it('reports sessions, length and bounce rate in the summary and insights', () => {
+    ['e', 'f', 'g', 'h', 'i', 'j'].forEach(actor => pageView('2026-09-10T11:30:00Z', actor, `s-${actor}`));
+    at('2026-09-10T12:00:00Z');
+    store.refreshRollups();
+    assert.equal(sessionRow('2026-09-10', store.ALL).count, 11);
+
+    const { summary, insights } = report(1);
+    assert.ok(Math.abs(summary.sessions.sessions - 11) <= 8, `sessions ${summary.sessions.sessions}`);
+    assert.ok(summary.sessions.bounce_rate_percent >= 0 && summary.sessions.bounce_rate_percent <= 100);
+    assert.equal(summary.sessions.longest_duration_seconds, undefined);
+
+    const sessionInsight = insights.find(insight => insight.type === 'sessions');
+    assert.deepEqual(sessionInsight.metrics, summary.sessions);
+    assert.match(sessionInsight.description, /^The average session lasts .*s and [\d.]+% of sessions bounce$/);
+  });
+
+  it('counts distinct visitors over the timeframe rather than adding up days', () => {
+    // Thirty people on both days and ten more on the second: 40 people, 70 visits
+    const regulars = Array.from({ length: 30 }, (unused, index) => `regular-${index}`);
+    regulars.forEach(actor => pageView('2026-09-20T09:00:00Z', actor));
+    regulars.concat(Array.from({ length: 10 }, (unused, index) => `newcomer-${index}`))
+      .forEach(actor => pageView('2026-09-21T09:00:00Z', actor));
+    at('2026-09-21T12:00:00Z');
+    store.refreshRollups();
+
+    const { summary } = report(2);
+    assert.ok(Math.abs(summary.totals.unique_visitors - 40) <= 10, `unique visitors ${summary.totals.unique_visitors}`);
+    assert.ok(Math.abs(summary.totals.page_views - 70) <= 10, `page views ${summary.totals.page_views}`);
+  });
+});
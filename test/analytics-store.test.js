@@ -0,0 +1,132 @@
+// test/analytics-store.test.js - Analytics Rollups, Rebuilds and Retention
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response } = require('./setup');
+const db = require('../src/db');
+const store = require('../src/utils/analytics-store');
+const { getAnalytics } = require('../src/routes/analytics');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-09-10T12:00:00Z');
+
+function at(instant) {
+  mock.timers.setTime(typeof instant === 'number' ? instant : Date.parse(instant));
+}
+
+function rollup(granularity, bucket, type, name) {
+  return db.collection('analytics_rollups').findOne({ granularity, bucket, type, name });
+}
+
+function rollupCount() {
+  return db.collection('analytics_rollups').count({});
+}
+
+describe('analytics store', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+  after(() => mock.timers.reset());
+
+  it('rolls events up per name and in total, by hour and by day', () => {
+    at('2026-09-10T10:05:00Z');
+    store.recordEvent({ type: 'page_view', name: '/journal', actor: 'a' });
+    at('2026-09-10T10:20:00Z');
+    store.recordEvent({ type: 'page_view', name: '/journal', actor: 'a' });
+    store.recordEvent({ type: 'page_view', name: '/journal', actor: 'b' });
+    at('2026-09-10T11:00:00Z');
+    store.recordEvent({ type: 'page_view', name: '/mood', actor: 'c' });
+
+    assert.equal(store.refreshRollups(), 4);
+
+    const journal = rollup('day', '2026-09-10', 'page_view', '/journal');
+    assert.equal(journal.count, 3);
+    assert.equal(journal.unique_actors, 2);
+    assert.equal(journal.first_at, '2026-09-10T10:05:00.000Z');
+    assert.equal(journal.last_at, '2026-09-10T10:20:00.000Z');
+
+    const total = rollup('day', '2026-09-10', 'page_view', store.ALL);
+    assert.equal(total.count, 4);
+    assert.equal(total.unique_actors, 3);
+
+    assert.equal(rollup('hour', '2026-09-10T10', 'page_view', store.ALL).count, 3);
+    assert.equal(rollup('hour', '2026-09-10T11', 'page_view', store.ALL).count, 1);
+    assert.deepEqual(store.hourlyRollups('page_view', '2026-09-10', '2026-09-10')
+      .filter(row => row.name === store.ALL)
+      .map(row => row.bucket), ['2026-09-10T10', '2026-09-10T11']);
+  });
+
+  it('rebuilds a bucket from its raw events without counting anything twice', () => {
+    const rows = rollupCount();
+    assert.equal(store.refreshRollups(), 0);
+    assert.equal(rollupCount(), rows);
+
+    at('2026-09-10T11:30:00Z');
+    store.recordEvent({ type: 'page_view', name: '/mood', actor: 'a' });
+    assert.equal(store.refreshRollups(), 1);
+
+    assert.equal(rollupCount(), rows);
+    assert.equal(rollup('day', '2026-09-10', 'page_view', store.ALL).count, 5);
+    assert.equal(rollup('day', '2026-09-10', 'page_view', store.ALL).unique_actors, 3);
+    assert.equal(rollup('hour', '2026-09-10T11', 'page_view', '/mood').count, 2);
+  });
+
+  it('sums values, keeps the maximum and counts errors', () => {
+    at('2026-09-10T12:00:00Z');
+    store.recordEvent({ type: 'performance', name: '/api/mood', value: 120, statusCode: 200 });
+    store.recordEvent({ type: 'performance', name: '/api/mood', value: 480, statusCode: 500 });
+    store.recordEvent({ type: 'performance', name: '/api/journal', value: 40, statusCode: 404 });
+    store.refreshRollups();
+
+    const mood = rollup('day', '2026-09-10', 'performance', '/api/mood');
+    assert.equal(mood.value_sum, 600);
+    assert.equal(mood.value_max, 480);
+    assert.equal(mood.error_count, 1);
+    assert.equal(rollup('day', '2026-09-10', 'performance', store.ALL).error_count, 2);
+  });
+
+  it('rejects unknown event types', () => {
+    assert.throws(() => store.recordEvent({ type: 'keystroke', name: 'x' }), /Unknown analytics event type: keystroke/);
+  });
+
+  it('answers a 90-day timeframe from the daily rollups', () => {
+    // Enough people 60 days back that the day is not suppressed
+    at(NOW - 60 * DAY);
+    const actors = Array.from({ length: 8 }, (value, index) => `visitor-${index}`);
+    actors.forEach(actor => store.recordEvent({ type: 'page_view', name: '/', actor }));
+    at(NOW);
+    store.refreshRollups();
+
+    const res = response();
+    getAnalytics(request(1, { query: { timeframe: '90', include_raw: 'true' }, role: 'admin' }), res);
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.summary.timeframe.days, 90);
+    assert.equal(res.body.summary.timeframe.from, '2026-06-13');
+    assert.equal(res.body.summary.timeframe.to, '2026-09-10');
+    assert.equal(res.body.raw_data.daily_stats.length, 90);
+
+    const longAgo = res.body.raw_data.daily_stats.find(day => day.date === '2026-07-12');
+    assert.ok(Math.abs(longAgo.page_views - 8) <= 10, `page views ${longAgo.page_views}`);
+
+    const tooLong = response();
+    getAnalytics(request(1, { query: { timeframe: String(store.DAILY_RETENTION_DAYS + 1) }, role: 'admin' }), tooLong);
+    assert.equal(tooLong.statusCode, 400);
+  });
+
+  it('prunes raw events, hourly and daily rollups each after their own retention', () => {
+    const hasDay = () => Boolean(rollup('day', '2026-09-10', 'page_view', store.ALL));
+    const hasHour = () => Boolean(rollup('hour', '2026-09-10T10', 'page_view', store.ALL));
+    const rawEvents = () => db.collection('analytics_events').count({ date: '2026-09-10' });
+
+    at(NOW + (store.RAW_RETENTION_DAYS + 1) * DAY);
+    store.prune(new Date());
+    assert.equal(rawEvents(), 0);
+    assert.ok(hasHour() && hasDay());
+
+    at(NOW + (store.HOURLY_RETENTION_DAYS + 1) * DAY);
+    store.prune(new Date());
+    assert.ok(!hasHour());
+    assert.ok(hasDay());
+
+    at(NOW + (store.DAILY_RETENTION_DAYS + 1) * DAY);
+    store.prune(new Date());
+    assert.ok(!hasDay());
+  });
+});
@@ -0,0 +1,108 @@
+// test/auth.test.js - Refresh-Token Rotation, Reuse Detection, Logout and Access Tokens
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createUser, listen } = require('./setup');
+
+process.env.AUTH_RATE_LIMIT_MAX = '5';
+process.env.BCRYPT_ROUNDS = '4';
+
+const db = require('../src/db');
+const { issueTokens, hashPassword } = require('../src/utils/auth');
+const { requireAuth } = require('../src/middleware/auth');
+const authRouter = require('../src/routes/auth');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter);
+  app.get('/protected', requireAuth, (req, res) => res.json({ user: req.user }));
+  return app;
+}
+
+describe('authentication', () => {
+  let server;
+
+  async function post(path, body) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function getProtected(token) {
+    const response = await fetch(`${server.baseUrl}/protected`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Every refresh token in the family of this one (only the SHA-256 of a token is stored)
+  function familyOf(refreshToken) {
+    const tokens = db.collection('refresh_tokens');
+    const stored = tokens.findOne({ token_hash: crypto.createHash('sha256').update(refreshToken).digest('hex') });
+    return tokens.find({ family_id: stored.family_id });
+  }
+
+  before(async () => {
+    server = await listen(buildApp());
+  });
+
+  after(() => server.close());
+
+  it('rotates a refresh token into a new pair', async () => {
+    const issued = issueTokens(createUser());
+    const { status, body } = await post('/api/auth/refresh', { refresh_token: issued.refresh_token });
+
+    assert.equal(status, 200);
+    assert.ok(body.access_token);
+    assert.ok(body.refresh_token);
+    assert.notEqual(body.refresh_token, issued.refresh_token);
+    assert.equal((await getProtected(body.access_token)).status, 200);
+  });
+
+  it('revokes the whole family when a rotated refresh token is replayed', async () => {
+    const issued = issueTokens(createUser());
+    const rotated = (await post('/api/auth/refresh', { refresh_token: issued.refresh_token })).body;
+
+    const replay = await post('/api/auth/refresh', { refresh_token: issued.refresh_token });
+    assert.equal(replay.status, 401);
+    assert.ok(familyOf(issued.refresh_token).every(token => token.revoked_at));
+    assert.equal((await post('/api/auth/refresh', { refresh_token: rotated.refresh_token })).status, 401);
+  });
+
+  it('revokes the refresh token family on logout', async () => {
+    const issued = issueTokens(createUser());
+    assert.equal((await post('/api/auth/logout', { refresh_token: issued.refresh_token })).status, 200);
+    assert.equal((await post('/api/auth/refresh', { refresh_token: issued.refresh_token })).status, 401);
+  });
+
+  it('rejects an unknown refresh token', async () => {
+    assert.equal((await post('/api/auth/refresh', { refresh_token: 'not-a-token' })).status, 401);
+  });
+
+  it('rejects expired and forged access tokens', async () => {
+    const user = createUser();
+    const claims = { sub: String(user.id), email: user.email, role: 'admin' };
+    const expired = jwt.sign(claims, process.env.JWT_SECRET, { algorithm: 'HS256', expiresIn: -10 });
+    const forged = jwt.sign(claims, 'someone-elses-secret', { algorithm: 'HS256', expiresIn: '15m' });
+    const unsigned = jwt.sign(claims, null, { algorithm: 'none' });
+
+    const rejected = await getProtected(expired);
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.body.error, 'Access token expired');
+    assert.equal((await getProtected(forged)).status, 401);
+    assert.equal((await getProtected(unsigned)).status, 401);
+  });
+
+  it('limits attempts on the credential endpoints', async () => {
+    const user = createUser({ password_hash: await hashPassword('correct horse battery') });
+    const statuses = [];
+    for (let attempt = 0; attempt < 6; attempt++) {
+      statuses.push((await post('/api/auth/login', { email: user.email, password: 'wrong password' })).status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429]);
+  });
+});
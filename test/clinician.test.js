@@ -0,0 +1,108 @@
+// test/clinician.test.js - Crisis Report Case Handling
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser, routeHandler } = require('./setup');
+const db = require('../src/db');
+const { encryptRecord } = require('../src/utils/encryption');
+const router = require('../src/routes/clinician');
+
+const listReports = routeHandler(router, 'get', '/reports');
+const viewReport = routeHandler(router, 'get', '/reports/:id');
+const claim = routeHandler(router, 'post', '/reports/:id/claim');
+const release = routeHandler(router, 'post', '/reports/:id/release');
+const changeStatus = routeHandler(router, 'patch', '/reports/:id/status');
+
+function createReport(fields = {}) {
+  const reporter = createUser();
+  const now = new Date().toISOString();
+  return db.collection('crisis_reports').insert(encryptRecord('crisis_reports', reporter.id, {
+    user_id: reporter.id,
+    severity: 'high',
+    description: 'Struggling tonight',
+    timestamp: now,
+    status: 'reported',
+    follow_up_needed: true,
+    updated_at: now,
+    ...fields
+  }));
+}
+
+function call(handler, clinician, report, body = {}) {
+  const res = response();
+  handler(request(clinician.id, { role: clinician.role, params: { id: String(report.id) }, body }), res);
+  return res;
+}
+
+function eventsOf(report, action) {
+  return db.collection('crisis_report_events').find({ report_id: report.id, action });
+}
+
+describe('clinician case handling', () => {
+  it('records every view of a case in its audit trail', () => {
+    const clinician = createUser({ role: 'clinician' });
+    const report = createReport();
+
+    const res = call(viewReport, clinician, report);
+    assert.equal(res.statusCode, 200);
+    assert.equal(eventsOf(report, 'viewed').length, 1);
+    assert.equal(eventsOf(report, 'viewed')[0].actor_id, clinician.id);
+    assert.ok(res.body.events.some(event => event.action === 'viewed'));
+  });
+
+  it('records a view of each report the queue shows', () => {
+    const clinician = createUser({ role: 'clinician' });
+    const shown = createReport({ severity: 'critical' });
+    const filteredOut = createReport({ severity: 'low' });
+
+    const res = response();
+    listReports(request(clinician.id, { role: clinician.role, query: { severity: 'critical' } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.reports.some(item => item.id === shown.id && item.description === 'Struggling tonight'));
+
+    assert.equal(eventsOf(shown, 'listed').length, 1);
+    assert.equal(eventsOf(shown, 'listed')[0].actor_id, clinician.id);
+    assert.equal(eventsOf(filteredOut, 'listed').length, 0);
+  });
+
+  it('lets only one clinician claim a report', () => {
+    const first = createUser({ role: 'clinician' });
+    const second = createUser({ role: 'clinician' });
+    const report = createReport();
+
+    assert.equal(call(claim, first, report).statusCode, 200);
+    const res = call(claim, second, report);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.assigned_to, first.id);
+    assert.equal(eventsOf(report, 'claimed').length, 1);
+  });
+
+  it('checks the assignee as stored when releasing or changing status', () => {
+    const owner = createUser({ role: 'clinician' });
+    const other = createUser({ role: 'clinician' });
+    const report = createReport();
+    call(claim, owner, report);
+
+    assert.equal(call(release, other, report).statusCode, 409);
+    assert.equal(call(changeStatus, other, report, { status: 'contacted' }).statusCode, 409);
+    assert.equal(db.collection('crisis_reports').findById(report.id).assigned_to, owner.id);
+  });
+
+  it('checks the transition against the status as stored', () => {
+    const clinician = createUser({ role: 'clinician' });
+    const report = createReport();
+    assert.equal(call(changeStatus, clinician, report, { status: 'resolved' }).statusCode, 200);
+
+    const res = call(changeStatus, clinician, report, { status: 'contacted' });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.status, 'resolved');
+    assert.equal(eventsOf(report, 'status_changed').length, 1);
+  });
+
+  it('answers 404 for a report that does not exist', () => {
+    const clinician = createUser({ role: 'clinician' });
+    [viewReport, claim, release].forEach(handler => {
+      assert.equal(call(handler, clinician, { id: 999999 }).statusCode, 404);
+    });
+    assert.equal(call(changeStatus, clinician, { id: 999999 }, { status: 'contacted' }).statusCode, 404);
+  });
+});
@@ -0,0 +1,63 @@
+// test/crisis-detection.test.js - Crisis Detection Against the Labelled Corpus
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { detectCrisis } = require('../src/utils/crisis-detection');
+
+const corpus = require(path.join(__dirname, '../scripts/crisis-corpus.json'));
+
+// The same floors `npm run crisis:evaluate` enforces
+const MIN_PRECISION = 0.9;
+const MIN_RECALL = 0.95;
+
+describe('crisis detection', () => {
+  it('meets the precision and recall floors on the labelled corpus', () => {
+    const counts = { tp: 0, fp: 0, fn: 0 };
+    const misclassified = [];
+    corpus.forEach(sample => {
+      const { detected } = detectCrisis(sample.text);
+      if (detected && sample.crisis) counts.tp += 1;
+      else if (detected) counts.fp += 1;
+      else if (sample.crisis) counts.fn += 1;
+      if (detected !== sample.crisis) misclassified.push(sample.id);
+    });
+
+    const precision = counts.tp / (counts.tp + counts.fp);
+    const recall = counts.tp / (counts.tp + counts.fn);
+    assert.ok(precision >= MIN_PRECISION, `precision ${precision}, misclassified ${misclassified}`);
+    assert.ok(recall >= MIN_RECALL, `recall ${recall}, misclassified ${misclassified}`);
+  });
+
+  it('does not flag negated crisis language', () => {
+    [
+      ['I am not suicidal, just tired', 'not'],
+      ['I never want to hurt myself', 'never'],
+      ["I don't feel hopeless anymore", 'dont']
+    ].forEach(([text, negator]) => {
+      const result = detectCrisis(text);
+      assert.equal(result.detected, false, text);
+      assert.ok(result.suppressed.some(item => item.reason === `negated ("${negator}")`), text);
+    });
+  });
+
+  it('only lets a negation reach the end of its clause', () => {
+    assert.equal(detectCrisis("I'm not suicidal, but I want to die").detected, true);
+  });
+
+  it('does not flag everyday idioms', () => {
+    [
+      'That comedy had me dying laughing',
+      'I killed it at the interview today',
+      "I'm dead tired after work",
+      'I was bored to death in the meeting',
+      "I'm dying to see the new film",
+      'We were trapped in traffic for an hour'
+    ].forEach(text => assert.equal(detectCrisis(text).detected, false, text));
+  });
+
+  it('still flags plain crisis language', () => {
+    ['I want to kill myself', 'I want to hurt myself', 'I feel hopeless'].forEach(text => {
+      assert.equal(detectCrisis(text).detected, true, text);
+    });
+  });
+});
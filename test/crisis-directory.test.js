@@ -0,0 +1,36 @@
+// test/crisis-directory.test.js - Which Country's Crisis Lines a Request Gets
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+
+delete process.env.CRISIS_DEFAULT_COUNTRY;
+const { resolveLocale } = require('../src/utils/crisis-directory');
+
+describe('resolveLocale', () => {
+  it('uses an explicit country first', () => {
+    const locale = resolveLocale({ country: 'de', acceptLanguage: 'en-GB' });
+    assert.equal(locale.country, 'DE');
+    assert.equal(locale.matched, true);
+  });
+
+  it('uses the region of the preferred language', () => {
+    assert.equal(resolveLocale({ acceptLanguage: 'fr-CA,fr;q=0.8' }).country, 'CA');
+    assert.equal(resolveLocale({ lang: 'en-GB', acceptLanguage: 'en-US' }).country, 'GB');
+  });
+
+  it('falls back to the international entry when no country can be told', () => {
+    [{}, { acceptLanguage: 'en' }, { lang: 'es' }, { country: 'not a country', acceptLanguage: 'de' }].forEach(request => {
+      const locale = resolveLocale(request);
+      assert.equal(locale.country, 'INTL', JSON.stringify(request));
+      assert.equal(locale.requested_country, null);
+      assert.equal(locale.matched, false);
+    });
+  });
+
+  it('gives a country without an entry the international lines, not another country\'s', () => {
+    const locale = resolveLocale({ country: 'JP' });
+    assert.equal(locale.country, 'INTL');
+    assert.equal(locale.requested_country, 'JP');
+    assert.equal(locale.matched, false);
+  });
+});
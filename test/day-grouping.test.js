@@ -0,0 +1,107 @@
+// test/day-grouping.test.js - Mood and Journal Days in the User's Zone Across DST
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser } = require('./setup');
+const { recordMood, getMoodData } = require('../src/routes/mood');
+const { createEntry, getEntries } = require('../src/routes/journal');
+
+const NO_CRISIS = { crisis_analysis: { detected: false }, crisis_resources: null };
+
+function at(instant) {
+  mock.timers.setTime(Date.parse(instant));
+}
+
+function logMood(userId, timestamp) {
+  const req = request(userId, { body: { mood: 6, energy: 5, stress: 4, timestamp } });
+  req.textSafety = NO_CRISIS;
+  const res = response();
+  recordMood(req, res);
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+function dailyCounts(userId, days) {
+  const res = response();
+  getMoodData(request(userId, { query: { days: String(days), format: 'summary' } }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return Object.fromEntries(res.body.daily_summary.map(day => [day.date, day.count]));
+}
+
+function writeEntry(userId, instant) {
+  at(instant);
+  const res = response();
+  createEntry(request(userId, { body: { content: 'Went for a long walk and cooked dinner.' } }), res);
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+}
+
+function entriesOn(userId, date) {
+  const res = response();
+  getEntries(request(userId, { query: { from_date: date, to_date: date } }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body.entries;
+}
+
+describe('mood entries', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T12:00:00Z') }));
+  after(() => mock.timers.reset());
+
+  it('are grouped by local day across spring-forward', () => {
+    const user = createUser({ time_zone: 'America/New_York' });
+    at('2026-03-09T16:00:00Z');
+    logMood(user.id, '2026-03-08T04:30:00Z'); // 23:30 EST, Mar 7
+    logMood(user.id, '2026-03-08T05:30:00Z'); // 00:30 EST, Mar 8
+    logMood(user.id, '2026-03-09T03:30:00Z'); // 23:30 EDT, Mar 8
+    logMood(user.id, '2026-03-09T04:30:00Z'); // 00:30 EDT, Mar 9
+
+    assert.deepEqual(dailyCounts(user.id, 3), { '2026-03-07': 1, '2026-03-08': 2, '2026-03-09': 1 });
+  });
+
+  it('are grouped by local day across fall-back', () => {
+    const user = createUser({ time_zone: 'America/New_York' });
+    at('2026-11-02T16:00:00Z');
+    logMood(user.id, '2026-11-01T03:59:00Z'); // 23:59 EDT, Oct 31
+    logMood(user.id, '2026-11-01T05:30:00Z'); // first 01:30, Nov 1
+    logMood(user.id, '2026-11-01T06:30:00Z'); // second 01:30, Nov 1
+    logMood(user.id, '2026-11-02T04:30:00Z'); // 23:30 EST, Nov 1
+    logMood(user.id, '2026-11-02T05:00:00Z'); // 00:00 EST, Nov 2
+
+    assert.deepEqual(dailyCounts(user.id, 3), { '2026-10-31': 1, '2026-11-01': 3, '2026-11-02': 1 });
+  });
+
+  it('store the date the entry was logged on in the user\'s zone, not UTC', () => {
+    const user = createUser({ time_zone: 'America/Los_Angeles' });
+    at('2026-03-09T06:00:00Z');
+    const body = logMood(user.id, '2026-03-09T05:00:00Z'); // 22:00 PDT, Mar 8
+    assert.equal(body.entry.date, '2026-03-08');
+  });
+});
+
+describe('journal entries', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T12:00:00Z') }));
+  after(() => mock.timers.reset());
+
+  it('filtered to a spring-forward day are those of its 23 local hours', () => {
+    const user = createUser({ time_zone: 'America/New_York' });
+    writeEntry(user.id, '2026-03-08T04:59:00Z'); // 23:59 EST, Mar 7
+    writeEntry(user.id, '2026-03-08T05:00:00Z'); // 00:00 EST, Mar 8
+    writeEntry(user.id, '2026-03-09T03:59:00Z'); // 23:59 EDT, Mar 8
+    writeEntry(user.id, '2026-03-09T04:00:00Z'); // 00:00 EDT, Mar 9
+
+    const entries = entriesOn(user.id, '2026-03-08');
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries.map(entry => entry.date), ['2026-03-08', '2026-03-08']);
+  });
+
+  it('filtered to a fall-back day include both repeated hours', () => {
+    const user = createUser({ time_zone: 'America/New_York' });
+    writeEntry(user.id, '2026-11-01T03:59:00Z'); // 23:59 EDT, Oct 31
+    writeEntry(user.id, '2026-11-01T05:30:00Z'); // first 01:30, Nov 1
+    writeEntry(user.id, '2026-11-01T06:30:00Z'); // second 01:30, Nov 1
+    writeEntry(user.id, '2026-11-02T04:59:00Z'); // 23:59 EST, Nov 1
+    writeEntry(user.id, '2026-11-02T05:00:00Z'); // 00:00 EST, Nov 2
+
+    const entries = entriesOn(user.id, '2026-11-01');
+    assert.equal(entries.length, 3);
+    assert.ok(entries.every(entry => entry.date === '2026-11-01'));
+  });
+});
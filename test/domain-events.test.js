@@ -0,0 +1,130 @@
+// test/domain-events.test.js - Journal, Mood and Crisis Events Reach Analytics and Prometheus
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser } = require('./setup');
+const db = require('../src/db');
+const events = require('../src/utils/events');
+const privacy = require('../src/utils/analytics-privacy');
+const { recordMood } = require('../src/routes/mood');
+const { createEntry } = require('../src/routes/journal');
+const { reportCrisis } = require('../src/routes/crisis');
+const { getMetrics } = require('../src/routes/metrics');
+// Subscribes the analytics counters
+require('../src/routes/analytics');
+
+const NO_CRISIS = { crisis_analysis: { detected: false }, crisis_resources: null };
+const COUNTERS = ['mhb_journal_entries_total', 'mhb_mood_tracking_total', 'mhb_crisis_reports_total'];
+
+// Each counter summed over its labels, as scraped from /metrics
+async function scrape() {
+  const res = response();
+  res.end = body => {
+    res.body = body;
+    return res;
+  };
+  await getMetrics(request(undefined), res);
+  return Object.fromEntries(COUNTERS.map(name => {
+    const total = res.body.split('\n')
+      .filter(line => line.startsWith(`${name} `) || line.startsWith(`${name}{`))
+      .reduce((sum, line) => sum + Number(line.split(' ').pop()), 0);
+    return [name, total];
+  }));
+}
+
+function useFeatures(userId) {
+  const journal = response();
+  createEntry(request(userId, { body: { content: 'Cooked dinner with friends and went to bed early.' } }), journal);
+  assert.equal(journal.statusCode, 201, JSON.stringify(journal.body));
+
+  const moodReq = request(userId, { body: { mood: 6, energy: 5, stress: 4 } });
+  moodReq.textSafety = NO_CRISIS;
+  const mood = response();
+  recordMood(moodReq, mood);
+  assert.equal(mood.statusCode, 201, JSON.stringify(mood.body));
+
+  const crisisReq = request(userId, { body: { severity: 'low' } });
+  crisisReq.textSafety = NO_CRISIS;
+  const crisis = response();
+  reportCrisis(crisisReq, crisis);
+  assert.equal(crisis.statusCode, 201, JSON.stringify(crisis.body));
+}
+
+function analyticsEventsOf(actor) {
+  return db.collection('analytics_events').find({ actor }, { orderBy: 'id' }).map(event => event.type);
+}
+
+describe('domain events', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-09-15T12:00:00Z') }));
+  after(() => mock.timers.reset());
+
+  it('counts journal, mood and crisis activity in analytics and Prometheus', async () => {
+    const user = createUser();
+    privacy.setConsent(user.id, 'analytics', true);
+    const before = await scrape();
+
+    useFeatures(user.id);
+
+    const counted = await scrape();
+    COUNTERS.forEach(name => assert.equal(counted[name], before[name] + 1, name));
+
+    const types = analyticsEventsOf(privacy.pseudonymize('user', user.id));
+    ['journal_entry', 'mood_entry', 'crisis_report'].forEach(type => assert.ok(types.includes(type), `${type} in ${types}`));
+  });
+
+  it('counts activity of users without analytics consent in Prometheus only', async () => {
+    const user = createUser();
+    const before = await scrape();
+    const stored = db.collection('analytics_events').count({});
+
+    useFeatures(user.id);
+
+    const counted = await scrape();
+    COUNTERS.forEach(name => assert.equal(counted[name], before[name] + 1, name));
+    assert.equal(db.collection('analytics_events').count({}), stored);
+  });
+
+  it('carries ids and flags but no text', () => {
+    const user = createUser();
+    const received = [];
+    const unsubscribe = events.subscribe(events.EVENTS.JOURNAL_ENTRY_CREATED, payload => received.push(payload));
+
+    try {
+      const res = response();
+      createEntry(request(user.id, { body: { content: 'A quiet afternoon reading in the park.' } }), res);
+      assert.equal(res.statusCode, 201);
+    } finally {
+      unsubscribe();
+    }
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(Object.keys(received[0]).sort(), ['crisisDetected', 'entryId', 'first', 'occurred_at', 'userId']);
+    assert.equal(received[0].first, true);
+    assert.ok(!JSON.stringify(received[0]).includes('park'));
+  });
+
+  it('does not fail the request when a subscriber throws', async () => {
+    const user = createUser();
+    const before = await scrape();
+    const unsubscribe = events.subscribe(events.EVENTS.MOOD_RECORDED, () => {
+      throw new Error('subscriber broke');
+    });
+
+    try {
+      const req = request(user.id, { body: { mood: 3 } });
+      req.textSafety = NO_CRISIS;
+      const res = response();
+      recordMood(req, res);
+      assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+    } finally {
+      unsubscribe();
+    }
+
+    const counted = await scrape();
+    assert.equal(counted.mhb_mood_tracking_total, before.mhb_mood_tracking_total + 1);
+  });
+
+  it('refuses to publish or subscribe to unknown events', () => {
+    assert.throws(() => events.publish('journal.deleted_everything'), /Unknown domain event/);
+    assert.throws(() => events.subscribe('mood.typo', () => {}), /Unknown domain event/);
+  });
+});
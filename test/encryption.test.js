@@ -0,0 +1,119 @@
+// test/encryption.test.js - Envelope Encryption, Master-Key Rotation and Backfill
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createUser } = require('./setup');
+const db = require('../src/db');
+
+const ENCRYPTION_PATH = require.resolve('../src/utils/encryption');
+const encryption = require('../src/utils/encryption');
+const { ENCRYPTED_FIELDS, encryptRecord, decryptRecord, isEncrypted, rotateMasterKey, backfillPlaintextRecords } = encryption;
+
+const ORIGINAL_KEYS = process.env.ENCRYPTION_MASTER_KEYS;
+const ORIGINAL_ACTIVE = process.env.ENCRYPTION_ACTIVE_KEY_ID;
+
+// A value of the shape each sealed column holds
+function sampleValue(field) {
+  if (field === 'plan') return { coping_strategies: ['Call Alex'] };
+  if (field === 'contact') return { name: 'Alex', display_name: 'Sam', phone: '+15550100' };
+  if (field === 'contact_info') return { phone: '+15550100' };
+  return `Private ${field} text`;
+}
+
+// The module keeps unwrapped data keys in memory; a fresh copy has to unwrap them again
+function freshEncryption() {
+  delete require.cache[ENCRYPTION_PATH];
+  return require(ENCRYPTION_PATH);
+}
+
+function newMasterKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+describe('field encryption', () => {
+  after(() => {
+    process.env.ENCRYPTION_MASTER_KEYS = ORIGINAL_KEYS;
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = ORIGINAL_ACTIVE;
+  });
+
+  Object.entries(ENCRYPTED_FIELDS).forEach(([table, fields]) => {
+    it(`round-trips ${table} (${fields.join(', ')})`, () => {
+      const user = createUser();
+      const record = Object.fromEntries(fields.map(field => [field, sampleValue(field)]));
+      const sealed = encryptRecord(table, user.id, { ...record, user_id: user.id });
+
+      fields.forEach(field => {
+        assert.ok(isEncrypted(sealed[field]), `${field} is not sealed`);
+        assert.ok(!sealed[field].includes('Private') && !sealed[field].includes('Alex'));
+      });
+      assert.deepEqual(decryptRecord(table, user.id, sealed), { ...record, user_id: user.id });
+    });
+  });
+
+  it('rejects tampered ciphertext', () => {
+    const user = createUser();
+    const sealed = encryptRecord('journal_entries', user.id, { content: 'Only mine' }).content;
+    const parts = sealed.split(':');
+    const ciphertext = Buffer.from(parts[parts.length - 1], 'base64');
+    ciphertext[0] ^= 0x01;
+    parts[parts.length - 1] = ciphertext.toString('base64');
+
+    assert.throws(() => decryptRecord('journal_entries', user.id, { content: parts.join(':') }));
+  });
+
+  it('rejects a value moved to another user or field', () => {
+    const owner = createUser();
+    const other = createUser();
+    const sealed = encryptRecord('journal_entries', owner.id, { content: 'Only mine' }).content;
+
+    assert.throws(() => decryptRecord('journal_entries', other.id, { content: sealed }));
+    assert.throws(() => decryptRecord('mood_entries', owner.id, { notes: sealed }));
+  });
+
+  it('encrypts legacy plaintext rows once when backfilling', () => {
+    const user = createUser();
+    const entry = db.collection('journal_entries').insert({ user_id: user.id, content: 'Written before encryption', created_at: new Date().toISOString() });
+    const mood = db.collection('mood_entries').insert({ user_id: user.id, mood: 5, notes: 'Old note', timestamp: new Date().toISOString() });
+
+    const first = backfillPlaintextRecords();
+    assert.ok(first.journal_entries >= 1);
+    assert.ok(first.mood_entries >= 1);
+
+    const storedEntry = db.collection('journal_entries').findById(entry.id);
+    assert.ok(isEncrypted(storedEntry.content));
+    assert.equal(decryptRecord('journal_entries', user.id, storedEntry).content, 'Written before encryption');
+    assert.equal(decryptRecord('mood_entries', user.id, db.collection('mood_entries').findById(mood.id)).notes, 'Old note');
+
+    const second = backfillPlaintextRecords();
+    assert.ok(Object.values(second).every(count => count === 0), JSON.stringify(second));
+    assert.equal(db.collection('journal_entries').findById(entry.id).content, storedEntry.content);
+  });
+
+  it('re-wraps data keys on rotation, and old rows decrypt without the retired key', () => {
+    const user = createUser();
+    const stored = db.collection('journal_entries').insert(encryptRecord('journal_entries', user.id, {
+      user_id: user.id,
+      content: 'Sealed under the first master key'
+    }));
+    const before = db.collection('user_data_keys').findOne({ user_id: user.id });
+
+    const nextKey = newMasterKey();
+    process.env.ENCRYPTION_MASTER_KEYS = `${ORIGINAL_KEYS},next:${nextKey}`;
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = 'next';
+    const result = rotateMasterKey();
+    assert.equal(result.active_key_id, 'next');
+    assert.ok(result.rewrapped >= 1);
+
+    const rewrapped = db.collection('user_data_keys').findOne({ user_id: user.id });
+    assert.equal(rewrapped.master_key_id, 'next');
+    assert.notEqual(rewrapped.wrapped_key, before.wrapped_key);
+    assert.equal(freshEncryption().rotateMasterKey().rewrapped, 0);
+
+    // The old master key is gone; the row was never re-encrypted, only its data key re-wrapped
+    process.env.ENCRYPTION_MASTER_KEYS = `next:${nextKey}`;
+    const reloaded = freshEncryption();
+    const row = db.collection('journal_entries').findById(stored.id);
+    assert.equal(row.content, stored.content);
+    assert.equal(reloaded.decryptRecord('journal_entries', user.id, row).content, 'Sealed under the first master key');
+  });
+});
@@ -0,0 +1,141 @@
+// test/export-jobs.test.js - Background Export Jobs Against a Stub Storage
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser, routeHandler } = require('./setup');
+
+process.env.EXPORT_SYNC_MAX_RECORDS = '2';
+
+const db = require('../src/db');
+const storage = require('../src/utils/storage');
+const exportJobs = require('../src/utils/export-jobs');
+const router = require('../src/routes/export');
+
+const requestExport = routeHandler(router, 'get', '/');
+const getJobStatus = routeHandler(router, 'get', '/jobs/:id');
+
+// Objects "uploaded" to the stub, by key
+const objects = new Map();
+
+function addMoods(user, count) {
+  for (let index = 0; index < count; index += 1) {
+    db.collection('mood_entries').insert({
+      user_id: user.id,
+      mood: 5,
+      timestamp: new Date(Date.now() - index * 60000).toISOString(),
+      date: new Date().toISOString().slice(0, 10)
+    });
+  }
+}
+
+async function call(handler, user, options) {
+  const res = response();
+  await handler(request(user.id, options), res);
+  return res;
+}
+
+// Run the worker until the job has been built or has failed
+async function settle(jobId) {
+  for (let round = 0; round < 50; round += 1) {
+    await exportJobs.processJobs();
+    const job = db.collection('export_jobs').findById(jobId);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Export job ${jobId} never finished`);
+}
+
+describe('export jobs', () => {
+  before(() => {
+    mock.method(storage, 'isConfigured', () => true);
+    mock.method(storage, 'putObject', async (key, body) => { objects.set(key, body); });
+    mock.method(storage, 'deleteObject', async key => { objects.delete(key); });
+    mock.method(storage, 'downloadUrl', async (key, { expiresIn }) => `https://storage.test/${key}?expires=${expiresIn}`);
+  });
+
+  after(() => mock.restoreAll());
+
+  it('answers a large account with a job to poll', async () => {
+    const user = createUser();
+    addMoods(user, 3);
+
+    const res = await call(requestExport, user, { query: { format: 'json' } });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.job.status, 'queued');
+    assert.equal(res.body.status_url, `/api/export/jobs/${res.body.job.id}`);
+    await settle(res.body.job.id);
+  });
+
+  it('answers async=true with a job even for a small account', async () => {
+    const user = createUser();
+    const res = await call(requestExport, user, { query: { format: 'csv', dataset: 'mood', async: 'true' } });
+    assert.equal(res.statusCode, 202);
+    await settle(res.body.job.id);
+
+    const small = await call(requestExport, user, { query: { format: 'csv', dataset: 'mood' } });
+    assert.equal(small.statusCode, 200);
+  });
+
+  it('completes a queued job and hands out a short-lived link', async () => {
+    const user = createUser();
+    addMoods(user, 3);
+    const queued = await call(requestExport, user, { query: { format: 'json' } });
+
+    const job = await settle(queued.body.job.id);
+    assert.equal(job.status, 'completed');
+    assert.ok(job.storage_key.startsWith(`users/${user.id}/exports/`));
+    assert.equal(JSON.parse(objects.get(job.storage_key)).mood_entries.length, 3);
+
+    const status = await call(getJobStatus, user, { params: { id: String(job.id) } });
+    assert.equal(status.statusCode, 200);
+    assert.equal(status.body.job.status, 'completed');
+    assert.equal(status.body.job.download.url, `https://storage.test/${job.storage_key}?expires=900`);
+    assert.equal(status.body.job.size_bytes, Buffer.byteLength(objects.get(job.storage_key)));
+  });
+
+  it('stores only a generic error when the build fails', async () => {
+    const user = createUser();
+    storage.putObject.mock.mockImplementationOnce(async () => {
+      throw new Error('AccessDenied: arn:aws:s3:::private-bucket/users/1');
+    });
+
+    const queued = await call(requestExport, user, { query: { format: 'json', async: 'true' } });
+    const job = await settle(queued.body.job.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'The export could not be created - please try again');
+
+    const status = await call(getJobStatus, user, { params: { id: String(job.id) } });
+    assert.ok(!JSON.stringify(status.body).includes('AccessDenied'));
+    assert.equal(status.body.job.download, undefined);
+  });
+
+  it('deletes the file once the job expires and keeps the job listed as expired', async () => {
+    const user = createUser();
+    const queued = await call(requestExport, user, { query: { format: 'json', async: 'true' } });
+    const job = await settle(queued.body.job.id);
+    assert.ok(objects.has(job.storage_key));
+
+    db.collection('export_jobs').update(job.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+    await exportJobs.processJobs();
+
+    const expired = db.collection('export_jobs').findById(job.id);
+    assert.equal(expired.status, 'expired');
+    assert.equal(expired.storage_key, null);
+    assert.ok(!objects.has(job.storage_key));
+    assert.ok(storage.deleteObject.mock.calls.some(call => call.arguments[0] === job.storage_key));
+
+    const status = await call(getJobStatus, user, { params: { id: String(job.id) } });
+    assert.equal(status.body.job.status, 'expired');
+    assert.equal(status.body.job.download, undefined);
+  });
+
+  it('answers 404 for another user\'s job', async () => {
+    const owner = createUser();
+    const other = createUser();
+    const queued = await call(requestExport, owner, { query: { format: 'json', async: 'true' } });
+    await settle(queued.body.job.id);
+
+    const res = await call(getJobStatus, other, { params: { id: String(queued.body.job.id) } });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.job, undefined);
+  });
+});
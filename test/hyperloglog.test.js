@@ -0,0 +1,90 @@
+// test/hyperloglog.test.js - Distinct Counts Stay Within the Sketch's Error Bound
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createSketch,
+  addToSketch,
+  mergeSketches,
+  estimateCardinality,
+  encodeSketch,
+  decodeSketch
+} = require('../src/utils/hyperloglog');
+
+// 1024 registers give a standard error of 1.04 / sqrt(1024), about 3.25%; allow three
+const MAX_RELATIVE_ERROR = 3 * 1.04 / Math.sqrt(1024);
+
+function sketchOf(prefix, from, to) {
+  const sketch = createSketch();
+  for (let i = from; i < to; i++) addToSketch(sketch, `${prefix}-${i}`);
+  return sketch;
+}
+
+function assertWithinBound(estimate, actual) {
+  const error = Math.abs(estimate - actual) / actual;
+  assert.ok(error <= MAX_RELATIVE_ERROR, `estimate ${estimate} for ${actual} is ${(error * 100).toFixed(1)}% off`);
+}
+
+describe('HyperLogLog', () => {
+  it('counts nothing and single values exactly', () => {
+    assert.equal(estimateCardinality(createSketch()), 0);
+    assert.equal(estimateCardinality(sketchOf('one', 0, 1)), 1);
+  });
+
+  it('ignores repeats of the same value', () => {
+    const sketch = sketchOf('repeat', 0, 100);
+    const once = estimateCardinality(sketch);
+    for (let round = 0; round < 5; round++) {
+      for (let i = 0; i < 100; i++) addToSketch(sketch, `repeat-${i}`);
+    }
+    assert.equal(estimateCardinality(sketch), once);
+  });
+
+  it('estimates within the error bound from small to large sets', () => {
+    [50, 500, 2000, 10000, 60000].forEach(size => {
+      assertWithinBound(estimateCardinality(sketchOf(`size-${size}`, 0, size)), size);
+    });
+  });
+
+  it('stays within the bound for differently hashed sets of the same size', () => {
+    const errors = ['a', 'b', 'c', 'd', 'e'].map(prefix => {
+      const estimate = estimateCardinality(sketchOf(prefix, 0, 5000));
+      assertWithinBound(estimate, 5000);
+      return Math.abs(estimate - 5000) / 5000;
+    });
+    // On average no worse than about one standard error
+    assert.ok(errors.reduce((sum, error) => sum + error, 0) / errors.length <= 0.05);
+  });
+
+  it('merges overlapping sketches into exactly the sketch of their union', () => {
+    const first = sketchOf('day', 0, 6000);
+    const second = sketchOf('day', 4000, 12000);
+    const merged = mergeSketches([first, second]);
+
+    assert.ok(merged.equals(sketchOf('day', 0, 12000)));
+    assertWithinBound(estimateCardinality(merged), 12000);
+    // Not the 14000 of adding the two counts
+    assert.ok(estimateCardinality(merged) < 13000);
+    assert.ok(mergeSketches([merged, first]).equals(merged));
+  });
+
+  it('merges thirty daily sketches of a returning audience', () => {
+    // 300 regulars every day plus 20 people seen on one day only
+    const days = Array.from({ length: 30 }, (unused, day) => {
+      const sketch = sketchOf('regular', 0, 300);
+      for (let i = 0; i < 20; i++) addToSketch(sketch, `once-${day}-${i}`);
+      return sketch;
+    });
+    assertWithinBound(estimateCardinality(mergeSketches(days)), 300 + 30 * 20);
+  });
+
+  it('round-trips through base64 and rejects anything else', () => {
+    const sketch = sketchOf('stored', 0, 250);
+    const decoded = decodeSketch(encodeSketch(sketch));
+    assert.ok(decoded.equals(sketch));
+    assert.equal(estimateCardinality(decoded), estimateCardinality(sketch));
+
+    assert.equal(decodeSketch(null), null);
+    assert.equal(decodeSketch(42), null);
+    assert.equal(decodeSketch(Buffer.alloc(16).toString('base64')), null);
+  });
+});
@@ -0,0 +1,58 @@
+// test/journal-early-warnings.test.js - Early Warnings After Journal Edits and Restores
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser, routeHandler } = require('./setup');
+const { createEntry, updateEntry, router } = require('../src/routes/journal');
+
+const restoreRevision = routeHandler(router, 'post', '/:id/revisions/:revision/restore');
+
+const CALM = 'Cooked dinner with friends and went to bed early.';
+const DISTRESSED = 'I feel hopeless and I want to die.';
+
+function create(user, content) {
+  const res = response();
+  createEntry(request(user.id, { body: { content } }), res);
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+  return res.body.entry;
+}
+
+function edit(user, entry, content) {
+  const res = response();
+  const req = request(user.id, { body: { content }, params: { id: String(entry.id) } });
+  req.method = 'PATCH';
+  updateEntry(req, res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function restore(user, entry, revision) {
+  const res = response();
+  restoreRevision(request(user.id, { params: { id: String(entry.id), revision: String(revision) } }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function rulesIn(body) {
+  return body.early_warnings.map(alert => alert.rule);
+}
+
+describe('journal early warnings', () => {
+  it('run when an edit makes an entry distressed', () => {
+    const user = createUser();
+    const entries = [create(user, CALM), create(user, CALM), create(user, CALM)];
+
+    assert.deepEqual(rulesIn(edit(user, entries[0], DISTRESSED)), []);
+    assert.deepEqual(rulesIn(edit(user, entries[1], DISTRESSED)), []);
+    assert.deepEqual(rulesIn(edit(user, entries[2], DISTRESSED)), ['repeated_distress']);
+  });
+
+  it('run when a distressed revision is restored', () => {
+    const user = createUser();
+    const entry = create(user, DISTRESSED);
+    edit(user, entry, CALM);
+    create(user, DISTRESSED);
+    create(user, DISTRESSED);
+
+    assert.deepEqual(rulesIn(restore(user, entry, 1)), ['repeated_distress']);
+  });
+});
@@ -0,0 +1,123 @@
+// test/journal-search.test.js - Blind Journal Search Ranking, Phrases, Stemming and Index Upkeep
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser, routeHandler } = require('./setup');
+const db = require('../src/db');
+const { stem } = require('../src/utils/stemmer');
+const { createEntry, updateEntry, searchEntries, router } = require('../src/routes/journal');
+
+const deleteEntry = routeHandler(router, 'delete', '/:id');
+
+function create(user, content) {
+  const res = response();
+  createEntry(request(user.id, { body: { content } }), res);
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+  return res.body.entry;
+}
+
+function edit(user, entry, content) {
+  const res = response();
+  const req = request(user.id, { body: { content }, params: { id: String(entry.id) } });
+  req.method = 'PATCH';
+  updateEntry(req, res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+}
+
+function remove(user, entry) {
+  const res = response();
+  deleteEntry(request(user.id, { params: { id: String(entry.id) } }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+}
+
+// Ids of the matching entries, best first
+function find(user, q) {
+  const res = response();
+  searchEntries(request(user.id, { query: { q, limit: '50' } }), res);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body.entries.map(entry => entry.id);
+}
+
+describe('porter stemmer', () => {
+  it('reduces the classic examples', () => {
+    assert.equal(stem('caresses'), 'caress');
+    assert.equal(stem('ponies'), 'poni');
+    assert.equal(stem('hopping'), 'hop');
+    assert.equal(stem('relational'), 'relat');
+    assert.equal(stem('generalization'), 'gener');
+  });
+
+  it('gives inflections of a word the same stem', () => {
+    ['worried', 'worrying', 'worries'].forEach(word => assert.equal(stem(word), stem('worry')));
+    ['walked', 'walking', 'walks'].forEach(word => assert.equal(stem(word), 'walk'));
+  });
+});
+
+describe('journal search', () => {
+  it('ranks entries that use a term more, relative to their length, first', () => {
+    const user = createUser();
+    const once = create(user, 'Work was long today. I felt anxious before the meeting, then went home, cooked pasta and watched a film with my flatmate.');
+    const often = create(user, 'Anxious all morning, anxious at lunch, still anxious now.');
+    const none = create(user, 'A quiet day in the garden.');
+
+    const results = find(user, 'anxious');
+    assert.deepEqual(results, [often.id, once.id]);
+    assert.ok(!results.includes(none.id));
+  });
+
+  it('requires every loose term to match', () => {
+    const user = createUser();
+    const both = create(user, 'Slept badly and skipped breakfast.');
+    create(user, 'Slept well for once.');
+
+    assert.deepEqual(find(user, 'slept breakfast'), [both.id]);
+  });
+
+  it('matches quoted phrases only in order, across skipped stop words', () => {
+    const user = createUser();
+    const inOrder = create(user, 'This evening I walked the dogs by the river.');
+    const reversed = create(user, 'The dogs walked me more than I walked them.');
+
+    assert.deepEqual(find(user, '"walk the dog"'), [inOrder.id]);
+    assert.deepEqual(find(user, 'walk dog').sort(), [inOrder.id, reversed.id].sort());
+  });
+
+  it('matches other inflections of a query word', () => {
+    const user = createUser();
+    const entry = create(user, 'I keep worrying about the exam results.');
+
+    assert.deepEqual(find(user, 'worried'), [entry.id]);
+    assert.deepEqual(find(user, 'worries'), [entry.id]);
+  });
+
+  it('stops matching an entry once it is edited or deleted', () => {
+    const user = createUser();
+    const entry = create(user, 'Spent the afternoon at the beach.');
+    assert.deepEqual(find(user, 'beach'), [entry.id]);
+
+    edit(user, entry, 'Spent the afternoon in the mountains.');
+    assert.deepEqual(find(user, 'beach'), []);
+    assert.deepEqual(find(user, 'mountains'), [entry.id]);
+
+    remove(user, entry);
+    assert.deepEqual(find(user, 'mountains'), []);
+    assert.equal(db.collection('journal_search_postings').count({ entry_id: entry.id }), 0);
+    assert.equal(db.collection('journal_search_documents').count({ entry_id: entry.id }), 0);
+  });
+
+  it('never stores words in the index, and hashes them per user', () => {
+    const words = ['lighthouse', 'grandmother', 'birthday'];
+    const user = createUser();
+    const other = createUser();
+    const entry = create(user, 'Visited the lighthouse for my grandmother\'s birthday.');
+    const otherEntry = create(other, 'Visited the lighthouse for my grandmother\'s birthday.');
+
+    const postings = db.collection('journal_search_postings').find({ entry_id: entry.id });
+    const stored = JSON.stringify(postings.concat(db.collection('journal_search_documents').find({ entry_id: entry.id })));
+    assert.ok(postings.length >= words.length);
+    words.concat(words.map(stem)).forEach(word => assert.ok(!stored.includes(word), `index contains "${word}"`));
+    postings.forEach(posting => assert.match(posting.term_hash, /^[0-9a-f]{32}$/));
+
+    const otherHashes = new Set(db.collection('journal_search_postings').find({ entry_id: otherEntry.id }).map(posting => posting.term_hash));
+    assert.ok(postings.every(posting => !otherHashes.has(posting.term_hash)));
+  });
+});
@@ -0,0 +1,57 @@
+// test/memory-store.test.js - Memory Driver Transactions Roll Back Like SQLite's
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../src/db/memory');
+
+function failWith(message) {
+  throw new Error(message);
+}
+
+describe('memory store transactions', () => {
+  it('keeps everything written when the callback returns', () => {
+    const store = new MemoryStore();
+    const result = store.transaction(() => {
+      store.collection('users').insert({ email: 'kept@example.com' });
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.equal(store.collection('users').count({ email: 'kept@example.com' }), 1);
+  });
+
+  it('undoes inserts, updates and removals across collections when the callback throws', () => {
+    const store = new MemoryStore();
+    const users = store.collection('users');
+    const kept = users.insert({ email: 'before@example.com', role: 'user' });
+    const removed = users.insert({ email: 'gone@example.com', role: 'user' });
+
+    assert.throws(() => store.transaction(() => {
+      users.insert({ email: 'new@example.com' });
+      users.update(kept.id, { role: 'admin' });
+      users.remove(removed.id);
+      store.collection('safety_plans').insert({ user_id: kept.id, version: 1 });
+      failWith('version conflict');
+    }), /version conflict/);
+
+    assert.deepEqual(users.find().map(user => user.email), ['before@example.com', 'gone@example.com']);
+    assert.equal(users.findById(kept.id).role, 'user');
+    assert.equal(store.collection('safety_plans').count(), 0);
+
+    // Ids handed out in the rolled back transaction are used again, as in SQLite
+    assert.equal(users.insert({ email: 'after@example.com' }).id, removed.id + 1);
+  });
+
+  it('rolls back only the inner transaction when its failure is caught', () => {
+    const store = new MemoryStore();
+    const users = store.collection('users');
+
+    store.transaction(() => {
+      users.insert({ email: 'outer@example.com' });
+      assert.throws(() => store.transaction(() => {
+        users.insert({ email: 'inner@example.com' });
+        failWith('inner failed');
+      }));
+    });
+
+    assert.deepEqual(users.find().map(user => user.email), ['outer@example.com']);
+  });
+});
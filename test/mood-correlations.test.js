@@ -0,0 +1,180 @@
+// test/mood-correlations.test.js - Mood Correlations and the Statistics Behind Them
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const statistics = require('../src/utils/statistics');
+const { analyzeCorrelations, summarizeDays } = require('../src/utils/mood-correlations');
+
+// Small fixed offsets so the series are not perfectly linear
+const NOISE = [0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1, 0.2, -0.2, 0, 0.3];
+
+function dateOf(index) {
+  return `2026-09-${String(index + 1).padStart(2, '0')}`;
+}
+
+function assertClose(actual, expected, tolerance = 1e-3) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// Two weeks: a walk every other day lifts mood by three points and lowers stress
+function walkingFortnight() {
+  return NOISE.map((noise, index) => {
+    const walked = index % 2 === 0;
+    return {
+      date: dateOf(index),
+      mood: (walked ? 8 : 5) + noise,
+      stress: walked ? 3 + noise : 7 - noise,
+      energy: 5 + (index % 3),
+      activities: walked ? ['Walk '] : (index === 1 || index === 3 ? ['yoga'] : [])
+    };
+  });
+}
+
+describe('statistics on known inputs', () => {
+  it('computes Pearson r, slope and p-value', () => {
+    const result = statistics.pearson([1, 2, 3, 4, 5], [2, 4, 5, 4, 5]);
+    assertClose(result.r, Math.sqrt(0.6));
+    assert.equal(result.slope, 0.6);
+    assertClose(result.intercept, 2.2);
+    assertClose(result.p_value, 0.124);
+    assert.ok(result.ci_95[0] < result.r && result.r < result.ci_95[1]);
+  });
+
+  it("computes Welch's t-test difference, df and p-value", () => {
+    const result = statistics.welchTTest([1, 2, 3, 4], [3, 4, 5, 6]);
+    assert.equal(result.difference, -2);
+    assert.equal(result.df, 6);
+    assertClose(result.p_value, 0.071);
+    assertClose(result.ci_95[0], -4.234);
+    assertClose(result.ci_95[1], 0.234);
+  });
+
+  it('fits an exact line with no uncertainty', () => {
+    const result = statistics.linearRegression([0, 1, 2, 3, 4], [1, 3, 5, 7, 9]);
+    assert.equal(result.slope, 2);
+    assert.equal(result.intercept, 1);
+    assert.deepEqual(result.ci_95, [2, 2]);
+    assert.equal(result.p_value, 0);
+    assert.equal(result.r_squared, 1);
+  });
+
+  it('matches the t and F tables', () => {
+    assertClose(statistics.tCritical(10), 2.228);
+    const anova = statistics.oneWayAnova([[1, 2, 3], [4, 5, 6], [7, 8, 9]]);
+    assert.equal(anova.f, 27);
+    assert.deepEqual(anova.df, [2, 6]);
+    assertClose(anova.p_value, 0.001, 1e-6);
+  });
+
+  it('adjusts p-values with Benjamini-Hochberg in input order', () => {
+    const adjusted = statistics.benjaminiHochberg([0.01, 0.04, 0.03, 0.2]);
+    assertClose(adjusted[0], 0.04, 1e-12);
+    assertClose(adjusted[1], 0.16 / 3, 1e-12);
+    assertClose(adjusted[2], 0.16 / 3, 1e-12);
+    assertClose(adjusted[3], 0.2, 1e-12);
+  });
+
+  it('returns null when there is too little data or no variation', () => {
+    assert.equal(statistics.mean([]), null);
+    assert.equal(statistics.variance([4]), null);
+    assert.equal(statistics.pearson([1, 2], [3, 4]), null);
+    assert.equal(statistics.pearson([1, 2, 3], [5, 5, 5]), null);
+    assert.equal(statistics.welchTTest([1], [2, 3]), null);
+    assert.equal(statistics.linearRegression([2, 2, 2], [1, 2, 3]), null);
+    assert.equal(statistics.oneWayAnova([[1, 2, 3]]), null);
+  });
+});
+
+describe('analyzeCorrelations', () => {
+  it('reports nothing for no entries', () => {
+    const analysis = analyzeCorrelations([]);
+    assert.deepEqual(analysis.sample, { entries: 0, days_logged: 0 });
+    assert.deepEqual(analysis.activities, []);
+    assert.equal(analysis.sleep.next_day.status, 'insufficient_data');
+    assert.equal(analysis.relationships.stress_mood.status, 'insufficient_data');
+    assert.deepEqual(analysis.insights, ['Log your mood on at least 7 different days to see what affects it.']);
+  });
+
+  it('reports nothing for a single entry', () => {
+    const analysis = analyzeCorrelations([{ date: '2026-09-01', mood: 7, stress: 3, sleep_hours: 8, activities: ['walk'] }]);
+    assert.equal(analysis.sample.days_logged, 1);
+    assert.deepEqual(analysis.activities, []);
+    Object.values(analysis.relationships).forEach(result => {
+      assert.deepEqual(result, { n: 0, status: 'insufficient_data', minimum: 7 });
+    });
+  });
+
+  it('waits for seven logged days before analyzing anything', () => {
+    const analysis = analyzeCorrelations(walkingFortnight().slice(0, 6));
+    assert.equal(analysis.sample.days_logged, 6);
+    assert.deepEqual(analysis.activities, []);
+    assert.equal(analysis.relationships.stress_mood.n, 0);
+    assert.match(analysis.insights[0], /at least 7 different days/);
+  });
+
+  it('counts a day once however many check-ins it has', () => {
+    const days = summarizeDays([
+      { date: '2026-09-01', mood: 4, stress: 6, activities: ['Walk'] },
+      { date: '2026-09-01', mood: 8, stress: null, activities: ['walk', 'Yoga'] },
+      { date: '2026-09-02', mood: 5 }
+    ]);
+    assert.equal(days.length, 2);
+    assert.equal(days[0].mood, 6);
+    assert.equal(days[0].stress, 6);
+    assert.deepEqual([...days[0].activities], ['walk', 'yoga']);
+  });
+
+  it('measures activity lift and guards activities with too few days', () => {
+    const analysis = analyzeCorrelations(walkingFortnight());
+    const [walk, yoga] = analysis.activities;
+
+    assert.equal(walk.activity, 'walk');
+    assert.equal(walk.status, 'ok');
+    assert.equal(walk.days_with, 7);
+    assert.equal(walk.days_without, 7);
+    assertClose(walk.lift, 3.06, 0.005);
+    assert.ok(walk.ci_95[0] > 2.5 && walk.ci_95[1] < 3.5);
+    assert.equal(walk.confidence, 'high');
+
+    assert.deepEqual(yoga, { activity: 'yoga', days_with: 2, days_without: 12, status: 'insufficient_data', minimum: 3 });
+    assert.ok(analysis.insights.includes("Days with 'walk' average 3.1 points higher mood (7 days with it, 7 without)."));
+  });
+
+  it('finds the stress relationship and leaves unrelated measures unreported', () => {
+    const analysis = analyzeCorrelations(walkingFortnight());
+    const { stress_mood: stressMood, energy_mood: energyMood } = analysis.relationships;
+
+    assert.equal(stressMood.n, 14);
+    assert.ok(stressMood.r < -0.95);
+    assert.equal(stressMood.confidence, 'high');
+    assert.equal(energyMood.confidence, 'none');
+    assert.ok(analysis.insights.some(insight => insight.startsWith('On more stressful days your mood tends to be lower')));
+    assert.ok(!analysis.insights.some(insight => insight.includes('energy')));
+  });
+
+  it("lags sleep against the next day's mood", () => {
+    // Mood follows the previous night's sleep: half a point per hour
+    const sleep = [6, 8, 5, 7, 9, 6, 7, 8, 5, 9, 6, 7, 8, 6];
+    const entries = sleep.map((hours, index) => ({
+      date: dateOf(index),
+      sleep_hours: hours,
+      mood: index === 0 ? 6 : 2 + sleep[index - 1] * 0.5 + NOISE[index] / 2
+    }));
+
+    const { next_day: nextDay, same_day: sameDay } = analyzeCorrelations(entries).sleep;
+    assert.equal(nextDay.n, 13);
+    assert.ok(nextDay.r > 0.9);
+    assertClose(nextDay.slope, 0.5, 0.1);
+    // 'high' needs two weeks of pairs; thirteen nights are only enough for 'moderate'
+    assert.equal(nextDay.confidence, 'moderate');
+    assert.ok(Math.abs(sameDay.r) < Math.abs(nextDay.r));
+  });
+
+  it('leaves out next-day pairs across a gap in logging', () => {
+    const entries = walkingFortnight()
+      .filter((entry, index) => index % 3 !== 1)
+      .map(entry => ({ ...entry, sleep_hours: 7 }));
+    const { next_day: nextDay } = analyzeCorrelations(entries).sleep;
+    assert.equal(nextDay.status, 'insufficient_data');
+    assert.equal(nextDay.n, 4);
+  });
+});
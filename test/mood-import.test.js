@@ -0,0 +1,164 @@
+// test/mood-import.test.js - Mood Imports from CSV, Daylio and eMoods
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./setup');
+const db = require('../src/db');
+const events = require('../src/utils/events');
+const notifications = require('../src/notifications');
+const { decryptRecord } = require('../src/utils/encryption');
+const { importMoodEntries } = require('../src/utils/mood-import');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+function importFile(user, data, options = {}) {
+  const { report, error } = importMoodEntries(user.id, data, { now: NOW, ...options });
+  assert.equal(error, undefined);
+  return report;
+}
+
+function savedEntries(user) {
+  return db.collection('mood_entries').find({ user_id: user.id }, { orderBy: 'timestamp' })
+    .map(entry => decryptRecord('mood_entries', user.id, entry));
+}
+
+describe('mood import', () => {
+  let recorded = [];
+  let unsubscribe;
+
+  before(() => {
+    unsubscribe = events.subscribe(events.EVENTS.MOOD_RECORDED, payload => recorded.push(payload));
+  });
+  after(() => unsubscribe());
+
+  it('reads our own CSV columns as wall-clock times in the user\'s zone', () => {
+    const user = createUser({ time_zone: 'America/New_York' });
+    const report = importFile(user, [
+      'Date,Time,Mood,Energy,Sleep Hours,Notes,Activities',
+      '2026-06-01,08:30,7,6,7.5,Slept well,walk|reading',
+      '2026-06-02,,4,,,,'
+    ].join('\n'));
+
+    assert.equal(report.format, 'csv');
+    assert.deepEqual(report.summary, { rows: 2, accepted: 2, duplicates: 0, rejected: 0 });
+    const [first, second] = savedEntries(user);
+    assert.equal(first.timestamp, '2026-06-01T12:30:00.000Z');
+    assert.equal(first.date, '2026-06-01');
+    assert.equal(first.sleep_hours, 7.5);
+    assert.equal(first.notes, 'Slept well');
+    assert.deepEqual(first.activities, ['walk', 'reading']);
+    assert.equal(first.source, 'import:csv');
+    assert.equal(second.timestamp, '2026-06-02T16:00:00.000Z');
+  });
+
+  it('maps Daylio moods and notes, with custom moods from mood_map', () => {
+    const user = createUser({ time_zone: 'UTC' });
+    const report = importFile(user, [
+      'full_date,date,weekday,time,mood,activities,note_title,note',
+      '2026-05-20,May 20,Wednesday,8:15 PM,good,friends | gaming,Evening,Nice dinner<br>Early night',
+      '2026-05-21,May 21,Thursday,9:00 AM,sleepy,,,'
+    ].join('\n'), { moodMap: { Sleepy: 4 } });
+
+    assert.equal(report.format, 'daylio');
+    const [good, sleepy] = savedEntries(user);
+    assert.equal(good.mood, 7);
+    assert.equal(good.timestamp, '2026-05-20T20:15:00.000Z');
+    assert.equal(good.notes, 'Evening\n\nNice dinner\nEarly night');
+    assert.deepEqual(good.activities, ['friends', 'gaming']);
+    assert.equal(sleepy.mood, 4);
+  });
+
+  it('maps eMoods ratings onto mood and stress', () => {
+    const user = createUser({ time_zone: 'UTC' });
+    const report = importFile(user, [
+      'date,elevated,depressed,irritable,anxiety,sleep,notes',
+      '2026-04-01,0,2,1,3,6,rough day',
+      '2026-04-02,0,0,,,8,'
+    ].join('\n'));
+
+    assert.equal(report.format, 'emoods');
+    const [rough, calm] = savedEntries(user);
+    assert.equal(rough.mood, 3);
+    assert.equal(rough.stress, 10);
+    assert.equal(rough.sleep_hours, 6);
+    assert.equal(rough.timestamp, '2026-04-01T12:00:00.000Z');
+    assert.equal(calm.mood, 7);
+    assert.equal(calm.stress, undefined);
+  });
+
+  it('skips duplicates within the file and of entries already saved', () => {
+    const user = createUser({ time_zone: 'UTC' });
+    const file = [
+      'timestamp,mood',
+      '2026-06-01T09:00:00Z,6',
+      '2026-06-01T09:00:00Z,6',
+      '2026-06-01T10:00:00Z,6'
+    ].join('\n');
+
+    assert.deepEqual(importFile(user, file).summary, { rows: 3, accepted: 2, duplicates: 1, rejected: 0 });
+    const again = importFile(user, file);
+    assert.deepEqual(again.summary, { rows: 3, accepted: 0, duplicates: 3, rejected: 0 });
+    assert.ok(again.rows.every(row => row.status === 'duplicate'));
+    assert.equal(savedEntries(user).length, 2);
+  });
+
+  it('reports each bad row by line and still imports the rest', () => {
+    const user = createUser({ time_zone: 'UTC' });
+    const report = importFile(user, [
+      'date,time,mood',
+      '2026-06-01,09:00,5',
+      '2026-06-02,09:00,eleven',
+      '2026-06-03,25:00,5',
+      '2026-06-04,09:00,14',
+      '2030-01-01,09:00,5',
+      'yesterday,09:00,5'
+    ].join('\n'));
+
+    assert.deepEqual(report.summary, { rows: 6, accepted: 1, duplicates: 0, rejected: 5 });
+    const rejected = report.rows.filter(row => row.status === 'rejected');
+    assert.deepEqual(rejected.map(row => row.row), [3, 4, 5, 6, 7]);
+    assert.match(rejected[0].error, /mood "eleven" is not a number/);
+    assert.match(rejected[1].error, /time "25:00"/);
+    assert.match(rejected[2].error, /between 1 and 10/);
+    assert.match(rejected[3].error, /future/);
+    assert.match(rejected[4].error, /YYYY-MM-DD/);
+    assert.equal(savedEntries(user).length, 1);
+  });
+
+  it('saves nothing and announces nothing on a dry run', () => {
+    const user = createUser({ time_zone: 'UTC' });
+    recorded = [];
+    const report = importFile(user, 'timestamp,mood\n2026-06-01T09:00:00Z,6', { dryRun: true });
+
+    assert.equal(report.summary.accepted, 1);
+    assert.equal(savedEntries(user).length, 0);
+    assert.equal(recorded.length, 0);
+  });
+
+  it('publishes every imported row and escalates crisis language in its notes', () => {
+    const user = createUser({ time_zone: 'UTC' });
+    const notify = mock.method(notifications, 'notify', () => []);
+    recorded = [];
+
+    try {
+      importFile(user, [
+        'timestamp,mood,notes',
+        '2026-06-01T09:00:00Z,6,Good walk',
+        '2026-06-02T09:00:00Z,1,I want to kill myself'
+      ].join('\n'));
+    } finally {
+      notify.mock.restore();
+    }
+
+    const [calm, crisis] = savedEntries(user);
+    assert.deepEqual(recorded.map(event => event.entryId), [calm.id, crisis.id]);
+    assert.deepEqual(recorded.map(event => event.first), [true, false]);
+    assert.ok(recorded.every(event => event.userId === user.id && event.backdated === true));
+    assert.deepEqual(recorded.map(event => event.crisisDetected), [false, true]);
+
+    assert.equal(notify.mock.callCount(), 1);
+    const [alert] = notify.mock.calls[0].arguments;
+    assert.equal(alert.type, 'crisis_detection');
+    assert.equal(alert.data.record_id, crisis.id);
+    assert.equal(alert.data.source, 'mood_entries');
+  });
+});
@@ -0,0 +1,112 @@
+// test/mood-trends.test.js - Mood Trends, Weekly Rhythm and Change Points
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeMoodTrend } = require('../src/utils/mood-trends');
+
+// Small fixed offsets; thirteen long so they cannot line up with the days of the week
+const NOISE = [0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1, 0.2, -0.2, 0];
+
+// One entry a day from Tuesday 2026-09-01, mood given by the day's index
+function series(length, moodOn) {
+  return Array.from({ length }, (unused, index) => ({
+    date: new Date(Date.UTC(2026, 8, 1 + index)).toISOString().split('T')[0],
+    mood: moodOn(index)
+  }));
+}
+
+function noise(index, scale = 1) {
+  return NOISE[index % NOISE.length] * scale;
+}
+
+describe('analyzeMoodTrend', () => {
+  it('reports insufficient data with no entries', () => {
+    const result = analyzeMoodTrend([], { days: 30, includeSeries: true });
+    assert.equal(result.trend, 'insufficient_data');
+    assert.equal(result.change, 0);
+    assert.equal(result.days_logged, 0);
+    assert.deepEqual(result.rolling_average, { window_days: 7, current: null, previous: null, change: null, series: [] });
+    assert.deepEqual(result.alerts, []);
+    assert.equal(result.regression, undefined);
+  });
+
+  it('reports insufficient data for a single entry', () => {
+    const result = analyzeMoodTrend([{ date: '2026-09-01', mood: 6 }], { days: 30, includeSeries: true });
+    assert.equal(result.trend, 'insufficient_data');
+    assert.equal(result.days_logged, 1);
+    assert.deepEqual(result.rolling_average, {
+      window_days: 7,
+      current: 6,
+      previous: null,
+      change: null,
+      series: [{ date: '2026-09-01', mood: 6, rolling: 6 }]
+    });
+  });
+
+  it('needs five logged days before fitting a trend', () => {
+    const result = analyzeMoodTrend(series(4, index => 3 + index), { days: 30 });
+    assert.equal(result.trend, 'insufficient_data');
+    assert.equal(result.rolling_average.current, 4.5);
+  });
+
+  it('fits a steady climb with a confidence interval around the weekly slope', () => {
+    // 0.2 points a day is 1.4 a week
+    const result = analyzeMoodTrend(series(21, index => 3 + 0.2 * index + noise(index)), { days: 30 });
+
+    assert.equal(result.trend, 'improving');
+    const { slope_per_week: slope, ci_95_per_week: ci } = result.regression;
+    assert.ok(Math.abs(slope - 1.4) < 0.1, `slope ${slope}`);
+    assert.ok(ci[0] < 1.4 && 1.4 < ci[1], `interval ${ci}`);
+    assert.ok(result.regression.r_squared > 0.9);
+    assert.ok(result.change > 3.5 && result.change < 4.5);
+    assert.deepEqual(result.alerts, []);
+  });
+
+  it('calls a noisy flat series stable', () => {
+    const result = analyzeMoodTrend(series(21, index => 6 + noise(index)), { days: 30 });
+    assert.equal(result.trend, 'stable');
+    assert.ok(result.regression.ci_95_per_week[0] < 0 && result.regression.ci_95_per_week[1] > 0);
+    assert.equal(result.weekly_pattern.detected, false);
+    assert.equal(result.change_point, null);
+  });
+
+  it('finds a low Monday and fits the trend without it', () => {
+    const monday = index => new Date(Date.UTC(2026, 8, 1 + index)).getUTCDay() === 1;
+    const result = analyzeMoodTrend(series(28, index => (monday(index) ? 4 : 7) + noise(index, 0.5)), { days: 30 });
+
+    assert.equal(result.weekly_pattern.detected, true);
+    assert.equal(result.weekly_pattern.worst_day, 'mon');
+    assert.ok(result.weekly_pattern.by_weekday.mon < -2);
+    assert.ok(result.weekly_pattern.amplitude >= 2.5);
+    assert.equal(result.regression.seasonally_adjusted, true);
+    assert.equal(result.trend, 'stable');
+  });
+
+  it('flags a sustained drop at the day mood shifted', () => {
+    const result = analyzeMoodTrend(series(20, index => (index < 12 ? 7 : 4) + noise(index, 0.5)), { days: 30 });
+
+    assert.equal(result.change_point.date, '2026-09-13');
+    assert.equal(result.change_point.direction, 'drop');
+    assert.equal(result.change_point.days_since, 8);
+    assert.ok(Math.abs(result.change_point.change + 3) < 0.2);
+    assert.equal(result.change_point.ongoing, true);
+    assert.deepEqual(result.alerts, ['sustained_drop']);
+  });
+
+  it('does not alert once mood has recovered from a drop', () => {
+    const result = analyzeMoodTrend(series(20, index => (index >= 8 && index < 17 ? 4 : 7) + noise(index, 0.5)), { days: 30 });
+
+    assert.equal(result.change_point.direction, 'drop');
+    assert.equal(result.change_point.ongoing, false);
+    assert.deepEqual(result.alerts, []);
+  });
+
+  it('averages several check-ins on one day before fitting', () => {
+    const entries = series(7, index => 5 + noise(index));
+    entries.push({ date: entries[6].date, mood: 10 }, { date: entries[6].date, mood: 10 });
+
+    const result = analyzeMoodTrend(entries, { days: 7, includeSeries: true });
+    assert.equal(result.days_logged, 7);
+    const lastDay = result.rolling_average.series[6];
+    assert.equal(lastDay.mood, Math.round((5 + noise(6) + 20) / 3 * 100) / 100);
+  });
+});
@@ -0,0 +1,160 @@
+// test/notification-queue.test.js - Delivery Retries, Backoff, Dedupe and Stale Claims
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./setup');
+
+process.env.NOTIFY_MAX_ATTEMPTS = '3';
+process.env.NOTIFY_RETRY_BASE_MS = '1000';
+
+const db = require('../src/db');
+const notifications = require('../src/notifications');
+
+const RETRY_BASE_MS = 1000;
+
+// A local webhook receiver standing in for the notification sink; it answers with the
+// scripted statuses in turn, then 200
+function startSink() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      res.end(res.statusCode === 200 ? '{}' : 'sink rejected the delivery');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    url: `http://127.0.0.1:${server.address().port}/webhook`,
+    failNext: (...codes) => statuses.push(...codes),
+    receivedFor: deliveryId => received.filter(body => body.id === deliveryId)
+  })));
+}
+
+function delivery(id) {
+  return db.collection('notification_deliveries').findById(id);
+}
+
+// Run the worker until the delivery has finished its `attempts`-th attempt
+async function attemptUntil(id, attempts) {
+  for (let round = 0; round < 50; round += 1) {
+    await notifications.processDueDeliveries();
+    const current = delivery(id);
+    if (current.attempts >= attempts && current.status !== 'sending') return current;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Delivery ${id} never reached attempt ${attempts}`);
+}
+
+// Skip the backoff wait
+function makeDue(id) {
+  db.collection('notification_deliveries').update(id, { next_attempt_at: new Date().toISOString() });
+}
+
+function delayOf(row) {
+  return Date.parse(row.next_attempt_at) - Date.parse(row.updated_at);
+}
+
+function assertBackoff(row, attempt) {
+  const base = RETRY_BASE_MS * 2 ** (attempt - 1);
+  const delay = delayOf(row);
+  assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `delay ${delay} after attempt ${attempt}`);
+}
+
+let sequence = 0;
+function raise(dedupeKey = `queue-test:${++sequence}`) {
+  return notifications.notify({
+    type: 'crisis_report',
+    severity: 'critical',
+    dedupeKey,
+    subject: 'Critical crisis report',
+    message: 'Report needs review',
+    data: { report_id: sequence }
+  });
+}
+
+describe('notification queue', () => {
+  let sink;
+
+  before(async () => {
+    sink = await startSink();
+    process.env.NOTIFY_ROUTE_CRITICAL = 'webhook';
+    process.env.NOTIFY_WEBHOOK_URLS = sink.url;
+  });
+
+  after(() => {
+    sink.server.closeAllConnections();
+    sink.server.close();
+    delete process.env.NOTIFY_ROUTE_CRITICAL;
+    delete process.env.NOTIFY_WEBHOOK_URLS;
+  });
+
+  it('retries a transient failure after a backoff, then delivers', async () => {
+    sink.failNext(503);
+    const [queued] = raise();
+
+    const failed = await attemptUntil(queued.id, 1);
+    assert.equal(failed.status, 'pending');
+    assert.match(failed.last_error, /503/);
+    assertBackoff(failed, 1);
+
+    // Not due yet, so nothing is sent
+    await notifications.processDueDeliveries();
+    assert.equal(delivery(queued.id).attempts, 1);
+
+    makeDue(queued.id);
+    const delivered = await attemptUntil(queued.id, 2);
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.last_error, null);
+    assert.equal(sink.receivedFor(queued.id).length, 2);
+  });
+
+  it('fails for good after the last attempt, doubling the backoff each time', async () => {
+    sink.failNext(500, 500, 500);
+    const [queued] = raise();
+
+    const first = await attemptUntil(queued.id, 1);
+    assertBackoff(first, 1);
+    makeDue(queued.id);
+    const second = await attemptUntil(queued.id, 2);
+    assertBackoff(second, 2);
+    makeDue(queued.id);
+
+    const failed = await attemptUntil(queued.id, 3);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.next_attempt_at, null);
+
+    await notifications.processDueDeliveries();
+    assert.equal(sink.receivedFor(queued.id).length, 3);
+  });
+
+  it('queues an event once per dedupe key within the window', async () => {
+    const [first] = raise('queue-test:same-report');
+    assert.ok(first);
+    assert.deepEqual(raise('queue-test:same-report'), []);
+    assert.equal(db.collection('notification_deliveries').count({ dedupe_key: 'queue-test:same-report' }), 1);
+    assert.equal(raise('queue-test:other-report').length, 1);
+
+    await attemptUntil(first.id, 1);
+  });
+
+  it('takes over deliveries left sending by a worker that died, but not live ones', async () => {
+    const [stale] = raise();
+    const [live] = raise();
+    await attemptUntil(stale.id, 1);
+    await attemptUntil(live.id, 1);
+
+    const deliveries = db.collection('notification_deliveries');
+    const longAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    deliveries.update(stale.id, { status: 'sending', updated_at: longAgo });
+    deliveries.update(live.id, { status: 'sending', updated_at: new Date().toISOString() });
+
+    const recovered = await attemptUntil(stale.id, 2);
+    assert.equal(recovered.status, 'delivered');
+    assert.equal(delivery(live.id).status, 'sending');
+    assert.equal(delivery(live.id).attempts, 1);
+  });
+});
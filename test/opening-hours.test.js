@@ -0,0 +1,72 @@
+// test/opening-hours.test.js - When Crisis Lines Are Open, from Anywhere
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+const { isOpen, nextOpen, validateHours } = require('../src/utils/opening-hours');
+const { zonedDateTime } = require('../src/utils/time-zones');
+
+// Weekday office hours plus Friday and Saturday night lines, closed on Sunday.
+// 2026-10-16 is a Friday.
+const HOURS = {
+  timezone: 'America/New_York',
+  periods: [
+    { days: ['mon', 'tue', 'wed', 'thu', 'fri'], open: '09:00', close: '17:00' },
+    { days: ['fri', 'sat'], open: '22:00', close: '06:00' }
+  ]
+};
+
+function inNewYork(date, time) {
+  return zonedDateTime(date, time, 'America/New_York');
+}
+
+function status(date) {
+  const next = nextOpen(HOURS, date);
+  return { open_now: next === null, next_open: next && next.toISOString() };
+}
+
+describe('opening hours', () => {
+  it('accepts the schedule', () => {
+    assert.equal(validateHours(HOURS), null);
+  });
+
+  it('stays open past midnight for a night line', () => {
+    assert.deepEqual(status(inNewYork('2026-10-16', '23:30')), { open_now: true, next_open: null });
+    assert.deepEqual(status(inNewYork('2026-10-17', '03:00')), { open_now: true, next_open: null });
+    assert.equal(isOpen(HOURS, inNewYork('2026-10-18', '05:59')), true);
+  });
+
+  it('closes at the close time and names the next opening', () => {
+    assert.deepEqual(status(inNewYork('2026-10-17', '06:00')), {
+      open_now: false,
+      next_open: inNewYork('2026-10-17', '22:00').toISOString()
+    });
+    assert.deepEqual(status(inNewYork('2026-10-16', '17:00')), {
+      open_now: false,
+      next_open: inNewYork('2026-10-16', '22:00').toISOString()
+    });
+  });
+
+  it('skips a closed day to the next opening', () => {
+    assert.deepEqual(status(inNewYork('2026-10-18', '12:00')), {
+      open_now: false,
+      next_open: '2026-10-19T13:00:00.000Z'
+    });
+  });
+
+  it('answers in absolute time for a caller in another zone', () => {
+    // Monday 08:00 in Tokyo is Sunday 19:00 in New York, when the line is closed
+    const fromTokyo = zonedDateTime('2026-10-19', '08:00', 'Asia/Tokyo');
+    assert.deepEqual(status(fromTokyo), status(inNewYork('2026-10-18', '19:00')));
+    assert.equal(status(fromTokyo).next_open, '2026-10-19T13:00:00.000Z');
+
+    // Saturday 14:00 in Sydney is Friday 23:00 in New York, during the night line
+    assert.equal(isOpen(HOURS, zonedDateTime('2026-10-17', '14:00', 'Australia/Sydney')), true);
+    // Friday 23:30 in Auckland is still Friday 06:30 in New York, before the line opens
+    assert.equal(isOpen(HOURS, zonedDateTime('2026-10-16', '23:30', 'Pacific/Auckland')), false);
+  });
+
+  it('keeps the local opening time across a daylight saving change', () => {
+    // New York falls back on Sunday 2026-11-01, so Monday 09:00 is 14:00 UTC, not 13:00
+    assert.equal(status(inNewYork('2026-11-01', '12:00')).next_open, '2026-11-02T14:00:00.000Z');
+  });
+});
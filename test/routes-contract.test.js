@@ -0,0 +1,110 @@
+// test/routes-contract.test.js - Every Registered API Route Is Mounted and Guarded
+//
+// Boots the app on the in-memory database and calls every route in the registry's
+// inventory (src/routes/index.js) with an empty body: each one must be reachable rather
+// than fall through to "Route not found", must answer without a server error (503 from a
+// service that is not configured here is fine), and anything not public must turn away a
+// request without a token.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+require('./setup');
+
+process.env.PORT = '0';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+const app = require('../src/server');
+const { setUserRole } = require('../src/utils/auth');
+
+// Path parameters get values that name nothing, so no handler finds data to change
+const PARAMETER_VALUE = '999999';
+const PASSWORD = crypto.randomBytes(12).toString('hex');
+const REQUEST_TIMEOUT_MS = 10000;
+
+let server;
+let baseUrl;
+const tokens = {};
+
+// { status, body }, or { status: null } when there was no answer in time
+async function call(method, path, token) {
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: method === 'GET' ? undefined : '{}',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    return { status: null, body: null };
+  }
+  const text = await response.text();
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    body = null;
+  }
+  return { status: response.status, body };
+}
+
+async function postJson(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+// A fresh account with the given role, and an access token carrying that role
+async function accountWithRole(role) {
+  const email = `route-check-${role}-${crypto.randomBytes(4).toString('hex')}@example.com`;
+  const registered = await postJson('/api/auth/register', { email, password: PASSWORD });
+  if (role === 'user') return registered.access_token;
+
+  setUserRole(email, role);
+  const loggedIn = await postJson('/api/auth/login', { email, password: PASSWORD });
+  return loggedIn.access_token;
+}
+
+describe('route contract', () => {
+  before(async () => {
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    for (const role of ['user', 'clinician', 'admin']) {
+      tokens[role] = await accountWithRole(role);
+    }
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('serves at least one route', () => {
+    assert.ok(app.locals.routeInventory.length > 0);
+  });
+
+  app.locals.routeInventory.forEach(route => {
+    const path = route.path.replace(/:[A-Za-z_]+/g, PARAMETER_VALUE);
+
+    it(`${route.method} ${route.path} (${route.access})`, async () => {
+      if (route.access !== 'public' && route.access !== 'optional') {
+        const anonymous = await call(route.method, path);
+        assert.equal(anonymous.status, 401, 'answered without a token');
+      }
+
+      const token = route.access === 'public' ? null : tokens[route.access] || tokens.user;
+      const { status, body } = await call(route.method, path, token);
+      assert.notEqual(status, null, `did not answer within ${REQUEST_TIMEOUT_MS / 1000}s`);
+      assert.ok(!(status === 404 && body && body.error === 'Route not found'), 'is not reachable');
+      assert.ok(status < 500 || status === 503, `failed with ${status}${body && body.error ? `: ${body.error}` : ''}`);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// test/safety-plan.test.js - Safety-Plan ETags per Representation
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, response, createUser, routeHandler } = require('./setup');
+const { router } = require('../src/routes/crisis');
+const plans = require('../src/utils/safety-plans');
+
+const getPlan = routeHandler(router, 'get', '/safety-plan');
+const savePlan = routeHandler(router, 'put', '/safety-plan');
+
+const PLAN = { coping_strategies: ['Walk around the block'] };
+
+function get(user, { query = {}, headers = {} } = {}) {
+  const res = response();
+  getPlan(request(user.id, { query, headers }), res);
+  return res;
+}
+
+function save(user, headers = {}) {
+  const res = response();
+  savePlan(request(user.id, { body: PLAN, headers }), res);
+  return res;
+}
+
+describe('safety plan ETags', () => {
+  it('differ between formats and locales of the same version', () => {
+    const user = createUser();
+    save(user);
+
+    const json = get(user, { query: { country: 'US' } }).headers.etag;
+    const text = get(user, { query: { country: 'US', format: 'text' } }).headers.etag;
+    const british = get(user, { query: { country: 'GB' } }).headers.etag;
+    assert.equal(new Set([json, text, british]).size, 3);
+  });
+
+  it('only answer 304 for the representation they were sent with', () => {
+    const user = createUser();
+    save(user);
+    const json = get(user, { query: { country: 'US' } }).headers.etag;
+
+    assert.equal(get(user, { query: { country: 'US' }, headers: { 'if-none-match': json } }).statusCode, 304);
+    const text = get(user, { query: { country: 'US', format: 'text' }, headers: { 'if-none-match': json } });
+    assert.equal(text.statusCode, 200);
+    assert.match(text.body, /MY SAFETY PLAN/);
+  });
+
+  it('accept any representation of the current version as If-Match, and no older one', () => {
+    const user = createUser();
+    save(user);
+    const textOfFirst = get(user, { query: { country: 'GB', format: 'text' } }).headers.etag;
+
+    const second = save(user, { 'if-match': textOfFirst });
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.body.version, 2);
+    assert.equal(save(user, { 'if-match': textOfFirst }).statusCode, 412);
+    assert.equal(save(user, { 'if-match': second.headers.etag }).statusCode, 200);
+  });
+
+  it('check If-Match in the same transaction as the save', () => {
+    const user = createUser();
+    const template = get(user).headers.etag;
+    assert.equal(save(user, { 'if-match': template }).statusCode, 201);
+    // A second device that also started from the template
+    const late = save(user, { 'if-match': template });
+    assert.equal(late.statusCode, 412);
+    assert.equal(late.body.current_version, 1);
+
+    assert.throws(() => plans.savePlan(user.id, PLAN, [0]), { name: 'PlanVersionConflict' });
+    assert.equal(plans.savePlan(user.id, PLAN, ['*']).version, 2);
+    assert.deepEqual(plans.listPlanVersions(user.id).map(entry => entry.version), [2, 1]);
+  });
+});
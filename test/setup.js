@@ -0,0 +1,95 @@
+// test/setup.js - Environment for Tests
+//
+// Required first by every test file: an in-memory database and throwaway keys, so tests
+// never touch data/ or need a .env.
+const crypto = require('crypto');
+
+process.env.DATABASE_DRIVER = 'memory';
+process.env.ENCRYPTION_MASTER_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+process.env.ENCRYPTION_ACTIVE_KEY_ID = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Just enough of an Express request and response to call a route handler directly
+function request(userId, { body = {}, query = {}, params = {}, headers = {}, role = 'user' } = {}) {
+  return {
+    user: { id: userId, role },
+    body,
+    query,
+    params,
+    headers,
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function response() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    type(value) {
+      return res.set('Content-Type', value);
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    }
+  };
+  return res;
+}
+
+function createUser(fields = {}) {
+  const db = require('../src/db');
+  const now = new Date().toISOString();
+  return db.collection('users').insert({
+    email: `user-${crypto.randomBytes(6).toString('hex')}@example.com`,
+    password_hash: 'not-a-real-hash',
+    role: 'user',
+    created_at: now,
+    updated_at: now,
+    ...fields
+  });
+}
+
+// The handler a router serves `method path` with, after any route-level middleware
+function routeHandler(router, method, path) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  if (!layer) throw new Error(`No ${method.toUpperCase()} ${path} route`);
+  const stack = layer.route.stack;
+  return stack[stack.length - 1].handle;
+}
+
+// Serve an app on a free local port; resolves to { baseUrl, close }
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      close: () => {
+        server.closeAllConnections();
+        server.close();
+      }
+    }));
+  });
+}
+
+module.exports = {
+  request,
+  listen,
+  routeHandler,
+  response,
+  createUser
+};
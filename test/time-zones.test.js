@@ -0,0 +1,103 @@
+// test/time-zones.test.js - Local Days Across DST Transitions
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+const {
+  localDate,
+  localHour,
+  offsetMinutes,
+  startOfLocalDay,
+  zonedDateTime,
+  localDayRange,
+  recentLocalDays
+} = require('../src/utils/time-zones');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function dayLengthHours(date, next, timezone) {
+  return (startOfLocalDay(next, timezone) - startOfLocalDay(date, timezone)) / HOUR_MS;
+}
+
+describe('localDate', () => {
+  it('puts instants either side of local midnight on spring-forward day on different days', () => {
+    assert.equal(localDate('2026-03-08T04:59:59Z', 'America/New_York'), '2026-03-07');
+    assert.equal(localDate('2026-03-08T05:00:00Z', 'America/New_York'), '2026-03-08');
+    // 23:30 EDT the same evening is already the next day in UTC
+    assert.equal(localDate('2026-03-09T03:30:00Z', 'America/New_York'), '2026-03-08');
+  });
+
+  it('keeps the repeated hour of fall-back day on that day', () => {
+    assert.equal(localDate('2026-11-01T05:30:00Z', 'America/New_York'), '2026-11-01');
+    assert.equal(localDate('2026-11-01T06:30:00Z', 'America/New_York'), '2026-11-01');
+    assert.equal(localDate('2026-11-02T04:59:59Z', 'America/New_York'), '2026-11-01');
+    assert.equal(localDate('2026-11-02T05:00:00Z', 'America/New_York'), '2026-11-02');
+  });
+
+  it('gives both fall-back 1 a.m. hours the same local hour label', () => {
+    assert.equal(localHour('2026-11-01T05:30:00Z', 'America/New_York'), '2026-11-01T01');
+    assert.equal(localHour('2026-11-01T06:30:00Z', 'America/New_York'), '2026-11-01T01');
+  });
+});
+
+describe('offsetMinutes', () => {
+  it('changes at the moment the clocks do', () => {
+    assert.equal(offsetMinutes('2026-03-08T06:59:00Z', 'America/New_York'), -300);
+    assert.equal(offsetMinutes('2026-03-08T07:00:00Z', 'America/New_York'), -240);
+    assert.equal(offsetMinutes('2026-11-01T05:59:00Z', 'America/New_York'), -240);
+    assert.equal(offsetMinutes('2026-11-01T06:00:00Z', 'America/New_York'), -300);
+  });
+});
+
+describe('startOfLocalDay', () => {
+  it('makes spring-forward days 23 hours long', () => {
+    assert.equal(startOfLocalDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(dayLengthHours('2026-03-08', '2026-03-09', 'America/New_York'), 23);
+    assert.equal(dayLengthHours('2026-03-29', '2026-03-30', 'Europe/London'), 23);
+    assert.equal(dayLengthHours('2026-10-04', '2026-10-05', 'Australia/Sydney'), 23);
+  });
+
+  it('makes fall-back days 25 hours long', () => {
+    assert.equal(startOfLocalDay('2026-11-01', 'America/New_York').toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.equal(dayLengthHours('2026-11-01', '2026-11-02', 'America/New_York'), 25);
+    assert.equal(dayLengthHours('2026-10-25', '2026-10-26', 'Europe/London'), 25);
+    assert.equal(dayLengthHours('2026-04-05', '2026-04-06', 'Australia/Sydney'), 25);
+  });
+
+  it('starts the day when the clocks jump where DST skips midnight', () => {
+    // Santiago goes from 00:00 straight to 01:00
+    assert.equal(startOfLocalDay('2026-09-06', 'America/Santiago').toISOString(), '2026-09-06T04:00:00.000Z');
+    assert.equal(localDate(startOfLocalDay('2026-09-06', 'America/Santiago'), 'America/Santiago'), '2026-09-06');
+    assert.equal(dayLengthHours('2026-09-06', '2026-09-07', 'America/Santiago'), 23);
+  });
+});
+
+describe('zonedDateTime', () => {
+  it('resolves ordinary wall-clock times exactly', () => {
+    assert.equal(zonedDateTime('2026-07-01', '09:00', 'America/New_York').toISOString(), '2026-07-01T13:00:00.000Z');
+  });
+
+  it('keeps times skipped or repeated by DST on the requested day', () => {
+    const skipped = zonedDateTime('2026-03-08', '02:30', 'America/New_York');
+    const repeated = zonedDateTime('2026-11-01', '01:30', 'America/New_York');
+    assert.equal(localDate(skipped, 'America/New_York'), '2026-03-08');
+    assert.equal(localDate(repeated, 'America/New_York'), '2026-11-01');
+    assert.equal(localHour(repeated, 'America/New_York'), '2026-11-01T01');
+  });
+});
+
+describe('localDayRange and recentLocalDays', () => {
+  it('cover whole local days across a transition', () => {
+    const range = localDayRange('2026-03-07', '2026-03-08', 'America/New_York');
+    assert.equal(range.start.toISOString(), '2026-03-07T05:00:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-03-09T04:00:00.000Z');
+    assert.equal((range.end - range.start) / HOUR_MS, 47);
+  });
+
+  it('count back calendar days in the zone, not 24-hour periods', () => {
+    const recent = recentLocalDays(7, 'America/New_York', new Date('2026-03-10T12:00:00Z'));
+    assert.equal(recent.from, '2026-03-04');
+    assert.equal(recent.to, '2026-03-10');
+    assert.equal(recent.start.toISOString(), '2026-03-04T05:00:00.000Z');
+    assert.equal(recent.end.toISOString(), '2026-03-11T04:00:00.000Z');
+  });
+});
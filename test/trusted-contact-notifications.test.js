@@ -0,0 +1,117 @@
+// test/trusted-contact-notifications.test.js - Trusted-Contact Deliveries Keep the Contact Sealed
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createUser } = require('./setup');
+const db = require('../src/db');
+const notifications = require('../src/notifications');
+const { MAX_SMS_LENGTH } = require('../src/notifications/sms');
+const { saveTrustedContact, removeTrustedContact } = require('../src/utils/trusted-contacts');
+require('../src/utils/early-warnings');
+
+const LONG_NAME = 'Alexandria Bartholomew-Montgomery '.repeat(3).trim().slice(0, 100);
+const LOCALE = { country: 'US', region: null, language: 'en' };
+
+// A local SMS gateway that keeps every message it receives
+function startGateway() {
+  const messages = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      messages.push(JSON.parse(body));
+      res.end('{}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    url: `http://127.0.0.1:${server.address().port}/sms`,
+    messageTo: number => messages.find(message => message.to === number)
+  })));
+}
+
+// Run the worker until the delivery has been sent or has failed
+async function settle(deliveryId) {
+  for (let round = 0; round < 50; round += 1) {
+    await notifications.processDueDeliveries();
+    const delivery = db.collection('notification_deliveries').findById(deliveryId);
+    if (!['pending', 'sending'].includes(delivery.status)) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Delivery ${deliveryId} was never sent`);
+}
+
+function queueFor(userId) {
+  return notifications.notifyContact(userId, {
+    type: 'early_warning_contact',
+    severity: 'high',
+    dedupeKey: `early_warning_contact:user:${userId}:${Date.now()}`,
+    data: { alert_ids: [1], locale: LOCALE }
+  });
+}
+
+describe('trusted-contact notifications', () => {
+  let gateway;
+
+  before(async () => {
+    gateway = await startGateway();
+    process.env.SMS_PROVIDER = 'http';
+    process.env.SMS_GATEWAY_URL = gateway.url;
+    delete process.env.SMTP_HOST;
+  });
+
+  after(() => {
+    gateway.server.closeAllConnections();
+    gateway.server.close();
+    delete process.env.SMS_GATEWAY_URL;
+  });
+
+  it('store neither the contact\'s address nor anyone\'s name', async () => {
+    const user = createUser();
+    saveTrustedContact(user.id, { name: 'Jordan Example', display_name: 'Sam Example', phone: '+1 555 010 0199' });
+
+    const [queued] = queueFor(user.id);
+    const stored = JSON.stringify(db.collection('notification_deliveries').findById(queued.id));
+    ['555 010 0199', 'Jordan', 'Sam'].forEach(secret => assert.ok(!stored.includes(secret), `row contains ${secret}`));
+
+    assert.equal((await settle(queued.id)).status, 'delivered');
+    assert.match(gateway.messageTo('+1 555 010 0199').message, /Sam Example/);
+  });
+
+  it('are left out of the staff view along with their payload', () => {
+    const user = createUser();
+    saveTrustedContact(user.id, { name: 'Jordan Example', display_name: 'Sam Example', phone: '+1 555 010 0199' });
+    const [queued] = queueFor(user.id);
+
+    const view = notifications.toDeliveryView(db.collection('notification_deliveries').findById(queued.id));
+    assert.equal(view.recipient, undefined);
+    assert.equal(view.payload, undefined);
+    assert.equal(view.channel, 'sms');
+  });
+
+  it('send an SMS that fits and leads with the emergency number, even with the longest names', async () => {
+    const user = createUser();
+    saveTrustedContact(user.id, { name: LONG_NAME, display_name: LONG_NAME, phone: '+15550100142' });
+
+    const [queued] = queueFor(user.id);
+    assert.equal((await settle(queued.id)).status, 'delivered');
+    const { message } = gateway.messageTo('+15550100142');
+    assert.ok(message.length <= MAX_SMS_LENGTH, `${message.length} characters`);
+    assert.match(message, /^If .+ is in immediate danger, call 911\./);
+    assert.match(message, /could help\.$/);
+  });
+
+  it('fail for good once the contact is removed', async () => {
+    const user = createUser();
+    saveTrustedContact(user.id, { name: 'Jordan Example', display_name: 'Sam Example', phone: '+15550100199' });
+    const [queued] = db.transaction(() => {
+      const rows = queueFor(user.id);
+      removeTrustedContact(user.id);
+      return rows;
+    });
+
+    const delivery = await settle(queued.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 1);
+  });
+});